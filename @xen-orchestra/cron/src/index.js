@@ -1,5 +1,6 @@
 import moment from 'moment-timezone'
 
+import matches from './matches'
 import next from './next'
 import parse from './parse'
 
@@ -44,13 +45,17 @@ class Schedule {
     this._createDate =
       zone.toLowerCase() === 'utc'
         ? moment.utc
-        : zone === 'local' ? moment : () => moment.tz(zone)
+        : zone === 'local' ? moment : date => moment.tz(date, zone)
   }
 
   createJob (fn) {
     return new Job(this, fn)
   }
 
+  matches (date) {
+    return matches(this._schedule, this._createDate(date))
+  }
+
   next (n) {
     const dates = new Array(n)
     const schedule = this._schedule
@@ -0,0 +1,22 @@
+const has = (values, value) => values === undefined || values.includes(value)
+
+// returns whether the passed date matches the schedule
+//
+// like in cron, when both the day of month and the day of week are
+// restricted, the date matches if either of them does
+export default (schedule, date) => {
+  const { minute, hour, dayOfMonth, month, dayOfWeek } = schedule
+
+  if (
+    !has(minute, date.minute()) ||
+    !has(hour, date.hour()) ||
+    !has(month, date.month())
+  ) {
+    return false
+  }
+
+  if (dayOfMonth === undefined || dayOfWeek === undefined) {
+    return has(dayOfMonth, date.date()) && has(dayOfWeek, date.day())
+  }
+  return has(dayOfMonth, date.date()) || has(dayOfWeek, date.day())
+}
@@ -0,0 +1,33 @@
+/* eslint-env jest */
+
+import moment from 'moment-timezone'
+
+import matches from './matches'
+import parse from './parse'
+
+const M = (pattern, date) => matches(parse(pattern), moment.utc(date))
+
+describe('matches()', () => {
+  it('matches any date with a wildcard pattern', () => {
+    expect(M('* * * * *', '2018-04-09T06:25')).toBe(true)
+  })
+
+  it('checks the minute, hour and month', () => {
+    expect(M('25 6 * apr *', '2018-04-09T06:25')).toBe(true)
+    expect(M('26 6 * apr *', '2018-04-09T06:25')).toBe(false)
+    expect(M('25 7 * apr *', '2018-04-09T06:25')).toBe(false)
+    expect(M('25 6 * may *', '2018-04-09T06:25')).toBe(false)
+  })
+
+  it('supports ranges', () => {
+    expect(M('* 8-18 * * mon-fri', '2018-04-09T06:25')).toBe(false)
+    expect(M('* 8-18 * * mon-fri', '2018-04-09T12:00')).toBe(true)
+    expect(M('* 8-18 * * mon-fri', '2018-04-08T12:00')).toBe(false)
+  })
+
+  it('matches either the month-day or the week-day', () => {
+    expect(M('* * 10 * wen', '2018-04-10T00:00')).toBe(true)
+    expect(M('* * 10 * wen', '2018-04-11T00:00')).toBe(true)
+    expect(M('* * 10 * wen', '2018-04-12T00:00')).toBe(false)
+  })
+})
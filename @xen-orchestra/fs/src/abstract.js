@@ -30,6 +30,13 @@ export default class RemoteHandlerAbstract {
     throw new Error('Not implemented')
   }
 
+  // whether `createOutputStream()` with the `wx` flag atomically fails if the
+  // file exists, even if it is created concurrently, which is required to
+  // implement locks on the remote
+  get hasAtomicExclusiveCreate (): boolean {
+    return false
+  }
+
   /**
    * Asks the handler to sync the state of the effective remote with its' metadata
    */
@@ -225,9 +232,13 @@ export default class RemoteHandlerAbstract {
       createChecksumStream()
     )
     stream.resume() // start reading the whole file
-    await this.outputFile(checksumFile(path), await stream.checksum)
+    await this.outputFile(checksumFile(path), await stream.checksum, {
+      flags: 'w',
+    })
   }
 
+  // `options.length` is the size of the data if known, some handlers (e.g. S3)
+  // need it to write big files
   async createOutputStream (
     file: File,
     { checksum = false, ...options }: Object = {}
@@ -0,0 +1,573 @@
+import getStream from 'get-stream'
+import { createCipheriv, createDecipheriv, randomBytes } from 'crypto'
+import { fromEvent, ignoreErrors } from 'promise-toolbox'
+import { Transform } from 'stream'
+import { Writable } from 'readable-stream'
+
+import RemoteHandlerAbstract from './abstract'
+
+// Format of an encrypted file:
+//
+// - header
+//   - magic (8 bytes): `XOENC001`
+//   - IV used to wrap the file key (12 bytes)
+//   - file key wrapped with the master key of the remote (32 bytes)
+//   - authentication tag of the file key (16 bytes)
+// - data split in chunks of CHUNK_SIZE bytes (the last one may be shorter)
+//   - IV (12 bytes)
+//   - data encrypted with the file key
+//   - authentication tag (16 bytes)
+//
+// Each chunk is authenticated with its index and whether it is the last one,
+// which prevents chunks from being reordered and the file from being truncated.
+//
+// Each chunk has its own random IV so it can be safely re-encrypted when the
+// file is modified in place (e.g. when merging VHDs).
+
+const ALGORITHM = 'aes-256-gcm'
+const MAGIC = Buffer.from('XOENC001')
+
+const IV_SIZE = 12
+const KEY_SIZE = 32
+const TAG_SIZE = 16
+const HEADER_SIZE = MAGIC.length + IV_SIZE + KEY_SIZE + TAG_SIZE
+
+const CHUNK_SIZE = 64 * 1024
+const CHUNK_OVERHEAD = IV_SIZE + TAG_SIZE
+const ENCRYPTED_CHUNK_SIZE = CHUNK_SIZE + CHUNK_OVERHEAD
+
+const noop = () => {}
+
+// an empty file still contains an (empty) last chunk
+const getChunkCount = size => Math.max(1, Math.ceil(size / CHUNK_SIZE))
+
+const getDataSize = encryptedSize => {
+  const size = encryptedSize - HEADER_SIZE
+  const dataSize =
+    size - Math.ceil(size / ENCRYPTED_CHUNK_SIZE) * CHUNK_OVERHEAD
+  if (dataSize < 0) {
+    throw new Error('invalid encrypted file')
+  }
+  return dataSize
+}
+
+const getEncryptedSize = dataSize =>
+  HEADER_SIZE + dataSize + getChunkCount(dataSize) * CHUNK_OVERHEAD
+
+const getChunkOffset = index => HEADER_SIZE + index * ENCRYPTED_CHUNK_SIZE
+
+// -----------------------------------------------------------------------------
+
+const createHeader = masterKey => {
+  const key = randomBytes(KEY_SIZE)
+  const iv = randomBytes(IV_SIZE)
+  const cipher = createCipheriv(ALGORITHM, masterKey, iv)
+  cipher.setAAD(MAGIC)
+  const wrappedKey = Buffer.concat([cipher.update(key), cipher.final()])
+  return {
+    header: Buffer.concat([MAGIC, iv, wrappedKey, cipher.getAuthTag()]),
+    key,
+  }
+}
+
+const parseHeader = (masterKey, header) => {
+  if (
+    header.length !== HEADER_SIZE ||
+    !header.slice(0, MAGIC.length).equals(MAGIC)
+  ) {
+    throw new Error('not an encrypted file')
+  }
+
+  let offset = MAGIC.length
+  const iv = header.slice(offset, (offset += IV_SIZE))
+  const wrappedKey = header.slice(offset, (offset += KEY_SIZE))
+  const decipher = createDecipheriv(ALGORITHM, masterKey, iv)
+  decipher.setAAD(MAGIC)
+  decipher.setAuthTag(header.slice(offset))
+  try {
+    return Buffer.concat([decipher.update(wrappedKey), decipher.final()])
+  } catch (error) {
+    throw new Error('cannot decrypt the file key, wrong encryption key?')
+  }
+}
+
+const getChunkAad = (index, isLast) => {
+  const aad = Buffer.allocUnsafe(9)
+  aad.writeUInt32BE(Math.floor(index / 0x100000000), 0)
+  aad.writeUInt32BE(index % 0x100000000, 4)
+  aad.writeUInt8(isLast ? 1 : 0, 8)
+  return aad
+}
+
+const encryptChunk = (key, index, isLast, data) => {
+  const iv = randomBytes(IV_SIZE)
+  const cipher = createCipheriv(ALGORITHM, key, iv)
+  cipher.setAAD(getChunkAad(index, isLast))
+  return Buffer.concat([
+    iv,
+    cipher.update(data),
+    cipher.final(),
+    cipher.getAuthTag(),
+  ])
+}
+
+const decryptChunk = (key, index, isLast, chunk) => {
+  if (chunk.length < CHUNK_OVERHEAD) {
+    throw new Error(`invalid encrypted chunk ${index}`)
+  }
+  const decipher = createDecipheriv(ALGORITHM, key, chunk.slice(0, IV_SIZE))
+  decipher.setAAD(getChunkAad(index, isLast))
+  decipher.setAuthTag(chunk.slice(-TAG_SIZE))
+  try {
+    return Buffer.concat([
+      decipher.update(chunk.slice(IV_SIZE, -TAG_SIZE)),
+      decipher.final(),
+    ])
+  } catch (error) {
+    throw new Error(`cannot authenticate encrypted chunk ${index}`)
+  }
+}
+
+const encryptData = (masterKey, data) => {
+  const { header, key } = createHeader(masterKey)
+  const chunks = [header]
+  const n = getChunkCount(data.length)
+  for (let i = 0; i < n; ++i) {
+    chunks.push(
+      encryptChunk(
+        key,
+        i,
+        i === n - 1,
+        data.slice(i * CHUNK_SIZE, (i + 1) * CHUNK_SIZE)
+      )
+    )
+  }
+  return Buffer.concat(chunks)
+}
+
+const decryptData = (masterKey, data) => {
+  const key = parseHeader(masterKey, data.slice(0, HEADER_SIZE))
+  const chunks = []
+  const n = Math.max(
+    1,
+    Math.ceil((data.length - HEADER_SIZE) / ENCRYPTED_CHUNK_SIZE)
+  )
+  for (let i = 0; i < n; ++i) {
+    const offset = getChunkOffset(i)
+    chunks.push(
+      decryptChunk(
+        key,
+        i,
+        i === n - 1,
+        data.slice(offset, offset + ENCRYPTED_CHUNK_SIZE)
+      )
+    )
+  }
+  return Buffer.concat(chunks)
+}
+
+// Decrypts a stream of encrypted chunks, starting at the chunk `index`.
+//
+// If `key` is undefined, the stream must start with the header and contain all
+// the chunks until the last one.
+//
+// Otherwise, `lastIndex` is the index of the last chunk of the file, computed
+// from its size, so that a truncated file is detected even by ranged reads.
+//
+// `start` and `end` (inclusive) are relative to the data of the first chunk.
+const createDecryptStream = (
+  masterKey,
+  { end = Infinity, index = 0, key, lastIndex, start = 0 }
+) => {
+  const strict = key === undefined
+
+  let buffer = Buffer.alloc(0)
+  let position = 0 // position of the next decrypted data
+  const push = (stream, data) => {
+    const from = Math.max(0, start - position)
+    const to = Math.min(data.length, end + 1 - position)
+    position += data.length
+    if (from < to) {
+      stream.push(data.slice(from, to))
+    }
+  }
+
+  return new Transform({
+    transform (chunk, encoding, callback) {
+      buffer = Buffer.concat([buffer, chunk])
+      try {
+        if (key === undefined) {
+          if (buffer.length < HEADER_SIZE) {
+            return callback()
+          }
+          key = parseHeader(masterKey, buffer.slice(0, HEADER_SIZE))
+          buffer = buffer.slice(HEADER_SIZE)
+        }
+
+        // the last chunk is only decrypted at the end of the stream
+        while (buffer.length > ENCRYPTED_CHUNK_SIZE) {
+          push(
+            this,
+            decryptChunk(
+              key,
+              index,
+              index++ === lastIndex,
+              buffer.slice(0, ENCRYPTED_CHUNK_SIZE)
+            )
+          )
+          buffer = buffer.slice(ENCRYPTED_CHUNK_SIZE)
+        }
+        callback()
+      } catch (error) {
+        callback(error)
+      }
+    },
+    flush (callback) {
+      try {
+        if (key === undefined) {
+          throw new Error('not an encrypted file')
+        }
+        if (strict || buffer.length !== 0) {
+          push(
+            this,
+            decryptChunk(key, index, strict || index === lastIndex, buffer)
+          )
+        }
+        callback()
+      } catch (error) {
+        callback(error)
+      }
+    },
+  })
+}
+
+// -----------------------------------------------------------------------------
+
+// Wraps a handler to transparently encrypt the content of the files.
+//
+// File names are not encrypted.
+export default class EncryptedHandler extends RemoteHandlerAbstract {
+  constructor (remote, handler) {
+    super(remote)
+
+    const masterKey = Buffer.from(remote.encryptionKey, 'base64')
+    if (masterKey.length !== KEY_SIZE) {
+      throw new Error(
+        `the encryption key must be ${KEY_SIZE} bytes encoded in base64`
+      )
+    }
+
+    this._handler = handler
+    this._masterKey = masterKey
+
+    // file keys of opened files
+    this._keys = new WeakMap()
+
+    // last pending write of each file, see `_writeAt()`
+    this._writes = new Map()
+  }
+
+  get type () {
+    return this._remote.type
+  }
+
+  get hasAtomicExclusiveCreate () {
+    return this._handler.hasAtomicExclusiveCreate
+  }
+
+  // returns the file (path or descriptor) of the underlying handler
+  _getInnerFile (file) {
+    return typeof file === 'string' ? file : file.fd
+  }
+
+  async _getKey (file) {
+    const innerFile = this._getInnerFile(file)
+    const cache = typeof innerFile === 'string' ? undefined : this._keys
+    let key = cache && cache.get(innerFile)
+    if (key === undefined) {
+      const header = await getStream.buffer(
+        await this._handler.createReadStream(innerFile, {
+          start: 0,
+          end: HEADER_SIZE - 1,
+        })
+      )
+      key = parseHeader(this._masterKey, header)
+      cache && cache.set(innerFile, key)
+    }
+    return key
+  }
+
+  async _readRange (file, start, end) {
+    const key = await this._getKey(file)
+    const lastIndex = getChunkCount(await this._getSize(file)) - 1
+    const index = Math.floor(start / CHUNK_SIZE)
+    const stream = await this._handler.createReadStream(
+      this._getInnerFile(file),
+      {
+        start: getChunkOffset(index),
+        end: getChunkOffset(Math.floor(end / CHUNK_SIZE) + 1) - 1,
+      }
+    )
+    const offset = index * CHUNK_SIZE
+    const decryptStream = createDecryptStream(this._masterKey, {
+      end: end - offset,
+      index,
+      key,
+      lastIndex,
+      start: start - offset,
+    })
+    stream.on('error', error => decryptStream.emit('error', error))
+    return stream.pipe(decryptStream)
+  }
+
+  // Modifies the file in place by re-encrypting all the chunks which are
+  // touched by the new data.
+  //
+  // The writes to a file are serialized because the chunks are read, modified
+  // and written back: concurrent writes to the same chunk (e.g. a VHD block and
+  // its BAT entry) would otherwise lose data.
+  _writeAt (file, data, offset) {
+    const path = typeof file === 'string' ? file : file.path
+    const previous = this._writes.get(path)
+    const write = (previous === undefined ? Promise.resolve() : previous).then(
+      () => this._writeChunksAt(file, data, offset)
+    )
+
+    const done = write.catch(noop)
+    this._writes.set(path, done)
+    done.then(() => {
+      if (this._writes.get(path) === done) {
+        this._writes.delete(path)
+      }
+    })
+    return write
+  }
+
+  async _writeChunksAt (file, data, offset) {
+    if (data.length === 0) {
+      return
+    }
+
+    const key = await this._getKey(file)
+    const size = await this._getSize(file)
+    const end = offset + data.length
+    const newSize = Math.max(size, end)
+    const lastIndex = getChunkCount(size) - 1
+    const newLastIndex = getChunkCount(newSize) - 1
+
+    let first = Math.floor(offset / CHUNK_SIZE)
+    if (newLastIndex > lastIndex) {
+      // the previous last chunk must be re-encrypted without the last flag
+      first = Math.min(first, lastIndex)
+    }
+    const last = Math.floor((end - 1) / CHUNK_SIZE)
+
+    const bufferStart = first * CHUNK_SIZE
+    const bufferEnd = Math.min((last + 1) * CHUNK_SIZE, newSize)
+    const buffer = Buffer.alloc(bufferEnd - bufferStart)
+    const readEnd = Math.min(size, bufferEnd)
+    if (readEnd > bufferStart) {
+      ;(await getStream.buffer(
+        await this._readRange(file, bufferStart, readEnd - 1)
+      )).copy(buffer)
+    }
+    data.copy(buffer, offset - bufferStart)
+
+    const chunks = []
+    for (let i = first; i <= last; ++i) {
+      const chunkStart = (i - first) * CHUNK_SIZE
+      chunks.push(
+        encryptChunk(
+          key,
+          i,
+          i === newLastIndex,
+          buffer.slice(chunkStart, chunkStart + CHUNK_SIZE)
+        )
+      )
+    }
+
+    const stream = await this._handler.createOutputStream(
+      this._getInnerFile(file),
+      {
+        flags: 'r+',
+        start: getChunkOffset(first),
+      }
+    )
+    const finished = fromEvent(stream, 'finish')
+    stream.end(Buffer.concat(chunks))
+    await finished
+  }
+
+  async test () {
+    const result = await super.test()
+    if (!result.success) {
+      return result
+    }
+
+    // ensure the data are not stored in clear on the remote
+    const testFileName = `${Date.now()}.encryption-test`
+    const data = randomBytes(1024)
+    try {
+      await this.outputFile(testFileName, data)
+      const encrypted = await this._handler.readFile(testFileName)
+      if (
+        !encrypted.slice(0, MAGIC.length).equals(MAGIC) ||
+        encrypted.indexOf(data) !== -1 ||
+        !data.equals(decryptData(this._masterKey, encrypted))
+      ) {
+        throw new Error('data are not correctly encrypted')
+      }
+      return result
+    } catch (error) {
+      return {
+        success: false,
+        step: 'encryption',
+        file: testFileName,
+        error: error.message || String(error),
+      }
+    } finally {
+      ignoreErrors.call(this.unlink(testFileName))
+    }
+  }
+
+  async _sync () {
+    return this._handler.sync()
+  }
+
+  async _forget () {
+    return this._handler.forget()
+  }
+
+  async _outputFile (file, data, options) {
+    // data stream are encrypted through `createOutputStream`
+    if (typeof data.pipe === 'function') {
+      return super._outputFile(file, data, options)
+    }
+
+    await this._handler.outputFile(
+      file,
+      encryptData(this._masterKey, Buffer.from(data)),
+      options
+    )
+  }
+
+  async _readFile (file, options) {
+    const data = decryptData(
+      this._masterKey,
+      await this._handler.readFile(file)
+    )
+
+    const { encoding } =
+      typeof options === 'string' ? { encoding: options } : options || {}
+    return encoding === undefined ? data : data.toString(encoding)
+  }
+
+  async _rename (oldPath, newPath) {
+    return this._handler.rename(oldPath, newPath)
+  }
+
+  async _list (dir) {
+    return this._handler.list(dir)
+  }
+
+  async _createReadStream (file, options = {}) {
+    const { end, start } = options
+    if (start !== undefined || end !== undefined) {
+      return this._readRange(
+        file,
+        start || 0,
+        end === undefined ? (await this._getSize(file)) - 1 : end
+      )
+    }
+
+    const stream = await this._handler.createReadStream(
+      this._getInnerFile(file)
+    )
+    const decryptStream = createDecryptStream(this._masterKey, {})
+    stream.on('error', error => decryptStream.emit('error', error))
+    if (stream.length !== undefined) {
+      decryptStream.length = getDataSize(stream.length)
+    }
+    return stream.pipe(decryptStream)
+  }
+
+  async _createOutputStream (file, options = {}) {
+    const { start } = options
+
+    // 'finish' must not be emitted before the underlying stream is finished,
+    // which is why `final` is used, the `Writable` of `readable-stream` is
+    // used because Node < 8 does not support it
+    if (start !== undefined || typeof file !== 'string') {
+      const chunks = []
+      return new Writable({
+        write (chunk, encoding, callback) {
+          chunks.push(chunk)
+          callback()
+        },
+        final: callback => {
+          this._writeAt(file, Buffer.concat(chunks), start || 0).then(
+            () => callback(),
+            callback
+          )
+        },
+      })
+    }
+
+    const { length } = options
+    const stream = await this._handler.createOutputStream(file, {
+      ...options,
+      length: length === undefined ? undefined : getEncryptedSize(length),
+    })
+    const { header, key } = createHeader(this._masterKey)
+    stream.write(header)
+
+    let buffer = Buffer.alloc(0)
+    let index = 0
+    const write = (data, callback) => {
+      if (stream.write(data)) {
+        callback()
+      } else {
+        stream.once('drain', callback)
+      }
+    }
+    const encryptStream = new Writable({
+      write (chunk, encoding, callback) {
+        buffer = Buffer.concat([buffer, chunk])
+
+        // the last chunk is only encrypted at the end of the stream
+        const chunks = []
+        while (buffer.length > CHUNK_SIZE) {
+          chunks.push(
+            encryptChunk(key, index++, false, buffer.slice(0, CHUNK_SIZE))
+          )
+          buffer = buffer.slice(CHUNK_SIZE)
+        }
+        write(Buffer.concat(chunks), callback)
+      },
+      final (callback) {
+        const finished = fromEvent(stream, 'finish')
+        stream.end(encryptChunk(key, index, true, buffer))
+        finished.then(() => callback(), callback)
+      },
+    })
+    stream.on('error', error => encryptStream.emit('error', error))
+    return encryptStream
+  }
+
+  async _unlink (file) {
+    return this._handler.unlink(file, { checksum: false })
+  }
+
+  async _getSize (file) {
+    return getDataSize(await this._handler.getSize(this._getInnerFile(file)))
+  }
+
+  async _openFile (path, flags) {
+    return this._handler.openFile(path, flags)
+  }
+
+  async _closeFile (fd) {
+    this._keys.delete(fd)
+    return this._handler.closeFile(fd)
+  }
+}
@@ -0,0 +1,319 @@
+/* eslint-env jest */
+
+import getStream from 'get-stream'
+import { fromEvent } from 'promise-toolbox'
+import { PassThrough, Writable } from 'stream'
+import { randomBytes } from 'crypto'
+
+import RemoteHandlerAbstract from './abstract'
+import RemoteHandlerEncrypted from './encrypted'
+
+const CHUNK_SIZE = 64 * 1024
+const ENCRYPTED_CHUNK_SIZE = CHUNK_SIZE + 28
+const HEADER_SIZE = 68
+
+// stores the files in memory, file descriptors are the paths
+class MemoryHandler extends RemoteHandlerAbstract {
+  constructor () {
+    super({ url: 'file:///' })
+    this.files = { __proto__: null }
+  }
+
+  get type () {
+    return 'file'
+  }
+
+  _getPath (file) {
+    return typeof file === 'string' ? file : file.fd
+  }
+
+  _get (file) {
+    const data = this.files[this._getPath(file)]
+    if (data === undefined) {
+      throw Object.assign(new Error('no such file'), { code: 'ENOENT' })
+    }
+    return data
+  }
+
+  async _createReadStream (file, { end = Infinity, start = 0 } = {}) {
+    const stream = new PassThrough()
+    stream.end(this._get(file).slice(start, end + 1))
+    return stream
+  }
+
+  async _createOutputStream (file, { flags, start = 0 }) {
+    file = this._getPath(file)
+    if (flags === 'wx' && file in this.files) {
+      throw Object.assign(new Error('file exists'), { code: 'EEXIST' })
+    }
+    if (flags !== 'r+') {
+      this.files[file] = Buffer.alloc(0)
+    }
+
+    let position = start
+    return new Writable({
+      write: (chunk, encoding, callback) => {
+        const data = this._get(file)
+        const end = position + chunk.length
+        const newData = Buffer.alloc(Math.max(data.length, end))
+        data.copy(newData)
+        chunk.copy(newData, position)
+        this.files[file] = newData
+        position = end
+
+        // asynchronous like a real handler
+        setImmediate(callback)
+      },
+    })
+  }
+
+  async _getSize (file) {
+    return this._get(file).length
+  }
+
+  async _unlink (file) {
+    this._get(file)
+    delete this.files[file]
+  }
+
+  async _openFile (path) {
+    this._get(path)
+    return path
+  }
+
+  async _closeFile () {}
+}
+
+let handler, inner
+beforeEach(() => {
+  inner = new MemoryHandler()
+  handler = new RemoteHandlerEncrypted(
+    {
+      encryptionKey: randomBytes(32).toString('base64'),
+      url: 'file:///',
+    },
+    inner
+  )
+})
+
+const SIZES = [0, 1, CHUNK_SIZE, CHUNK_SIZE + 1, 3 * CHUNK_SIZE - 7]
+
+describe('outputFile() / readFile()', () => {
+  SIZES.forEach(size => {
+    it(`round-trips ${size} bytes`, async () => {
+      const data = randomBytes(size)
+      await handler.outputFile('file', data)
+
+      // a single byte might be found by chance
+      if (size > 1) {
+        expect(inner.files.file.indexOf(data)).toBe(-1)
+      }
+      expect(await handler.getSize('file')).toBe(size)
+      expect(await handler.readFile('file')).toEqual(data)
+    })
+  })
+})
+
+describe('createOutputStream()', () => {
+  SIZES.forEach(size => {
+    it(`is finished once ${size} bytes are written`, async () => {
+      const data = randomBytes(size)
+      const stream = await handler.createOutputStream('file')
+      const finished = fromEvent(stream, 'finish')
+      stream.end(data)
+      await finished
+
+      expect(await handler.readFile('file')).toEqual(data)
+    })
+
+    it(`forwards the encrypted size of ${size} bytes`, async () => {
+      const spy = jest.spyOn(inner, 'createOutputStream')
+      const stream = await handler.createOutputStream('file', { length: size })
+      const finished = fromEvent(stream, 'finish')
+      stream.end(randomBytes(size))
+      await finished
+
+      expect(spy.mock.calls[0][1].length).toBe(inner.files.file.length)
+    })
+  })
+})
+
+describe('createReadStream()', () => {
+  const data = randomBytes(3 * CHUNK_SIZE - 7)
+  beforeEach(() => handler.outputFile('file', data))
+
+  const read = async options =>
+    getStream.buffer(await handler.createReadStream('file', options))
+
+  it('reads the whole file', async () => {
+    expect(await read()).toEqual(data)
+  })
+  ;[
+    [0, 0],
+    [10, 100],
+    [CHUNK_SIZE - 1, CHUNK_SIZE],
+    [CHUNK_SIZE, 2 * CHUNK_SIZE - 1],
+    [CHUNK_SIZE + 3, data.length - 1],
+  ].forEach(([start, end]) => {
+    it(`reads the range ${start}-${end}`, async () => {
+      expect(await read({ end, start })).toEqual(data.slice(start, end + 1))
+    })
+  })
+
+  it('reads until the end of the file without end', async () => {
+    expect(await read({ start: CHUNK_SIZE + 3 })).toEqual(
+      data.slice(CHUNK_SIZE + 3)
+    )
+  })
+})
+
+describe('_writeAt()', () => {
+  const size = 2 * CHUNK_SIZE + 10
+
+  let data
+  beforeEach(async () => {
+    data = randomBytes(size)
+    await handler.outputFile('file', data)
+  })
+
+  const writeAt = async (newData, start) => {
+    const fd = await handler.openFile('file', 'r+')
+    try {
+      const stream = await handler.createOutputStream(fd, {
+        flags: 'r+',
+        start,
+      })
+      const finished = fromEvent(stream, 'finish')
+      stream.end(newData)
+      await finished
+    } finally {
+      await handler.closeFile(fd)
+    }
+  }
+
+  it('modifies data across chunks', async () => {
+    const newData = randomBytes(100)
+    const start = CHUNK_SIZE - 50
+    await writeAt(newData, start)
+
+    newData.copy(data, start)
+    expect(await handler.readFile('file')).toEqual(data)
+  })
+
+  it('modifies the last chunk', async () => {
+    const newData = randomBytes(5)
+    await writeAt(newData, size - 5)
+
+    newData.copy(data, size - 5)
+    expect(await handler.readFile('file')).toEqual(data)
+  })
+
+  it('extends the file', async () => {
+    const newData = randomBytes(CHUNK_SIZE)
+    await writeAt(newData, size - 10)
+
+    const expected = Buffer.concat([data.slice(0, size - 10), newData])
+    expect(await handler.getSize('file')).toBe(expected.length)
+    expect(await handler.readFile('file')).toEqual(expected)
+  })
+
+  it('does not lose concurrent writes to the same chunk', async () => {
+    const fd = await handler.openFile('file', 'r+')
+    try {
+      const writes = [
+        [randomBytes(10), 0],
+        [randomBytes(10), 100],
+        [randomBytes(CHUNK_SIZE), 50],
+        [randomBytes(20), size],
+      ]
+      await Promise.all(
+        writes.map(([newData, start], i) =>
+          // both paths and file descriptors refer to the same file
+          handler._writeAt(i % 2 === 0 ? 'file' : fd, newData, start)
+        )
+      )
+
+      const expected = Buffer.concat([data, Buffer.alloc(20)])
+      writes.forEach(([newData, start]) => {
+        newData.copy(expected, start)
+      })
+      expect(await handler.readFile('file')).toEqual(expected)
+    } finally {
+      await handler.closeFile(fd)
+    }
+  })
+})
+
+describe('integrity', () => {
+  const data = randomBytes(2 * CHUNK_SIZE + 10)
+  beforeEach(() => handler.outputFile('file', data))
+
+  const read = async options =>
+    getStream.buffer(await handler.createReadStream('file', options))
+
+  it('detects a file truncated to a chunk boundary', async () => {
+    inner.files.file = inner.files.file.slice(
+      0,
+      HEADER_SIZE + 2 * ENCRYPTED_CHUNK_SIZE
+    )
+
+    await expect(handler.readFile('file')).rejects.toThrow(
+      'cannot authenticate encrypted chunk 1'
+    )
+    await expect(read()).rejects.toThrow(
+      'cannot authenticate encrypted chunk 1'
+    )
+
+    // the new last chunk has been encrypted as a non last chunk
+    await expect(
+      read({ start: CHUNK_SIZE, end: CHUNK_SIZE + 10 })
+    ).rejects.toThrow('cannot authenticate encrypted chunk 1')
+  })
+
+  it('detects a tampered chunk', async () => {
+    const encrypted = inner.files.file
+    encrypted[HEADER_SIZE + ENCRYPTED_CHUNK_SIZE + 100] ^= 1
+
+    await expect(handler.readFile('file')).rejects.toThrow(
+      'cannot authenticate encrypted chunk 1'
+    )
+    await expect(read({ start: CHUNK_SIZE, end: CHUNK_SIZE })).rejects.toThrow(
+      'cannot authenticate encrypted chunk 1'
+    )
+
+    // other chunks are still readable
+    expect(await read({ start: 0, end: 10 })).toEqual(data.slice(0, 11))
+  })
+
+  it('detects swapped chunks', async () => {
+    const encrypted = inner.files.file
+    const chunk0 = Buffer.from(
+      encrypted.slice(HEADER_SIZE, HEADER_SIZE + ENCRYPTED_CHUNK_SIZE)
+    )
+    encrypted.copy(
+      encrypted,
+      HEADER_SIZE,
+      HEADER_SIZE + ENCRYPTED_CHUNK_SIZE,
+      HEADER_SIZE + 2 * ENCRYPTED_CHUNK_SIZE
+    )
+    chunk0.copy(encrypted, HEADER_SIZE + ENCRYPTED_CHUNK_SIZE)
+
+    await expect(handler.readFile('file')).rejects.toThrow(
+      'cannot authenticate encrypted chunk 0'
+    )
+  })
+
+  it('rejects a file encrypted with another key', async () => {
+    const other = new RemoteHandlerEncrypted(
+      {
+        encryptionKey: randomBytes(32).toString('base64'),
+        url: 'file:///',
+      },
+      inner
+    )
+
+    await expect(other.readFile('file')).rejects.toThrow(
+      'cannot decrypt the file key, wrong encryption key?'
+    )
+  })
+})
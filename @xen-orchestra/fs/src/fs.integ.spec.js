@@ -2,6 +2,7 @@
 
 import rimraf from 'rimraf'
 import tmp from 'tmp'
+import { randomBytes } from 'crypto'
 
 import { fromCallback as pFromCallback } from 'promise-toolbox'
 import { getHandler } from '.'
@@ -24,3 +25,12 @@ test("fs test doesn't crash", async () => {
   const result = await handler.test()
   expect(result.success).toBeTruthy()
 })
+
+test('encrypted fs test decrypts correctly', async () => {
+  const handler = getHandler({
+    url: 'file://' + process.cwd(),
+    encryptionKey: randomBytes(32).toString('base64'),
+  })
+  const result = await handler.test()
+  expect(result.success).toBeTruthy()
+})
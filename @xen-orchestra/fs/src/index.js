@@ -1,17 +1,22 @@
 // @flow
 
 import type RemoteHandler from './abstract'
+import RemoteHandlerEncrypted from './encrypted'
 import RemoteHandlerLocal from './local'
 import RemoteHandlerNfs from './nfs'
+import RemoteHandlerS3 from './s3'
+import RemoteHandlerSftp from './sftp'
 import RemoteHandlerSmb from './smb'
 
 export type { default as RemoteHandler } from './abstract'
-export type Remote = { url: string }
+export type Remote = { url: string, encryptionKey?: string }
 
 const HANDLERS = {
   file: RemoteHandlerLocal,
   smb: RemoteHandlerSmb,
   nfs: RemoteHandlerNfs,
+  s3: RemoteHandlerS3,
+  sftp: RemoteHandlerSftp,
 }
 
 export const getHandler = (remote: Remote): RemoteHandler => {
@@ -22,5 +27,8 @@ export const getHandler = (remote: Remote): RemoteHandler => {
   if (!Handler) {
     throw new Error('Unhandled remote type')
   }
-  return new Handler(remote)
+  const handler = new Handler(remote)
+  return remote.encryptionKey
+    ? new RemoteHandlerEncrypted(remote, handler)
+    : handler
 }
@@ -9,6 +9,10 @@ export default class LocalHandler extends RemoteHandlerAbstract {
     return 'file'
   }
 
+  get hasAtomicExclusiveCreate () {
+    return true
+  }
+
   _getRealPath () {
     return this._remote.path
   }
@@ -0,0 +1,79 @@
+/* eslint-env jest */
+
+import getStream from 'get-stream'
+import { fromEvent } from 'promise-toolbox'
+
+import { getHandler } from '.'
+
+// These tests require an S3 compatible server, for instance MinIO:
+//
+//    docker run -p 9000:9000 -e MINIO_ACCESS_KEY=minio -e MINIO_SECRET_KEY=minio123 minio/minio server /data
+//    S3_REMOTE_URL='s3://minio:minio123@127.0.0.1:9000/xo-backups/test?protocol=http' yarn test-integration
+const { S3_REMOTE_URL } = process.env
+
+const describeIfS3 = S3_REMOTE_URL === undefined ? describe.skip : describe
+
+describeIfS3('S3 handler', () => {
+  let handler
+  beforeEach(async () => {
+    handler = getHandler({ url: S3_REMOTE_URL })
+    await handler._s3
+      .createBucket({ Bucket: handler._bucket })
+      .promise()
+      .catch(error => {
+        if (error.code !== 'BucketAlreadyOwnedByYou') {
+          throw error
+        }
+      })
+  })
+
+  afterEach(async () => {
+    const files = await handler.list('dir')
+    await Promise.all(files.map(file => handler.unlink(`dir/${file}`)))
+  })
+
+  test("fs test doesn't crash", async () => {
+    const result = await handler.test()
+    expect(result).toEqual({ success: true })
+  })
+
+  test('outputFile refuses to overwrite a file', async () => {
+    await handler.outputFile('dir/file', 'foo')
+    await expect(handler.outputFile('dir/file', 'bar')).rejects.toMatchObject({
+      code: 'EEXIST',
+    })
+  })
+
+  test('readFile rejects with ENOENT on missing files', async () => {
+    await expect(handler.readFile('dir/missing')).rejects.toMatchObject({
+      code: 'ENOENT',
+    })
+  })
+
+  test('list, rename and getSize', async () => {
+    await handler.outputFile('dir/file', 'foo')
+    await handler.outputFile('dir/sub/file', 'bar baz')
+    expect((await handler.list('dir')).sort()).toEqual(['file', 'sub'])
+
+    await handler.rename('dir/sub/file', 'dir/renamed')
+    expect(await handler.getSize('dir/renamed')).toBe(7)
+    expect((await handler.list('dir')).sort()).toEqual(['file', 'renamed'])
+  })
+
+  test('createReadStream supports ranges', async () => {
+    await handler.outputFile('dir/file', 'hello world')
+    const fd = await handler.openFile('dir/file', 'r')
+    const stream = await handler.createReadStream(fd, { start: 6, end: 8 })
+    expect(String(await getStream.buffer(stream))).toBe('wor')
+    await handler.closeFile(fd)
+  })
+
+  test('createOutputStream finishes once the object is written', async () => {
+    const stream = await handler.createOutputStream('dir/file')
+    const finished = fromEvent(stream, 'finish')
+    stream.write('foo ')
+    stream.end('bar')
+    await finished
+    expect(String(await handler.readFile('dir/file'))).toBe('foo bar')
+  })
+})
@@ -0,0 +1,337 @@
+import S3 from 'aws-sdk/clients/s3'
+import { PassThrough } from 'stream'
+import { posix } from 'path'
+import { Writable } from 'readable-stream'
+
+import RemoteHandlerAbstract from './abstract'
+
+const noop = () => {}
+
+// S3 refuses to copy objects bigger than 5 GiB in a single request
+const MAX_COPY_SIZE = 5 * 1024 * 1024 * 1024
+
+// size of each part when uploading or copying in multiple parts
+const PART_SIZE = 64 * 1024 * 1024
+
+// S3 does not accept more than 10,000 parts for a single object
+const MAX_PARTS_COUNT = 10000
+
+// the parts must be big enough for the whole object to fit in MAX_PARTS_COUNT
+// parts, if the size is unknown, the object cannot be bigger than
+// PART_SIZE * MAX_PARTS_COUNT (625 GiB)
+const getPartSize = size =>
+  size === undefined
+    ? PART_SIZE
+    : Math.max(PART_SIZE, Math.ceil(size / MAX_PARTS_COUNT))
+
+const createError = (code, message) => {
+  const error = new Error(message)
+  error.code = code
+  return error
+}
+
+// Normalize the error code for file not found.
+const normalizeError = error => {
+  const { code } = error
+
+  return code === 'NoSuchKey' || code === 'NotFound'
+    ? Object.create(error, {
+        code: {
+          configurable: true,
+          value: 'ENOENT',
+          writable: true,
+        },
+      })
+    : error
+}
+
+export default class S3Handler extends RemoteHandlerAbstract {
+  constructor (remote) {
+    super(remote)
+    this._forget = noop
+
+    const {
+      bucket,
+      host,
+      password,
+      protocol,
+      region = 'us-east-1',
+      username,
+    } = this._remote
+    this._bucket = bucket
+    this._s3 = new S3({
+      accessKeyId: username,
+      apiVersion: '2006-03-01',
+      endpoint: `${protocol}://${host}`,
+      region,
+      s3ForcePathStyle: true, // required by most S3 compatible servers
+      secretAccessKey: password,
+      signatureVersion: 'v4',
+    })
+  }
+
+  get type () {
+    return 's3'
+  }
+
+  _getKey (file) {
+    const root = posix.resolve('/', this._remote.path)
+    const path = posix.resolve(root, file)
+    if (path !== root && !path.startsWith(root === '/' ? root : root + '/')) {
+      throw new Error('Remote path is unavailable')
+    }
+
+    // S3 keys do not start with a slash
+    return path.slice(1)
+  }
+
+  _params (file, params) {
+    return {
+      Bucket: this._bucket,
+      Key: this._getKey(file),
+      ...params,
+    }
+  }
+
+  // S3 has no conditional writes: the `wx` flag is emulated by checking that
+  // the object does not exist before writing it, which is not atomic, two
+  // concurrent writers can both succeed and the last one wins, it must not be
+  // relied upon for locks, see `hasAtomicExclusiveCreate`
+  async _assertMissing (file) {
+    try {
+      await this._s3.headObject(this._params(file)).promise()
+    } catch (error) {
+      if (normalizeError(error).code === 'ENOENT') {
+        return
+      }
+      throw error
+    }
+    throw createError('EEXIST', `file already exists: ${file}`)
+  }
+
+  async _sync () {
+    if (this._remote.enabled) {
+      try {
+        await this._s3.headBucket({ Bucket: this._bucket }).promise()
+      } catch (error) {
+        this._remote.enabled = false
+        this._remote.error = error.message
+      }
+    }
+    return this._remote
+  }
+
+  async _outputFile (file, data, options = {}) {
+    // data stream are uploaded in multiple parts
+    if (typeof data.pipe === 'function') {
+      return super._outputFile(file, data, { ...options, length: data.length })
+    }
+
+    if (options.flags === 'wx') {
+      await this._assertMissing(file)
+    }
+    await this._s3.putObject(this._params(file, { Body: data })).promise()
+  }
+
+  async _readFile (file, options = {}) {
+    let content
+    try {
+      content = (await this._s3.getObject(this._params(file)).promise()).Body
+    } catch (error) {
+      throw normalizeError(error)
+    }
+
+    const { encoding } =
+      typeof options === 'string' ? { encoding: options } : options
+    return encoding === undefined ? content : content.toString(encoding)
+  }
+
+  async _rename (oldPath, newPath) {
+    const size = await this._getSize(oldPath)
+    const CopySource = `${this._bucket}/${this._getKey(oldPath)}`
+      .split('/')
+      .map(encodeURIComponent)
+      .join('/')
+
+    if (size <= MAX_COPY_SIZE) {
+      await this._s3.copyObject(this._params(newPath, { CopySource })).promise()
+    } else {
+      await this._multipartCopy(CopySource, size, newPath)
+    }
+
+    await this._unlink(oldPath)
+  }
+
+  async _multipartCopy (CopySource, size, newPath) {
+    const partSize = getPartSize(size)
+    const { UploadId } = await this._s3
+      .createMultipartUpload(this._params(newPath))
+      .promise()
+    try {
+      const Parts = []
+      for (let start = 0, PartNumber = 1; start < size; ++PartNumber) {
+        const end = Math.min(start + partSize, size)
+        const { CopyPartResult } = await this._s3
+          .uploadPartCopy(
+            this._params(newPath, {
+              CopySource,
+              CopySourceRange: `bytes=${start}-${end - 1}`,
+              PartNumber,
+              UploadId,
+            })
+          )
+          .promise()
+        Parts.push({ ETag: CopyPartResult.ETag, PartNumber })
+        start = end
+      }
+      await this._s3
+        .completeMultipartUpload(
+          this._params(newPath, { MultipartUpload: { Parts }, UploadId })
+        )
+        .promise()
+    } catch (error) {
+      await this._s3
+        .abortMultipartUpload(this._params(newPath, { UploadId }))
+        .promise()
+        .catch(noop)
+      throw error
+    }
+  }
+
+  async _list (dir = '.') {
+    let prefix = this._getKey(dir)
+    if (prefix !== '') {
+      prefix += '/'
+    }
+
+    const entries = []
+    let ContinuationToken
+    do {
+      const result = await this._s3
+        .listObjectsV2({
+          Bucket: this._bucket,
+          ContinuationToken,
+          Delimiter: '/',
+          Prefix: prefix,
+        })
+        .promise()
+
+      // sub directories
+      result.CommonPrefixes.forEach(({ Prefix }) => {
+        entries.push(Prefix.slice(prefix.length, -1))
+      })
+
+      // files
+      result.Contents.forEach(({ Key }) => {
+        entries.push(Key.slice(prefix.length))
+      })
+
+      ContinuationToken = result.NextContinuationToken
+    } while (ContinuationToken !== undefined)
+
+    return entries
+  }
+
+  async _createReadStream (file, options = {}) {
+    if (typeof file !== 'string') {
+      file = file.path
+    }
+
+    const { end, start } = options
+    const params = this._params(file)
+    if (start !== undefined || end !== undefined) {
+      // like fs.createReadStream, end is inclusive
+      params.Range = `bytes=${start || 0}-${end === undefined ? '' : end}`
+    }
+
+    const request = this._s3.getObject(params)
+    const stream = new PassThrough()
+    request.on('httpHeaders', (statusCode, headers) => {
+      if (statusCode < 300) {
+        stream.length = +headers['content-length']
+      }
+    })
+
+    const source = request.createReadStream()
+    source.on('error', error => {
+      stream.emit('error', normalizeError(error))
+    })
+    return source.pipe(stream)
+  }
+
+  // `options.length`, the size of the data if known, is used to choose the size
+  // of the parts
+  async _createOutputStream (file, options = {}) {
+    if (typeof file !== 'string' || options.start !== undefined) {
+      throw new Error('S3 objects cannot be modified in place')
+    }
+
+    if (options.flags === 'wx') {
+      await this._assertMissing(file)
+    }
+
+    // the data is sent in multiple parts by the managed uploader, its promise
+    // is settled once the object has been completely written
+    const body = new PassThrough()
+    const upload = this._s3
+      .upload(this._params(file, { Body: body }), {
+        partSize: getPartSize(options.length),
+        queueSize: 1,
+      })
+      .promise()
+
+    // 'finish' must not be emitted before the upload is complete, which is
+    // why `final` is used instead of a simple pass through, the `Writable` of
+    // `readable-stream` is used because Node < 8 does not support it
+    let ended = false
+    const stream = new Writable({
+      write (chunk, encoding, callback) {
+        if (body.write(chunk, encoding)) {
+          callback()
+        } else {
+          body.once('drain', callback)
+        }
+      },
+      final (callback) {
+        ended = true
+        body.end()
+        upload.then(() => callback(), callback)
+      },
+    })
+    upload.catch(error => {
+      // after the end, the error is reported by `final`
+      if (!ended) {
+        stream.emit('error', error)
+      }
+    })
+
+    return stream
+  }
+
+  async _unlink (file) {
+    // S3 does not fail if the object does not exist, contrary to the other
+    // handlers
+    await this._getSize(file)
+    await this._s3.deleteObject(this._params(file)).promise()
+  }
+
+  async _getSize (file) {
+    let size
+    try {
+      size = (await this._s3
+        .headObject(this._params(typeof file === 'string' ? file : file.path))
+        .promise()).ContentLength
+    } catch (error) {
+      throw normalizeError(error)
+    }
+
+    return size
+  }
+
+  // this is a fake, objects can only be read by range
+  async _openFile (path) {
+    return path
+  }
+
+  async _closeFile (fd) {}
+}
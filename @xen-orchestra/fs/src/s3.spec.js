@@ -0,0 +1,72 @@
+/* eslint-env jest */
+
+import { fromEvent } from 'promise-toolbox'
+
+import S3Handler from './s3'
+
+const MiB = 1024 * 1024
+
+const resolved = value => ({ promise: () => Promise.resolve(value) })
+const rejected = code => ({
+  promise: () => Promise.reject(Object.assign(new Error(code), { code })),
+})
+
+let handler
+beforeEach(() => {
+  handler = new S3Handler({
+    url: 's3://user:password@host/bucket/dir?protocol=https',
+  })
+  handler._s3 = {
+    deleteObject: jest.fn(() => resolved({})),
+    headObject: jest.fn(() => resolved({ ContentLength: 3 })),
+    upload: jest.fn(({ Body }) => ({
+      promise: () => fromEvent(Body.resume(), 'end'),
+    })),
+  }
+})
+
+describe('unlink()', () => {
+  it('removes the object', async () => {
+    await handler.unlink('file', { checksum: false })
+
+    expect(handler._s3.deleteObject).toHaveBeenCalledWith({
+      Bucket: 'bucket',
+      Key: 'dir/file',
+    })
+  })
+
+  it('rejects with ENOENT if the object does not exist', async () => {
+    handler._s3.headObject = jest.fn(() => rejected('NotFound'))
+
+    await expect(
+      handler.unlink('file', { checksum: false })
+    ).rejects.toMatchObject({ code: 'ENOENT' })
+    expect(handler._s3.deleteObject).not.toHaveBeenCalled()
+  })
+})
+
+describe('createOutputStream()', () => {
+  const getPartSize = async options => {
+    const stream = await handler.createOutputStream('file', {
+      flags: 'w',
+      ...options,
+    })
+    const finished = fromEvent(stream, 'finish')
+    stream.end('foo')
+    await finished
+    return handler._s3.upload.mock.calls[0][1].partSize
+  }
+
+  it('uses parts of 64 MiB by default', async () => {
+    expect(await getPartSize()).toBe(64 * MiB)
+  })
+
+  it('uses parts of 64 MiB for objects up to 625 GiB', async () => {
+    expect(await getPartSize({ length: 10000 * 64 * MiB })).toBe(64 * MiB)
+  })
+
+  it('uses bigger parts for bigger objects', async () => {
+    const length = 2 * 1024 * 1024 * MiB
+    expect(await getPartSize({ length })).toBe(Math.ceil(length / 10000))
+  })
+})
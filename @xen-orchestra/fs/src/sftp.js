@@ -0,0 +1,362 @@
+import { Client } from 'ssh2'
+import { dirname, posix } from 'path'
+import { fromCallback, fromEvent } from 'promise-toolbox'
+
+import RemoteHandlerAbstract from './abstract'
+
+// the connection is closed after this delay without any operation
+const IDLE_TIMEOUT = 30e3
+
+// https://tools.ietf.org/html/draft-ietf-secsh-filexfer-02#section-7
+const SSH_FX_NO_SUCH_FILE = 2
+
+// Normalize the error code for file not found.
+const normalizeError = error => {
+  const { code } = error
+
+  return code === SSH_FX_NO_SUCH_FILE
+    ? Object.create(error, {
+        code: {
+          configurable: true,
+          value: 'ENOENT',
+          writable: true,
+        },
+      })
+    : error
+}
+
+export default class SftpHandler extends RemoteHandlerAbstract {
+  constructor (remote) {
+    super(remote)
+
+    this._client = undefined
+    this._idleTimeout = undefined
+    this._recordHostKey = false
+    this._sftp = undefined
+    this._users = 0
+  }
+
+  get type () {
+    return 'sftp'
+  }
+
+  // the file is opened with SSH_FXF_EXCL
+  get hasAtomicExclusiveCreate () {
+    return true
+  }
+
+  _getFilePath (file) {
+    const root = posix.resolve('/', this._remote.path)
+    const path = posix.resolve(root, file)
+    if (path !== root && !path.startsWith(root === '/' ? root : root + '/')) {
+      throw new Error('Remote path is unavailable')
+    }
+    return path
+  }
+
+  // ---------------------------------------------------------------------------
+  // Connection management
+  // ---------------------------------------------------------------------------
+
+  _connect () {
+    const {
+      host,
+      hostFingerprint,
+      password,
+      port,
+      privateKey,
+      username,
+    } = this._remote
+
+    // see `_sync()`
+    const recordHostKey = this._recordHostKey
+    if (!hostFingerprint && !recordHostKey) {
+      throw new Error(
+        'the SSH host key of the remote is unknown, the remote must be synced first'
+      )
+    }
+
+    const client = new Client()
+    const sftp = fromEvent(client, 'ready')
+      .then(() => fromCallback(cb => client.sftp(cb)))
+      .catch(error => {
+        this._disconnect()
+        throw error
+      })
+
+    // errors are reported to the pending operations
+    client.on('error', () => {
+      this._disconnect()
+    })
+    client.on('close', () => {
+      if (this._client === client) {
+        this._client = this._sftp = undefined
+      }
+    })
+
+    client.connect({
+      host,
+      port,
+      username,
+      password: password || undefined,
+      privateKey: privateKey || undefined,
+      readyTimeout: 60e3,
+
+      // the host key is pinned to the SHA-256 fingerprint stored with the
+      // remote
+      hostHash: 'sha256',
+      hostVerifier: fingerprint => {
+        if (!hostFingerprint) {
+          this._remote.hostFingerprint = fingerprint
+          return true
+        }
+        return fingerprint === hostFingerprint
+      },
+    })
+
+    this._client = client
+    this._sftp = sftp
+    return sftp
+  }
+
+  _disconnect () {
+    clearTimeout(this._idleTimeout)
+    const client = this._client
+    if (client !== undefined) {
+      this._client = this._sftp = undefined
+      client.end()
+    }
+  }
+
+  // the connection is shared by all operations and kept open while one of them
+  // is in progress (including open files and streams)
+  async _acquire () {
+    clearTimeout(this._idleTimeout)
+    ++this._users
+
+    try {
+      const sftp = this._sftp
+      return await (sftp === undefined ? this._connect() : sftp)
+    } catch (error) {
+      this._release()
+      throw error
+    }
+  }
+
+  _release () {
+    if (--this._users === 0) {
+      clearTimeout(this._idleTimeout)
+      this._idleTimeout = setTimeout(() => this._disconnect(), IDLE_TIMEOUT)
+      this._idleTimeout.unref()
+    }
+  }
+
+  _releaseOnEnd (stream) {
+    let released = false
+    const release = () => {
+      if (!released) {
+        released = true
+        this._release()
+      }
+    }
+    stream.once('close', release)
+    stream.once('end', release)
+    stream.once('error', release)
+    stream.once('finish', release)
+    return stream
+  }
+
+  async _call (method, ...args) {
+    const sftp = await this._acquire()
+    try {
+      return await fromCallback(cb => sftp[method](...args, cb))
+    } catch (error) {
+      throw normalizeError(error)
+    } finally {
+      this._release()
+    }
+  }
+
+  async _mkdirp (dir) {
+    try {
+      await this._call('mkdir', dir)
+    } catch (error) {
+      if (error.code === 'ENOENT' && dir !== '/') {
+        await this._mkdirp(dirname(dir))
+        return this._mkdirp(dir)
+      }
+
+      // SFTP does not report a dedicated error when the entry already exists
+      const stats = await this._call('stat', dir).catch(() => {
+        throw error
+      })
+      if (!stats.isDirectory()) {
+        throw error
+      }
+    }
+  }
+
+  // ---------------------------------------------------------------------------
+
+  // if no fingerprint is stored yet, the current host key is accepted (trust on
+  // first use) and recorded in the returned remote which is saved by the
+  // remotes mixin before any other use
+  async _sync () {
+    if (this._remote.enabled) {
+      this._recordHostKey = !this._remote.hostFingerprint
+      try {
+        await this._mkdirp(this._getFilePath('.'))
+      } catch (error) {
+        this._remote.enabled = false
+        this._remote.error = error.message
+      } finally {
+        this._recordHostKey = false
+      }
+    }
+    return this._remote
+  }
+
+  async _forget () {
+    this._disconnect()
+  }
+
+  async _outputFile (file, data, options = {}) {
+    // data stream are written through `createOutputStream`
+    if (typeof data.pipe === 'function') {
+      return super._outputFile(file, data, options)
+    }
+
+    const path = this._getFilePath(file)
+    await this._mkdirp(dirname(path))
+    await this._call('writeFile', path, data, {
+      flag: options.flags,
+      mode: options.mode,
+    })
+  }
+
+  async _readFile (file, options) {
+    return this._call('readFile', this._getFilePath(file), options)
+  }
+
+  async _rename (oldPath, newPath) {
+    oldPath = this._getFilePath(oldPath)
+    newPath = this._getFilePath(newPath)
+
+    // contrary to the standard SFTP rename, the OpenSSH extension replaces the
+    // destination like rename(2)
+    try {
+      return await this._call('ext_openssh_rename', oldPath, newPath)
+    } catch (error) {
+      if (!/does not support/.test(error.message)) {
+        throw error
+      }
+    }
+
+    await this._unlink(newPath)
+    await this._call('rename', oldPath, newPath)
+  }
+
+  async _list (dir = '.') {
+    const entries = await this._call('readdir', this._getFilePath(dir))
+    return entries
+      .map(_ => _.filename)
+      .filter(name => name !== '.' && name !== '..')
+  }
+
+  async _createReadStream (file, options) {
+    const sftp = await this._acquire()
+    try {
+      if (typeof file !== 'string') {
+        return this._releaseOnEnd(
+          sftp.createReadStream(null, {
+            autoClose: false,
+            autoDestroy: false, // destroying the stream closes the handle
+            ...options,
+            handle: file.fd,
+          })
+        )
+      }
+
+      // the file is opened beforehand to report a missing file early
+      const handle = await this._call('open', this._getFilePath(file), 'r')
+      return this._releaseOnEnd(
+        sftp.createReadStream(null, {
+          ...options,
+          autoClose: true,
+          handle,
+        })
+      )
+    } catch (error) {
+      this._release()
+      throw error
+    }
+  }
+
+  async _createOutputStream (file, options = {}) {
+    const sftp = await this._acquire()
+    try {
+      if (typeof file !== 'string') {
+        return this._releaseOnEnd(
+          sftp.createWriteStream(null, {
+            autoClose: false,
+            autoDestroy: false, // destroying the stream closes the handle
+            ...options,
+            handle: file.fd,
+          })
+        )
+      }
+
+      const path = this._getFilePath(file)
+      await this._mkdirp(dirname(path))
+      const handle = await this._call('open', path, options.flags || 'w')
+      return this._releaseOnEnd(
+        sftp.createWriteStream(null, {
+          ...options,
+          autoClose: true,
+          handle,
+        })
+      )
+    } catch (error) {
+      this._release()
+      throw error
+    }
+  }
+
+  async _unlink (file) {
+    try {
+      await this._call('unlink', this._getFilePath(file))
+    } catch (error) {
+      // do not throw if the file did not exist
+      if (error == null || error.code !== 'ENOENT') {
+        throw error
+      }
+    }
+  }
+
+  async _getSize (file) {
+    const stats =
+      typeof file === 'string'
+        ? await this._call('stat', this._getFilePath(file))
+        : await this._call('fstat', file.fd)
+    return stats.size
+  }
+
+  async _openFile (path, flags) {
+    // the connection is kept open as long as the file is
+    await this._acquire()
+    try {
+      return await this._call('open', this._getFilePath(path), flags)
+    } catch (error) {
+      this._release()
+      throw error
+    }
+  }
+
+  async _closeFile (fd) {
+    try {
+      await this._call('close', fd)
+    } finally {
+      this._release()
+    }
+  }
+}
@@ -0,0 +1,76 @@
+/* eslint-env jest */
+
+import fs from 'fs-extra'
+import getStream from 'get-stream'
+import rimraf from 'rimraf'
+import tmp from 'tmp'
+import {
+  chainVhd,
+  createReadableSparseStream,
+  createSyntheticStream,
+} from 'vhd-lib'
+import { fromEvent, fromCallback as pFromCallback } from 'promise-toolbox'
+import { getHandler } from '@xen-orchestra/fs'
+import { randomBytes } from 'crypto'
+
+import command from './commands/chain-coalesce'
+
+const initialDir = process.cwd()
+
+jest.setTimeout(10000)
+
+beforeEach(async () => {
+  const dir = await pFromCallback(cb => tmp.dir(cb))
+  process.chdir(dir)
+})
+
+afterEach(async () => {
+  const tmpDir = process.cwd()
+  process.chdir(initialDir)
+  await pFromCallback(cb => rimraf(tmpDir, cb))
+})
+
+// VHD of 8 MiB containing random data at these offsets
+const createVhd = (path, offsets) => {
+  const grainSize = 64 * 1024
+  return fromEvent(
+    createReadableSparseStream(
+      8 * 1024 * 1024,
+      grainSize,
+      offsets,
+      offsets.map(offsetBytes => ({
+        offsetBytes,
+        data: randomBytes(grainSize),
+      }))
+    ).pipe(fs.createWriteStream(path)),
+    'finish'
+  )
+}
+
+test('merges the chain into the leaf', async () => {
+  const handler = getHandler({ url: 'file://' + process.cwd() })
+  await createVhd('root.vhd', [0, 2 * 1024 * 1024])
+  await createVhd('middle.vhd', [2 * 1024 * 1024])
+  await createVhd('leaf.vhd', [4 * 1024 * 1024])
+  await chainVhd(handler, 'root.vhd', handler, 'middle.vhd', true)
+  await chainVhd(handler, 'middle.vhd', handler, 'leaf.vhd', true)
+
+  // blocks of the chain, after its footer, header and BAT
+  const readChainData = async () =>
+    (await getStream.buffer(createSyntheticStream(handler, 'leaf.vhd'))).slice(
+      2048,
+      -512
+    )
+  const expected = await readChainData()
+
+  await command(['leaf.vhd'])
+
+  expect(await fs.readdir('.')).toEqual(['leaf.vhd'])
+  expect((await readChainData()).equals(expected)).toBe(true)
+})
+
+test('does nothing without parent', async () => {
+  await createVhd('leaf.vhd', [0])
+
+  expect(await command(['leaf.vhd'])).toBe('nothing to coalesce')
+})
@@ -0,0 +1,48 @@
+import Vhd, { mergeVhd } from 'vhd-lib'
+import { dirname, resolve } from 'path'
+import { getHandler } from '@xen-orchestra/fs'
+
+// see vhd-lib/src/_constants.js
+const DISK_TYPE_DIFFERENCING = 4
+
+export default async function main (args) {
+  if (args.length < 1 || args.some(_ => _ === '-h' || _ === '--help')) {
+    return `Usage: ${this.command} <leaf VHD>
+
+  Merges all the ancestors of the VHD, the result is a standalone VHD which
+  replaces the leaf, the other VHDs of the chain are removed.`
+  }
+
+  const handler = getHandler({ url: 'file:///' })
+  const leaf = resolve(args[0])
+
+  // from the leaf to the root
+  const chain = [leaf]
+  while (true) {
+    const path = chain[chain.length - 1]
+    const vhd = new Vhd(handler, path)
+    await vhd.readHeaderAndFooter()
+    if (vhd.footer.diskType !== DISK_TYPE_DIFFERENCING) {
+      break
+    }
+    chain.push(resolve(dirname(path), vhd.header.parentUnicodeName))
+  }
+
+  if (chain.length === 1) {
+    return 'nothing to coalesce'
+  }
+
+  const root = chain.pop()
+  const children = chain.reverse()
+  for (const child of children) {
+    await mergeVhd(handler, root, handler, child)
+    console.log('merged:', child)
+  }
+
+  await handler.rename(root, leaf)
+  for (const child of children) {
+    if (child !== leaf) {
+      await handler.unlink(child)
+    }
+  }
+}
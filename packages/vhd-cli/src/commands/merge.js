@@ -0,0 +1,20 @@
+import { getHandler } from '@xen-orchestra/fs'
+import { mergeVhd } from 'vhd-lib'
+import { resolve } from 'path'
+
+export default async function main (args) {
+  if (args.length < 2 || args.some(_ => _ === '-h' || _ === '--help')) {
+    return `Usage: ${this.command} <parent VHD> <child VHD>
+
+  Merges the blocks of the child into the parent, the child is not modified.`
+  }
+
+  const handler = getHandler({ url: 'file:///' })
+  const size = await mergeVhd(
+    handler,
+    resolve(args[0]),
+    handler,
+    resolve(args[1])
+  )
+  return `${size} bytes merged`
+}
@@ -0,0 +1,21 @@
+import { getHandler } from '@xen-orchestra/fs'
+import { repairVhd } from 'vhd-lib'
+import { resolve } from 'path'
+
+export default async function main (args) {
+  if (args.length < 1 || args.some(_ => _ === '-h' || _ === '--help')) {
+    return `Usage: ${this.command} <VHD>
+
+  Rebuilds a missing or corrupted footer and removes the invalid entries of
+  the block allocation table (the data of these blocks is lost, the table
+  cannot be rebuilt from the blocks).`
+  }
+
+  const problems = await repairVhd(
+    getHandler({ url: 'file:///' }),
+    resolve(args[0])
+  )
+  return problems.length === 0
+    ? 'nothing to repair'
+    : problems.map(problem => `fixed: ${problem}`).join('\n')
+}
@@ -0,0 +1,21 @@
+import { chainVhd } from 'vhd-lib'
+import { getHandler } from '@xen-orchestra/fs'
+import { resolve } from 'path'
+
+export default async function main (args) {
+  const force = args[0] === '--force'
+  if (force) {
+    args = args.slice(1)
+  }
+
+  if (args.length < 2 || args.some(_ => _ === '-h' || _ === '--help')) {
+    return `Usage: ${this.command} [--force] <child VHD> <parent VHD>
+
+  Rewrites the parent locator (and UUID) of a differencing VHD.
+
+  With --force, a dynamic VHD is converted to a differencing one.`
+  }
+
+  const handler = getHandler({ url: 'file:///' })
+  await chainVhd(handler, resolve(args[1]), handler, resolve(args[0]), force)
+}
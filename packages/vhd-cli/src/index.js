@@ -4,12 +4,17 @@ import execPromise from 'exec-promise'
 
 import commands from './commands'
 
+// commands are named in kebab case, e.g. `chain-coalesce` is implemented by
+// `commands/chain-coalesce.js` which is indexed as `chainCoalesce`
+const toCamelCase = name => name.replace(/-(\w)/g, (_, c) => c.toUpperCase())
+const toKebabCase = name => name.replace(/[A-Z]/g, c => '-' + c.toLowerCase())
+
 function runCommand (commands, [command, ...args]) {
   if (command === undefined || command === '-h' || command === '--help') {
     command = 'help'
   }
 
-  const fn = commands[command]
+  const fn = commands[toCamelCase(command)]
 
   if (fn === undefined) {
     if (command === 'help') {
@@ -17,7 +22,7 @@ function runCommand (commands, [command, ...args]) {
 
 ${Object.keys(commands)
         .filter(command => command !== 'help')
-        .map(command => `    ${this.command} ${command}`)
+        .map(command => `    ${this.command} ${toKebabCase(command)}`)
         .join('\n\n')}`
     }
 
@@ -0,0 +1,66 @@
+/* eslint-env jest */
+
+import fs from 'fs-extra'
+import rimraf from 'rimraf'
+import tmp from 'tmp'
+import Vhd, { createReadableSparseStream } from 'vhd-lib'
+import { fromEvent, fromCallback as pFromCallback } from 'promise-toolbox'
+import { getHandler } from '@xen-orchestra/fs'
+
+import command from './commands/set-parent'
+
+const initialDir = process.cwd()
+
+jest.setTimeout(10000)
+
+beforeEach(async () => {
+  const dir = await pFromCallback(cb => tmp.dir(cb))
+  process.chdir(dir)
+})
+
+afterEach(async () => {
+  const tmpDir = process.cwd()
+  process.chdir(initialDir)
+  await pFromCallback(cb => rimraf(tmpDir, cb))
+})
+
+const createEmptyVhd = path =>
+  fromEvent(
+    createReadableSparseStream(8 * 1024 * 1024, 64 * 1024, [], []).pipe(
+      fs.createWriteStream(path)
+    ),
+    'finish'
+  )
+
+const readVhd = async path => {
+  const vhd = new Vhd(getHandler({ url: 'file://' + process.cwd() }), path)
+  await vhd.readHeaderAndFooter()
+  return vhd
+}
+
+test('sets the parent of a differencing VHD', async () => {
+  await createEmptyVhd('parent.vhd')
+  await createEmptyVhd('child.vhd')
+
+  await command(['--force', 'child.vhd', 'parent.vhd'])
+  await createEmptyVhd('other.vhd')
+  await command(['child.vhd', 'other.vhd'])
+
+  const [child, parent] = await Promise.all([
+    readVhd('child.vhd'),
+    readVhd('other.vhd'),
+  ])
+  expect(child.header.parentUnicodeName).toBe('other.vhd')
+  expect(Buffer.from(child.header.parentUuid)).toEqual(
+    Buffer.from(parent.footer.uuid)
+  )
+})
+
+test('refuses to convert a dynamic VHD without --force', async () => {
+  await createEmptyVhd('parent.vhd')
+  await createEmptyVhd('child.vhd')
+
+  await expect(command(['child.vhd', 'parent.vhd'])).rejects.toThrow(
+    'cannot chain disk of type'
+  )
+})
@@ -0,0 +1,101 @@
+import assert from 'assert'
+
+import readChunk, { skip } from './_readChunk'
+import {
+  BLOCK_UNUSED,
+  DISK_TYPE_DIFFERENCING,
+  DISK_TYPE_DYNAMIC,
+  FOOTER_COOKIE,
+  FOOTER_SIZE,
+  HEADER_COOKIE,
+  HEADER_SIZE,
+  SECTOR_SIZE,
+} from './_constants'
+import { checksumStruct, fuFooter, fuHeader, unpackField } from './_structs'
+
+const readStruct = (name, buf, struct, cookie) => {
+  const actual = unpackField(struct.fields.checksum, buf)
+  const expected = checksumStruct(buf, struct)
+  if (actual !== expected) {
+    throw new Error(`invalid ${name} checksum ${actual}, expected ${expected}`)
+  }
+  const value = struct.unpack(buf)
+  assert.strictEqual(value.cookie, cookie, `${name} cookie`)
+  return value
+}
+
+// Parse a VHD stream (e.g. exported by XenServer) without seeking, the blocks
+// must therefore be after the block allocation table.
+//
+// Returns the footer, the header, the ids of the blocks in the order they
+// appear in the stream and an async iterator of these blocks (`{ id, bitmap,
+// data, buffer }`).
+export default async function parseVhdStream (stream) {
+  let position = 0
+  const read = async n => {
+    const buf = await readChunk(stream, n)
+    position += n
+    return buf
+  }
+  const skipTo = async offset => {
+    assert(offset >= position, 'VHD stream entries are not ordered')
+    await skip(stream, offset - position)
+    position = offset
+  }
+
+  const footer = readStruct(
+    'footer',
+    await read(FOOTER_SIZE),
+    fuFooter,
+    FOOTER_COOKIE
+  )
+  const header = readStruct(
+    'header',
+    await read(HEADER_SIZE),
+    fuHeader,
+    HEADER_COOKIE
+  )
+  assert(
+    footer.diskType === DISK_TYPE_DIFFERENCING ||
+      footer.diskType === DISK_TYPE_DYNAMIC
+  )
+
+  await skipTo(header.tableOffset)
+  const { maxTableEntries } = header
+  const bat = await read(maxTableEntries * 4)
+
+  const blocks = []
+  for (let i = 0; i < maxTableEntries; ++i) {
+    const sector = bat.readUInt32BE(i * 4)
+    if (sector !== BLOCK_UNUSED) {
+      blocks.push({ id: i, offset: sector * SECTOR_SIZE })
+    }
+  }
+  blocks.sort((a, b) => a.offset - b.offset)
+
+  const sectorsPerBlock = header.blockSize / SECTOR_SIZE
+  const bitmapSize = Math.ceil(sectorsPerBlock / 8 / SECTOR_SIZE) * SECTOR_SIZE
+  const fullBlockSize = bitmapSize + header.blockSize
+
+  return {
+    bitmapSize,
+    blockIds: blocks.map(_ => _.id),
+    footer,
+    header,
+    async * blocks () {
+      for (const { id, offset } of blocks) {
+        await skipTo(offset)
+        const buffer = await read(fullBlockSize)
+        yield {
+          id,
+          bitmap: buffer.slice(0, bitmapSize),
+          data: buffer.slice(bitmapSize),
+          buffer,
+        }
+      }
+
+      // the end footer is not needed
+      stream.resume()
+    },
+  }
+}
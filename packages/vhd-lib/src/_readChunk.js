@@ -0,0 +1,44 @@
+import { fromEvents } from 'promise-toolbox'
+
+// Read exactly `n` bytes from a readable stream (in paused mode).
+//
+// Rejects if the stream ends before.
+export default async function readChunk (stream, n) {
+  if (n === 0) {
+    return Buffer.alloc(0)
+  }
+
+  while (true) {
+    // returns null until `n` bytes are available, unless the stream has ended
+    // in which case the remaining data is returned
+    const chunk = stream.read(n)
+    if (chunk !== null) {
+      if (chunk.length !== n) {
+        throw new Error(`unexpected end of stream, ${n} bytes expected`)
+      }
+      return chunk
+    }
+
+    const { event } = await fromEvents(
+      stream,
+      ['end', 'readable'],
+      ['error']
+    ).catch(args => {
+      throw args[0]
+    })
+    if (event === 'end') {
+      throw new Error(`unexpected end of stream, ${n} bytes expected`)
+    }
+  }
+}
+
+const SKIP_CHUNK_SIZE = 1024 * 1024
+
+// Skip `n` bytes from a readable stream.
+export async function skip (stream, n) {
+  while (n > 0) {
+    const size = Math.min(n, SKIP_CHUNK_SIZE)
+    await readChunk(stream, size)
+    n -= size
+  }
+}
@@ -0,0 +1,87 @@
+import { dirname, resolve } from 'path'
+
+import Vhd from './vhd'
+import { DedupVhd, isDedupVhd } from './dedup'
+import {
+  BLOCK_UNUSED,
+  DISK_TYPE_DIFFERENCING,
+  FOOTER_SIZE,
+  SECTOR_SIZE,
+} from './_constants'
+
+const resolveRelativeFromFile = (file, path) =>
+  resolve('/', dirname(file), path).slice(1)
+
+const uuidEquals = (a, b) => Buffer.from(a).equals(Buffer.from(b))
+
+// Check the structure of a VHD and of its ancestors:
+//
+// - footers, header and their checksums (see `Vhd#readHeaderAndFooter()`)
+// - the blocks referenced by the BAT must be in the file (in the block store
+//   for a manifest, see `dedup.js`)
+// - the parent of a differencing VHD must exist and have the expected UUID
+//
+// `cache` is a `Map` which can be shared between calls to avoid checking the
+// same ancestors multiple times.
+//
+// Rejects with an error describing the first problem found.
+export default function checkChain (handler, path, cache = new Map()) {
+  let promise = cache.get(path)
+  if (promise === undefined) {
+    promise = (async () => {
+      const vhd = (await isDedupVhd(handler, path))
+        ? new DedupVhd(handler, path)
+        : new Vhd(handler, path)
+      try {
+        await vhd.readHeaderAndFooter()
+        await vhd.readBlockAllocationTable()
+      } catch (error) {
+        throw error.code === 'ENOENT'
+          ? error
+          : new Error(`${path}: invalid VHD (${error.message})`)
+      }
+
+      if (vhd instanceof DedupVhd) {
+        for (const hash of vhd.getBlockHashes()) {
+          if (!await vhd._blockStore.has(hash)) {
+            throw new Error(`${path}: block ${hash} is not in the store`)
+          }
+        }
+      } else {
+        const end = (await handler.getSize(path)) - FOOTER_SIZE
+        for (let i = 0, n = vhd.header.maxTableEntries; i < n; ++i) {
+          const sector = vhd._getBatEntry(i)
+          if (
+            sector !== BLOCK_UNUSED &&
+            sector * SECTOR_SIZE + vhd.fullBlockSize > end
+          ) {
+            throw new Error(`${path}: block ${i} is not in the file`)
+          }
+        }
+      }
+
+      const { header } = vhd
+      if (vhd.footer.diskType === DISK_TYPE_DIFFERENCING) {
+        const parentPath = resolveRelativeFromFile(
+          path,
+          header.parentUnicodeName
+        )
+        let parent
+        try {
+          parent = await checkChain(handler, parentPath, cache)
+        } catch (error) {
+          throw error.code === 'ENOENT'
+            ? new Error(`${path}: missing parent ${parentPath}`)
+            : error
+        }
+        if (!uuidEquals(parent.footer.uuid, header.parentUuid)) {
+          throw new Error(`${path}: UUID mismatch with parent ${parentPath}`)
+        }
+      }
+
+      return vhd
+    })()
+    cache.set(path, promise)
+  }
+  return promise
+}
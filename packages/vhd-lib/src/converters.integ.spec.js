@@ -0,0 +1,61 @@
+/* eslint-env jest */
+
+import execa from 'execa'
+import fs from 'fs-extra'
+import rimraf from 'rimraf'
+import tmp from 'tmp'
+import { getHandler } from '@xen-orchestra/fs'
+import { fromEvent, fromCallback as pFromCallback } from 'promise-toolbox'
+
+import createQcow2Stream from './createQcow2Stream'
+import createReadStream from './createSyntheticStream'
+import createVmdkStream from './createVmdkStream'
+
+const initialDir = process.cwd()
+
+jest.setTimeout(60000)
+
+beforeEach(async () => {
+  const dir = await pFromCallback(cb => tmp.dir(cb))
+  process.chdir(dir)
+})
+
+afterEach(async () => {
+  const tmpDir = process.cwd()
+  process.chdir(initialDir)
+  await pFromCallback(cb => rimraf(tmpDir, cb))
+})
+
+async function createRandomFile (name, sizeMb) {
+  await execa('bash', [
+    '-c',
+    `< /dev/urandom tr -dc "\\t\\n [:alnum:]" | head -c ${sizeMb}M >${name}`,
+  ])
+}
+
+async function convertFromRawToVhd (rawName, vhdName) {
+  await execa('qemu-img', ['convert', '-f', 'raw', '-Ovpc', rawName, vhdName])
+}
+
+const CONVERTERS = {
+  qcow2: createQcow2Stream,
+  vmdk: createVmdkStream,
+}
+
+Object.keys(CONVERTERS).forEach(format => {
+  test(`VHD can be converted to ${format}`, async () => {
+    await createRandomFile('randomfile', 5)
+    await convertFromRawToVhd('randomfile', 'randomfile.vhd')
+    const handler = getHandler({ url: 'file://' + process.cwd() })
+
+    const stream = CONVERTERS[format](
+      createReadStream(handler, 'randomfile.vhd')
+    )
+    await fromEvent(
+      stream.pipe(fs.createWriteStream(`converted.${format}`)),
+      'finish'
+    )
+    await execa('qemu-img', ['check', `converted.${format}`])
+    await execa('qemu-img', ['compare', `converted.${format}`, 'randomfile'])
+  })
+})
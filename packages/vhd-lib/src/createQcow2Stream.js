@@ -0,0 +1,175 @@
+import assert from 'assert'
+import asyncIteratorToStream from 'async-iterator-to-stream'
+
+import parseVhdStream from './_parseVhdStream'
+import { DISK_TYPE_DYNAMIC, SECTOR_SIZE } from './_constants'
+import { test as mapTestBit } from './_bitmap'
+
+// Format (version 2):
+//
+// 1. Header (cluster 0)
+// 2. L1 table
+// 3. Refcount table
+// 4. Refcount blocks
+// 5. L2 tables
+// 6. Data clusters, in the order of the VHD blocks
+//
+// Spec: https://github.com/qemu/qemu/blob/master/docs/interop/qcow2.txt
+
+const CLUSTER_BITS = 16
+const CLUSTER_SIZE = 1 << CLUSTER_BITS
+
+const MAGIC = 0x514649fb // QFI\xfb
+const VERSION = 2
+
+// entries of L1 and L2 tables are 64 bits
+const L2_ENTRIES = CLUSTER_SIZE / 8
+
+// refcounts are 16 bits in version 2
+const REFCOUNT_BLOCK_ENTRIES = CLUSTER_SIZE / 2
+
+// the refcount of the cluster is exactly one
+const OFLAG_COPIED = 0x80000000 // high bits of the 64 bits entry
+
+const clustersFor = bytes => Math.ceil(bytes / CLUSTER_SIZE)
+
+const writeUInt64BE = (buf, value, offset, highFlags = 0) => {
+  buf.writeUInt32BE((Math.floor(value / 0x100000000) | highFlags) >>> 0, offset)
+  buf.writeUInt32BE(value % 0x100000000, offset + 4)
+}
+
+// Convert a dynamic VHD stream (e.g. `createSyntheticStream()`) to a sparse
+// QCOW2 stream.
+export default asyncIteratorToStream(async function * (vhdStream) {
+  const { blockIds, blocks, footer, header } = await parseVhdStream(vhdStream)
+  assert.strictEqual(footer.diskType, DISK_TYPE_DYNAMIC)
+
+  const { blockSize } = header
+  assert.strictEqual(blockSize % CLUSTER_SIZE, 0)
+  const clustersPerBlock = blockSize / CLUSTER_SIZE
+  const sectorsPerCluster = CLUSTER_SIZE / SECTOR_SIZE
+
+  const size = footer.currentSize
+  const l1Size = Math.ceil(size / (CLUSTER_SIZE * L2_ENTRIES))
+  const l1Clusters = clustersFor(l1Size * 8)
+
+  // guest clusters of each VHD block which are in the disk
+  const nGuestClusters = clustersFor(size)
+  const getBlockClusters = id =>
+    Math.max(
+      0,
+      Math.min(clustersPerBlock, nGuestClusters - id * clustersPerBlock)
+    )
+
+  // only the L2 tables containing data clusters are allocated
+  const l2Indexes = new Set()
+  let nDataClusters = 0
+  blockIds.forEach(id => {
+    const n = getBlockClusters(id)
+    for (let i = 0; i < n; ++i) {
+      l2Indexes.add(Math.floor((id * clustersPerBlock + i) / L2_ENTRIES))
+    }
+    nDataClusters += n
+  })
+  const l2Tables = new Map()
+  Array.from(l2Indexes)
+    .sort((a, b) => a - b)
+    .forEach(l2Index => {
+      l2Tables.set(l2Index, Buffer.alloc(CLUSTER_SIZE))
+    })
+
+  // the number of refcount blocks depends on the total number of clusters
+  // which includes them
+  let nRefcountBlocks = 0
+  let nRefcountTableClusters, nClusters
+  while (true) {
+    nRefcountTableClusters = clustersFor(nRefcountBlocks * 8) || 1
+    nClusters =
+      1 +
+      l1Clusters +
+      nRefcountTableClusters +
+      nRefcountBlocks +
+      l2Tables.size +
+      nDataClusters
+    const needed = Math.ceil(nClusters / REFCOUNT_BLOCK_ENTRIES)
+    if (needed <= nRefcountBlocks) {
+      break
+    }
+    nRefcountBlocks = needed
+  }
+
+  const l1Offset = CLUSTER_SIZE
+  const refcountTableOffset = l1Offset + l1Clusters * CLUSTER_SIZE
+  const refcountBlocksOffset =
+    refcountTableOffset + nRefcountTableClusters * CLUSTER_SIZE
+  const l2TablesOffset = refcountBlocksOffset + nRefcountBlocks * CLUSTER_SIZE
+  const dataOffset = l2TablesOffset + l2Tables.size * CLUSTER_SIZE
+
+  const qcow2Header = Buffer.alloc(CLUSTER_SIZE)
+  qcow2Header.writeUInt32BE(MAGIC, 0)
+  qcow2Header.writeUInt32BE(VERSION, 4)
+  qcow2Header.writeUInt32BE(CLUSTER_BITS, 20)
+  writeUInt64BE(qcow2Header, size, 24)
+  qcow2Header.writeUInt32BE(l1Size, 36)
+  writeUInt64BE(qcow2Header, l1Offset, 40)
+  writeUInt64BE(qcow2Header, refcountTableOffset, 48)
+  qcow2Header.writeUInt32BE(nRefcountTableClusters, 56)
+  yield qcow2Header
+
+  const l1 = Buffer.alloc(l1Clusters * CLUSTER_SIZE)
+  let l2Offset = l2TablesOffset
+  for (const l2Index of l2Tables.keys()) {
+    writeUInt64BE(l1, l2Offset, l2Index * 8, OFLAG_COPIED)
+    l2Offset += CLUSTER_SIZE
+  }
+  yield l1
+
+  const refcountTable = Buffer.alloc(nRefcountTableClusters * CLUSTER_SIZE)
+  for (let i = 0; i < nRefcountBlocks; ++i) {
+    writeUInt64BE(refcountTable, refcountBlocksOffset + i * CLUSTER_SIZE, i * 8)
+  }
+  yield refcountTable
+
+  // all clusters are used exactly once
+  for (let i = 0; i < nRefcountBlocks; ++i) {
+    const refcountBlock = Buffer.alloc(CLUSTER_SIZE)
+    const n = Math.min(
+      REFCOUNT_BLOCK_ENTRIES,
+      nClusters - i * REFCOUNT_BLOCK_ENTRIES
+    )
+    for (let j = 0; j < n; ++j) {
+      refcountBlock.writeUInt16BE(1, j * 2)
+    }
+    yield refcountBlock
+  }
+
+  let dataCluster = dataOffset / CLUSTER_SIZE
+  blockIds.forEach(id => {
+    const n = getBlockClusters(id)
+    for (let i = 0; i < n; ++i) {
+      const guestCluster = id * clustersPerBlock + i
+      writeUInt64BE(
+        l2Tables.get(Math.floor(guestCluster / L2_ENTRIES)),
+        dataCluster++ * CLUSTER_SIZE,
+        (guestCluster % L2_ENTRIES) * 8,
+        OFLAG_COPIED
+      )
+    }
+  })
+  yield * l2Tables.values()
+
+  for await (const { id, bitmap, data } of blocks()) {
+    const n = getBlockClusters(id)
+    if (n === 0) {
+      continue
+    }
+
+    // sectors which are not in the bitmap must be read as zeroes
+    for (let i = 0, m = n * sectorsPerCluster; i < m; ++i) {
+      if (!mapTestBit(bitmap, i)) {
+        data.fill(0, i * SECTOR_SIZE, (i + 1) * SECTOR_SIZE)
+      }
+    }
+    yield data.slice(0, n * CLUSTER_SIZE)
+  }
+})
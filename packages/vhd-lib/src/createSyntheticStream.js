@@ -2,6 +2,7 @@ import asyncIteratorToStream from 'async-iterator-to-stream'
 import { dirname, resolve } from 'path'
 
 import Vhd from './vhd'
+import { DedupVhd, isDedupVhd } from './dedup'
 import {
   BLOCK_UNUSED,
   DISK_TYPE_DYNAMIC,
@@ -23,7 +24,9 @@ export default asyncIteratorToStream(function * (handler, path) {
     while (true) {
       const fd = yield handler.openFile(path, 'r')
       fds.push(fd)
-      const vhd = new Vhd(handler, fd)
+      const vhd = (yield isDedupVhd(handler, fd))
+        ? new DedupVhd(handler, fd)
+        : new Vhd(handler, fd)
       vhds.push(vhd)
       yield vhd.readHeaderAndFooter()
       yield vhd.readBlockAllocationTable()
@@ -52,7 +55,8 @@ export default asyncIteratorToStream(function * (handler, path) {
       parentUuid: rootVhd.header.parentUuid,
     }
 
-    const bat = Buffer.allocUnsafe(vhd.batSize)
+    // entries after the last block must be unused as well
+    const bat = Buffer.alloc(vhd.batSize, 0xff)
     let footer = {
       ...vhd.footer,
       dataOffset: FOOTER_SIZE,
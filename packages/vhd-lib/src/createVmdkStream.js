@@ -0,0 +1,210 @@
+import assert from 'assert'
+import asyncIteratorToStream from 'async-iterator-to-stream'
+import zlib from 'zlib'
+import { fromCallback } from 'promise-toolbox'
+
+import parseVhdStream from './_parseVhdStream'
+import { DISK_TYPE_DYNAMIC, SECTOR_SIZE } from './_constants'
+import { test as mapTestBit } from './_bitmap'
+
+// StreamOptimized sparse extent:
+//
+// 1. Header (1 sector)
+// 2. Descriptor (padded to `OVERHEAD` sectors)
+// 3. Compressed grains, each one prefixed by its LBA and size
+// 4. Grain tables, each one prefixed by a marker
+// 5. Grain directory, prefixed by a marker
+// 6. Footer (copy of the header with the grain directory offset), prefixed by
+//    a marker
+// 7. End of stream marker
+//
+// Spec: https://www.vmware.com/support/developer/vddk/vmdk_50_technote.pdf
+
+const MAGIC = 0x564d444b // KDMV
+const VERSION = 3
+
+const FLAG_VALID_NEW_LINE_DETECTION = 1 << 0
+const FLAG_COMPRESSED_GRAINS = 1 << 16
+const FLAG_MARKERS = 1 << 17
+
+const COMPRESSION_DEFLATE = 1
+
+const GRAIN_SIZE_SECTORS = 128
+const GRAIN_SIZE = GRAIN_SIZE_SECTORS * SECTOR_SIZE
+const GT_ENTRIES = 512
+const GT_SIZE_SECTORS = GT_ENTRIES * 4 / SECTOR_SIZE
+
+// header and descriptor
+const OVERHEAD = GRAIN_SIZE_SECTORS
+
+// the grain directory offset is only known at the end of the stream
+const GD_AT_END = 0xffffffff // high and low bits of the 64 bits value
+
+const MARKER_EOS = 0
+const MARKER_GT = 1
+const MARKER_GD = 2
+const MARKER_FOOTER = 3
+
+const writeUInt64LE = (buf, value, offset) => {
+  buf.writeUInt32LE(value % 0x100000000, offset)
+  buf.writeUInt32LE(Math.floor(value / 0x100000000), offset + 4)
+}
+
+const createHeader = (capacity, descriptorSize, gdOffset) => {
+  const header = Buffer.alloc(SECTOR_SIZE)
+  header.writeUInt32LE(MAGIC, 0)
+  header.writeUInt32LE(VERSION, 4)
+  header.writeUInt32LE(
+    FLAG_VALID_NEW_LINE_DETECTION | FLAG_COMPRESSED_GRAINS | FLAG_MARKERS,
+    8
+  )
+  writeUInt64LE(header, capacity, 12)
+  writeUInt64LE(header, GRAIN_SIZE_SECTORS, 20)
+  writeUInt64LE(header, 1, 28) // descriptor offset
+  writeUInt64LE(header, descriptorSize, 36)
+  header.writeUInt32LE(GT_ENTRIES, 44)
+  if (gdOffset === undefined) {
+    header.writeUInt32LE(GD_AT_END, 56)
+    header.writeUInt32LE(GD_AT_END, 60)
+  } else {
+    writeUInt64LE(header, gdOffset, 56)
+  }
+  writeUInt64LE(header, OVERHEAD, 64)
+  header.write('\n \r\n', 73, 'ascii') // line ending detection characters
+  header.writeUInt16LE(COMPRESSION_DEFLATE, 77)
+  return header
+}
+
+const createMarker = (sectors, type) => {
+  const marker = Buffer.alloc(SECTOR_SIZE)
+  writeUInt64LE(marker, sectors, 0)
+  marker.writeUInt32LE(type, 12)
+  return marker
+}
+
+const createDescriptor = capacity => {
+  const cid = Math.floor(Math.random() * 0xffffffff)
+    .toString(16)
+    .padStart(8, '0')
+  const cylinders = Math.min(65535, Math.ceil(capacity / (255 * 63)))
+  return Buffer.from(`# Disk DescriptorFile
+version=1
+CID=${cid}
+parentCID=ffffffff
+createType="streamOptimized"
+
+# Extent description
+RW ${capacity} SPARSE "disk.vmdk"
+
+# The Disk Data Base
+#DDB
+
+ddb.adapterType = "lsilogic"
+ddb.geometry.cylinders = "${cylinders}"
+ddb.geometry.heads = "255"
+ddb.geometry.sectors = "63"
+ddb.virtualHWVersion = "4"
+`)
+}
+
+const isZero = buf => {
+  for (let i = 0, n = buf.length; i < n; ++i) {
+    if (buf[i] !== 0) {
+      return false
+    }
+  }
+  return true
+}
+
+const padToSector = buf => {
+  const remainder = buf.length % SECTOR_SIZE
+  return remainder === 0
+    ? buf
+    : Buffer.concat([buf, Buffer.alloc(SECTOR_SIZE - remainder)])
+}
+
+// Convert a dynamic VHD stream (e.g. `createSyntheticStream()`) to a
+// streamOptimized VMDK stream, empty grains are skipped.
+export default asyncIteratorToStream(async function * (vhdStream) {
+  const { blocks, footer, header } = await parseVhdStream(vhdStream)
+  assert.strictEqual(footer.diskType, DISK_TYPE_DYNAMIC)
+
+  const { blockSize } = header
+  assert.strictEqual(blockSize % GRAIN_SIZE, 0)
+  const grainsPerBlock = blockSize / GRAIN_SIZE
+
+  const capacity = Math.ceil(footer.currentSize / SECTOR_SIZE)
+  const nGrains = Math.ceil(capacity / GRAIN_SIZE_SECTORS)
+  const nGrainTables = Math.ceil(nGrains / GT_ENTRIES)
+
+  const descriptor = createDescriptor(capacity)
+  const descriptorSize = OVERHEAD - 1
+  assert(descriptor.length <= descriptorSize * SECTOR_SIZE)
+
+  let position = 0 // in sectors
+  const emit = buf => {
+    position += buf.length / SECTOR_SIZE
+    return buf
+  }
+
+  yield emit(createHeader(capacity, descriptorSize))
+  const paddedDescriptor = Buffer.alloc(descriptorSize * SECTOR_SIZE)
+  descriptor.copy(paddedDescriptor)
+  yield emit(paddedDescriptor)
+
+  // only the grain tables containing grains are allocated
+  const grainTables = new Map()
+  for await (const { id, bitmap, data } of blocks()) {
+    for (let i = 0; i < grainsPerBlock; ++i) {
+      const grain = id * grainsPerBlock + i
+      if (grain >= nGrains) {
+        break
+      }
+
+      // sectors which are not in the bitmap must be read as zeroes
+      for (let j = 0; j < GRAIN_SIZE_SECTORS; ++j) {
+        const sector = i * GRAIN_SIZE_SECTORS + j
+        if (!mapTestBit(bitmap, sector)) {
+          data.fill(0, sector * SECTOR_SIZE, (sector + 1) * SECTOR_SIZE)
+        }
+      }
+
+      const content = data.slice(i * GRAIN_SIZE, (i + 1) * GRAIN_SIZE)
+      if (isZero(content)) {
+        continue
+      }
+
+      const gtIndex = Math.floor(grain / GT_ENTRIES)
+      let grainTable = grainTables.get(gtIndex)
+      if (grainTable === undefined) {
+        grainTable = Buffer.alloc(GT_SIZE_SECTORS * SECTOR_SIZE)
+        grainTables.set(gtIndex, grainTable)
+      }
+      grainTable.writeUInt32LE(position, (grain % GT_ENTRIES) * 4)
+
+      const compressed = await fromCallback(cb => zlib.deflate(content, cb))
+      const grainHeader = Buffer.alloc(12)
+      writeUInt64LE(grainHeader, grain * GRAIN_SIZE_SECTORS, 0)
+      grainHeader.writeUInt32LE(compressed.length, 8)
+      yield emit(padToSector(Buffer.concat([grainHeader, compressed])))
+    }
+  }
+
+  const grainDirectory = Buffer.alloc(
+    Math.ceil(nGrainTables * 4 / SECTOR_SIZE) * SECTOR_SIZE
+  )
+  for (const gtIndex of Array.from(grainTables.keys()).sort((a, b) => a - b)) {
+    yield emit(createMarker(GT_SIZE_SECTORS, MARKER_GT))
+    grainDirectory.writeUInt32LE(position, gtIndex * 4)
+    yield emit(grainTables.get(gtIndex))
+  }
+
+  yield emit(createMarker(grainDirectory.length / SECTOR_SIZE, MARKER_GD))
+  const gdOffset = position
+  yield emit(grainDirectory)
+
+  yield emit(createMarker(1, MARKER_FOOTER))
+  yield emit(createHeader(capacity, descriptorSize, gdOffset))
+
+  yield emit(createMarker(0, MARKER_EOS))
+})
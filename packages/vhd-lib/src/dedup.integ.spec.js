@@ -0,0 +1,249 @@
+/* eslint-env jest */
+
+import execa from 'execa'
+import fs from 'fs-extra'
+import rimraf from 'rimraf'
+import tmp from 'tmp'
+import { randomBytes } from 'crypto'
+import { getHandler } from '@xen-orchestra/fs'
+import getStream from 'get-stream'
+import { fromEvent, fromCallback as pFromCallback } from 'promise-toolbox'
+
+import checkVhdChain from './checkChain'
+import createReadableSparseStream from './createReadableSparseStream'
+import createReadStream from './createSyntheticStream'
+import Vhd from './vhd'
+import {
+  BlockStore,
+  createVhdFileReadStream,
+  DedupVhd,
+  isDedupVhd,
+  mergeDedupVhd,
+  writeDedupVhd,
+} from './dedup'
+
+const initialDir = process.cwd()
+
+jest.setTimeout(60000)
+
+beforeEach(async () => {
+  const dir = await pFromCallback(cb => tmp.dir(cb))
+  process.chdir(dir)
+})
+
+afterEach(async () => {
+  const tmpDir = process.cwd()
+  process.chdir(initialDir)
+  await pFromCallback(cb => rimraf(tmpDir, cb))
+})
+
+async function createRandomFile (name, sizeMb) {
+  await execa('bash', [
+    '-c',
+    `< /dev/urandom tr -dc "\\t\\n [:alnum:]" | head -c ${sizeMb}M >${name}`,
+  ])
+}
+
+// dynamic VHD of 8 MiB containing random data at these offsets (multiples of
+// 64 KiB), the blocks of the VHD are therefore partially filled
+function createSparseVhdStream (offsets) {
+  const grainSize = 64 * 1024
+  return createReadableSparseStream(
+    8 * 1024 * 1024,
+    grainSize,
+    offsets,
+    offsets.map(offsetBytes => ({ offsetBytes, data: randomBytes(grainSize) }))
+  )
+}
+
+// content of a chain without its footers and header
+const readChainData = async (handler, path) =>
+  (await getStream.buffer(createReadStream(handler, path))).slice(1536, -512)
+
+async function convertFromRawToVhd (rawName, vhdName) {
+  await execa('qemu-img', ['convert', '-f', 'raw', '-Ovpc', rawName, vhdName])
+}
+
+test('a deduplicated VHD can be converted back to a VHD', async () => {
+  await createRandomFile('randomfile', 4)
+  await convertFromRawToVhd('randomfile', 'randomfile.vhd')
+  const handler = getHandler({ url: 'file://' + process.cwd() })
+
+  await writeDedupVhd(
+    handler,
+    'dedup.vhd',
+    fs.createReadStream('randomfile.vhd')
+  )
+  expect(await isDedupVhd(handler, 'dedup.vhd')).toBe(true)
+  expect(await isDedupVhd(handler, 'randomfile.vhd')).toBe(false)
+
+  const stream = createReadStream(handler, 'dedup.vhd')
+  await fromEvent(stream.pipe(fs.createWriteStream('recovered.vhd')), 'finish')
+  await execa('vhd-util', ['check', '-p', '-b', '-t', '-n', 'recovered.vhd'])
+  await execa('qemu-img', ['compare', 'recovered.vhd', 'randomfile'])
+})
+
+test('blocks are stored once and collected when unused', async () => {
+  await createRandomFile('randomfile', 4)
+  await convertFromRawToVhd('randomfile', 'randomfile.vhd')
+  const handler = getHandler({ url: 'file://' + process.cwd() })
+  const blockStore = new BlockStore(handler)
+
+  const first = await writeDedupVhd(
+    handler,
+    'first.vhd',
+    fs.createReadStream('randomfile.vhd'),
+    { blockStore }
+  )
+  expect(first.written).toBe(first.blocks)
+
+  const second = await writeDedupVhd(
+    handler,
+    'second.vhd',
+    fs.createReadStream('randomfile.vhd'),
+    { blockStore }
+  )
+  expect(second.written).toBe(0)
+
+  expect(await blockStore.gc(async () => ['first.vhd', 'second.vhd'])).toBe(0)
+  expect(await blockStore.gc(async () => [])).toBe(first.blocks)
+})
+
+test('a single garbage collection can run at a time', async () => {
+  const handler = getHandler({ url: 'file://' + process.cwd() })
+  const blockStore = new BlockStore(handler)
+
+  const results = await Promise.all(
+    [blockStore.gc(async () => []), blockStore.gc(async () => [])].map(
+      promise => promise.then(() => 'done', error => error.message)
+    )
+  )
+  expect(results.sort()).toEqual([
+    'done',
+    'garbage collection already in progress',
+  ])
+
+  // the lock is released
+  expect(await blockStore.gc(async () => [])).toBe(0)
+})
+
+test('a stale garbage collection lock is taken over', async () => {
+  const handler = getHandler({ url: 'file://' + process.cwd() })
+  const blockStore = new BlockStore(handler)
+
+  await handler.outputFile('xo-vhd-blocks/.gc', String(Date.now()))
+  await expect(blockStore.gc(async () => [])).rejects.toThrow(
+    'garbage collection already in progress'
+  )
+
+  await handler.outputFile('xo-vhd-blocks/.gc', String(Date.now() - 6 * 60e3), {
+    flags: 'w',
+  })
+  expect(await blockStore.gc(async () => [])).toBe(0)
+  expect(await handler.list('xo-vhd-blocks')).toEqual([])
+})
+
+test('the garbage collection is refused without atomic file creation', async () => {
+  const handler = getHandler({ url: 'file://' + process.cwd() })
+
+  // e.g. S3 which can only check that a file does not exist before writing it
+  const blockStore = new BlockStore(
+    Object.create(handler, { hasAtomicExclusiveCreate: { value: false } })
+  )
+  await expect(blockStore.gc(async () => [])).rejects.toThrow(
+    'garbage collection is not supported on file remotes'
+  )
+  expect(await handler.list('.')).toEqual([])
+})
+
+test('a manifest is merged into its parent', async () => {
+  const handler = getHandler({ url: 'file://' + process.cwd() })
+  const blockStore = new BlockStore(handler)
+
+  await writeDedupVhd(
+    handler,
+    'parent.vhd',
+    createSparseVhdStream([0, 65536]),
+    {
+      blockStore,
+    }
+  )
+  await writeDedupVhd(
+    handler,
+    'child.vhd',
+    createSparseVhdStream([65536, 131072, 4194304]),
+    { blockStore, parentPath: 'parent.vhd' }
+  )
+  const expected = await readChainData(handler, 'child.vhd')
+
+  // 2 blocks of 2 MiB
+  expect(
+    await mergeDedupVhd(handler, 'parent.vhd', 'child.vhd', { blockStore })
+  ).toBe(4 * 1024 * 1024)
+  expect(await handler.list('.')).toEqual(['child.vhd', 'xo-vhd-blocks'])
+
+  const merged = new DedupVhd(handler, 'child.vhd', blockStore)
+  await merged.readHeaderAndFooter()
+  expect(merged.footer.diskType).toBe(3) // dynamic
+  expect((await readChainData(handler, 'child.vhd')).equals(expected)).toBe(
+    true
+  )
+  await checkVhdChain(handler, 'child.vhd')
+
+  // the partial blocks have been replaced by complete ones
+  expect(await blockStore.gc(async () => ['child.vhd'])).toBe(3)
+  expect((await readChainData(handler, 'child.vhd')).equals(expected)).toBe(
+    true
+  )
+})
+
+test('a manifest can be read as a standard VHD', async () => {
+  const handler = getHandler({ url: 'file://' + process.cwd() })
+
+  await writeDedupVhd(handler, 'dedup.vhd', createSparseVhdStream([0, 4194304]))
+  await fromEvent(
+    (await createVhdFileReadStream(handler, 'dedup.vhd')).pipe(
+      fs.createWriteStream('standard.vhd')
+    ),
+    'finish'
+  )
+
+  const dedup = new DedupVhd(handler, 'dedup.vhd')
+  const standard = new Vhd(handler, 'standard.vhd')
+  for (const vhd of [dedup, standard]) {
+    await vhd.readHeaderAndFooter()
+    await vhd.readBlockAllocationTable()
+  }
+  for (let i = 0; i < dedup.header.maxTableEntries; ++i) {
+    expect(standard.containsBlock(i)).toBe(dedup.containsBlock(i))
+    if (dedup.containsBlock(i)) {
+      expect((await standard._readBlock(i)).buffer).toEqual(
+        (await dedup._readBlock(i)).buffer
+      )
+    }
+  }
+})
+
+test('the blocks of a chain of manifests are checked', async () => {
+  const handler = getHandler({ url: 'file://' + process.cwd() })
+  const blockStore = new BlockStore(handler)
+
+  await writeDedupVhd(handler, 'parent.vhd', createSparseVhdStream([0]), {
+    blockStore,
+  })
+  await writeDedupVhd(handler, 'child.vhd', createSparseVhdStream([65536]), {
+    blockStore,
+    parentPath: 'parent.vhd',
+  })
+  await checkVhdChain(handler, 'child.vhd')
+
+  const parent = new DedupVhd(handler, 'parent.vhd', blockStore)
+  await parent.readHeaderAndFooter()
+  await parent.readBlockAllocationTable()
+  const [hash] = parent.getBlockHashes()
+  await handler.unlink(blockStore._getPath(hash), { checksum: false })
+
+  await expect(checkVhdChain(handler, 'child.vhd')).rejects.toThrow(
+    `parent.vhd: block ${hash} is not in the store`
+  )
+})
@@ -0,0 +1,626 @@
+import assert from 'assert'
+import asyncIteratorToStream from 'async-iterator-to-stream'
+import { basename, dirname, relative } from 'path'
+import { createHash } from 'crypto'
+import { fromEvent } from 'promise-toolbox'
+import { v4 as generateUuid } from 'uuid'
+
+import parseVhdStream from './_parseVhdStream'
+import readChunk from './_readChunk'
+import Vhd from './vhd'
+import {
+  DISK_TYPE_DIFFERENCING,
+  FOOTER_SIZE,
+  HEADER_SIZE,
+  PLATFORM_NONE,
+  SECTOR_SIZE,
+} from './_constants'
+import { checksumStruct, fuFooter, fuHeader } from './_structs'
+import { set as mapSetBit, test as mapTestBit } from './_bitmap'
+
+// Deduplicated storage of VHDs.
+//
+// Each block (bitmap + data) is stored once in a content-addressed block store
+// (`<dir>/<first two chars of the hash>/<hash>`) and each VHD file is replaced
+// by a manifest referencing its blocks:
+//
+// 1. Magic (8): `XOVHDDD1`
+// 2. Footer (512)
+// 3. Header (1024)
+// 4. SHA-256 of each block (32 * header.maxTableEntries), zeroes if unused
+//
+// A chain of manifests (and VHDs) can be converted back to a standard VHD
+// stream with `createSyntheticStream()`, a single manifest with
+// `createVhdFileReadStream()`.
+//
+// A chain is either made of manifests or of VHDs: a manifest can only be
+// merged into another manifest (see `mergeDedupVhd()`).
+
+const MAGIC = Buffer.from('XOVHDDD1')
+
+const HASH_ALGORITHM = 'sha256'
+const HASH_SIZE = 32
+const HASH_RE = /^[0-9a-f]{64}$/
+
+export const DEFAULT_BLOCKS_DIR = 'xo-vhd-blocks'
+
+// a lease which has not been refreshed during this delay is considered stale
+// (e.g. its owner crashed)
+const LEASE_TIMEOUT = 5 * 60e3
+const LEASE_REFRESH_INTERVAL = 60e3
+const LEASE_POLL_INTERVAL = 10e3
+
+// a lock or a lease is empty while it is being written, if it is still empty
+// after this delay, its owner crashed
+const WRITE_DELAY = 10e3
+
+const LEASES_DIR = '.leases'
+const LOCK_FILE = '.gc'
+
+const noop = () => {}
+
+const delay = ms => new Promise(resolve => setTimeout(resolve, ms))
+
+const computeHash = data =>
+  createHash(HASH_ALGORITHM)
+    .update(data)
+    .digest('hex')
+
+const isStale = timestamp => !(Date.now() - timestamp < LEASE_TIMEOUT)
+
+const ignoreMissing = error => {
+  if (error == null || error.code !== 'ENOENT') {
+    throw error
+  }
+}
+
+// ===================================================================
+
+export class BlockStore {
+  constructor (handler, dir = DEFAULT_BLOCKS_DIR) {
+    this._dir = dir
+    this._handler = handler
+  }
+
+  _getPath (hash) {
+    return `${this._dir}/${hash.slice(0, 2)}/${hash}`
+  }
+
+  async get (hash) {
+    const data = await this._handler.readFile(this._getPath(hash))
+    if (computeHash(data) !== hash) {
+      throw new Error(`corrupted block ${hash}`)
+    }
+    return data
+  }
+
+  async has (hash) {
+    try {
+      await this._handler.getSize(this._getPath(hash))
+      return true
+    } catch (error) {
+      ignoreMissing(error)
+      return false
+    }
+  }
+
+  // Returns the hash of the data and whether it was not already in the store.
+  async put (data) {
+    const hash = computeHash(data)
+    if (await this.has(hash)) {
+      return { hash, written: false }
+    }
+
+    // written to a temporary file first to never expose a partial block
+    const path = this._getPath(hash)
+    const tmpPath = `${dirname(path)}/.${hash}.${generateUuid()}`
+    await this._handler.outputFile(tmpPath, data)
+    await this._handler.rename(tmpPath, path)
+    return { hash, written: true }
+  }
+
+  // -----------------------------------------------------------------
+  // Concurrency with the garbage collector
+  //
+  // A writer holds a lease on the store while it references blocks which are
+  // not yet in a manifest, the garbage collector holds an exclusive lock, each
+  // one waits for the other.
+  //
+  // Both are files containing a timestamp which is regularly refreshed.
+  // -----------------------------------------------------------------
+
+  // `undefined` if the file does not exist
+  async _readTimestamp (path, retry = true) {
+    let content
+    try {
+      content = await this._handler.readFile(path)
+    } catch (error) {
+      return ignoreMissing(error)
+    }
+    if (content.length === 0 && retry) {
+      await delay(WRITE_DELAY)
+      return this._readTimestamp(path, false)
+    }
+    return +content
+  }
+
+  _hold (path) {
+    const refresh = () =>
+      this._handler.outputFile(path, String(Date.now()), { flags: 'w' })
+    const interval = setInterval(() => {
+      refresh().catch(noop)
+    }, LEASE_REFRESH_INTERVAL)
+    return async () => {
+      clearInterval(interval)
+      await this._handler.unlink(path, { checksum: false })
+    }
+  }
+
+  async _isLocked () {
+    const timestamp = await this._readTimestamp(`${this._dir}/${LOCK_FILE}`)
+    return timestamp !== undefined && !isStale(timestamp)
+  }
+
+  async _acquireLease () {
+    const path = `${this._dir}/${LEASES_DIR}/${generateUuid()}`
+    while (true) {
+      // the lease must be visible before checking the lock to prevent a race
+      // condition with the garbage collector
+      await this._handler.outputFile(path, String(Date.now()), { flags: 'w' })
+      if (!await this._isLocked()) {
+        return this._hold(path)
+      }
+
+      // the lease may have been removed as stale by the garbage collector
+      await this._handler.unlink(path, { checksum: false }).catch(ignoreMissing)
+      await delay(LEASE_POLL_INTERVAL)
+    }
+  }
+
+  async _hasActiveLeases () {
+    const dir = `${this._dir}/${LEASES_DIR}`
+    const leases = await this._handler.list(dir).catch(error => {
+      ignoreMissing(error)
+      return []
+    })
+    let active = false
+    for (const lease of leases) {
+      const path = `${dir}/${lease}`
+      const timestamp = await this._readTimestamp(path)
+      if (timestamp === undefined) {
+        continue
+      }
+      if (isStale(timestamp)) {
+        await this._handler.unlink(path, { checksum: false })
+      } else {
+        active = true
+      }
+    }
+    return active
+  }
+
+  // atomic, fails if the lock exists
+  async _createLock (path) {
+    const stream = await this._handler.createOutputStream(path, {
+      flags: 'wx',
+    })
+    const finished = fromEvent(stream, 'finish')
+    stream.end(String(Date.now()))
+    await finished
+  }
+
+  async _lock () {
+    const handler = this._handler
+    if (!handler.hasAtomicExclusiveCreate) {
+      throw new Error(
+        `garbage collection is not supported on ${handler.type} remotes`
+      )
+    }
+
+    const path = `${this._dir}/${LOCK_FILE}`
+    while (true) {
+      let createError
+      try {
+        await this._createLock(path)
+        break
+      } catch (error) {
+        createError = error
+      }
+
+      // the lock is checked whatever the error because some protocols (e.g.
+      // SFTP) do not report a dedicated error when the file exists
+      const timestamp = await this._readTimestamp(path)
+      if (timestamp === undefined) {
+        if (createError == null || createError.code !== 'EEXIST') {
+          throw createError
+        }
+        continue // released in the meantime
+      }
+      if (!isStale(timestamp)) {
+        throw new Error('garbage collection already in progress')
+      }
+
+      // the stale lock is moved before being removed so that only one
+      // collector can take it over, if another one has already done so, the
+      // moved lock is fresh and is put back
+      const tmpPath = `${path}.${generateUuid()}`
+      try {
+        await handler.rename(path, tmpPath)
+      } catch (error) {
+        ignoreMissing(error)
+        continue
+      }
+      const movedTimestamp = await this._readTimestamp(tmpPath)
+      if (movedTimestamp !== undefined && !isStale(movedTimestamp)) {
+        await handler.rename(tmpPath, path)
+        throw new Error('garbage collection already in progress')
+      }
+      await handler.unlink(tmpPath, { checksum: false })
+    }
+
+    const release = this._hold(path)
+    try {
+      // new writers are now waiting, wait for the current ones
+      while (await this._hasActiveLeases()) {
+        await delay(LEASE_POLL_INTERVAL)
+      }
+    } catch (error) {
+      await release()
+      throw error
+    }
+    return release
+  }
+
+  // Remove the blocks (and the leftovers of interrupted writes) which are not
+  // referenced by any manifest.
+  //
+  // `listManifests` is called once the store is locked and must return the
+  // paths of all the manifests using this store.
+  //
+  // Returns the number of removed files.
+  async gc (listManifests) {
+    const handler = this._handler
+    const release = await this._lock()
+    try {
+      const used = new Set()
+      for (const path of await listManifests()) {
+        const vhd = new DedupVhd(handler, path, this)
+        await vhd.readHeaderAndFooter()
+        await vhd.readBlockAllocationTable()
+        vhd.getBlockHashes().forEach(hash => {
+          used.add(hash)
+        })
+      }
+
+      let removed = 0
+      const prefixes = await handler.list(this._dir).catch(error => {
+        ignoreMissing(error)
+        return []
+      })
+      for (const prefix of prefixes) {
+        if (prefix === LEASES_DIR || prefix.startsWith(LOCK_FILE)) {
+          continue
+        }
+
+        const dir = `${this._dir}/${prefix}`
+        for (const file of await handler.list(dir)) {
+          if (!(HASH_RE.test(file) && used.has(file))) {
+            await handler.unlink(`${dir}/${file}`, { checksum: false })
+            ++removed
+          }
+        }
+      }
+      return removed
+    } finally {
+      await release()
+    }
+  }
+}
+
+// ===================================================================
+
+// Read-only access to a manifest with the same interface as `Vhd`.
+export class DedupVhd extends Vhd {
+  constructor (handler, path, blockStore = new BlockStore(handler)) {
+    super(handler, path)
+    this._blockStore = blockStore
+  }
+
+  // skip the magic
+  _read (start, n) {
+    return super._read(MAGIC.length + start, n)
+  }
+
+  async readHeaderAndFooter () {
+    const magic = await super._read(0, MAGIC.length)
+    if (!magic.equals(MAGIC)) {
+      throw new Error('not a deduplicated VHD')
+    }
+
+    // there is no end footer in a manifest
+    return super.readHeaderAndFooter(false)
+  }
+
+  async readBlockAllocationTable () {
+    this.blockTable = await this._read(
+      FOOTER_SIZE + HEADER_SIZE,
+      this.header.maxTableEntries * HASH_SIZE
+    )
+  }
+
+  _getBlockHash (blockId) {
+    const offset = blockId * HASH_SIZE
+    const hash = this.blockTable.slice(offset, offset + HASH_SIZE)
+    return hash.every(byte => byte === 0) ? undefined : hash.toString('hex')
+  }
+
+  getBlockHashes () {
+    const hashes = []
+    for (let i = 0, n = this.header.maxTableEntries; i < n; ++i) {
+      const hash = this._getBlockHash(i)
+      if (hash !== undefined) {
+        hashes.push(hash)
+      }
+    }
+    return hashes
+  }
+
+  containsBlock (blockId) {
+    return this._getBlockHash(blockId) !== undefined
+  }
+
+  async _readBlock (blockId, onlyBitmap = false) {
+    const hash = this._getBlockHash(blockId)
+    if (hash === undefined) {
+      throw new Error(`no such block ${blockId}`)
+    }
+
+    const buf = await this._blockStore.get(hash)
+    assert.strictEqual(buf.length, this.fullBlockSize)
+    return onlyBitmap
+      ? { id: blockId, bitmap: buf.slice(0, this.bitmapSize) }
+      : {
+          id: blockId,
+          bitmap: buf.slice(0, this.bitmapSize),
+          data: buf.slice(this.bitmapSize),
+          buffer: buf,
+        }
+  }
+}
+
+// the manifest is only visible once complete
+async function writeManifest (handler, path, footer, header, hashes) {
+  const rawFooter = fuFooter.pack(footer)
+  footer.checksum = checksumStruct(rawFooter, fuFooter)
+  const rawHeader = fuHeader.pack(header)
+  header.checksum = checksumStruct(rawHeader, fuHeader)
+
+  const tmpPath = `${dirname(path)}/.${basename(path)}`
+  await handler.outputFile(
+    tmpPath,
+    Buffer.concat([MAGIC, rawFooter, rawHeader, hashes]),
+    { flags: 'w' }
+  )
+  await handler.rename(tmpPath, path)
+}
+
+export async function isDedupVhd (handler, path) {
+  const magic = await handler
+    .createReadStream(path, { start: 0, end: MAGIC.length - 1 })
+    .then(stream => readChunk(stream, MAGIC.length))
+    .catch(() => Buffer.alloc(0))
+  return magic.equals(MAGIC)
+}
+
+// Stores a VHD stream (e.g. exported by XenServer) as a manifest and
+// deduplicated blocks.
+//
+// If `parentPath` is provided, the manifest is chained to it.
+//
+// Returns the number of blocks and how many of them were not already stored.
+export async function writeDedupVhd (
+  handler,
+  path,
+  stream,
+  { blockStore = new BlockStore(handler), parentPath } = {}
+) {
+  const release = await blockStore._acquireLease()
+  try {
+    const { blockIds, blocks, footer, header } = await parseVhdStream(stream)
+
+    const hashes = Buffer.alloc(header.maxTableEntries * HASH_SIZE)
+    let written = 0
+    for await (const { id, buffer } of blocks()) {
+      const result = await blockStore.put(buffer)
+      Buffer.from(result.hash, 'hex').copy(hashes, id * HASH_SIZE)
+      if (result.written) {
+        ++written
+      }
+    }
+
+    if (parentPath !== undefined) {
+      const parent = (await isDedupVhd(handler, parentPath))
+        ? new DedupVhd(handler, parentPath, blockStore)
+        : new Vhd(handler, parentPath)
+      await parent.readHeaderAndFooter()
+      header.parentUuid = parent.footer.uuid
+      header.parentUnicodeName = relative(dirname(path), parentPath)
+      footer.diskType = DISK_TYPE_DIFFERENCING
+    }
+
+    await writeManifest(handler, path, footer, header, hashes)
+
+    return { blocks: blockIds.length, written }
+  } finally {
+    await release()
+  }
+}
+
+// the sectors present in the child replace the ones of the parent
+const coalesceBlock = (parentBlock, childBlock, sectorsPerBlock) => {
+  const buffer = Buffer.from(parentBlock.buffer)
+  const { bitmap, data } = childBlock
+  const bitmapSize = bitmap.length
+  for (let i = 0; i < sectorsPerBlock; ++i) {
+    if (mapTestBit(bitmap, i)) {
+      mapSetBit(buffer, i)
+      data.copy(
+        buffer,
+        bitmapSize + i * SECTOR_SIZE,
+        i * SECTOR_SIZE,
+        (i + 1) * SECTOR_SIZE
+      )
+    }
+  }
+  return buffer
+}
+
+const isFullBlock = ({ bitmap }, sectorsPerBlock) => {
+  for (let i = 0; i < sectorsPerBlock; ++i) {
+    if (!mapTestBit(bitmap, i)) {
+      return false
+    }
+  }
+  return true
+}
+
+// Merges a manifest into its parent manifest, like `mergeVhd()`, except that
+// the result replaces the child and that the parent is removed.
+//
+// The result is written atomically, if the merge is interrupted, both
+// manifests are unchanged and it can simply be started again.
+//
+// Returns the size of the merged blocks.
+export async function mergeDedupVhd (
+  handler,
+  parentPath,
+  childPath,
+  { blockStore = new BlockStore(handler) } = {}
+) {
+  // the garbage collection must neither see the new blocks before they are
+  // referenced nor the manifests while they are replaced
+  const release = await blockStore._acquireLease()
+  try {
+    const parent = new DedupVhd(handler, parentPath, blockStore)
+    const child = new DedupVhd(handler, childPath, blockStore)
+    await Promise.all([
+      parent.readHeaderAndFooter(),
+      child.readHeaderAndFooter(),
+    ])
+    assert.strictEqual(child.header.blockSize, parent.header.blockSize)
+    assert.strictEqual(child.footer.diskType, DISK_TYPE_DIFFERENCING)
+    await Promise.all([
+      parent.readBlockAllocationTable(),
+      child.readBlockAllocationTable(),
+    ])
+
+    const { footer, header } = parent
+    const maxTableEntries = Math.max(
+      header.maxTableEntries,
+      child.header.maxTableEntries
+    )
+    const hashes = Buffer.alloc(maxTableEntries * HASH_SIZE)
+    parent.blockTable.copy(hashes)
+
+    const { sectorsPerBlock } = child
+    let mergedDataSize = 0
+    for (let id = 0, n = child.header.maxTableEntries; id < n; ++id) {
+      let hash = child._getBlockHash(id)
+      if (hash === undefined) {
+        continue
+      }
+
+      // a partial block is completed with the sectors of the parent, which
+      // are empty if the parent does not contain this block
+      const childBlock = await child._readBlock(id)
+      if (!isFullBlock(childBlock, sectorsPerBlock)) {
+        const parentBlock = parent.containsBlock(id)
+          ? await parent._readBlock(id)
+          : { buffer: Buffer.alloc(child.fullBlockSize) }
+        hash = (await blockStore.put(
+          coalesceBlock(parentBlock, childBlock, sectorsPerBlock)
+        )).hash
+      }
+
+      Buffer.from(hash, 'hex').copy(hashes, id * HASH_SIZE)
+      mergedDataSize += header.blockSize
+    }
+
+    const cFooter = child.footer
+    footer.currentSize = cFooter.currentSize
+    footer.diskGeometry = { ...cFooter.diskGeometry }
+    footer.originalSize = cFooter.originalSize
+    footer.timestamp = cFooter.timestamp
+    footer.uuid = cFooter.uuid
+    header.maxTableEntries = maxTableEntries
+
+    await writeManifest(handler, childPath, footer, header, hashes)
+    await handler.unlink(parentPath, { checksum: false })
+
+    return mergedDataSize
+  } finally {
+    await release()
+  }
+}
+
+const createManifestReadStream = asyncIteratorToStream(async function * (
+  handler,
+  path
+) {
+  const vhd = new DedupVhd(handler, path)
+  await vhd.readHeaderAndFooter()
+  await vhd.readBlockAllocationTable()
+
+  const { maxTableEntries } = vhd.header
+  const tableOffset = FOOTER_SIZE + HEADER_SIZE
+  const bat = Buffer.alloc(
+    Math.ceil(maxTableEntries * 4 / SECTOR_SIZE) * SECTOR_SIZE,
+    0xff
+  )
+  const blockIds = []
+  let sector = (tableOffset + bat.length) / SECTOR_SIZE
+  for (let i = 0; i < maxTableEntries; ++i) {
+    if (vhd.containsBlock(i)) {
+      blockIds.push(i)
+      bat.writeUInt32BE(sector, i * 4)
+      sector += vhd.fullBlockSize / SECTOR_SIZE
+    }
+  }
+
+  const footer = fuFooter.pack({ ...vhd.footer, dataOffset: FOOTER_SIZE })
+  checksumStruct(footer, fuFooter)
+  yield footer
+
+  // the parent locators of the original VHD point to data which is not
+  // in the manifest
+  const header = fuHeader.pack({
+    ...vhd.header,
+    parentLocatorEntry: vhd.header.parentLocatorEntry.map(() => ({
+      platformCode: PLATFORM_NONE,
+      platformDataSpace: 0,
+      platformDataLength: 0,
+      reserved: 0,
+      platformDataOffset: 0,
+    })),
+    tableOffset,
+  })
+  checksumStruct(header, fuHeader)
+  yield header
+
+  yield bat
+
+  for (const id of blockIds) {
+    yield (await vhd._readBlock(id)).buffer
+  }
+
+  yield footer
+})
+
+// Returns a stream of a single VHD of a chain: the file itself or, for a
+// manifest, the equivalent VHD (without the blocks of its parents, unlike
+// `createSyntheticStream()`).
+export async function createVhdFileReadStream (handler, path) {
+  return (await isDedupVhd(handler, path))
+    ? createManifestReadStream(handler, path)
+    : handler.createReadStream(path)
+}
@@ -1,8 +1,26 @@
 export { default } from './vhd'
 export { default as chainVhd } from './chain'
+export { default as checkVhdChain } from './checkChain'
 export { default as createReadableRawStream } from './createReadableRawStream'
 export {
   default as createReadableSparseStream,
 } from './createReadableSparseStream'
+export { default as createQcow2Stream } from './createQcow2Stream'
 export { default as createSyntheticStream } from './createSyntheticStream'
-export { default as mergeVhd } from './merge'
+export { default as createVmdkStream } from './createVmdkStream'
+export {
+  BlockStore,
+  createVhdFileReadStream,
+  DEFAULT_BLOCKS_DIR,
+  DedupVhd,
+  isDedupVhd,
+  mergeDedupVhd,
+  writeDedupVhd,
+} from './dedup'
+export {
+  default as mergeVhd,
+  getMergeJournalPath,
+  parseMergeJournalPath,
+  readMergeJournal,
+} from './merge'
+export { default as repairVhd } from './repair'
@@ -10,6 +10,8 @@ import { randomBytes } from 'crypto'
 import { fromEvent, fromCallback as pFromCallback } from 'promise-toolbox'
 
 import chainVhd from './chain'
+import checkVhdChain from './checkChain'
+import createReadableSparseStream from './createReadableSparseStream'
 import createReadStream from './createSyntheticStream'
 import Vhd from './vhd'
 import vhdMerge from './merge'
@@ -213,6 +215,38 @@ test('coalesce works with empty parent files', async () => {
   )
 })
 
+test('coalesce works with a partial block missing in the parent', async () => {
+  // VHDs of 8 MiB containing random data at these offsets, the child block
+  // only covers some sectors
+  const grainSize = 64 * 1024
+  const createVhd = (path, offsets) =>
+    fromEvent(
+      createReadableSparseStream(
+        8 * 1024 * 1024,
+        grainSize,
+        offsets,
+        offsets.map(offsetBytes => ({
+          offsetBytes,
+          data: randomBytes(grainSize),
+        }))
+      ).pipe(fs.createWriteStream(path)),
+      'finish'
+    )
+  await createVhd('parent.vhd', [0])
+  await createVhd('child.vhd', [2 * 1024 * 1024 + grainSize])
+
+  const handler = getHandler({ url: 'file://' + process.cwd() })
+  await chainVhd(handler, 'parent.vhd', handler, 'child.vhd', true)
+
+  // blocks of a chain, after its footer, header and BAT (512 bytes)
+  const readChainData = async path =>
+    (await getStream.buffer(createReadStream(handler, path))).slice(2048, -512)
+  const expected = await readChainData('child.vhd')
+
+  await vhdMerge(handler, 'parent.vhd', handler, 'child.vhd')
+  expect((await readChainData('parent.vhd')).equals(expected)).toBe(true)
+})
+
 test('coalesce works in normal cases', async () => {
   const mbOfRandom = 5
   await createRandomFile('randomfile', mbOfRandom)
@@ -281,3 +315,24 @@ test('createSyntheticStream passes vhd-util check', async () => {
   await checkFile('recovered.vhd')
   await execa('qemu-img', ['compare', 'recovered.vhd', 'randomfile'])
 })
+
+test('checkVhdChain detects broken chains', async () => {
+  await createRandomFile('randomfile', 2)
+  await convertFromRawToVhd('randomfile', 'child.vhd')
+  await execa('qemu-img', ['create', '-fvpc', 'parent.vhd', '3M'])
+  await execa('qemu-img', ['create', '-fvpc', 'other.vhd', '3M'])
+  const handler = getHandler({ url: 'file://' + process.cwd() })
+  await chainVhd(handler, 'parent.vhd', handler, 'child.vhd', true)
+  await checkVhdChain(handler, 'child.vhd')
+
+  // another disk with the same name is not the parent
+  await fs.rename('other.vhd', 'parent.vhd')
+  await expect(checkVhdChain(handler, 'child.vhd')).rejects.toThrow(
+    'UUID mismatch'
+  )
+
+  await fs.unlink('parent.vhd')
+  await expect(checkVhdChain(handler, 'child.vhd')).rejects.toThrow(
+    'missing parent'
+  )
+})
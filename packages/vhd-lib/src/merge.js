@@ -2,10 +2,44 @@
 
 import assert from 'assert'
 import concurrency from 'limit-concurrency-decorator'
+import { basename, dirname } from 'path'
 
 import Vhd from './vhd'
 import { DISK_TYPE_DIFFERENCING, DISK_TYPE_DYNAMIC } from './_constants'
 
+// The progress of a merge is saved in a journal next to the parent:
+//
+// - `child`: path of the child being merged
+// - `mergedBlocks`: the blocks before this one have been merged
+// - `timestamp`: date of the last update, a merge whose journal has not been
+//   updated for a while has probably been interrupted
+//
+// Coalescing a block and updating the footer can be done again without
+// changing the result, therefore an interrupted merge can be resumed from the
+// journal by calling `mergeVhd()` with the same arguments.
+const JOURNAL_RE = /^\.(.+)\.merge\.json$/
+
+export const getMergeJournalPath = parentPath =>
+  `${dirname(parentPath)}/.${basename(parentPath)}.merge.json`
+
+// Returns the path of the parent if this file is a merge journal.
+export const parseMergeJournalPath = path => {
+  const matches = JOURNAL_RE.exec(basename(path))
+  if (matches !== null) {
+    return `${dirname(path)}/${matches[1]}`
+  }
+}
+
+export async function readMergeJournal (handler, parentPath) {
+  try {
+    return JSON.parse(await handler.readFile(getMergeJournalPath(parentPath)))
+  } catch (error) {
+    if (error == null || error.code !== 'ENOENT') {
+      throw error
+    }
+  }
+}
+
 // Merge vhd child into vhd parent.
 export default concurrency(2)(async function merge (
   parentHandler,
@@ -13,6 +47,25 @@ export default concurrency(2)(async function merge (
   childHandler,
   childPath
 ) {
+  const journalPath = getMergeJournalPath(parentPath)
+  let journal = await readMergeJournal(parentHandler, parentPath)
+  const resuming = journal !== undefined
+  if (resuming) {
+    assert.strictEqual(
+      journal.child,
+      childPath,
+      'another merge is in progress on this parent'
+    )
+  } else {
+    journal = { child: childPath, mergedBlocks: 0 }
+  }
+  const writeJournal = () => {
+    journal.timestamp = Date.now()
+    return parentHandler.outputFile(journalPath, JSON.stringify(journal), {
+      flags: 'w',
+    })
+  }
+
   const parentFd = await parentHandler.openFile(parentPath, 'r+')
   try {
     const parentVhd = new Vhd(parentHandler, parentFd)
@@ -22,7 +75,8 @@ export default concurrency(2)(async function merge (
 
       // Reading footer and header.
       await Promise.all([
-        parentVhd.readHeaderAndFooter(),
+        // the end footer of the parent is overwritten during the merge
+        parentVhd.readHeaderAndFooter(!resuming),
         childVhd.readHeaderAndFooter(),
       ])
 
@@ -41,16 +95,24 @@ export default concurrency(2)(async function merge (
         childVhd.readBlockAllocationTable(),
       ])
 
+      // the parent must not be modified before the journal is written
+      if (!resuming) {
+        await writeJournal()
+      }
+
       await parentVhd.ensureBatSize(childVhd.header.maxTableEntries)
 
       let mergedDataSize = 0
       for (
-        let blockId = 0;
+        let blockId = journal.mergedBlocks;
         blockId < childVhd.header.maxTableEntries;
         blockId++
       ) {
         if (childVhd.containsBlock(blockId)) {
           mergedDataSize += await parentVhd.coalesceBlock(childVhd, blockId)
+
+          journal.mergedBlocks = blockId + 1
+          await writeJournal()
         }
       }
 
@@ -67,6 +129,8 @@ export default concurrency(2)(async function merge (
       // creation
       await parentVhd.writeFooter()
 
+      await parentHandler.unlink(journalPath, { checksum: false })
+
       return mergedDataSize
     } finally {
       await childHandler.closeFile(childFd)
@@ -0,0 +1,113 @@
+/* eslint-env jest */
+
+import fs from 'fs-extra'
+import rimraf from 'rimraf'
+import tmp from 'tmp'
+import { getHandler } from '@xen-orchestra/fs'
+import { randomBytes } from 'crypto'
+import { fromEvent, fromCallback as pFromCallback } from 'promise-toolbox'
+
+import checkVhdChain from './checkChain'
+import createReadableSparseStream from './createReadableSparseStream'
+import repair from './repair'
+import { FOOTER_SIZE } from './_constants'
+
+const initialDir = process.cwd()
+
+jest.setTimeout(60000)
+
+beforeEach(async () => {
+  const dir = await pFromCallback(cb => tmp.dir(cb))
+  process.chdir(dir)
+})
+
+afterEach(async () => {
+  const tmpDir = process.cwd()
+  process.chdir(initialDir)
+  await pFromCallback(cb => rimraf(tmpDir, cb))
+})
+
+// VHD of 8 MiB with 2 blocks
+const createVhd = path => {
+  const grainSize = 64 * 1024
+  const offsets = [0, 2 * 1024 * 1024]
+  return fromEvent(
+    createReadableSparseStream(
+      8 * 1024 * 1024,
+      grainSize,
+      offsets,
+      offsets.map(offsetBytes => ({
+        offsetBytes,
+        data: randomBytes(grainSize),
+      }))
+    ).pipe(fs.createWriteStream(path)),
+    'finish'
+  )
+}
+
+let handler
+beforeEach(async () => {
+  handler = getHandler({ url: 'file://' + process.cwd() })
+  await createVhd('disk.vhd')
+})
+
+test('nothing is repaired in a valid VHD', async () => {
+  const content = await fs.readFile('disk.vhd')
+
+  expect(await repair(handler, 'disk.vhd')).toEqual([])
+  expect((await fs.readFile('disk.vhd')).equals(content)).toBe(true)
+})
+
+test('the missing end footer is restored', async () => {
+  const content = await fs.readFile('disk.vhd')
+  await fs.truncate('disk.vhd', content.length - FOOTER_SIZE)
+
+  expect(await repair(handler, 'disk.vhd')).toEqual([
+    'missing or invalid end footer',
+  ])
+  expect((await fs.readFile('disk.vhd')).equals(content)).toBe(true)
+})
+
+test('the invalid start footer is restored from the end footer', async () => {
+  const content = await fs.readFile('disk.vhd')
+  const fd = await fs.open('disk.vhd', 'r+')
+  try {
+    await fs.write(fd, Buffer.from([content[100] ^ 0xff]), 0, 1, 100)
+  } finally {
+    await fs.close(fd)
+  }
+
+  expect(await repair(handler, 'disk.vhd')).toEqual(['invalid start footer'])
+  expect((await fs.readFile('disk.vhd')).equals(content)).toBe(true)
+})
+
+test('the blocks which are not entirely in the file are removed', async () => {
+  const { size } = await fs.stat('disk.vhd')
+  await fs.truncate('disk.vhd', size - FOOTER_SIZE - 1024)
+
+  const problems = await repair(handler, 'disk.vhd')
+  expect(problems).toEqual([
+    'missing or invalid end footer',
+    expect.stringMatching(/^invalid BAT entry for block 1 /),
+  ])
+
+  const vhd = await checkVhdChain(handler, 'disk.vhd')
+  expect(vhd.containsBlock(0)).toBe(true)
+  expect(vhd.containsBlock(1)).toBe(false)
+})
+
+test('a VHD without a valid footer cannot be repaired', async () => {
+  const { size } = await fs.stat('disk.vhd')
+  const fd = await fs.open('disk.vhd', 'r+')
+  try {
+    const garbage = Buffer.alloc(FOOTER_SIZE, 0xff)
+    await fs.write(fd, garbage, 0, FOOTER_SIZE, 0)
+    await fs.write(fd, garbage, 0, FOOTER_SIZE, size - FOOTER_SIZE)
+  } finally {
+    await fs.close(fd)
+  }
+
+  await expect(repair(handler, 'disk.vhd')).rejects.toThrow(
+    'cannot repair a VHD without a valid footer'
+  )
+})
@@ -0,0 +1,78 @@
+import Vhd from './vhd'
+import { BLOCK_UNUSED, FOOTER_SIZE, SECTOR_SIZE } from './_constants'
+import { checksumStruct, fuFooter, unpackField } from './_structs'
+
+const isValidFooter = buf =>
+  unpackField(fuFooter.fields.checksum, buf) === checksumStruct(buf, fuFooter)
+
+// Repair a VHD whose end footer or block allocation table is missing or
+// corrupted:
+//
+// - the start footer is restored from the end footer if necessary (and
+//   vice versa)
+// - the BAT entries pointing to blocks which are not entirely in the file,
+//   overlapping the headers or another block are removed
+//
+// The header must be valid. The BAT itself cannot be rebuilt from a scan of
+// the blocks because they do not contain their index: the data of the
+// removed blocks is lost.
+//
+// Returns the list of the problems which have been fixed.
+export default async function repair (handler, path) {
+  const fd = await handler.openFile(path, 'r+')
+  try {
+    const vhd = new Vhd(handler, fd)
+    const problems = []
+
+    const size = await handler.getSize(fd)
+    const footer = await vhd._read(0, FOOTER_SIZE)
+    const endFooter =
+      size >= 2 * FOOTER_SIZE
+        ? await vhd._read(size - FOOTER_SIZE, FOOTER_SIZE)
+        : undefined
+    let rewriteFooter = !(endFooter !== undefined && footer.equals(endFooter))
+    if (!isValidFooter(footer)) {
+      if (endFooter === undefined || !isValidFooter(endFooter)) {
+        throw new Error('cannot repair a VHD without a valid footer')
+      }
+      problems.push('invalid start footer')
+      await vhd._write(endFooter, 0)
+      rewriteFooter = false
+    } else if (rewriteFooter) {
+      problems.push('missing or invalid end footer')
+    }
+
+    await vhd.readHeaderAndFooter(false)
+    await vhd.readBlockAllocationTable()
+
+    // scan the blocks in the order of their positions in the file
+    const blocks = []
+    for (let i = 0, n = vhd.header.maxTableEntries; i < n; ++i) {
+      const sector = vhd._getBatEntry(i)
+      if (sector !== BLOCK_UNUSED) {
+        blocks.push({ id: i, sector })
+      }
+    }
+    blocks.sort((a, b) => a.sector - b.sector)
+
+    const blockSectors = vhd.sectorsOfBitmap + vhd.sectorsPerBlock
+    let nextFreeSector = Math.ceil(vhd.getEndOfHeaders() / SECTOR_SIZE)
+    for (const { id, sector } of blocks) {
+      const end = sector + blockSectors
+      if (sector < nextFreeSector || end * SECTOR_SIZE > size) {
+        problems.push(`invalid BAT entry for block ${id} (sector ${sector})`)
+        await vhd._setBatEntry(id, BLOCK_UNUSED)
+      } else {
+        nextFreeSector = end
+      }
+    }
+
+    if (rewriteFooter || problems.length !== 0) {
+      await vhd.writeFooter()
+    }
+
+    return problems
+  } finally {
+    await handler.closeFile(fd)
+  }
+}
@@ -496,7 +496,8 @@ export default class Vhd {
       if (isFullBlock) {
         await this.writeEntireBlock(block)
       } else {
-        if (parentBitmap === null) {
+        // the block is created by `writeBlockSectors` if missing
+        if (parentBitmap === null && this.containsBlock(blockId)) {
           parentBitmap = (await this._readBlock(blockId, true)).bitmap
         }
         await this.writeBlockSectors(block, i, endSector, parentBitmap)
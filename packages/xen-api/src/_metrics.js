@@ -0,0 +1,136 @@
+const { create: createObject } = Object
+
+// upper bounds (inclusive) of the buckets of the histograms
+const DURATION_BOUNDS = [
+  5,
+  10,
+  25,
+  50,
+  100,
+  250,
+  500,
+  1e3,
+  2.5e3,
+  5e3,
+  10e3,
+  30e3,
+  60e3,
+] // milliseconds
+const SIZE_BOUNDS = [0, 1, 5, 10, 50, 100, 500, 1e3, 5e3, 10e3]
+
+class Histogram {
+  constructor (bounds) {
+    this._bounds = bounds
+    this._counts = bounds.map(() => 0)
+    this._count = 0
+    this._sum = 0
+  }
+
+  observe (value) {
+    const bounds = this._bounds
+    const counts = this._counts
+    for (let i = 0, n = bounds.length; i < n; ++i) {
+      if (value <= bounds[i]) {
+        ++counts[i]
+        break
+      }
+    }
+    ++this._count
+    this._sum += value
+  }
+
+  // buckets are cumulative, like Prometheus' ones
+  toJSON () {
+    const buckets = {}
+    const bounds = this._bounds
+    const counts = this._counts
+    let cumulated = 0
+    for (let i = 0, n = bounds.length; i < n; ++i) {
+      buckets[bounds[i]] = cumulated += counts[i]
+    }
+    buckets['+Inf'] = this._count
+
+    return { buckets, count: this._count, sum: this._sum }
+  }
+}
+
+class Operation {
+  constructor () {
+    this._duration = new Histogram(DURATION_BOUNDS)
+    this._errors = createObject(null)
+    this._inFlight = 0
+  }
+
+  toJSON () {
+    return {
+      duration: this._duration.toJSON(),
+      errors: { ...this._errors },
+      inFlight: this._inFlight,
+    }
+  }
+}
+
+const getErrorCode = error =>
+  error == null
+    ? String(error)
+    : error.code !== undefined
+      ? String(error.code)
+      : error.response !== undefined
+        ? `HTTP ${error.response.statusCode}`
+        : error.name || 'Error'
+
+// Metrics of a client: latencies, errors and number of in-flight XAPI calls
+// (by method) and HTTP resources (by verb and path), and sizes of the events
+// batches.
+export default class Metrics {
+  constructor () {
+    this._calls = createObject(null)
+    this._eventBatches = new Histogram(SIZE_BOUNDS)
+    this._resources = createObject(null)
+  }
+
+  // returns a function to call with the error, if any, once the call is over
+  startCall (method) {
+    return this._start(this._calls, method)
+  }
+
+  startResource (verb, pathname) {
+    return this._start(this._resources, `${verb} ${pathname}`)
+  }
+
+  observeEventBatch (size) {
+    this._eventBatches.observe(size)
+  }
+
+  _start (operations, key) {
+    const operation = operations[key] || (operations[key] = new Operation())
+    ++operation._inFlight
+
+    const start = Date.now()
+    return error => {
+      --operation._inFlight
+      operation._duration.observe(Date.now() - start)
+      if (error !== undefined) {
+        const code = getErrorCode(error)
+        const errors = operation._errors
+        errors[code] = (errors[code] || 0) + 1
+      }
+    }
+  }
+
+  toJSON () {
+    const toJSON = operations => {
+      const json = {}
+      for (const key in operations) {
+        json[key] = operations[key].toJSON()
+      }
+      return json
+    }
+
+    return {
+      calls: toJSON(this._calls),
+      eventBatches: this._eventBatches.toJSON(),
+      resources: toJSON(this._resources),
+    }
+  }
+}
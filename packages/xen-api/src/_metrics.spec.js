@@ -0,0 +1,93 @@
+/* eslint-env jest */
+
+import Metrics from './_metrics'
+
+describe('Metrics', () => {
+  let metrics, now
+  beforeEach(() => {
+    metrics = new Metrics()
+    now = 0
+    jest.spyOn(Date, 'now').mockImplementation(() => now)
+  })
+  afterEach(() => {
+    Date.now.mockRestore()
+  })
+
+  // a call which lasts `duration` milliseconds
+  const call = (method, duration, error) => {
+    const end = metrics.startCall(method)
+    now += duration
+    end(error)
+  }
+
+  it('counts the durations of the calls in cumulative buckets', () => {
+    call('VM.start', 5)
+    call('VM.start', 30)
+    call('VM.start', 90e3)
+
+    const { duration } = metrics.toJSON().calls['VM.start']
+    expect(duration.count).toBe(3)
+    expect(duration.sum).toBe(90035)
+    expect(duration.buckets).toMatchObject({
+      5: 1,
+      10: 1,
+      25: 1,
+      50: 2,
+      60000: 2,
+      '+Inf': 3,
+    })
+  })
+
+  it('counts the errors by code', () => {
+    call('VM.start', 1, { code: 'VM_BAD_POWER_STATE' })
+    call('VM.start', 1, { code: 'VM_BAD_POWER_STATE' })
+    call('VM.start', 1, { response: { statusCode: 500 } })
+    call('VM.start', 1, new TypeError())
+    call('VM.start', 1)
+
+    expect(metrics.toJSON().calls['VM.start'].errors).toEqual({
+      'HTTP 500': 1,
+      TypeError: 1,
+      VM_BAD_POWER_STATE: 2,
+    })
+  })
+
+  it('counts the in-flight calls and resources', () => {
+    const end = metrics.startCall('VM.start')
+    metrics.startCall('VM.start')
+    metrics.startResource('GET', '/export_raw_vdi/')
+
+    let json = metrics.toJSON()
+    expect(json.calls['VM.start'].inFlight).toBe(2)
+    expect(json.resources['GET /export_raw_vdi/'].inFlight).toBe(1)
+
+    end()
+    json = metrics.toJSON()
+    expect(json.calls['VM.start'].inFlight).toBe(1)
+    expect(json.calls['VM.start'].duration.count).toBe(1)
+  })
+
+  it('records the sizes of the events batches', () => {
+    metrics.observeEventBatch(0)
+    metrics.observeEventBatch(3)
+    metrics.observeEventBatch(20e3)
+
+    expect(metrics.toJSON().eventBatches).toEqual({
+      buckets: {
+        0: 1,
+        1: 1,
+        5: 2,
+        10: 2,
+        50: 2,
+        100: 2,
+        500: 2,
+        1000: 2,
+        5000: 2,
+        10000: 2,
+        '+Inf': 3,
+      },
+      count: 3,
+      sum: 20003,
+    })
+  })
+})
@@ -0,0 +1,92 @@
+// Limits the number of concurrent calls, globally and by method, 0 means no
+// limit.
+//
+// Calls are started in order, except those whose method has reached its limit
+// which do not block the others.
+//
+// `fn` is called with a function which frees the global slot of the call
+// before it is settled, its method slot is kept until then.
+const noop = () => {}
+
+export default class Scheduler {
+  constructor ({ concurrency = 0, methodsConcurrency = {} } = {}) {
+    this._concurrency = concurrency
+    this._methodsConcurrency = methodsConcurrency
+    this._queue = []
+    this._running = 0
+    this._runningByMethod = Object.create(null)
+  }
+
+  // resolves with the result of `fn()` once it has been run
+  schedule (method, fn) {
+    if (this._concurrency === 0 && !this._isLimited(method)) {
+      return new Promise(resolve => resolve(fn(noop)))
+    }
+
+    return new Promise((resolve, reject) => {
+      this._queue.push({ fn, method, reject, resolve })
+      this._next()
+    })
+  }
+
+  _isFull () {
+    const concurrency = this._concurrency
+    return concurrency !== 0 && this._running >= concurrency
+  }
+
+  _isLimited (method) {
+    return this._methodsConcurrency[method] > 0
+  }
+
+  _isMethodFull (method) {
+    return (
+      this._isLimited(method) &&
+      this._runningByMethod[method] >= this._methodsConcurrency[method]
+    )
+  }
+
+  _next () {
+    const queue = this._queue
+    for (let i = 0; i < queue.length && !this._isFull();) {
+      if (this._isMethodFull(queue[i].method)) {
+        ++i
+      } else {
+        const { fn, method, reject, resolve } = queue.splice(i, 1)[0]
+        this._run(method, fn).then(resolve, reject)
+      }
+    }
+  }
+
+  _run (method, fn) {
+    const runningByMethod = this._runningByMethod
+    ++this._running
+    runningByMethod[method] = (runningByMethod[method] || 0) + 1
+
+    let running = true
+    const release = () => {
+      if (running) {
+        running = false
+        --this._running
+        this._next()
+      }
+    }
+    const onSettled = () => {
+      --runningByMethod[method]
+      if (running) {
+        release()
+      } else {
+        this._next()
+      }
+    }
+    return new Promise(resolve => resolve(fn(release))).then(
+      result => {
+        onSettled()
+        return result
+      },
+      error => {
+        onSettled()
+        throw error
+      }
+    )
+  }
+}
@@ -0,0 +1,257 @@
+/* eslint-env jest */
+
+import { defer } from 'promise-toolbox'
+
+import Scheduler from './_scheduler'
+import { createClient, FakePool } from './'
+
+// resolves once the pending promise callbacks have been run
+const flush = () => new Promise(resolve => setImmediate(resolve))
+
+// schedules calls which are settled manually
+const createCalls = scheduler => {
+  const calls = []
+  calls.started = []
+  calls.schedule = (method, id) => {
+    const call = { id, method }
+    calls.push(call)
+    call.promise = scheduler.schedule(method, release => {
+      const { promise, reject, resolve } = defer()
+      Object.assign(call, { reject, release, resolve })
+      calls.started.push(id)
+      return promise
+    })
+    return call
+  }
+  return calls
+}
+
+describe('Scheduler', () => {
+  it('runs all calls without limits', async () => {
+    const calls = createCalls(new Scheduler())
+    ;[1, 2, 3].forEach(id => calls.schedule('VM.start', id))
+    await flush()
+
+    expect(calls.started).toEqual([1, 2, 3])
+  })
+
+  it('runs the calls in order within the global limit', async () => {
+    const calls = createCalls(new Scheduler({ concurrency: 2 }))
+    ;[1, 2, 3, 4].forEach(id => calls.schedule('VM.start', id))
+    await flush()
+    expect(calls.started).toEqual([1, 2])
+
+    calls[1].resolve('result')
+    expect(await calls[1].promise).toBe('result')
+    expect(calls.started).toEqual([1, 2, 3])
+
+    // a failed call frees its slot as well
+    calls[0].reject(new Error('failure'))
+    await expect(calls[0].promise).rejects.toThrow('failure')
+    expect(calls.started).toEqual([1, 2, 3, 4])
+  })
+
+  it('runs the calls of a limited method in order', async () => {
+    const calls = createCalls(
+      new Scheduler({ methodsConcurrency: { 'VDI.copy': 1 } })
+    )
+    ;[1, 2, 3].forEach(id => calls.schedule('VDI.copy', id))
+    await flush()
+    expect(calls.started).toEqual([1])
+
+    calls[0].resolve()
+    await calls[0].promise
+    expect(calls.started).toEqual([1, 2])
+  })
+
+  it('does not block other methods by the calls waiting for theirs', async () => {
+    const calls = createCalls(
+      new Scheduler({ concurrency: 2, methodsConcurrency: { 'VDI.copy': 1 } })
+    )
+    calls.schedule('VDI.copy', 1)
+    calls.schedule('VDI.copy', 2)
+    calls.schedule('VM.start', 3)
+    calls.schedule('VM.start', 4)
+    await flush()
+    expect(calls.started).toEqual([1, 3])
+
+    calls[2].resolve()
+    await calls[2].promise
+    expect(calls.started).toEqual([1, 3, 4])
+
+    // the first waiting call is started first
+    calls[0].resolve()
+    await calls[0].promise
+    expect(calls.started).toEqual([1, 3, 4, 2])
+  })
+
+  it('keeps the method slot of a released call until it is settled', async () => {
+    const calls = createCalls(
+      new Scheduler({ concurrency: 1, methodsConcurrency: { 'VDI.copy': 1 } })
+    )
+    calls.schedule('VDI.copy', 1)
+    calls.schedule('VDI.copy', 2)
+    calls.schedule('VM.start', 3)
+    await flush()
+    expect(calls.started).toEqual([1])
+
+    calls[0].release()
+    calls[0].release() // only released once
+    await flush()
+    expect(calls.started).toEqual([1, 3])
+
+    calls[2].resolve()
+    await calls[2].promise
+    expect(calls.started).toEqual([1, 3])
+
+    calls[0].resolve()
+    await calls[0].promise
+    expect(calls.started).toEqual([1, 3, 2])
+  })
+})
+
+describe('Xapi', () => {
+  let pool, vmRef, xapi
+  beforeEach(async () => {
+    pool = new FakePool()
+    vmRef = pool.add('VM', { name_label: 'vm', tags: ['foo'] })
+  })
+  afterEach(() => xapi.disconnect())
+
+  const connect = async opts => {
+    xapi = createClient({
+      fixtures: pool,
+      transport: 'replay',
+      watchEvents: false,
+      ...opts,
+    })
+    await xapi.connect()
+  }
+
+  // records the calls of a method, which are answered once released
+  const holdCalls = (method, answer) => {
+    const calls = []
+    let pending
+    calls.release = () => {
+      pending.resolve()
+      pending = undefined
+    }
+    pool.setHandler(method, args => {
+      calls.push(args)
+      if (pending === undefined) {
+        pending = defer()
+      }
+      return pending.promise.then(() => answer(args))
+    })
+    return calls
+  }
+  const getRecord = ([ref]) => pool.get(ref)
+  const setNameLabel = ([ref, nameLabel]) => {
+    pool.update(ref, { name_label: nameLabel })
+    return ''
+  }
+
+  describe('coalescing of read-only calls', () => {
+    it('makes identical concurrent calls only once', async () => {
+      await connect()
+      const calls = holdCalls('VM.get_record', getRecord)
+
+      // the result might be modified by the first caller before the second
+      // call is made
+      const promises = [
+        xapi.call('VM.get_record', vmRef).then(record => {
+          record.tags.push('bar')
+          return record
+        }),
+      ]
+      promises.push(xapi.call('VM.get_record', vmRef))
+      await flush()
+      expect(calls.length).toBe(1)
+
+      calls.release()
+      const [record1, record2] = await Promise.all(promises)
+      expect(record2.tags).toEqual(['foo'])
+      expect(record1.name_label).toBe('vm')
+      expect(record2.name_label).toBe('vm')
+      expect(record1).not.toBe(record2)
+
+      // once settled, the call is made again
+      const promise = xapi.call('VM.get_record', vmRef)
+      await flush()
+      expect(calls.length).toBe(2)
+      calls.release()
+      await promise
+    })
+
+    it('does not coalesce calls with side effects', async () => {
+      await connect()
+      const calls = holdCalls('VM.set_name_label', setNameLabel)
+
+      const promises = [
+        xapi.call('VM.set_name_label', vmRef, 'foo'),
+        xapi.call('VM.set_name_label', vmRef, 'foo'),
+      ]
+      await flush()
+      expect(calls.length).toBe(2)
+
+      calls.release()
+      await Promise.all(promises)
+    })
+
+    it('can be disabled', async () => {
+      await connect({ coalesceReadOnlyCalls: false })
+      const calls = holdCalls('VM.get_record', getRecord)
+
+      const promises = [
+        xapi.call('VM.get_record', vmRef),
+        xapi.call('VM.get_record', vmRef),
+      ]
+      await flush()
+      expect(calls.length).toBe(2)
+
+      calls.release()
+      await Promise.all(promises)
+    })
+  })
+
+  it('limits the number of concurrent calls', async () => {
+    await connect({ maxConcurrency: 1 })
+    const calls = holdCalls('VM.set_name_label', setNameLabel)
+
+    const promises = [
+      xapi.call('VM.set_name_label', vmRef, 'foo'),
+      xapi.call('VM.set_name_label', vmRef, 'bar'),
+    ]
+    await flush()
+    expect(calls.length).toBe(1)
+    expect(calls[0]).toEqual([vmRef, 'foo'])
+
+    calls.release()
+    await promises[0]
+    await flush()
+    expect(calls.length).toBe(2)
+
+    calls.release()
+    await promises[1]
+    expect(pool.get(vmRef).name_label).toBe('bar')
+  })
+
+  it('does not count an async call towards the global limit once its task is created', async () => {
+    await connect({ maxConcurrency: 1, watchEvents: true })
+    const calls = holdCalls('VM.clone', ([, nameLabel]) =>
+      pool.add('VM', { name_label: nameLabel })
+    )
+
+    const promise = xapi.callAsync('VM.clone', vmRef, 'clone')
+    await flush()
+    expect(calls.length).toBe(1)
+
+    expect((await xapi.call('VM.get_record', vmRef)).name_label).toBe('vm')
+
+    calls.release()
+    const result = await promise
+    expect(pool.get(/<value>(.*)<\/value>/.exec(result)[1]).name_label).toBe(
+      'clone'
+    )
+  })
+})
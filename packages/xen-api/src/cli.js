@@ -28,11 +28,13 @@ function askPassword (prompt = 'Password: ') {
 
 // ===================================================================
 
-const usage = 'Usage: xen-api <url> [<user> [<password>]]'
+const usage =
+  'Usage: xen-api [--watched-types <type>,...] <url> [<user> [<password>]]'
 
 const main = async args => {
   const opts = minimist(args, {
     boolean: ['allow-unauthorized', 'help', 'read-only', 'verbose'],
+    string: ['watched-types'],
 
     alias: {
       'allow-unauthorized': 'au',
@@ -73,6 +75,10 @@ const main = async args => {
     auth,
     debounce: opts.debounce != null ? +opts.debounce : null,
     readOnly: opts.ro,
+    watchedTypes:
+      opts['watched-types'] !== undefined
+        ? opts['watched-types'].split(',')
+        : undefined,
   })
   await xapi.connect()
 
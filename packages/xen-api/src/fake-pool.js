@@ -0,0 +1,416 @@
+import { forEach, isArray, startsWith } from 'lodash'
+
+// In-memory pool which answers XAPI calls, used by the replay transport to test
+// XAPI clients without a live host.
+//
+// Calls are answered, by order of precedence:
+//
+// 1. by the handlers set with `setHandler()`
+// 2. by the recorded fixtures (see the record transport), the responses of
+//    identical calls are served in order, the last one is then repeated
+// 3. from the objects of the pool: `event.from()`, `<class>.get_record()`,
+//    `<class>.get_all_records()`, `<class>.set_<field>()`,
+//    `<class>.add_to_<field>()`, `<class>.create()`, `<class>.destroy()`, etc.
+//
+// `Async.<method>()` calls are answered with a task which is immediately
+// completed with the result of `<method>()`.
+//
+// The objects are initialized from the `event.from()` and `get_all_records()`
+// results of the fixtures.
+
+// the session ids are not recorded, neither are the arguments of the session
+// methods which contain the credentials
+export const getRecordedArgs = (method, args) =>
+  startsWith(method, 'session.') ? [] : args.slice(1)
+
+const getCallKey = (method, recordedArgs) =>
+  JSON.stringify([method, recordedArgs])
+
+// errors are stored as XAPI error descriptions (`[code, ...params]`) or as
+// `{ code, message }` for other errors (e.g. network)
+export const serializeError = error => {
+  if (isArray(error)) {
+    return error
+  }
+  if (error instanceof Error) {
+    return { code: error.code, message: error.message }
+  }
+  // JSON-RPC error
+  return [error.message, ...(error.data || [])]
+}
+
+const deserializeError = error =>
+  isArray(error)
+    ? error
+    : Object.assign(new Error(error.message), { code: error.code })
+
+// XAPI error descriptions, which are thrown as is by the transports
+const xapiError = (code, ...params) => [code, ...params]
+
+const handleInvalid = (type, ref) => xapiError('HANDLE_INVALID', type, ref)
+
+// like XAPI, only the most recent events are kept, `event.from()` fails with
+// `EVENTS_LOST` for an older token
+const MAX_EVENTS = 1e3
+
+const RE_FIELD_METHOD = /^(get|set|add_to|remove_from|add|remove)_(.+)$/
+
+let uuidCounter = 0
+const generateUuid = () => {
+  const hex = (++uuidCounter).toString(16)
+  return `00000000-0000-4000-8000-${'0'.repeat(12 - hex.length)}${hex}`
+}
+
+export default class FakePool {
+  constructor ({ calls = [] } = {}) {
+    this._eventId = 0
+    this._events = []
+    this._lastDroppedEventId = 0
+    this._eventWaiters = []
+    this._handlers = Object.create(null)
+    this._nextRef = 0
+
+    // objects by ref: { ref, snapshot, type }
+    this._objects = Object.create(null)
+
+    // recorded responses by call key
+    const responses = (this._responses = Object.create(null))
+
+    forEach(calls, ({ args, error, method, result }) => {
+      if (method === 'event.from') {
+        if (result !== undefined) {
+          forEach(result.events, event => {
+            if (event.operation === 'del') {
+              delete this._objects[event.ref]
+            } else {
+              this._set(event.class, event.ref, event.snapshot)
+            }
+          })
+        }
+        return
+      }
+
+      const i = method.indexOf('.')
+      const name = method.slice(i + 1)
+      if (name === 'get_all_records' && result !== undefined) {
+        const type = method.slice(0, i)
+        forEach(result, (snapshot, ref) => {
+          this._set(type, ref, snapshot)
+        })
+      }
+
+      const key = getCallKey(method, args)
+      ;(responses[key] || (responses[key] = [])).push({ error, result })
+    })
+  }
+
+  // ===========================================================================
+  // scripting
+  // ===========================================================================
+
+  // `handler(args, pool)` returns the result (or a promise) of the method,
+  // `args` do not contain the session id
+  //
+  // XAPI errors are thrown as `[code, ...params]`
+  setHandler (method, handler) {
+    if (handler === undefined) {
+      delete this._handlers[method]
+    } else {
+      this._handlers[method] = handler
+    }
+  }
+
+  // creates an object and returns its ref
+  add (type, snapshot = {}) {
+    const ref = `OpaqueRef:fake-${++this._nextRef}`
+    if (!('uuid' in snapshot)) {
+      snapshot = { ...snapshot, uuid: generateUuid() }
+    }
+    this._set(type, ref, snapshot, 'add')
+    return ref
+  }
+
+  // returns a copy of the record of an object
+  get (ref) {
+    const object = this._objects[ref]
+    if (object === undefined) {
+      throw handleInvalid('object', ref)
+    }
+    return { ...object.snapshot }
+  }
+
+  // refs of the objects of a type
+  getAll (type) {
+    type = type.toLowerCase()
+    const refs = []
+    forEach(this._objects, (object, ref) => {
+      if (object.type === type) {
+        refs.push(ref)
+      }
+    })
+    return refs
+  }
+
+  remove (ref) {
+    const object = this._objects[ref]
+    if (object === undefined) {
+      throw handleInvalid('object', ref)
+    }
+    delete this._objects[ref]
+    this._emit(object.type, ref, 'del')
+  }
+
+  update (ref, properties) {
+    const object = this._objects[ref]
+    if (object === undefined) {
+      throw handleInvalid('object', ref)
+    }
+    this._set(object.type, ref, { ...object.snapshot, ...properties }, 'mod')
+  }
+
+  // ===========================================================================
+  // transport
+  // ===========================================================================
+
+  // the results are serialized like by a real transport so that they are not
+  // shared with the pool
+  call (method, args) {
+    return new Promise(resolve => resolve(this._call(method, args))).then(
+      result =>
+        result === undefined ? result : JSON.parse(JSON.stringify(result))
+    )
+  }
+
+  _call (method, args) {
+    const handler = this._handlers[method]
+    if (handler !== undefined) {
+      return handler(
+        startsWith(method, 'session.') ? args : args.slice(1),
+        this
+      )
+    }
+
+    const key = getCallKey(method, getRecordedArgs(method, args))
+    const responses = this._responses[key]
+    if (responses !== undefined) {
+      const { error, result } =
+        responses.length > 1 ? responses.shift() : responses[0]
+      if (error !== undefined) {
+        throw deserializeError(error)
+      }
+      return result
+    }
+
+    if (method === 'session.login_with_password') {
+      return `OpaqueRef:fake-session-${++this._nextRef}`
+    }
+    if (method === 'session.logout') {
+      // interrupts the pending `event.from()`
+      this._wakeEventWaiters(true)
+      return ''
+    }
+
+    if (startsWith(method, 'Async.')) {
+      return this._callAsync(method.slice(6), args)
+    }
+
+    // remove the session id
+    args = args.slice(1)
+
+    if (method === 'event.from') {
+      return this._eventFrom(args[0], args[1])
+    }
+
+    const i = method.indexOf('.')
+    return this._callObjectMethod(method.slice(0, i), method.slice(i + 1), args)
+  }
+
+  _callAsync (method, args) {
+    const taskRef = this.add('task', {
+      error_info: [],
+      name_label: `Async.${method}`,
+      result: '',
+      status: 'pending',
+    })
+
+    this.call(method, args).then(
+      result => {
+        this.update(taskRef, {
+          result:
+            typeof result === 'string' && result !== ''
+              ? `<value>${result}</value>`
+              : '',
+          status: 'success',
+        })
+      },
+      error => {
+        this.update(taskRef, {
+          error_info: isArray(error) ? error : [String(error.message)],
+          status: 'failure',
+        })
+      }
+    )
+
+    return taskRef
+  }
+
+  _callObjectMethod (className, name, args) {
+    const type = className.toLowerCase()
+    const [ref] = args
+
+    if (name === 'get_all_records') {
+      const records = {}
+      forEach(this._objects, (object, ref) => {
+        if (object.type === type) {
+          records[ref] = object.snapshot
+        }
+      })
+      return records
+    }
+    if (name === 'get_all') {
+      return this.getAll(type)
+    }
+    if (name === 'get_by_uuid') {
+      for (const ref in this._objects) {
+        const object = this._objects[ref]
+        if (object.type === type && object.snapshot.uuid === args[0]) {
+          return ref
+        }
+      }
+      throw xapiError('UUID_INVALID', className, args[0])
+    }
+    if (name === 'create') {
+      return this.add(type, args[0])
+    }
+
+    const object = this._objects[ref]
+    if (object === undefined || object.type !== type) {
+      throw handleInvalid(className, ref)
+    }
+
+    if (name === 'get_record') {
+      return object.snapshot
+    }
+    if (name === 'destroy') {
+      this.remove(ref)
+      return ''
+    }
+
+    const matches = RE_FIELD_METHOD.exec(name)
+    if (matches !== null) {
+      const [, action, field] = matches
+      const value = object.snapshot[field]
+      if (value !== undefined || action === 'set') {
+        if (action === 'get') {
+          return value
+        }
+        if (action === 'set') {
+          this.update(ref, { [field]: args[1] })
+          return ''
+        }
+        if (action === 'add_to') {
+          this.update(ref, { [field]: { ...value, [args[1]]: args[2] } })
+          return ''
+        }
+        if (action === 'remove_from') {
+          const map = { ...value }
+          delete map[args[1]]
+          this.update(ref, { [field]: map })
+          return ''
+        }
+
+        // sets: `add_tags()`, `remove_tags()`, etc.
+        if (isArray(value)) {
+          const set = value.filter(item => item !== args[1])
+          if (action === 'add') {
+            set.push(args[1])
+          }
+          this.update(ref, { [field]: set })
+          return ''
+        }
+      }
+    }
+
+    throw xapiError('MESSAGE_METHOD_UNKNOWN', `${className}.${name}`)
+  }
+
+  // like XAPI, waits for at least one event, except for the initial call which
+  // returns all the objects (there is no timeout but a logout interrupts it)
+  _eventFrom (classes, token, wait = true) {
+    const watchAll = classes.indexOf('*') !== -1
+    const isWatched = type =>
+      watchAll || classes.some(name => name.toLowerCase() === type)
+
+    let events
+    if (token === '') {
+      events = []
+      forEach(this._objects, ({ snapshot, type }, ref) => {
+        if (isWatched(type)) {
+          events.push({
+            class: type,
+            operation: 'add',
+            ref,
+            snapshot,
+          })
+        }
+      })
+    } else {
+      const id = +token
+      if (id < this._lastDroppedEventId) {
+        throw xapiError('EVENTS_LOST')
+      }
+      events = this._events.filter(
+        event => event.id > id && isWatched(event.class)
+      )
+      if (events.length === 0 && wait) {
+        return new Promise(resolve => {
+          this._eventWaiters.push(resolve)
+        }).then(interrupted => this._eventFrom(classes, token, !interrupted))
+      }
+    }
+
+    const counts = {}
+    forEach(this._objects, ({ type }) => {
+      counts[type] = (counts[type] || 0) + 1
+    })
+    counts.task = counts.task || 0
+
+    return {
+      events,
+      token: String(this._eventId),
+      valid_ref_counts: counts,
+    }
+  }
+
+  _emit (type, ref, operation, snapshot) {
+    const events = this._events
+    events.push({
+      class: type,
+      id: ++this._eventId,
+      operation,
+      ref,
+      snapshot,
+    })
+    if (events.length > MAX_EVENTS) {
+      this._lastDroppedEventId = events.shift().id
+    }
+
+    this._wakeEventWaiters(false)
+  }
+
+  _wakeEventWaiters (interrupted) {
+    const waiters = this._eventWaiters
+    if (waiters.length !== 0) {
+      this._eventWaiters = []
+      forEach(waiters, resolve => resolve(interrupted))
+    }
+  }
+
+  _set (type, ref, snapshot, operation) {
+    type = type.toLowerCase()
+    this._objects[ref] = { snapshot, type }
+    if (operation !== undefined) {
+      this._emit(type, ref, operation, snapshot)
+    }
+  }
+}
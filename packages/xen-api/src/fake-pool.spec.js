@@ -0,0 +1,384 @@
+/* eslint-env jest */
+
+import { defer } from 'promise-toolbox'
+
+import FakePool from './fake-pool'
+import { createClient } from './'
+
+const SESSION = 'OpaqueRef:session'
+
+// resolves once the pending promise callbacks have been run
+const flush = () => new Promise(resolve => setImmediate(resolve))
+
+// calls a method with a session id, like a transport
+const call = (pool, method, ...args) => pool.call(method, [SESSION, ...args])
+
+describe('FakePool', () => {
+  describe('fixtures', () => {
+    const fixtures = {
+      calls: [
+        {
+          method: 'session.login_with_password',
+          args: [],
+          result: 'OpaqueRef:recorded-session',
+        },
+        {
+          method: 'event.from',
+          args: [['vm'], '', 60.1],
+          result: {
+            events: [
+              {
+                class: 'vm',
+                operation: 'add',
+                ref: 'OpaqueRef:vm1',
+                snapshot: { name_label: 'vm1' },
+              },
+              {
+                class: 'vm',
+                operation: 'add',
+                ref: 'OpaqueRef:vm2',
+                snapshot: { name_label: 'vm2' },
+              },
+              { class: 'vm', operation: 'del', ref: 'OpaqueRef:vm2' },
+            ],
+            token: '1',
+          },
+        },
+        {
+          method: 'SR.get_all_records',
+          args: [],
+          result: { 'OpaqueRef:sr': { name_label: 'sr' } },
+        },
+        {
+          method: 'VM.get_power_state',
+          args: ['OpaqueRef:vm1'],
+          result: 'Halted',
+        },
+        {
+          method: 'VM.get_power_state',
+          args: ['OpaqueRef:vm1'],
+          result: 'Running',
+        },
+        {
+          method: 'VM.start',
+          args: ['OpaqueRef:vm1', false, false],
+          error: ['VM_BAD_POWER_STATE', 'OpaqueRef:vm1', 'halted', 'running'],
+        },
+        {
+          method: 'host.get_record',
+          args: ['OpaqueRef:host'],
+          error: { code: 'ECONNRESET', message: 'socket hang up' },
+        },
+      ],
+    }
+
+    let pool
+    beforeEach(() => {
+      pool = new FakePool(fixtures)
+    })
+
+    it('serves the responses of identical calls in order', async () => {
+      const getPowerState = () =>
+        call(pool, 'VM.get_power_state', 'OpaqueRef:vm1')
+
+      expect(await getPowerState()).toBe('Halted')
+      expect(await getPowerState()).toBe('Running')
+
+      // the last one is then repeated
+      expect(await getPowerState()).toBe('Running')
+    })
+
+    it('ignores the session id and the credentials', async () => {
+      expect(
+        await pool.call('session.login_with_password', ['root', 'password'])
+      ).toBe('OpaqueRef:recorded-session')
+      expect(
+        await pool.call('VM.get_power_state', [
+          'other session',
+          'OpaqueRef:vm1',
+        ])
+      ).toBe('Halted')
+    })
+
+    it('throws the recorded errors', async () => {
+      await expect(
+        call(pool, 'VM.start', 'OpaqueRef:vm1', false, false)
+      ).rejects.toEqual([
+        'VM_BAD_POWER_STATE',
+        'OpaqueRef:vm1',
+        'halted',
+        'running',
+      ])
+
+      const error = await call(pool, 'host.get_record', 'OpaqueRef:host').catch(
+        error => error
+      )
+      expect(error).toBeInstanceOf(Error)
+      expect(error.code).toBe('ECONNRESET')
+      expect(error.message).toBe('socket hang up')
+    })
+
+    it('is populated from the recorded objects', async () => {
+      expect(pool.getAll('VM')).toEqual(['OpaqueRef:vm1'])
+      expect(pool.get('OpaqueRef:sr')).toEqual({ name_label: 'sr' })
+
+      // the other calls are answered from the objects
+      expect(await call(pool, 'VM.get_name_label', 'OpaqueRef:vm1')).toBe('vm1')
+    })
+  })
+
+  describe('handlers', () => {
+    it('take precedence', async () => {
+      const pool = new FakePool()
+      const vmRef = pool.add('VM', { power_state: 'Halted' })
+      const handler = jest.fn(([ref], pool) => {
+        pool.update(ref, { power_state: 'Running' })
+        return ''
+      })
+      pool.setHandler('VM.start', handler)
+
+      expect(await call(pool, 'VM.start', vmRef, false, false)).toBe('')
+      expect(handler.mock.calls).toEqual([[[vmRef, false, false], pool]])
+      expect(pool.get(vmRef).power_state).toBe('Running')
+
+      pool.setHandler('VM.start', undefined)
+      await expect(call(pool, 'VM.start', vmRef, false, false)).rejects.toEqual(
+        ['MESSAGE_METHOD_UNKNOWN', 'VM.start']
+      )
+    })
+  })
+
+  describe('object methods', () => {
+    let pool, vmRef
+    beforeEach(() => {
+      pool = new FakePool()
+      vmRef = pool.add('VM', {
+        name_label: 'vm',
+        other_config: { foo: 'foo' },
+        tags: ['foo'],
+        uuid: 'a5a3de2e-ad22-4a5b-8b5b-2f1ee0d9b3f9',
+      })
+    })
+
+    it('get the records', async () => {
+      expect(await call(pool, 'VM.get_record', vmRef)).toEqual(pool.get(vmRef))
+      expect(await call(pool, 'VM.get_all_records')).toEqual({
+        [vmRef]: pool.get(vmRef),
+      })
+      expect(await call(pool, 'VM.get_all')).toEqual([vmRef])
+      expect(
+        await call(
+          pool,
+          'VM.get_by_uuid',
+          'a5a3de2e-ad22-4a5b-8b5b-2f1ee0d9b3f9'
+        )
+      ).toBe(vmRef)
+      await expect(call(pool, 'VM.get_by_uuid', 'foo')).rejects.toEqual([
+        'UUID_INVALID',
+        'VM',
+        'foo',
+      ])
+    })
+
+    it('do not share the records with the pool', async () => {
+      const record = await call(pool, 'VM.get_record', vmRef)
+      record.tags.push('bar')
+
+      expect(pool.get(vmRef).tags).toEqual(['foo'])
+    })
+
+    it('get and set the fields', async () => {
+      expect(await call(pool, 'VM.get_name_label', vmRef)).toBe('vm')
+
+      await call(pool, 'VM.set_name_label', vmRef, 'new name')
+      expect(pool.get(vmRef).name_label).toBe('new name')
+
+      // a field can be set even if it does not exist yet
+      await call(pool, 'VM.set_name_description', vmRef, 'description')
+      expect(pool.get(vmRef).name_description).toBe('description')
+    })
+
+    it('update the maps', async () => {
+      await call(pool, 'VM.add_to_other_config', vmRef, 'bar', 'bar')
+      expect(pool.get(vmRef).other_config).toEqual({ foo: 'foo', bar: 'bar' })
+
+      await call(pool, 'VM.remove_from_other_config', vmRef, 'foo')
+      expect(pool.get(vmRef).other_config).toEqual({ bar: 'bar' })
+    })
+
+    it('update the sets', async () => {
+      await call(pool, 'VM.add_tags', vmRef, 'bar')
+      await call(pool, 'VM.add_tags', vmRef, 'bar')
+      expect(pool.get(vmRef).tags).toEqual(['foo', 'bar'])
+
+      await call(pool, 'VM.remove_tags', vmRef, 'foo')
+      expect(pool.get(vmRef).tags).toEqual(['bar'])
+    })
+
+    it('create and destroy the objects', async () => {
+      const ref = await call(pool, 'network.create', { name_label: 'net' })
+      expect(pool.get(ref).name_label).toBe('net')
+      expect(pool.get(ref).uuid).toMatch(/^[0-9a-f-]{36}$/)
+      expect(pool.getAll('network')).toEqual([ref])
+
+      expect(await call(pool, 'network.destroy', ref)).toBe('')
+      expect(pool.getAll('network')).toEqual([])
+    })
+
+    it('reject invalid handles and unknown methods', async () => {
+      await expect(
+        call(pool, 'VM.get_record', 'OpaqueRef:missing')
+      ).rejects.toEqual(['HANDLE_INVALID', 'VM', 'OpaqueRef:missing'])
+
+      // an object of another class
+      await expect(call(pool, 'SR.get_record', vmRef)).rejects.toEqual([
+        'HANDLE_INVALID',
+        'SR',
+        vmRef,
+      ])
+
+      await expect(call(pool, 'VM.get_foo', vmRef)).rejects.toEqual([
+        'MESSAGE_METHOD_UNKNOWN',
+        'VM.get_foo',
+      ])
+    })
+  })
+
+  describe('Async.* calls', () => {
+    let pool
+    beforeEach(() => {
+      pool = new FakePool()
+    })
+
+    it('create a task which is completed with the result', async () => {
+      const { promise, resolve } = defer()
+      pool.setHandler('network.create', ([record], pool) =>
+        promise.then(() => pool.add('network', record))
+      )
+      const taskRef = await call(pool, 'Async.network.create', {
+        name_label: 'net',
+      })
+
+      // the task is pending until the method is over
+      await flush()
+      expect(pool.get(taskRef)).toMatchObject({
+        name_label: 'Async.network.create',
+        status: 'pending',
+      })
+
+      resolve()
+      await flush()
+      const { result, status } = pool.get(taskRef)
+      expect(status).toBe('success')
+      const [, ref] = /^<value>(.*)<\/value>$/.exec(result)
+      expect(pool.get(ref).name_label).toBe('net')
+    })
+
+    it('create a task which is failed with the error', async () => {
+      const taskRef = await call(pool, 'Async.VM.start', 'OpaqueRef:missing')
+
+      await flush()
+      expect(pool.get(taskRef)).toMatchObject({
+        error_info: ['HANDLE_INVALID', 'VM', 'OpaqueRef:missing'],
+        status: 'failure',
+      })
+    })
+
+    it('are completed by the client', async () => {
+      pool.add('pool', { name_label: 'pool' })
+      const xapi = createClient({ fixtures: pool, transport: 'replay' })
+      await xapi.connect()
+      try {
+        const result = await xapi.callAsync('network.create', {
+          name_label: 'net',
+        })
+        expect(result).toMatch(/^<value>OpaqueRef:/)
+
+        // the task has been destroyed by the client
+        expect(pool.getAll('task')).toEqual([])
+      } finally {
+        await xapi.disconnect()
+      }
+    })
+  })
+
+  describe('event.from()', () => {
+    let pool, vmRef
+    beforeEach(() => {
+      pool = new FakePool()
+      vmRef = pool.add('VM', { name_label: 'vm' })
+      pool.add('SR', { name_label: 'sr' })
+    })
+
+    const eventFrom = (classes, token) =>
+      call(pool, 'event.from', classes, token, 60.1)
+
+    it('returns all the watched objects for the initial call', async () => {
+      const { events, token, valid_ref_counts: counts } = await eventFrom(
+        ['VM'],
+        ''
+      )
+      expect(events).toEqual([
+        {
+          class: 'vm',
+          operation: 'add',
+          ref: vmRef,
+          snapshot: pool.get(vmRef),
+        },
+      ])
+      expect(counts).toEqual({ sr: 1, task: 0, vm: 1 })
+
+      pool.update(vmRef, { name_label: 'foo' })
+      expect((await eventFrom(['*'], token)).events).toMatchObject([
+        { class: 'vm', operation: 'mod', ref: vmRef },
+      ])
+    })
+
+    it('waits for an event of a watched class', async () => {
+      const { token } = await eventFrom(['VM'], '')
+
+      let result
+      eventFrom(['VM'], token).then(_ => {
+        result = _
+      })
+      await flush()
+      expect(result).toBe(undefined)
+
+      pool.add('SR', {})
+      await flush()
+      expect(result).toBe(undefined)
+
+      pool.remove(vmRef)
+      await flush()
+      expect(result.events).toEqual([
+        { class: 'vm', id: expect.any(Number), operation: 'del', ref: vmRef },
+      ])
+    })
+
+    it('is interrupted by a logout', async () => {
+      const { token } = await eventFrom(['VM'], '')
+
+      const promise = eventFrom(['VM'], token)
+      await flush()
+      await pool.call('session.logout', [SESSION])
+
+      const result = await promise
+      expect(result.events).toEqual([])
+      expect(result.token).toBe(token)
+    })
+
+    it('fails if the token is older than the kept events', async () => {
+      const { token } = await eventFrom(['VM'], '')
+      for (let i = 0; i < 1e3; ++i) {
+        pool.update(vmRef, { name_label: String(i) })
+      }
+      expect((await eventFrom(['VM'], token)).events.length).toBe(1e3)
+
+      pool.update(vmRef, { name_label: 'foo' })
+      await expect(eventFrom(['VM'], token)).rejects.toEqual(['EVENTS_LOST'])
+
+      const { events } = await eventFrom(['VM'], String(+token + 1))
+      expect(events.length).toBe(1e3)
+    })
+  })
+})
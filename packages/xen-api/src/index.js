@@ -7,14 +7,17 @@ import { BaseError } from 'make-error'
 import { EventEmitter } from 'events'
 import { fibonacci } from 'iterable-backoff'
 import {
+  cloneDeep,
   filter,
   forEach,
+  identity,
   isArray,
   isInteger,
   isObject,
   map,
   noop,
   omit,
+  pick,
   reduce,
   startsWith,
 } from 'lodash'
@@ -31,6 +34,13 @@ import {
 } from 'promise-toolbox'
 
 import autoTransport from './transports/auto'
+import Metrics from './_metrics'
+import Scheduler from './_scheduler'
+import jsonRpcTransport from './transports/json-rpc'
+import recordTransport, { createRecorder } from './transports/record'
+import replayTransport, { getFakePool } from './transports/replay'
+import xmlRpcJsonTransport from './transports/xml-rpc-json'
+import xmlRpcTransport from './transports/xml-rpc'
 
 const debug = createDebug('xen-api')
 
@@ -178,6 +188,37 @@ const getKey = o => o.$id
 
 // -------------------------------------------------------------------
 
+// these types are always watched entirely because they are necessary to
+// `barrier()` and to the tasks handling
+const REQUIRED_TYPES = ['pool', 'task']
+
+// normalizes the `watchedTypes` option into an object associating the
+// (lowercase) types to `true` or to the list of fields to keep
+const normalizeWatchedTypes = watchedTypes => {
+  if (watchedTypes === undefined) {
+    return
+  }
+
+  const normalized = createObject(null)
+  if (isArray(watchedTypes)) {
+    forEach(watchedTypes, type => {
+      normalized[type.toLowerCase()] = true
+    })
+  } else {
+    forEach(watchedTypes, (fields, type) => {
+      normalized[type.toLowerCase()] =
+        fields === true ? true : freezeObject(['uuid', ...fields])
+    })
+  }
+  forEach(REQUIRED_TYPES, type => {
+    normalized[type] = true
+  })
+
+  return normalized
+}
+
+// -------------------------------------------------------------------
+
 const EMPTY_ARRAY = freezeObject([])
 
 // -------------------------------------------------------------------
@@ -201,6 +242,25 @@ const getTaskResult = task => {
 
 // -------------------------------------------------------------------
 
+const TRANSPORTS = {
+  __proto__: null,
+
+  auto: autoTransport,
+  'json-rpc': jsonRpcTransport,
+  record: recordTransport,
+  replay: replayTransport,
+  'xml-rpc': xmlRpcTransport,
+  'xml-rpc-json': xmlRpcJsonTransport,
+}
+
+// -------------------------------------------------------------------
+
+// OpenTelemetry `SpanKind.CLIENT` and `SpanStatusCode.ERROR`
+const SPAN_KIND_CLIENT = 2
+const SPAN_STATUS_ERROR = 2
+
+// -------------------------------------------------------------------
+
 const CONNECTED = 'connected'
 const CONNECTING = 'connecting'
 const DISCONNECTED = 'disconnected'
@@ -211,12 +271,50 @@ export class Xapi extends EventEmitter {
   constructor (opts) {
     super()
 
+    let { auth, fixtures, transport = 'auto', url: rawUrl } = opts
+    if (typeof transport !== 'function') {
+      const createTransport = TRANSPORTS[transport]
+      if (createTransport === undefined) {
+        throw new Error('unknown transport: ' + transport)
+      }
+
+      // the state of these transports must survive a redirection
+      if (transport === 'record') {
+        const recorder = createRecorder(fixtures)
+        transport = transportOpts =>
+          createTransport({ ...transportOpts, recorder })
+      } else {
+        if (transport === 'replay') {
+          fixtures = getFakePool(fixtures)
+
+          // there is no actual host, nor credentials
+          if (auth === undefined) {
+            auth = { user: 'root', password: '' }
+          }
+          if (rawUrl === undefined) {
+            rawUrl = 'replay'
+          }
+        }
+        transport = createTransport
+      }
+    }
+    this._createTransport = transport
+    this._fixtures = fixtures
+
     this._allowUnauthorized = opts.allowUnauthorized
-    this._auth = opts.auth
+    this._auth = auth
+    this._metrics = new Metrics()
+    this._pendingReadOnlyCalls =
+      opts.coalesceReadOnlyCalls === false ? undefined : createObject(null)
+    this._tracer = opts.tracer
     this._pool = null
     this._readOnly = Boolean(opts.readOnly)
+    this._scheduler = new Scheduler({
+      concurrency: opts.maxConcurrency,
+      methodsConcurrency: opts.methodsConcurrency,
+    })
     this._sessionId = null
-    const url = (this._url = parseUrl(opts.url))
+    const url = (this._url = parseUrl(rawUrl))
 
     if (this._auth === undefined) {
       const user = url.username
@@ -250,9 +348,23 @@ export class Xapi extends EventEmitter {
 
       this._taskWatchers = Object.create(null)
 
+      const watchedTypes = (this._watchedTypes = normalizeWatchedTypes(
+        opts.watchedTypes
+      ))
+      // the hosts are always watched for their addresses, see
+      // `_updateHostAddress()`
+      this._eventClasses =
+        watchedTypes === undefined
+          ? ['*']
+          : 'host' in watchedTypes
+            ? Object.keys(watchedTypes)
+            : [...Object.keys(watchedTypes), 'host']
+      this._hostAddresses = createObject(null)
+
       this.on('connected', this._watchEvents)
       this.on('disconnected', () => {
         this._fromToken = ''
+        this._hostAddresses = createObject(null)
         objects.clear()
       })
     }
@@ -264,12 +376,18 @@ export class Xapi extends EventEmitter {
 
   set _url (url) {
     this.__url = url
-    this._call = autoTransport({
+    this._call = this._createTransport({
       allowUnauthorized: this._allowUnauthorized,
+      fixtures: this._fixtures,
       url,
     })
   }
 
+  // snapshot of the metrics of the calls, resources and events of this client
+  getMetrics () {
+    return this._metrics.toJSON()
+  }
+
   get readOnly () {
     return this._readOnly
   }
@@ -398,28 +516,66 @@ export class Xapi extends EventEmitter {
   }
 
   // High level calls.
+  //
+  // They are subject to the concurrency limits (`maxConcurrency` and
+  // `methodsConcurrency` options).
   call (method, ...args) {
     return this._readOnly && !isReadOnlyCall(method, args)
       ? Promise.reject(new Error(`cannot call ${method}() in read only mode`))
-      : this._sessionCall(method, prepareParam(args))
+      : this._coalesce(method, args, () =>
+          this._scheduler.schedule(method, () =>
+            this._sessionCall(method, prepareParam(args))
+          )
+        )
   }
 
+  // the call counts towards `maxConcurrency` until its task is created and
+  // towards `methodsConcurrency` until its task is over
   @cancelable
   callAsync ($cancelToken, method, ...args) {
     return this._readOnly && !isReadOnlyCall(method, args)
       ? Promise.reject(new Error(`cannot call ${method}() in read only mode`))
-      : this._sessionCall(`Async.${method}`, args).then(taskRef => {
-          $cancelToken.promise.then(() => {
-            // TODO: do not trigger if the task is already over
-            this._sessionCall('task.cancel', [taskRef]).catch(noop)
-          })
+      : this._scheduler.schedule(method, release => {
+          // it might have been canceled while waiting
+          $cancelToken.throwIfRequested()
 
-          return this.watchTask(taskRef)::lastly(() => {
-            this._sessionCall('task.destroy', [taskRef]).catch(noop)
+          return this._sessionCall(`Async.${method}`, args).then(taskRef => {
+            release()
+
+            $cancelToken.promise.then(() => {
+              // TODO: do not trigger if the task is already over
+              this._sessionCall('task.cancel', [taskRef]).catch(noop)
+            })
+
+            return this.watchTask(taskRef)::lastly(() => {
+              this._sessionCall('task.destroy', [taskRef]).catch(noop)
+            })
           })
         })
   }
 
+  // identical concurrent read-only calls are made only once, the callers which
+  // join a pending call get their own copy of the result
+  _coalesce (method, args, fn) {
+    const pendingCalls = this._pendingReadOnlyCalls
+    if (pendingCalls === undefined || !isReadOnlyCall(method, args)) {
+      return fn()
+    }
+
+    const key = `${method} ${args[0]}`
+    let promise = pendingCalls[key]
+    if (promise !== undefined) {
+      return promise.then(cloneDeep)
+    }
+    promise = pendingCalls[key] = fn()::lastly(() => {
+      delete pendingCalls[key]
+    })
+
+    // the result is exposed to the first caller only after the others got
+    // their copies
+    return promise.then(identity)
+  }
+
   // create a task and automatically destroy it when settled
   //
   //  allowed even in read-only mode because it does not have impact on the
@@ -454,7 +610,11 @@ export class Xapi extends EventEmitter {
 
     if (arguments.length > 1) return defaultValue
 
-    throw new Error('no object with UUID or opaque ref: ' + idOrUuidOrRef)
+    throw new Error(
+      'no object with UUID or opaque ref: ' +
+        idOrUuidOrRef +
+        this._getWatchedTypesHint()
+    )
   }
 
   // Returns the object for a given opaque reference (internal to
@@ -466,7 +626,9 @@ export class Xapi extends EventEmitter {
 
     if (arguments.length > 1) return defaultValue
 
-    throw new Error('no object with opaque ref: ' + ref)
+    throw new Error(
+      'no object with opaque ref: ' + ref + this._getWatchedTypesHint()
+    )
   }
 
   // Returns the object for a given UUID (unique identifier that some
@@ -479,7 +641,9 @@ export class Xapi extends EventEmitter {
 
     if (arguments.length > 1) return defaultValue
 
-    throw new Error('no object with UUID: ' + uuid)
+    throw new Error(
+      'no object with UUID: ' + uuid + this._getWatchedTypesHint()
+    )
   }
 
   getRecord (type, ref) {
@@ -488,6 +652,12 @@ export class Xapi extends EventEmitter {
 
   @cancelable
   getResource ($cancelToken, pathname, { host, query, task }) {
+    return this._instrumentResource('GET', pathname, () =>
+      this._getResource($cancelToken, pathname, { host, query, task })
+    )
+  }
+
+  _getResource ($cancelToken, pathname, { host, query, task }) {
     return this._autoTask(task, `Xapi#getResource ${pathname}`).then(
       taskRef => {
         query = { ...query, session_id: this.sessionId }
@@ -534,6 +704,12 @@ export class Xapi extends EventEmitter {
       )
     }
 
+    return this._instrumentResource('PUT', pathname, () =>
+      this._putResource($cancelToken, body, pathname, { host, query, task })
+    )
+  }
+
+  _putResource ($cancelToken, body, pathname, { host, query, task }) {
     return this._autoTask(task, `Xapi#putResource ${pathname}`).then(
       taskRef => {
         query = { ...query, session_id: this.sessionId }
@@ -663,6 +839,193 @@ export class Xapi extends EventEmitter {
     return this._objects
   }
 
+  // types of the objects which are watched, `undefined` if all are
+  get watchedTypes () {
+    const watchedTypes = this._watchedTypes
+    return watchedTypes && Object.keys(watchedTypes)
+  }
+
+  _getWatchedTypesHint () {
+    const { watchedTypes } = this
+    return watchedTypes === undefined
+      ? ''
+      : ` (only ${watchedTypes.join(', ')} objects are watched)`
+  }
+
+  _isWatchedType (type) {
+    const watchedTypes = this._watchedTypes
+    return watchedTypes === undefined || type.toLowerCase() in watchedTypes
+  }
+
+  // addresses of the current pool master: the one of the URL (which might be a
+  // DNS name) and the one of its host record
+  _getMasterAddresses () {
+    const addresses = [this._url.hostname]
+    const pool = this._pool
+    if (pool !== null) {
+      const address = this._hostAddresses[pool.master]
+      if (address !== undefined && addresses.indexOf(address) === -1) {
+        addresses.push(address)
+      }
+    }
+    return addresses
+  }
+
+  // addresses of the known hosts of the pool, except the current master
+  _getHostAddresses () {
+    const addresses = []
+    const hostAddresses = this._hostAddresses
+    if (hostAddresses !== undefined) {
+      const masterAddresses = this._getMasterAddresses()
+      const masterRef = this._pool === null ? undefined : this._pool.master
+      forEach(hostAddresses, (address, ref) => {
+        if (
+          ref !== masterRef &&
+          masterAddresses.indexOf(address) === -1 &&
+          addresses.indexOf(address) === -1
+        ) {
+          addresses.push(address)
+        }
+      })
+    }
+    return addresses
+  }
+
+  // When the pool master is unreachable, try to find the new one among the
+  // other hosts of the pool:
+  //
+  // - a slave answers `HOST_IS_SLAVE` with the address of its master, which is
+  //   followed if it is not the unreachable host
+  // - a host accepting the login is the new master (e.g. after
+  //   `host.emergency_transition_to_master()`)
+  //
+  // Resolves to whether a new master has been found, in which case the client
+  // is redirected to it with a new session, the events token and the objects
+  // are kept.
+  _findNewMaster () {
+    let promise = this._findNewMasterPromise
+    if (promise === undefined) {
+      promise = this._findNewMasterPromise = this._probeHosts()::lastly(() => {
+        this._findNewMasterPromise = undefined
+      })
+    }
+    return promise
+  }
+
+  _probeHosts () {
+    const { _auth: auth, _url: currentUrl } = this
+    const deadAddresses = this._getMasterAddresses()
+
+    const probe = (hostname, followRedirection = true) => {
+      const url = { ...currentUrl, hostname }
+      const call = this._createTransport({
+        allowUnauthorized: this._allowUnauthorized,
+        fixtures: this._fixtures,
+        url,
+      })
+      return call('session.login_with_password', [
+        auth.user,
+        auth.password,
+      ]).then(
+        sessionId => ({ call, sessionId, url }),
+        error => {
+          if (!(error instanceof Error)) {
+            error = wrapError(error)
+          }
+
+          if (isHostSlave(error)) {
+            const [master] = error.params
+            debug('%s: %s is a slave of %s', this._humanId, hostname, master)
+            if (
+              followRedirection &&
+              deadAddresses.indexOf(master) === -1 &&
+              master !== hostname
+            ) {
+              return probe(master, false)
+            }
+          } else {
+            debug('%s: cannot probe %s: %s', this._humanId, hostname, error)
+          }
+        }
+      )
+    }
+
+    return reduce(
+      this._getHostAddresses(),
+      (promise, address) =>
+        promise.then(
+          master => (master !== undefined ? master : probe(address))
+        ),
+      Promise.resolve()
+    ).then(master => {
+      if (master === undefined) {
+        debug('%s: no new master found', this._humanId)
+        return false
+      }
+
+      const { call, sessionId, url } = master
+      if (this.status !== CONNECTED) {
+        call('session.logout', [sessionId]).catch(noop)
+        return false
+      }
+
+      debug('%s: new master found at %s', this._humanId, url.hostname)
+
+      this.emit('redirect', url)
+      this._url = url
+      this._sessionId = sessionId
+
+      return true
+    })
+  }
+
+  // records the metrics of an operation and, if a tracer has been passed,
+  // traces it with an OpenTelemetry span
+  _instrument (end, spanName, attributes, fn) {
+    const tracer = this._tracer
+    const span =
+      tracer === undefined
+        ? undefined
+        : tracer.startSpan(spanName, {
+            attributes: {
+              ...attributes,
+              'server.address': this._url.hostname,
+            },
+            kind: SPAN_KIND_CLIENT,
+          })
+
+    return new Promise(resolve => resolve(fn())).then(
+      result => {
+        end()
+        if (span !== undefined) {
+          span.end()
+        }
+        return result
+      },
+      error => {
+        end(error)
+        if (span !== undefined) {
+          span.recordException(error)
+          span.setStatus({
+            code: SPAN_STATUS_ERROR,
+            message: String(error != null && error.message),
+          })
+          span.end()
+        }
+        throw error
+      }
+    )
+  }
+
+  _instrumentResource (verb, pathname, fn) {
+    return this._instrument(
+      this._metrics.startResource(verb, pathname),
+      `${verb} ${pathname}`,
+      { 'http.request.method': verb, 'url.path': pathname },
+      fn
+    )
+  }
+
   // return a promise which resolves to a task ref or undefined
   _autoTask (task = this._taskWatchers !== undefined, name) {
     if (task === false) {
@@ -677,8 +1040,17 @@ export class Xapi extends EventEmitter {
     return Promise.resolve(task)
   }
 
-  // Medium level call: handle session errors.
   _sessionCall (method, args) {
+    return this._instrument(
+      this._metrics.startCall(method),
+      `XAPI ${method}`,
+      { 'xapi.method': method },
+      () => this.__sessionCall(method, args)
+    )
+  }
+
+  // Medium level call: handle session errors.
+  __sessionCall (method, args) {
     try {
       if (startsWith(method, 'session.')) {
         throw new Error('session.*() methods are disabled from this interface')
@@ -697,7 +1069,7 @@ export class Xapi extends EventEmitter {
           debug('%s: the session has been reinitialized', this._humanId)
 
           this._sessionId = null
-          return this.connect().then(() => this._sessionCall(method, args))
+          return this.connect().then(() => this.__sessionCall(method, args))
         }
       )
     } catch (error) {
@@ -708,6 +1080,14 @@ export class Xapi extends EventEmitter {
   _addObject (type, ref, object) {
     const { _objectsByRefs: objectsByRefs } = this
 
+    const watchedTypes = this._watchedTypes
+    if (watchedTypes !== undefined) {
+      const fields = watchedTypes[type]
+      if (isArray(fields)) {
+        object = pick(object, fields)
+      }
+    }
+
     const reservedKeys = {
       id: true,
       pool: true,
@@ -826,9 +1206,29 @@ export class Xapi extends EventEmitter {
     }
   }
 
+  // the addresses of the hosts are necessary to find a new pool master, they
+  // are kept even if the hosts are not watched
+  _updateHostAddress (ref, host) {
+    if (host === undefined) {
+      delete this._hostAddresses[ref]
+    } else {
+      this._hostAddresses[ref] = host.address
+    }
+  }
+
   _processEvents (events) {
     forEach(events, event => {
       const { class: type, ref } = event
+      if (type.toLowerCase() === 'host') {
+        this._updateHostAddress(
+          ref,
+          event.operation === 'del' ? undefined : event.snapshot
+        )
+      }
+      if (!this._isWatchedType(type)) {
+        return
+      }
+
       if (event.operation === 'del') {
         this._removeObject(type, ref)
       } else {
@@ -841,7 +1241,7 @@ export class Xapi extends EventEmitter {
     const loop = () =>
       this.status === CONNECTED &&
       this._sessionCall('event.from', [
-        ['*'],
+        this._eventClasses,
         this._fromToken,
         EVENT_TIMEOUT + 0.1, // Force float.
       ])
@@ -850,6 +1250,7 @@ export class Xapi extends EventEmitter {
 
     const onSuccess = ({ events, token, valid_ref_counts: { task } }) => {
       this._fromToken = token
+      this._metrics.observeEventBatch(events.length)
       this._processEvents(events)
 
       if (task !== this._nTasks) {
@@ -882,6 +1283,7 @@ export class Xapi extends EventEmitter {
 
       if (areEventsLost(error)) {
         this._fromToken = ''
+        this._hostAddresses = createObject(null)
         this._objects.clear()
 
         return loop()
@@ -911,18 +1313,27 @@ export class Xapi extends EventEmitter {
       return this._sessionCall('system.listMethods').then(methods => {
         // Uses introspection to determine the methods to use to get
         // all objects.
-        const getAllRecordsMethods = filter(
-          methods,
-          ::/\.get_all_records$/.test
-        )
+        const getAllRecordsMethods = filter(methods, method => {
+          if (!/\.get_all_records$/.test(method)) {
+            return false
+          }
+          const type = method.slice(0, method.indexOf('.'))
+          return type.toLowerCase() === 'host' || this._isWatchedType(type)
+        })
 
         return Promise.all(
           map(getAllRecordsMethods, method =>
             this._sessionCall(method).then(
               objects => {
                 const type = method.slice(0, method.indexOf('.')).toLowerCase()
+                const isWatched = this._isWatchedType(type)
                 forEach(objects, (object, ref) => {
-                  this._addObject(type, ref, object)
+                  if (type === 'host') {
+                    this._updateHostAddress(ref, object)
+                  }
+                  if (isWatched) {
+                    this._addObject(type, ref, object)
+                  }
                 })
               },
               error => {
@@ -937,13 +1348,14 @@ export class Xapi extends EventEmitter {
     }
 
     const watchEvents = () =>
-      this._sessionCall('event.register', [['*']]).then(loop)
+      this._sessionCall('event.register', [this._eventClasses]).then(loop)
 
     const loop = () =>
       this.status === CONNECTED &&
       this._sessionCall('event.next').then(onSuccess, onFailure)
 
     const onSuccess = events => {
+      this._metrics.observeEventBatch(events.length)
       this._processEvents(events)
 
       const debounce = this._debounce
@@ -952,7 +1364,9 @@ export class Xapi extends EventEmitter {
 
     const onFailure = error => {
       if (areEventsLost(error)) {
-        return this._sessionCall('event.unregister', [['*']]).then(watchEvents)
+        return this._sessionCall('event.unregister', [this._eventClasses]).then(
+          watchEvents
+        )
       }
 
       throw error
@@ -975,41 +1389,70 @@ Xapi.prototype._transportCall = reduce(
       })
     },
     call =>
-      function () {
+      function (method, args) {
         let iterator // lazily created
-        const loop = () =>
-          call
-            .apply(this, arguments)
+        let url
+        const loop = () => {
+          url = this._url
+          return call
+            .call(this, method, args)
             ::pCatch(isNetworkError, isXapiNetworkError, error => {
-              if (iterator === undefined) {
-                iterator = fibonacci()
-                  .clamp(undefined, 60)
-                  .take(10)
-                  .toMs()
+              // already redirected to another host in the meantime
+              if (this._url !== url) {
+                return resume()
               }
 
-              const cursor = iterator.next()
-              if (!cursor.done) {
-                // TODO: ability to cancel the connection
-                // TODO: ability to force immediate reconnection
-
-                const delay = cursor.value
-                debug(
-                  '%s: network error %s, next try in %s ms',
-                  this._humanId,
-                  error.code,
-                  delay
+              // repeated errors, the pool master might be dead
+              if (
+                iterator !== undefined &&
+                this.status === CONNECTED &&
+                !startsWith(method, 'session.')
+              ) {
+                return this._findNewMaster().then(
+                  found => (found ? resume() : retry(error))
                 )
-                return pDelay(delay).then(loop)
               }
 
-              debug('%s: network error %s, aborting', this._humanId, error.code)
+              return retry(error)
+            })
+        }
+        const resume = () => {
+          // use the session of the new master
+          if (this.status === CONNECTED && !startsWith(method, 'session.')) {
+            args = [this._sessionId, ...args.slice(1)]
+          }
+          return loop()
+        }
+        const retry = error => {
+          if (iterator === undefined) {
+            iterator = fibonacci()
+              .clamp(undefined, 60)
+              .take(10)
+              .toMs()
+          }
 
-              // mark as disconnected
-              this.disconnect()::pCatch(noop)
+          const cursor = iterator.next()
+          if (!cursor.done) {
+            // TODO: ability to cancel the connection
+            // TODO: ability to force immediate reconnection
 
-              throw error
-            })
+            const delay = cursor.value
+            debug(
+              '%s: network error %s, next try in %s ms',
+              this._humanId,
+              error.code,
+              delay
+            )
+            return pDelay(delay).then(loop)
+          }
+
+          debug('%s: network error %s, aborting', this._humanId, error.code)
+
+          // mark as disconnected
+          this.disconnect()::pCatch(noop)
+
+          throw error
+        }
         return loop()
       },
     call =>
@@ -1065,5 +1508,9 @@ Xapi.prototype._transportCall = reduce(
 
 // ===================================================================
 
+export { default as FakePool } from './fake-pool'
+
+// ===================================================================
+
 // The default value is a factory function.
 export const createClient = opts => new Xapi(opts)
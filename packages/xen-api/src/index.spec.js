@@ -0,0 +1,199 @@
+/* eslint-env jest */
+
+import { createClient, FakePool } from './'
+
+describe('pool master failover', () => {
+  // the hosts are reached via their addresses, except the initial master which
+  // is reached via its DNS name
+  const DNS = { 'xen1.company.net': '10.0.0.1' }
+
+  let pool, probes, roles, vmRef, xapi
+  beforeEach(() => {
+    pool = new FakePool()
+    const masterRef = pool.add('host', { address: '10.0.0.1' })
+    pool.add('host', { address: '10.0.0.2' })
+    pool.add('host', { address: '10.0.0.3' })
+    pool.add('pool', { master: masterRef, other_config: {} })
+    vmRef = pool.add('VM', { name_label: 'vm' })
+
+    // role of each host: 'master', 'dead' or the address of its master
+    roles = {
+      '10.0.0.1': 'master',
+      '10.0.0.2': '10.0.0.1',
+      '10.0.0.3': '10.0.0.1',
+    }
+    probes = []
+
+    // the client of a previous test might still be retrying its calls
+    const currentPool = pool
+
+    const transport = ({ url }) => {
+      const address = DNS[url.hostname] || url.hostname
+      return (method, args) => {
+        if (method === 'session.login_with_password') {
+          probes.push(url.hostname)
+        }
+
+        const role = roles[address]
+        if (role === 'dead') {
+          return Promise.reject(
+            Object.assign(new Error('connect ECONNREFUSED'), {
+              code: 'ECONNREFUSED',
+            })
+          )
+        }
+        if (role !== 'master') {
+          // XAPI errors are rejected as is by the transports
+          // eslint-disable-next-line prefer-promise-reject-errors
+          return Promise.reject(['HOST_IS_SLAVE', role])
+        }
+        return currentPool.call(method, args)
+      }
+    }
+
+    xapi = createClient({
+      auth: { user: 'root', password: '' },
+      debounce: 0,
+      transport,
+      url: 'xen1.company.net',
+      watchedTypes: ['VM'],
+    })
+  })
+  afterEach(() => xapi.disconnect())
+
+  const delay = ms => new Promise(resolve => setTimeout(resolve, ms))
+
+  const connect = async () => {
+    await xapi.connect()
+    while (xapi.pool === null) {
+      await delay(10)
+    }
+    await xapi.barrier()
+    probes.length = 0
+  }
+
+  it('knows the addresses of the hosts except the master', async () => {
+    await connect()
+    expect(xapi._getHostAddresses()).toEqual(['10.0.0.2', '10.0.0.3'])
+
+    pool.remove(pool.getAll('host')[2])
+    await xapi.barrier()
+    expect(xapi._getHostAddresses()).toEqual(['10.0.0.2'])
+  })
+
+  it('does not expose the hosts if they are not watched', async () => {
+    await connect()
+
+    expect(xapi.watchedTypes).toEqual(['vm', 'pool', 'task'])
+    expect(
+      Object.keys(xapi.objects.all).map(id => xapi.objects.all[id].$type)
+    ).not.toContain('host')
+  })
+
+  it('follows a slave to the new master', async () => {
+    await connect()
+    const redirect = jest.fn()
+    xapi.on('redirect', redirect)
+
+    roles['10.0.0.1'] = 'dead'
+    roles['10.0.0.2'] = '10.0.0.3'
+    roles['10.0.0.3'] = 'master'
+    await xapi.call('VM.set_name_label', vmRef, 'foo')
+
+    expect(pool.get(vmRef).name_label).toBe('foo')
+    expect(probes).toEqual(['10.0.0.2', '10.0.0.3'])
+    expect(redirect.mock.calls.map(([url]) => url.hostname)).toEqual([
+      '10.0.0.3',
+    ])
+
+    // the objects have been kept and are still updated
+    expect((await xapi.barrier(vmRef)).name_label).toBe('foo')
+  })
+
+  it('does not follow a slave to the dead master', async () => {
+    await connect()
+
+    // the slave is not yet aware that the master is dead
+    roles['10.0.0.1'] = 'dead'
+    roles['10.0.0.3'] = 'master'
+    await xapi.call('VM.set_name_label', vmRef, 'foo')
+
+    // the dead master, designated by its address, is not probed
+    expect(probes).toEqual(['10.0.0.2', '10.0.0.3'])
+    expect(xapi._url.hostname).toBe('10.0.0.3')
+  })
+
+  it('fails if no new master is found', async () => {
+    await connect()
+    jest.spyOn(xapi, '_findNewMaster')
+
+    roles['10.0.0.1'] = 'dead'
+    roles['10.0.0.3'] = 'dead'
+    const promise = xapi.call('VM.set_name_label', vmRef, 'foo')
+
+    // the slave is probed again on each retry, stop after the first one
+    while (xapi._findNewMaster.mock.calls.length < 2) {
+      await delay(10)
+    }
+    roles['10.0.0.1'] = 'master'
+    await promise
+
+    expect(probes.filter(_ => _ === '10.0.0.1')).toEqual([])
+    expect(xapi._url.hostname).toBe('xen1.company.net')
+    expect(pool.get(vmRef).name_label).toBe('foo')
+  })
+})
+
+describe('tracing', () => {
+  let pool, spans, xapi
+  beforeEach(async () => {
+    pool = new FakePool()
+    pool.add('pool', { other_config: {} })
+    pool.setHandler('VM.start', () => {
+      // eslint-disable-next-line no-throw-literal
+      throw ['VM_BAD_POWER_STATE', 'OpaqueRef:vm', 'halted', 'running']
+    })
+
+    spans = []
+    const tracer = {
+      startSpan: jest.fn((name, options) => {
+        const span = {
+          end: jest.fn(),
+          name,
+          options,
+          recordException: jest.fn(),
+          setStatus: jest.fn(),
+        }
+        spans.push(span)
+        return span
+      }),
+    }
+    xapi = createClient({ fixtures: pool, tracer, transport: 'replay' })
+    await xapi.connect()
+  })
+  afterEach(() => xapi.disconnect())
+
+  it('ends the span of a failing call with its error', async () => {
+    spans.length = 0
+
+    const error = await xapi.call('VM.start', 'OpaqueRef:vm').catch(_ => _)
+    expect(error.code).toBe('VM_BAD_POWER_STATE')
+
+    const span = spans.find(_ => _.name === 'XAPI VM.start')
+    expect(span.options).toEqual({
+      attributes: { 'server.address': 'replay', 'xapi.method': 'VM.start' },
+      kind: 2, // client
+    })
+    expect(span.recordException).toHaveBeenCalledWith(error)
+    expect(span.setStatus).toHaveBeenCalledWith({
+      code: 2, // error
+      message: error.message,
+    })
+    expect(span.end).toHaveBeenCalledTimes(1)
+
+    expect(xapi.getMetrics().calls['VM.start']).toMatchObject({
+      errors: { VM_BAD_POWER_STATE: 1 },
+      inFlight: 0,
+    })
+  })
+})
@@ -0,0 +1,126 @@
+import createDebug from 'debug'
+import { close, open, write } from 'fs'
+
+import autoTransport from './auto'
+import { getRecordedArgs, serializeError } from '../fake-pool'
+
+const debug = createDebug('xen-api:record')
+
+// the calls are buffered during this delay before the file is written
+const WRITE_DELAY = 1e3
+
+// the file is `{ "calls": [ … ] }` with one call per line, the new calls are
+// written over its tail, therefore it is always valid JSON
+const HEAD = '{\n  "calls": [\n'
+const TAIL = '\n  ]\n}\n'
+
+const writeAt = (path, flags, data, position, cb) =>
+  open(path, flags, (error, fd) => {
+    if (error != null) {
+      return cb(error)
+    }
+    write(fd, data, 0, data.length, position, error => {
+      close(fd, closeError => cb(error || closeError))
+    })
+  })
+
+// Buffers the calls and appends them to the `fixtures` file asynchronously,
+// one write at a time, the calls already written are not kept in memory.
+//
+// The calls are lost if they cannot be written.
+//
+// It must be shared between the transports of the same client (e.g. when
+// redirected to the pool master).
+export const createRecorder = fixtures => {
+  if (typeof fixtures !== 'string') {
+    throw new TypeError('the record transport requires a fixtures file')
+  }
+
+  let calls = []
+  let size = 0 // size of the file, 0 if not written yet
+  let timeout
+  let writing = false
+  let writeAgain = false
+
+  const flush = () => {
+    clearTimeout(timeout)
+    timeout = undefined
+
+    if (writing) {
+      writeAgain = true
+      return
+    }
+    if (calls.length === 0) {
+      return
+    }
+
+    const data = Buffer.from(
+      (size === 0 ? HEAD : ',\n') +
+        calls.map(call => '    ' + JSON.stringify(call)).join(',\n') +
+        TAIL
+    )
+    const position = size === 0 ? 0 : size - TAIL.length
+    calls = []
+
+    writing = true
+    writeAt(fixtures, size === 0 ? 'w' : 'r+', data, position, error => {
+      writing = false
+      if (error != null) {
+        debug('failed to write %s: %s', fixtures, error)
+      } else {
+        size = position + data.length
+      }
+      if (writeAgain) {
+        writeAgain = false
+        flush()
+      }
+    })
+  }
+
+  return {
+    record (entry) {
+      calls.push(entry)
+      if (timeout === undefined) {
+        timeout = setTimeout(flush, WRITE_DELAY)
+      }
+    },
+
+    // writes the file without waiting for the delay
+    flush,
+  }
+}
+
+// Records the calls made with the auto transport into the `fixtures` file,
+// which can then be used by the replay transport.
+//
+// The session ids and the credentials are not recorded.
+export default ({ fixtures, recorder = createRecorder(fixtures), ...opts }) => {
+  const call = autoTransport(opts)
+
+  const record = (method, entry) => {
+    recorder.record(entry)
+
+    // the client is probably no longer used
+    if (method === 'session.logout') {
+      recorder.flush()
+    }
+  }
+
+  return (method, args) => {
+    const recordedArgs = getRecordedArgs(method, args)
+    return call(method, args).then(
+      result => {
+        record(method, { method, args: recordedArgs, result })
+        return result
+      },
+      error => {
+        record(method, {
+          method,
+          args: recordedArgs,
+          error: serializeError(error),
+        })
+        throw error
+      }
+    )
+  }
+}
@@ -0,0 +1,100 @@
+/* eslint-env jest */
+
+import {
+  existsSync,
+  mkdtempSync,
+  readFileSync,
+  rmdirSync,
+  unlinkSync,
+} from 'fs'
+import { join } from 'path'
+import { tmpdir } from 'os'
+
+import { createClient } from '../'
+import { createRecorder } from './record'
+
+const delay = ms => new Promise(resolve => setTimeout(resolve, ms))
+
+// resolves with the content of the file once completely written
+const waitForFile = async path => {
+  for (let i = 0; ; ++i) {
+    try {
+      return JSON.parse(readFileSync(path, 'utf8'))
+    } catch (error) {
+      if (i === 100) {
+        throw error
+      }
+    }
+    await delay(10)
+  }
+}
+
+let dir, fixtures
+beforeEach(() => {
+  dir = mkdtempSync(join(tmpdir(), 'xen-api-'))
+  fixtures = join(dir, 'fixtures.json')
+})
+afterEach(() => {
+  if (existsSync(fixtures)) {
+    unlinkSync(fixtures)
+  }
+  rmdirSync(dir)
+})
+
+describe('createRecorder()', () => {
+  it('requires a fixtures file', () => {
+    expect(() => createRecorder()).toThrow(
+      'the record transport requires a fixtures file'
+    )
+    expect(() => createClient({ transport: 'record', url: 'xen1' })).toThrow(
+      'the record transport requires a fixtures file'
+    )
+  })
+
+  it('writes the buffered calls after a delay', async () => {
+    const recorder = createRecorder(fixtures)
+    recorder.record({ method: 'VM.get_all', args: [], result: [] })
+    recorder.record({ method: 'SR.get_all', args: [], result: [] })
+
+    await delay(500)
+    expect(existsSync(fixtures)).toBe(false)
+
+    expect(await waitForFile(fixtures)).toEqual({
+      calls: [
+        { method: 'VM.get_all', args: [], result: [] },
+        { method: 'SR.get_all', args: [], result: [] },
+      ],
+    })
+  })
+
+  it('writes the calls immediately on flush', async () => {
+    const recorder = createRecorder(fixtures)
+    recorder.record({ method: 'session.logout', args: [], result: '' })
+    recorder.flush()
+
+    expect((await waitForFile(fixtures)).calls.length).toBe(1)
+  })
+  it('appends the new calls to the file', async () => {
+    const recorder = createRecorder(fixtures)
+    recorder.record({ method: 'VM.get_all', args: [], result: [] })
+    recorder.flush()
+    await waitForFile(fixtures)
+
+    recorder.record({ method: 'SR.get_all', args: [], result: [] })
+    recorder.record({ method: 'session.logout', args: [], result: '' })
+    recorder.flush()
+
+    for (let i = 0; ; ++i) {
+      const { calls } = await waitForFile(fixtures)
+      if (calls.length === 3 || i === 100) {
+        expect(calls.map(_ => _.method)).toEqual([
+          'VM.get_all',
+          'SR.get_all',
+          'session.logout',
+        ])
+        break
+      }
+      await delay(10)
+    }
+  })
+})
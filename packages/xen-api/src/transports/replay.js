@@ -0,0 +1,24 @@
+import { readFileSync } from 'fs'
+
+import FakePool from '../fake-pool'
+
+// `fixtures` can be:
+//
+// - a fake pool
+// - the path of a fixtures file written by the record transport
+// - the content of such a file
+// - undefined, for an empty pool
+export const getFakePool = fixtures =>
+  fixtures instanceof FakePool
+    ? fixtures
+    : new FakePool(
+        typeof fixtures === 'string'
+          ? JSON.parse(readFileSync(fixtures, 'utf8'))
+          : fixtures
+      )
+
+// Answers the calls with a fake pool, without any network access.
+export default ({ fixtures }) => {
+  const pool = getFakePool(fixtures)
+  return (method, args) => pool.call(method, args)
+}
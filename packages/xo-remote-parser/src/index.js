@@ -8,6 +8,25 @@ const sanitizePath = (...paths) =>
     '/'
   )
 
+const parseQuery = query => {
+  const params = {}
+  if (query !== undefined) {
+    query.split('&').forEach(param => {
+      if (param !== '') {
+        const [key, value = ''] = param.split('=')
+        params[decodeURIComponent(key)] = decodeURIComponent(value)
+      }
+    })
+  }
+  return params
+}
+
+const formatQuery = params =>
+  map(
+    filter(Object.keys(params), key => params[key] !== undefined),
+    key => `${encodeURIComponent(key)}=${encodeURIComponent(params[key])}`
+  ).join('&')
+
 export const parse = string => {
   const object = {}
 
@@ -35,11 +54,71 @@ export const parse = string => {
     object.domain = domain
     object.username = username
     object.password = password
+  } else if (type === 'sftp') {
+    object.type = 'sftp'
+    const lastAtSign = rest.lastIndexOf('@')
+    const auth = rest.slice(0, Math.max(lastAtSign, 0))
+    const firstColon = auth.indexOf(':')
+    const location = rest.slice(lastAtSign + 1)
+    const firstSlash = location.indexOf('/')
+    const [host, port] = (firstSlash === -1
+      ? location
+      : location.slice(0, firstSlash)
+    ).split(':')
+    object.host = host
+    object.port = port === undefined ? 22 : +port
+    object.path = `/${
+      firstSlash === -1 ? '' : sanitizePath(location.slice(firstSlash))
+    }`
+    object.username = decodeURIComponent(
+      firstColon === -1 ? auth : auth.slice(0, firstColon)
+    )
+    if (firstColon !== -1) {
+      object.password = decodeURIComponent(auth.slice(firstColon + 1))
+    }
+  } else if (type === 's3') {
+    object.type = 's3'
+    const [url, query] = rest.split('?')
+    const lastAtSign = url.lastIndexOf('@')
+    const auth = url.slice(0, Math.max(lastAtSign, 0))
+    const firstColon = auth.indexOf(':')
+    const location = url.slice(lastAtSign + 1)
+    const firstSlash = location.indexOf('/')
+    const [bucket, ...path] = (firstSlash === -1
+      ? ''
+      : location.slice(firstSlash + 1)
+    ).split('/')
+    const { protocol = 'https', region } = parseQuery(query)
+    object.host = firstSlash === -1 ? location : location.slice(0, firstSlash)
+    object.bucket = bucket
+    object.path = `/${sanitizePath(path.join('/'))}`
+    object.protocol = protocol
+    if (region !== undefined) {
+      object.region = region
+    }
+    // credentials are URI encoded because AWS secret keys may contain `/`
+    object.username = decodeURIComponent(
+      firstColon === -1 ? auth : auth.slice(0, firstColon)
+    )
+    object.password = decodeURIComponent(
+      firstColon === -1 ? '' : auth.slice(firstColon + 1)
+    )
   }
   return object
 }
 
-export const format = ({ type, host, path, username, password, domain }) => {
+export const format = ({
+  type,
+  host,
+  path,
+  username,
+  password,
+  domain,
+  bucket,
+  port,
+  protocol,
+  region,
+}) => {
   type === 'local' && (type = 'file')
   let string = `${type}://`
   if (type === 'nfs') {
@@ -48,6 +127,21 @@ export const format = ({ type, host, path, username, password, domain }) => {
   if (type === 'smb') {
     string += `${username}:${password}@${domain}\\\\${host}`
   }
+  if (type === 'sftp') {
+    string += encodeURIComponent(username)
+    if (password) {
+      string += `:${encodeURIComponent(password)}`
+    }
+    string += `@${host}`
+    if (port !== undefined && +port !== 22) {
+      string += `:${port}`
+    }
+  }
+  if (type === 's3') {
+    string += `${encodeURIComponent(username)}:${encodeURIComponent(
+      password
+    )}@${host}/${bucket}`
+  }
   path = sanitizePath(path)
   if (type === 'smb') {
     path = path.split('/')
@@ -56,5 +150,14 @@ export const format = ({ type, host, path, username, password, domain }) => {
     path = `/${path}`
   }
   string += path
+  if (type === 's3') {
+    const query = formatQuery({
+      protocol: protocol === 'https' ? undefined : protocol,
+      region,
+    })
+    if (query !== '') {
+      string += `?${query}`
+    }
+  }
   return string
 }
@@ -0,0 +1,374 @@
+import { assign, find, get, omit } from 'lodash'
+
+// Machine-readable results of backup NG jobs, for CI and monitoring tools.
+
+export const NO_VMS_MATCH_THIS_PATTERN = 'no VMs match this pattern'
+export const NO_SUCH_OBJECT_ERROR = 'no such object'
+export const UNHEALTHY_VDI_CHAIN_ERROR = 'unhealthy VDI chain'
+
+export const isSkippedError = error =>
+  error.message === UNHEALTHY_VDI_CHAIN_ERROR ||
+  error.message === NO_SUCH_OBJECT_ERROR
+
+// the result of a task can be an array of errors (e.g. failed hooks)
+export const getErrorMessage = result =>
+  Array.isArray(result)
+    ? result.map(getErrorMessage).join(', ')
+    : get(result, 'message')
+
+const getSubTaskResult = (logs, taskId, message) => {
+  const task = find(logs[taskId], { message })
+  if (task !== undefined && task.end !== undefined) {
+    return {
+      duration: task.end - task.start,
+      size: get(task.result, 'size'),
+    }
+  }
+}
+
+// builds the result of a job run from its consolidated logs (see
+// `xo.getBackupNgLogs()`)
+//
+// `getName(type, id)` returns the name of a VM, a remote or an SR, it can be
+// async and returns `undefined` if the object is not found
+export const buildBackupNgResult = async (logs, { getName, jobName }) => {
+  const jobLog = logs['roots'][0]
+  const { mode } = jobLog.data || {}
+
+  const vms = []
+  let mergeSize = 0
+  let nFailures = 0
+  let nSkipped = 0
+  let transferSize = 0
+  for (const vmTaskLog of logs[jobLog.id] || []) {
+    const { id } = vmTaskLog.data
+    const vm = {
+      duration: vmTaskLog.duration,
+      end: vmTaskLog.end,
+      id,
+      name: await getName('VM', id),
+      hooks: [],
+      start: vmTaskLog.start,
+      status: vmTaskLog.status,
+      targets: [],
+    }
+
+    const { result } = vmTaskLog
+    if (vm.status === 'failure' && result !== undefined) {
+      vm.error = getErrorMessage(result)
+      if (!Array.isArray(result) && isSkippedError(result)) {
+        vm.status = 'skipped'
+      }
+    }
+    if (vm.status === 'failure') {
+      ++nFailures
+    } else if (vm.status === 'skipped') {
+      ++nSkipped
+    }
+
+    for (const subTaskLog of logs[vmTaskLog.taskId] || []) {
+      const { data, status, taskId } = subTaskLog
+      if (subTaskLog.message === 'snapshot') {
+        vm.snapshot = status
+        continue
+      }
+      if (subTaskLog.message === 'health check') {
+        vm.healthCheck = status
+        if (status === 'failure') {
+          vm.healthCheckError = getErrorMessage(subTaskLog.result)
+        }
+        continue
+      }
+      if (data === undefined) {
+        continue
+      }
+      if (data.type === 'hook') {
+        const hook = { event: data.event, status }
+        if (status === 'failure') {
+          hook.error = getErrorMessage(subTaskLog.result)
+        }
+        vm.hooks.push(hook)
+        continue
+      }
+
+      const target = {
+        id: data.id,
+        name: await getName(data.type, data.id),
+        status,
+        type: data.type,
+      }
+      if (status === 'failure') {
+        target.error = getErrorMessage(subTaskLog.result)
+      }
+
+      const transfer = getSubTaskResult(logs, taskId, 'transfer')
+      if (transfer !== undefined) {
+        target.transfer = transfer
+        transferSize += transfer.size || 0
+      }
+      const merge = getSubTaskResult(logs, taskId, 'merge')
+      if (merge !== undefined) {
+        target.merge = merge
+        mergeSize += merge.size || 0
+      }
+
+      vm.targets.push(target)
+    }
+
+    vms.push(vm)
+  }
+
+  const job = {
+    duration: jobLog.duration,
+    end: jobLog.end,
+    id: jobLog.jobId,
+    mode,
+    name: jobName,
+    runId: jobLog.id,
+    start: jobLog.start,
+    status:
+      nFailures !== 0 ? 'failure' : nSkipped !== 0 ? 'skipped' : 'success',
+  }
+  if (jobLog.error !== undefined) {
+    job.error = jobLog.error.message
+    job.status = job.error === NO_VMS_MATCH_THIS_PATTERN ? 'skipped' : 'failure'
+  }
+
+  return {
+    job,
+    summary: {
+      failures: nFailures,
+      mergeSize,
+      skipped: nSkipped,
+      successes: vms.length - nFailures - nSkipped,
+      transferSize,
+      vms: vms.length,
+    },
+    vms,
+  }
+}
+
+// ===================================================================
+
+const toSeconds = milliseconds =>
+  milliseconds === undefined ? 0 : milliseconds / 1e3
+
+const escapeXml = value =>
+  String(value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&apos;')
+
+const formatXmlAttributes = attributes =>
+  Object.keys(attributes)
+    .filter(name => attributes[name] !== undefined)
+    .map(name => ` ${name}="${escapeXml(attributes[name])}"`)
+    .join('')
+
+// JUnit has no notion of pending tests, VMs which are not done (e.g.
+// interrupted) are reported as errors
+const getJunitStatus = status =>
+  status === 'failure' || status === 'skipped' || status === 'success'
+    ? status
+    : 'error'
+
+const formatJunitTestCase = testCase => {
+  const { message, status } = testCase
+  const open = `    <testcase${formatXmlAttributes(
+    omit(testCase, ['message', 'status'])
+  )}`
+  if (status === 'success') {
+    return `${open}/>`
+  }
+  return [
+    `${open}>`,
+    `      <${status}${formatXmlAttributes({
+      message: message === undefined ? status : message,
+    })}/>`,
+    '    </testcase>',
+  ].join('\n')
+}
+
+const escapePrometheusLabel = value =>
+  String(value)
+    .replace(/\\/g, '\\\\')
+    .replace(/\n/g, '\\n')
+    .replace(/"/g, '\\"')
+
+const formatPrometheusLabels = labels =>
+  `{${Object.keys(labels)
+    .filter(name => labels[name] !== undefined)
+    .map(name => `${name}="${escapePrometheusLabel(labels[name])}"`)
+    .join(',')}}`
+
+// https://prometheus.io/docs/instrumenting/exposition_formats/
+const formatPrometheusMetric = (name, help, samples) =>
+  samples.length === 0
+    ? []
+    : [
+        `# HELP ${name} ${help}`,
+        `# TYPE ${name} gauge`,
+        ...samples.map(
+          ([labels, value]) =>
+            `${name}${formatPrometheusLabels(labels)} ${value}`
+        ),
+      ]
+
+const FORMATTERS = {
+  json: {
+    contentType: 'application/json',
+    extension: 'json',
+    format: result => JSON.stringify(result, null, 2),
+  },
+
+  // a test suite per job run and a test case per VM
+  junit: {
+    contentType: 'application/xml',
+    extension: 'xml',
+    format: ({ job, vms }) => {
+      const classname = `xo.backup.${job.mode}`
+      const testCases = vms.map(vm => ({
+        classname,
+        message: vm.error,
+        name: vm.name === undefined ? vm.id : `${vm.name} (${vm.id})`,
+        status: getJunitStatus(vm.status),
+        time: toSeconds(vm.duration),
+      }))
+
+      // the job itself has failed or has been skipped
+      if (job.error !== undefined) {
+        testCases.push({
+          classname,
+          message: job.error,
+          name: 'job',
+          status: getJunitStatus(job.status),
+          time: toSeconds(job.duration),
+        })
+      }
+
+      const count = status =>
+        testCases.filter(testCase => testCase.status === status).length
+      return [
+        '<?xml version="1.0" encoding="UTF-8"?>',
+        '<testsuites>',
+        `  <testsuite${formatXmlAttributes({
+          errors: count('error'),
+          failures: count('failure'),
+          id: job.runId,
+          name: job.name === undefined ? job.id : job.name,
+          skipped: count('skipped'),
+          tests: testCases.length,
+          time: toSeconds(job.duration),
+          timestamp: new Date(job.start).toISOString(),
+        })}>`,
+        ...testCases.map(formatJunitTestCase),
+        '  </testsuite>',
+        '</testsuites>',
+        '',
+      ].join('\n')
+    },
+  },
+
+  // for the textfile collector of the Prometheus node exporter, the metrics
+  // describe the last run of the job
+  prometheus: {
+    contentType: 'text/plain; version=0.0.4',
+    extension: 'prom',
+    format: ({ job, summary, vms }) => {
+      const jobLabels = { job_id: job.id, job_name: job.name, mode: job.mode }
+      const vmSamples = getValue =>
+        vms.map(vm => [
+          assign({ vm_name: vm.name, vm_uuid: vm.id }, jobLabels),
+          getValue(vm),
+        ])
+      const targetSamples = (message, field) => {
+        const samples = []
+        vms.forEach(vm => {
+          vm.targets.forEach(target => {
+            const value = get(target, [message, field])
+            if (value !== undefined) {
+              samples.push([
+                assign(
+                  {
+                    target_id: target.id,
+                    target_type: target.type,
+                    vm_uuid: vm.id,
+                  },
+                  jobLabels
+                ),
+                value,
+              ])
+            }
+          })
+        })
+        return samples
+      }
+
+      return [
+        ...formatPrometheusMetric(
+          'xo_backup_job_last_run_timestamp_seconds',
+          'Start time of the last run of the backup job.',
+          [[jobLabels, toSeconds(job.start)]]
+        ),
+        ...formatPrometheusMetric(
+          'xo_backup_job_last_run_duration_seconds',
+          'Duration of the last run of the backup job.',
+          [[jobLabels, toSeconds(job.duration)]]
+        ),
+        ...formatPrometheusMetric(
+          'xo_backup_job_last_run_success',
+          'Whether the last run of the backup job has succeeded.',
+          [[jobLabels, job.status === 'success' ? 1 : 0]]
+        ),
+        ...formatPrometheusMetric(
+          'xo_backup_job_last_run_vms',
+          'Number of VMs of the last run of the backup job by status.',
+          ['failures', 'skipped', 'successes'].map(status => [
+            assign({ status }, jobLabels),
+            summary[status],
+          ])
+        ),
+        ...formatPrometheusMetric(
+          'xo_backup_vm_last_run_success',
+          'Whether the last backup of the VM by this job has succeeded.',
+          vmSamples(vm => (vm.status === 'success' ? 1 : 0))
+        ),
+        ...formatPrometheusMetric(
+          'xo_backup_vm_last_run_duration_seconds',
+          'Duration of the last backup of the VM by this job.',
+          vmSamples(vm => toSeconds(vm.duration))
+        ),
+        ...formatPrometheusMetric(
+          'xo_backup_vm_last_health_check_success',
+          'Whether the last health check of the VM by this job has succeeded.',
+          vmSamples(vm => (vm.healthCheck === 'success' ? 1 : 0)).filter(
+            (_, i) => vms[i].healthCheck !== undefined
+          )
+        ),
+        ...formatPrometheusMetric(
+          'xo_backup_transfer_size_bytes',
+          'Size of the data transferred to the target by the last run.',
+          targetSamples('transfer', 'size')
+        ),
+        ...formatPrometheusMetric(
+          'xo_backup_transfer_duration_seconds',
+          'Duration of the transfer to the target by the last run.',
+          targetSamples('transfer', 'duration').map(([labels, value]) => [
+            labels,
+            toSeconds(value),
+          ])
+        ),
+        ...formatPrometheusMetric(
+          'xo_backup_merge_size_bytes',
+          'Size of the data merged on the target by the last run.',
+          targetSamples('merge', 'size')
+        ),
+        '',
+      ].join('\n')
+    },
+  },
+}
+
+export default FORMATTERS
@@ -0,0 +1,210 @@
+/* eslint-env jest */
+
+import FORMATTERS, { buildBackupNgResult } from './exports'
+
+// consolidated logs of a delta backup run (see `xo.getBackupNgLogs()`) of a VM
+// to a remote with hooks
+const createLogs = ({ hookResult, vmResult } = {}) => ({
+  roots: [
+    {
+      data: { mode: 'delta', reportWhen: 'always' },
+      duration: 10e3,
+      end: 1.52e12 + 10e3,
+      id: 'run',
+      jobId: 'job',
+      start: 1.52e12,
+    },
+  ],
+  run: [
+    {
+      data: { id: 'vm', type: 'VM' },
+      duration: 9e3,
+      end: 1.52e12 + 9e3,
+      result: vmResult,
+      start: 1.52e12,
+      status: vmResult === undefined ? 'success' : 'failure',
+      taskId: 'vm-task',
+    },
+  ],
+  'vm-task': [
+    {
+      data: { event: 'preSnapshot', type: 'hook' },
+      message: 'preSnapshot hook',
+      result: hookResult,
+      status: hookResult === undefined ? 'success' : 'failure',
+      taskId: 'hook-task',
+    },
+    { message: 'snapshot', status: 'success', taskId: 'snapshot-task' },
+    {
+      data: { id: 'remote', type: 'remote' },
+      message: 'export',
+      status: 'success',
+      taskId: 'export-task',
+    },
+    {
+      data: { id: 'sr', type: 'healthCheck' },
+      message: 'health check',
+      status: 'success',
+      taskId: 'health-check-task',
+    },
+  ],
+  'export-task': [
+    {
+      end: 1.52e12 + 3e3,
+      message: 'transfer',
+      result: { size: 1024 },
+      start: 1.52e12 + 1e3,
+    },
+    {
+      end: 1.52e12 + 5e3,
+      message: 'merge',
+      result: { size: 512 },
+      start: 1.52e12 + 4e3,
+    },
+  ],
+})
+
+const getName = (type, id) => Promise.resolve(`${type} ${id}`)
+
+describe('buildBackupNgResult()', () => {
+  it('builds the result of a job run', async () => {
+    expect(
+      await buildBackupNgResult(createLogs(), { getName, jobName: 'Job' })
+    ).toEqual({
+      job: {
+        duration: 10e3,
+        end: 1.52e12 + 10e3,
+        id: 'job',
+        mode: 'delta',
+        name: 'Job',
+        runId: 'run',
+        start: 1.52e12,
+        status: 'success',
+      },
+      summary: {
+        failures: 0,
+        mergeSize: 512,
+        skipped: 0,
+        successes: 1,
+        transferSize: 1024,
+        vms: 1,
+      },
+      vms: [
+        {
+          duration: 9e3,
+          end: 1.52e12 + 9e3,
+          healthCheck: 'success',
+          hooks: [{ event: 'preSnapshot', status: 'success' }],
+          id: 'vm',
+          name: 'VM vm',
+          snapshot: 'success',
+          start: 1.52e12,
+          status: 'success',
+          targets: [
+            {
+              id: 'remote',
+              merge: { duration: 1e3, size: 512 },
+              name: 'remote remote',
+              status: 'success',
+              transfer: { duration: 2e3, size: 1024 },
+              type: 'remote',
+            },
+          ],
+        },
+      ],
+    })
+  })
+
+  it('reports the hooks separately from the targets', async () => {
+    const { vms } = await buildBackupNgResult(
+      createLogs({
+        hookResult: [{ message: 'foo' }, { message: 'bar' }],
+        vmResult: { message: 'hook failed' },
+      }),
+      { getName, jobName: 'Job' }
+    )
+
+    expect(vms[0].hooks).toEqual([
+      { error: 'foo, bar', event: 'preSnapshot', status: 'failure' },
+    ])
+    expect(vms[0].targets.map(_ => _.id)).toEqual(['remote'])
+    expect(vms[0].error).toBe('hook failed')
+  })
+
+  it('reports skipped VMs', async () => {
+    const { job, summary, vms } = await buildBackupNgResult(
+      createLogs({ vmResult: { message: 'unhealthy VDI chain' } }),
+      { getName, jobName: 'Job' }
+    )
+
+    expect(vms[0].status).toBe('skipped')
+    expect(summary).toMatchObject({ failures: 0, skipped: 1, successes: 0 })
+    expect(job.status).toBe('skipped')
+  })
+
+  it('reports the error of the job', async () => {
+    const logs = createLogs()
+    logs.roots[0].error = { message: 'no VMs match this pattern' }
+    delete logs.run
+
+    const { job, vms } = await buildBackupNgResult(logs, {
+      getName,
+      jobName: 'Job',
+    })
+    expect(job).toMatchObject({
+      error: 'no VMs match this pattern',
+      status: 'skipped',
+    })
+    expect(vms).toEqual([])
+  })
+})
+
+describe('FORMATTERS', () => {
+  let result
+  beforeAll(async () => {
+    result = await buildBackupNgResult(
+      createLogs({ vmResult: { message: 'a & b' } }),
+      { getName, jobName: 'Job' }
+    )
+  })
+
+  it('json', () => {
+    expect(JSON.parse(FORMATTERS.json.format(result))).toEqual(result)
+  })
+
+  it('junit', () => {
+    expect(FORMATTERS.junit.format(result)).toBe(
+      [
+        '<?xml version="1.0" encoding="UTF-8"?>',
+        '<testsuites>',
+        '  <testsuite errors="0" failures="1" id="run" name="Job" skipped="0" tests="1" time="10" timestamp="2018-03-02T14:13:20.000Z">',
+        '    <testcase classname="xo.backup.delta" name="VM vm (vm)" time="9">',
+        '      <failure message="a &amp; b"/>',
+        '    </testcase>',
+        '  </testsuite>',
+        '</testsuites>',
+        '',
+      ].join('\n')
+    )
+  })
+
+  it('prometheus', () => {
+    const labels = 'job_id="job",job_name="Job",mode="delta"'
+    const lines = FORMATTERS.prometheus.format(result).split('\n')
+
+    expect(lines).toContain(
+      `xo_backup_job_last_run_timestamp_seconds{${labels}} 1520000000`
+    )
+    expect(lines).toContain(`xo_backup_job_last_run_success{${labels}} 0`)
+    expect(lines).toContain(
+      `xo_backup_job_last_run_vms{status="failures",${labels}} 1`
+    )
+    expect(lines).toContain(
+      `xo_backup_vm_last_run_success{vm_name="VM vm",vm_uuid="vm",${labels}} 0`
+    )
+    expect(lines).toContain(
+      `xo_backup_transfer_size_bytes{target_id="remote",target_type="remote",vm_uuid="vm",${labels}} 1024`
+    )
+    expect(lines).toContain('# TYPE xo_backup_merge_size_bytes gauge')
+  })
+})
@@ -1,8 +1,15 @@
 import humanFormat from 'human-format'
 import moment from 'moment-timezone'
-import { find, forEach, get, startCase } from 'lodash'
+import { find, forEach, startCase } from 'lodash'
 
 import pkg from '../package'
+import FORMATTERS, {
+  buildBackupNgResult,
+  getErrorMessage,
+  isSkippedError,
+  NO_VMS_MATCH_THIS_PATTERN,
+  UNHEALTHY_VDI_CHAIN_ERROR,
+} from './exports'
 
 export const configurationSchema = {
   type: 'object',
@@ -28,6 +35,36 @@ export const configurationSchema = {
       },
       minItems: 1,
     },
+    exports: {
+      type: 'object',
+      title: 'exports',
+      description:
+        'machine-readable results of backup NG jobs, exported after each run whatever the report condition',
+
+      properties: {
+        formats: {
+          type: 'array',
+          title: 'formats',
+
+          items: {
+            type: 'string',
+            enum: Object.keys(FORMATTERS),
+          },
+          minItems: 1,
+        },
+        remote: {
+          type: 'string',
+          $type: 'Remote',
+          description:
+            'remote on which the results are written, in the `backup-reports` directory',
+        },
+        webhook: {
+          type: 'string',
+          description: 'URL to which the results are posted',
+        },
+      },
+      required: ['formats'],
+    },
   },
 }
 
@@ -66,33 +103,35 @@ const logError = e => {
   console.error('backup report error:', e)
 }
 
-const NO_VMS_MATCH_THIS_PATTERN = 'no VMs match this pattern'
-const NO_SUCH_OBJECT_ERROR = 'no such object'
-const UNHEALTHY_VDI_CHAIN_ERROR = 'unhealthy VDI chain'
+const EXPORTS_DIR = 'backup-reports'
+
 const UNHEALTHY_VDI_CHAIN_MESSAGE =
   '[(unhealthy VDI chain) Job canceled to protect the VDI chain](https://xen-orchestra.com/docs/backup_troubleshooting.html#vdi-chain-protection)'
 
-const isSkippedError = error =>
-  error.message === UNHEALTHY_VDI_CHAIN_ERROR ||
-  error.message === NO_SUCH_OBJECT_ERROR
-
 class BackupReportsXoPlugin {
   constructor (xo) {
     this._xo = xo
     this._report = this._wrapper.bind(this)
+    this._reportRpoViolation = event =>
+      new Promise(resolve => resolve(this._rpoViolationListener(event))).catch(
+        logError
+      )
   }
 
-  configure ({ toMails, toXmpp }) {
+  configure ({ exports, toMails, toXmpp }) {
+    this._exports = exports
     this._mailsReceivers = toMails
     this._xmppReceivers = toXmpp
   }
 
   load () {
     this._xo.on('job:terminated', this._report)
+    this._xo.on('backupNg:rpoViolation', this._reportRpoViolation)
   }
 
   unload () {
     this._xo.removeListener('job:terminated', this._report)
+    this._xo.removeListener('backupNg:rpoViolation', this._reportRpoViolation)
   }
 
   _wrapper (status, job, schedule) {
@@ -110,6 +149,11 @@ class BackupReportsXoPlugin {
     const logs = await xo.getBackupNgLogs(runJobId)
     const jobLog = logs['roots'][0]
     const vmsTaskLog = logs[jobLog.id]
+    const jobName = (await xo.getJob(jobLog.jobId, 'backup')).name
+
+    if (this._exports !== undefined) {
+      this._exportBackupNgResult(logs, jobName).catch(logError)
+    }
 
     const { reportWhen, mode } = jobLog.data || {}
     if (reportWhen === 'never') {
@@ -117,7 +161,6 @@ class BackupReportsXoPlugin {
     }
 
     const formatDate = createDateFormater(timezone)
-    const jobName = (await xo.getJob(jobLog.jobId, 'backup')).name
 
     if (jobLog.error !== undefined) {
       const [globalStatus, icon] =
@@ -186,7 +229,7 @@ class BackupReportsXoPlugin {
         const { data, status, result, message } = subTaskLog
         const icon =
           subTaskLog.status === 'success' ? ICON_SUCCESS : ICON_FAILURE
-        const errorMessage = `  **Error**: ${get(result, 'message')}`
+        const errorMessage = `  **Error**: ${getErrorMessage(result)}`
 
         if (message === 'snapshot') {
           operationsText.push(`- **Snapshot** ${icon}`)
@@ -194,6 +237,19 @@ class BackupReportsXoPlugin {
             failedSubTasks.push('Snapshot')
             operationsText.push('', errorMessage)
           }
+        } else if (message === 'health check') {
+          operationsText.push(`- **Health check** ${icon}`)
+          if (status === 'failure') {
+            failedSubTasks.push('Health check')
+            operationsText.push('', errorMessage)
+          }
+        } else if (data.type === 'hook') {
+          const name = `${startCase(data.event)} hook`
+          operationsText.push(`- **${name}** ${icon}`)
+          if (status === 'failure') {
+            failedSubTasks.push(name)
+            operationsText.push('', errorMessage)
+          }
         } else if (data.type === 'remote') {
           const remoteId = data.id
           const remote = await xo.getRemote(remoteId).catch(() => {})
@@ -381,6 +437,89 @@ class BackupReportsXoPlugin {
     })
   }
 
+  async _exportBackupNgResult (logs, jobName) {
+    const xo = this._xo
+    const { formats, remote, webhook } = this._exports
+
+    const result = await buildBackupNgResult(logs, {
+      getName: async (type, id) => {
+        if (type === 'remote') {
+          const remote = await xo.getRemote(id).catch(() => {})
+          return remote !== undefined ? remote.name : undefined
+        }
+        try {
+          return xo.getObject(id).name_label
+        } catch (_) {}
+      },
+      jobName,
+    })
+    const { id: jobId, runId } = result.job
+    const handler =
+      remote !== undefined ? await xo.getRemoteHandler(remote) : undefined
+
+    return Promise.all(
+      formats.map(async format => {
+        const formatter = FORMATTERS[format]
+        const { contentType, extension } = formatter
+        const content = formatter.format(result)
+
+        await Promise.all([
+          // the Prometheus textfile only contains the last run of the job
+          handler !== undefined &&
+            (format === 'prometheus'
+              ? handler.outputFile(
+                  `${EXPORTS_DIR}/${jobId}.${extension}`,
+                  content,
+                  { flags: 'w' }
+                )
+              : handler.outputFile(
+                  `${EXPORTS_DIR}/${jobId}/${runId}.${extension}`,
+                  content
+                )),
+          webhook !== undefined &&
+            xo
+              .httpRequest(webhook, {
+                body: content,
+                headers: {
+                  'content-type': contentType,
+                },
+                method: 'POST',
+              })
+              .then(response => response.readAll()),
+        ])
+      })
+    )
+  }
+
+  _rpoViolationListener ({ job, lastReplication, rpo, schedule, vm }) {
+    const { reportWhen } = job.settings[''] || {}
+    if (reportWhen === 'never') {
+      return
+    }
+
+    const formatDate = createDateFormater(schedule.timezone)
+    const markdown = [
+      `##  RPO violation: ${vm.name_label}`,
+      '',
+      `- **UUID**: ${vm.uuid}`,
+      `- **RPO**: ${formatDuration(rpo)}`,
+      `- **Last replication**: ${formatDate(lastReplication)}`,
+      '---',
+      '',
+      `*${pkg.name} v${pkg.version}*`,
+    ].join('\n')
+    return this._sendReport({
+      subject: `[Xen Orchestra] RPO violation − ${job.name} − ${
+        vm.name_label
+      } ${ICON_FAILURE}`,
+      markdown,
+      nagiosStatus: 2,
+      nagiosMarkdown: `[Xen Orchestra] [RPO violation] ${job.name} - ${
+        vm.name_label
+      } last replicated on ${new Date(lastReplication).toISOString()}`,
+    })
+  }
+
   _sendReport ({ markdown, subject, nagiosStatus, nagiosMarkdown }) {
     const xo = this._xo
     return Promise.all([
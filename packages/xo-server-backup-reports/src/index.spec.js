@@ -0,0 +1,142 @@
+/* eslint-env jest */
+
+import createPlugin from './'
+
+// consolidated logs of a full backup run (see `xo.getBackupNgLogs()`) of a VM
+// to a remote and an SR with a pre-snapshot hook
+const createLogs = ({ hookResult, vmResult } = {}) => ({
+  roots: [
+    {
+      data: { mode: 'full', reportWhen: 'always' },
+      duration: 10e3,
+      end: 1.52e12 + 10e3,
+      id: 'run',
+      jobId: 'job',
+      start: 1.52e12,
+    },
+  ],
+  run: [
+    {
+      data: { id: 'vm', type: 'VM' },
+      duration: 9e3,
+      end: 1.52e12 + 9e3,
+      result: vmResult,
+      start: 1.52e12,
+      status: vmResult === undefined ? 'success' : 'failure',
+      taskId: 'vm-task',
+    },
+  ],
+  'vm-task': [
+    {
+      data: { event: 'preSnapshot', type: 'hook' },
+      message: 'preSnapshot hook',
+      result: hookResult,
+      status: hookResult === undefined ? 'success' : 'failure',
+      taskId: 'hook-task',
+    },
+    { message: 'snapshot', status: 'success', taskId: 'snapshot-task' },
+    {
+      data: { id: 'remote', type: 'remote' },
+      message: 'export',
+      status: 'success',
+      taskId: 'export-task',
+    },
+    {
+      data: { id: 'sr', type: 'SR' },
+      message: 'export',
+      status: 'success',
+      taskId: 'replication-task',
+    },
+  ],
+  'export-task': [
+    {
+      end: 1.52e12 + 3e3,
+      message: 'transfer',
+      result: { size: 1024 },
+      start: 1.52e12 + 1e3,
+    },
+  ],
+})
+
+let plugin, xo
+beforeEach(() => {
+  const objects = {
+    sr: { name_label: 'SR', uuid: 'sr' },
+    vm: { name_label: 'VM', uuid: 'vm' },
+  }
+  xo = {
+    getBackupNgLogs: jest.fn(),
+    getJob: () => Promise.resolve({ name: 'Job' }),
+    getObject: id => {
+      const object = objects[id]
+      if (object === undefined) {
+        throw new Error(`no object ${id}`)
+      }
+      return object
+    },
+    getRemote: () => Promise.resolve({ name: 'Remote' }),
+    sendEmail: jest.fn(() => Promise.resolve()),
+    sendPassiveCheck: jest.fn(() => Promise.resolve()),
+  }
+  plugin = createPlugin({ xo })
+  plugin.configure({ toMails: ['admin@example.org'] })
+})
+
+// returns the markdown of the report and the message of the passive check
+const report = async logs => {
+  xo.getBackupNgLogs.mockImplementation(() => Promise.resolve(logs))
+  await plugin._backupNgListener('run', undefined, { timezone: 'UTC' })
+  return [
+    xo.sendEmail.mock.calls[0][0].markdown,
+    xo.sendPassiveCheck.mock.calls[0][0].message,
+  ]
+}
+
+describe('backup NG report', () => {
+  it('renders the hooks with the operations', async () => {
+    const [markdown] = await report(createLogs())
+
+    expect(markdown).toContain(
+      [
+        '#### Operations',
+        '',
+        '- **Pre Snapshot hook** ✔',
+        '- **Snapshot** ✔',
+        '',
+        '#### SRs',
+        '',
+        '- **SR** (sr) ✔',
+        '',
+        '#### remotes',
+        '',
+        '- **Remote** (remote) ✔',
+      ].join('\n')
+    )
+    expect(markdown).toContain('- **Transfer size**: 1 kiB')
+    expect(markdown).not.toContain('undefined')
+    expect(markdown).not.toContain('Not found')
+  })
+
+  it('reports the errors of the hooks', async () => {
+    const [markdown] = await report(
+      createLogs({ hookResult: { message: 'foo' } })
+    )
+
+    expect(markdown).toContain(
+      ['- **Pre Snapshot hook** 🚨', '', '  **Error**: foo'].join('\n')
+    )
+  })
+
+  it('reports the VMs which have failed because of a hook', async () => {
+    const error = { message: 'foo' }
+    const [markdown, nagiosMessage] = await report(
+      createLogs({ hookResult: error, vmResult: error })
+    )
+
+    expect(markdown).toContain('## 1 Failure')
+    expect(markdown).toContain('- **Error**: foo')
+    expect(nagiosMessage).toBe(
+      '[Xen Orchestra] [Failure] Backup report for Job - VMs : [(Failed) VM : foo ]'
+    )
+  })
+})
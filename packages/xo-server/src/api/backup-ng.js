@@ -14,12 +14,16 @@ createJob.params = {
     optional: true,
   },
   mode: {
-    enum: ['full', 'delta'],
+    enum: ['full', 'delta', 'copy', 'verify', 'metadata'],
   },
   name: {
     type: 'string',
     optional: true,
   },
+  pools: {
+    type: 'object',
+    optional: true,
+  },
   remotes: {
     type: 'object',
     optional: true,
@@ -31,12 +35,21 @@ createJob.params = {
   settings: {
     type: 'object',
   },
+  sourceRemote: {
+    type: 'string',
+    optional: true,
+  },
   srs: {
     type: 'object',
     optional: true,
   },
   vms: {
     type: 'object',
+    optional: true,
+  },
+  xoMetadata: {
+    type: 'boolean',
+    optional: true,
   },
 }
 
@@ -74,13 +87,17 @@ editJob.params = {
     type: 'string',
   },
   mode: {
-    enum: ['full', 'delta'],
+    enum: ['full', 'delta', 'copy', 'verify', 'metadata'],
     optional: true,
   },
   name: {
     type: 'string',
     optional: true,
   },
+  pools: {
+    type: 'object',
+    optional: true,
+  },
   remotes: {
     type: 'object',
     optional: true,
@@ -89,6 +106,10 @@ editJob.params = {
     type: 'object',
     optional: true,
   },
+  sourceRemote: {
+    type: 'string',
+    optional: true,
+  },
   srs: {
     type: 'object',
     optional: true,
@@ -97,6 +118,10 @@ editJob.params = {
     type: 'object',
     optional: true,
   },
+  xoMetadata: {
+    type: 'boolean',
+    optional: true,
+  },
 }
 
 export function getAllJobs () {
@@ -169,18 +194,134 @@ listVmBackups.params = {
   },
 }
 
-export function importVmBackup ({ id, sr }) {
-  return this.importVmBackupNg(id, sr)
+export function importVmBackup ({ baseVm, dryRun, id, sr }) {
+  return this.importVmBackupNg(id, sr, { baseVmId: baseVm, dryRun })
 }
 
 importVmBackup.permission = 'admin'
 
 importVmBackup.params = {
+  baseVm: {
+    type: 'string',
+    optional: true,
+  },
+  dryRun: {
+    type: 'boolean',
+    optional: true,
+  },
+  id: {
+    type: 'string',
+  },
+  sr: {
+    type: 'string',
+  },
+}
+
+// -----------------------------------------------------------------------------
+
+export function deleteMetadataBackup ({ id }) {
+  return this.deleteMetadataBackupNg(id)
+}
+
+deleteMetadataBackup.permission = 'admin'
+
+deleteMetadataBackup.params = {
+  id: {
+    type: 'string',
+  },
+}
+
+export function listMetadataBackups ({ remotes }) {
+  return this.listMetadataBackupsNg(remotes)
+}
+
+listMetadataBackups.permission = 'admin'
+
+listMetadataBackups.params = {
+  remotes: {
+    type: 'array',
+    items: {
+      type: 'string',
+    },
+  },
+}
+
+export function restoreMetadataBackup ({ dryRun, id, managers, pool }) {
+  return this.restoreMetadataBackupNg(id, { dryRun, managers, poolId: pool })
+}
+
+restoreMetadataBackup.permission = 'admin'
+
+restoreMetadataBackup.params = {
+  dryRun: {
+    type: 'boolean',
+    optional: true,
+  },
   id: {
     type: 'string',
   },
+  managers: {
+    type: 'array',
+    items: {
+      type: 'string',
+    },
+    optional: true,
+  },
+  pool: {
+    type: 'string',
+    optional: true,
+  },
+}
+
+// -----------------------------------------------------------------------------
+
+export function failover ({ delay, networks, sr, vms }) {
+  return this.failoverVmsNg(vms, sr, { delay, networks })
+}
+
+failover.permission = 'admin'
+
+failover.params = {
+  delay: {
+    type: 'number',
+    optional: true,
+  },
+  networks: {
+    type: 'object',
+    optional: true,
+  },
+  sr: {
+    type: 'string',
+  },
+  vms: {
+    type: 'array',
+    items: {
+      type: 'string',
+    },
+  },
+}
+
+export function failback ({ full, sr, start, vm }) {
+  return this.failbackVmNg(vm, { full, srId: sr, start })
+}
+
+failback.permission = 'admin'
+
+failback.params = {
+  full: {
+    type: 'boolean',
+    optional: true,
+  },
   sr: {
     type: 'string',
+    optional: true,
+  },
+  start: {
+    type: 'boolean',
+    optional: true,
+  },
+  vm: {
+    type: 'string',
   },
 }
 
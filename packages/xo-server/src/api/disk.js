@@ -1,3 +1,4 @@
+import { format } from 'json-rpc-peer'
 import { parseSize } from '../utils'
 import { unauthorized } from 'xo-common/api-errors'
 
@@ -69,3 +70,55 @@ resize.params = {
 resize.resolve = {
   vdi: ['id', ['VDI', 'VDI-snapshot'], 'administrate'],
 }
+
+// -------------------------------------------------------------------
+
+async function handleImport (
+  req,
+  res,
+  { description, name, srId, table, xapi }
+) {
+  req.setTimeout(43200000) // 12 hours
+
+  try {
+    const vdi = await xapi.importDisk(req, { description, name, srId, table })
+    res.end(format.response(0, vdi.$id))
+  } catch (e) {
+    res.writeHead(500)
+    res.end(format.error(0, new Error(e.message)))
+  }
+}
+
+async function import_ ({ description, name, sr, table }) {
+  return {
+    $sendTo: await this.registerHttpRequest(handleImport, {
+      description,
+      name,
+      srId: sr._xapiId,
+      table,
+      xapi: this.getXapi(sr),
+    }),
+  }
+}
+
+import_.description =
+  'import a disk image (VHD, VMDK, QCOW2 or VHDX) in a new VDI, its format is detected from its content'
+
+import_.params = {
+  description: { type: 'string', optional: true },
+  name: { type: 'string' },
+  sr: { type: 'string' },
+
+  // addresses of the blocks read by xo-vmdk-to-vhd, not necessary for VHD
+  table: {
+    type: 'array',
+    items: { type: 'integer' },
+    optional: true,
+  },
+}
+
+import_.resolve = {
+  sr: ['sr', 'SR', 'administrate'],
+}
+
+export { import_ as import }
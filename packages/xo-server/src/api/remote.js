@@ -35,8 +35,20 @@ list.params = {
   id: { type: 'string' },
 }
 
-export async function create ({ name, url }) {
-  return this.createRemote({ name, url })
+export async function create ({
+  name,
+  url,
+  privateKey,
+  hostFingerprint,
+  encryptionKey,
+}) {
+  return this.createRemote({
+    name,
+    url,
+    privateKey,
+    hostFingerprint,
+    encryptionKey,
+  })
 }
 
 create.permission = 'admin'
@@ -44,10 +56,30 @@ create.description = 'Creates a new fs remote point'
 create.params = {
   name: { type: 'string' },
   url: { type: 'string' },
+  privateKey: { type: 'string', optional: true },
+  hostFingerprint: { type: 'string', optional: true },
+
+  // 32 bytes encoded in base64, enables the client-side encryption
+  encryptionKey: { type: 'string', optional: true },
 }
 
-export async function set ({ id, name, url, enabled }) {
-  await this.updateRemote(id, { name, url, enabled })
+export async function set ({
+  id,
+  name,
+  url,
+  enabled,
+  privateKey,
+  hostFingerprint,
+  encryptionKey,
+}) {
+  await this.updateRemote(id, {
+    name,
+    url,
+    enabled,
+    privateKey,
+    hostFingerprint,
+    encryptionKey,
+  })
 }
 
 set.permission = 'admin'
@@ -57,6 +89,14 @@ set.params = {
   name: { type: 'string', optional: true },
   url: { type: 'string', optional: true },
   enabled: { type: 'boolean', optional: true },
+  privateKey: { type: 'string', optional: true },
+
+  // SHA-256 of the SSH host key, empty to accept the current key of the host
+  hostFingerprint: { type: 'string', optional: true },
+
+  // empty to disable the encryption, backups already written with the previous
+  // key can no longer be read
+  encryptionKey: { type: 'string', optional: true },
 }
 
 async function delete_ ({ id }) {
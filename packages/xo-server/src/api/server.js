@@ -68,6 +68,17 @@ getAll.permission = 'admin'
 
 // -------------------------------------------------------------------
 
+export function getMetrics () {
+  return this.getXapiMetrics()
+}
+
+getMetrics.description =
+  'returns the metrics of the XAPI calls of each connected pool'
+
+getMetrics.permission = 'admin'
+
+// -------------------------------------------------------------------
+
 export async function set ({ id, ...props }) {
   await this.updateXenServer(id, props)
 }
@@ -1,9 +1,14 @@
 // FIXME: rename to disk.*
 
+import createDebug from 'debug'
+import { createQcow2Stream, createVmdkStream } from 'vhd-lib'
 import { invalidParameters, unauthorized } from 'xo-common/api-errors'
 import { isArray, reduce } from 'lodash'
 
 import { parseSize } from '../utils'
+import { VDI_FORMAT_RAW, VDI_FORMAT_VHD } from '../xapi'
+
+const debug = createDebug('xo:api:vdi')
 
 // ====================================================================
 
@@ -131,3 +136,78 @@ migrate.resolve = {
   vdi: ['id', ['VDI', 'VDI-snapshot'], 'administrate'],
   sr: ['sr_id', 'SR', 'administrate'],
 }
+
+// -------------------------------------------------------------------
+
+// formats which are not supported by XenServer are converted from VHD
+const CONVERTERS = {
+  qcow2: createQcow2Stream,
+  vmdk: createVmdkStream,
+}
+
+async function handleExport (req, res, { xapi, id, format }) {
+  const converter = CONVERTERS[format]
+  const stream = await xapi.exportVdiContent(id, {
+    format: converter === undefined ? format : VDI_FORMAT_VHD,
+  })
+  res.on('close', () => stream.cancel())
+
+  if (converter === undefined) {
+    // Remove the filename as it is already part of the URL.
+    stream.headers['content-disposition'] = 'attachment'
+
+    res.writeHead(
+      stream.statusCode,
+      stream.statusMessage != null ? stream.statusMessage : '',
+      stream.headers
+    )
+    stream.pipe(res)
+    return
+  }
+
+  res.writeHead(200, 'OK', {
+    'content-disposition': 'attachment',
+    'content-type': 'application/octet-stream',
+  })
+  converter(stream)
+    .on('error', error => {
+      debug('export', error)
+
+      // the XAPI export would otherwise run until its end
+      stream.cancel()
+      res.destroy()
+    })
+    .pipe(res)
+}
+
+async function export_ ({ vdi, format = VDI_FORMAT_VHD }) {
+  return {
+    $getFrom: await this.registerHttpRequest(
+      handleExport,
+      {
+        format,
+        id: vdi._xapiId,
+        xapi: this.getXapi(vdi),
+      },
+      {
+        suffix: encodeURI(`/${vdi.name_label}.${format}`),
+      }
+    ),
+  }
+}
+
+export_.description = 'export the content of a VDI'
+
+export_.params = {
+  id: { type: 'string' },
+  format: {
+    enum: [VDI_FORMAT_RAW, VDI_FORMAT_VHD, ...Object.keys(CONVERTERS)],
+    optional: true,
+  },
+}
+
+export_.resolve = {
+  vdi: ['id', ['VDI', 'VDI-snapshot'], 'administrate'],
+}
+
+export { export_ as export }
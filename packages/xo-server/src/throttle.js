@@ -0,0 +1,131 @@
+// @flow
+
+import { createSchedule } from '@xen-orchestra/cron'
+import { mapValues } from 'lodash'
+// $FlowFixMe
+import through2 from 'through2'
+import { type Readable } from 'stream'
+
+// Bandwidth limit in bytes per second, 0 means no limit.
+//
+// `schedules` make the limit vary over time: the rate of the first schedule
+// whose cron pattern matches the current minute is used, otherwise `rate`.
+export type BandwidthLimit =
+  | number
+  | {|
+      rate?: number,
+      schedules?: Array<{| cron: string, rate: number |}>,
+    |}
+
+// returns a function which returns the rate of the limit at a given date,
+// `undefined` if there is no limit at all
+export const createRateGetter = (
+  limit: BandwidthLimit | void,
+  timezone?: string
+): ((date?: Date) => number) | void => {
+  if (limit === undefined || typeof limit === 'number') {
+    return limit ? () => limit : undefined
+  }
+
+  const { rate = 0 } = limit
+  const schedules = (limit.schedules || []).map(({ cron, rate }) => ({
+    rate,
+    schedule: createSchedule(cron, timezone),
+  }))
+  if (schedules.length === 0) {
+    return rate ? () => rate : undefined
+  }
+
+  return (date = new Date()) => {
+    for (let i = 0, n = schedules.length; i < n; ++i) {
+      const { rate, schedule } = schedules[i]
+      if (schedule.matches(date)) {
+        return rate
+      }
+    }
+    return rate
+  }
+}
+
+// Token bucket which can be shared by multiple streams, the rate is read
+// before each chunk so it can change while the streams are flowing.
+//
+// The bucket can hold up to one second worth of data, when it is empty, the
+// data is still let through but the stream is paused until the debt is paid.
+export default class Throttle {
+  _getRate: () => number
+  _timestamp: number
+  _tokens: number
+
+  constructor (getRate: () => number) {
+    this._getRate = getRate
+    this._timestamp = Date.now()
+    this._tokens = Infinity // the bucket starts full
+  }
+
+  // consumes `size` tokens and returns the delay (in milliseconds) to wait
+  // before sending more data
+  consume (size: number): number {
+    const rate = this._getRate()
+    const now = Date.now()
+    const elapsed = now - this._timestamp
+    this._timestamp = now
+
+    if (rate === 0) {
+      this._tokens = Infinity
+      return 0
+    }
+
+    const tokens = (this._tokens =
+      Math.min(rate, this._tokens + elapsed * rate / 1e3) - size)
+    return tokens < 0 ? -tokens * 1e3 / rate : 0
+  }
+
+  createStream (): Readable {
+    return through2((chunk, enc, cb) => {
+      const delay = this.consume(chunk.length)
+      if (delay === 0) {
+        cb(null, chunk)
+      } else {
+        setTimeout(cb, delay, null, chunk)
+      }
+    })
+  }
+}
+
+// pipes a stream through throttles, its `length` and `task` are preserved
+export const throttleStream = (
+  stream: Readable,
+  throttles: Throttle[]
+): Readable => {
+  if (throttles.length === 0) {
+    return stream
+  }
+
+  const output: any = throttles.reduce(
+    (input, throttle) => input.pipe(throttle.createStream()),
+    stream
+  )
+  const { length, task } = (stream: any)
+  if (length !== undefined) {
+    output.length = length
+  }
+  if (task !== undefined) {
+    output.task = task
+  }
+  return output
+}
+
+// pipes the VHD streams of a delta export through throttles
+export const throttleDeltaExport = <T: { streams: Object }>(
+  deltaExport: T,
+  throttles: Throttle[]
+): T =>
+  throttles.length === 0
+    ? deltaExport
+    : ({
+        __proto__: deltaExport,
+        streams: mapValues(deltaExport.streams, lazyStream => async () =>
+          throttleStream(await lazyStream(), throttles)
+        ),
+      }: any)
@@ -0,0 +1,86 @@
+/* eslint-env jest */
+
+import Throttle, { createRateGetter } from './throttle'
+
+describe('createRateGetter()', () => {
+  it('returns undefined without limit', () => {
+    expect(createRateGetter(undefined)).toBe(undefined)
+    expect(createRateGetter(0)).toBe(undefined)
+    expect(createRateGetter({ schedules: [] })).toBe(undefined)
+  })
+
+  it('returns a constant rate', () => {
+    expect(createRateGetter(1024)()).toBe(1024)
+    expect(createRateGetter({ rate: 1024 })()).toBe(1024)
+  })
+
+  it('uses the rate of the first matching schedule', () => {
+    const getRate = createRateGetter({
+      rate: 0,
+      schedules: [
+        { cron: '* 8-18 * * mon-fri', rate: 1024 },
+        { cron: '* 6-20 * * *', rate: 2048 },
+      ],
+    })
+
+    expect(getRate(new Date('2018-04-09T12:00Z'))).toBe(1024) // monday
+    expect(getRate(new Date('2018-04-09T19:00Z'))).toBe(2048)
+    expect(getRate(new Date('2018-04-08T12:00Z'))).toBe(2048) // sunday
+    expect(getRate(new Date('2018-04-09T22:00Z'))).toBe(0)
+  })
+
+  it('uses the timezone', () => {
+    const getRate = createRateGetter(
+      { schedules: [{ cron: '* 8-18 * * *', rate: 1024 }] },
+      'Asia/Tokyo'
+    )
+
+    expect(getRate(new Date('2018-04-09T00:00Z'))).toBe(1024)
+    expect(getRate(new Date('2018-04-09T12:00Z'))).toBe(0)
+  })
+})
+
+describe('Throttle', () => {
+  let now
+  beforeEach(() => {
+    now = 0
+    jest.spyOn(Date, 'now').mockImplementation(() => now)
+  })
+  afterEach(() => {
+    Date.now.mockRestore()
+  })
+
+  it('lets one second worth of data through without delay', () => {
+    const throttle = new Throttle(() => 1000)
+    expect(throttle.consume(600)).toBe(0)
+    expect(throttle.consume(400)).toBe(0)
+  })
+
+  it('delays when the bucket is empty', () => {
+    const throttle = new Throttle(() => 1000)
+    expect(throttle.consume(1500)).toBe(500)
+
+    now += 500
+    expect(throttle.consume(100)).toBe(100)
+
+    now += 1e4
+    expect(throttle.consume(1000)).toBe(0)
+  })
+
+  it('is shared by all its streams', () => {
+    const throttle = new Throttle(() => 1000)
+    throttle.consume(1000)
+    expect(throttle.consume(200)).toBe(200)
+    expect(throttle.consume(200)).toBe(400)
+  })
+
+  it('does not limit with a rate of 0', () => {
+    let rate = 0
+    const throttle = new Throttle(() => rate)
+    expect(throttle.consume(1e9)).toBe(0)
+
+    rate = 1000
+    expect(throttle.consume(1000)).toBe(0)
+    expect(throttle.consume(1000)).toBe(1000)
+  })
+})
@@ -0,0 +1,17 @@
+import { forEach } from './utils'
+
+// metrics of the XAPI calls (latencies, errors, in-flight calls, etc.) by
+// connected pool, `xapis` are the XAPI connections by server id
+export default function getXapisMetrics (xapis) {
+  const metrics = {}
+  forEach(xapis, (xapi, serverId) => {
+    const { pool } = xapi
+    if (pool != null) {
+      metrics[pool.$id] = {
+        ...xapi.getMetrics(),
+        server: serverId,
+      }
+    }
+  })
+  return metrics
+}
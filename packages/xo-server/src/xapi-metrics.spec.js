@@ -0,0 +1,48 @@
+/* eslint-env jest */
+
+import { createClient, FakePool } from 'xen-api'
+
+import getXapisMetrics from './xapi-metrics'
+
+const delay = ms => new Promise(resolve => setTimeout(resolve, ms))
+
+describe('getXapisMetrics()', () => {
+  let connected, disconnected
+  beforeEach(async () => {
+    const pool = new FakePool()
+    pool.add('pool', { name_label: 'pool', other_config: {} })
+    pool.add('VM', { name_label: 'vm' })
+
+    connected = createClient({ fixtures: pool, transport: 'replay' })
+    disconnected = createClient({ transport: 'replay' })
+
+    await connected.connect()
+    while (connected.pool === null) {
+      await delay(10)
+    }
+  })
+  afterEach(() => connected.disconnect())
+
+  it('returns the metrics of the connected pools by pool id', async () => {
+    await connected.call('VM.get_all')
+
+    const metrics = getXapisMetrics({
+      server1: connected,
+      server2: disconnected,
+    })
+
+    const poolId = connected.pool.$id
+    expect(Object.keys(metrics)).toEqual([poolId])
+    const { calls, eventBatches, resources, server } = metrics[poolId]
+    expect(server).toBe('server1')
+    expect(calls['VM.get_all']).toEqual({
+      duration: expect.objectContaining({ count: 1 }),
+      errors: {},
+      inFlight: 0,
+    })
+    expect(eventBatches).toEqual(
+      expect.objectContaining({ buckets: expect.any(Object) })
+    )
+    expect(resources).toEqual({})
+  })
+})
@@ -4,7 +4,7 @@ import deferrable from 'golike-defer'
 import fatfs from 'fatfs'
 import synchronized from 'decorator-synchronized'
 import tarStream from 'tar-stream'
-import vmdkToVhd from 'xo-vmdk-to-vhd'
+import { convertToVhd } from 'xo-vmdk-to-vhd'
 import {
   cancelable,
   catchPlus as pCatch,
@@ -30,6 +30,7 @@ import {
 import { satisfies as versionSatisfies } from 'semver'
 
 import createSizeStream from '../size-stream'
+import { throttleStream } from '../throttle'
 import fatfsBuffer, { init as fatfsBufferInit } from '../fatfs-buffer'
 import { mixin } from '../decorators'
 import {
@@ -497,7 +498,7 @@ export default class Xapi extends XapiBase {
     vmId,
     targetXapi,
     targetSrId,
-    { compress = true, nameLabel = undefined } = {}
+    { compress = true, nameLabel = undefined, throttles = [] } = {}
   ) {
     // Fall back on local copy if possible.
     if (targetXapi === this) {
@@ -512,7 +513,7 @@ export default class Xapi extends XapiBase {
     })
 
     const sizeStream = createSizeStream()
-    stream = stream.pipe(sizeStream)
+    stream = throttleStream(stream.pipe(sizeStream), throttles)
 
     const onVmCreation =
       nameLabel !== undefined
@@ -722,6 +723,28 @@ export default class Xapi extends XapiBase {
     return console
   }
 
+  // Returns a stream to the dump of the pool database.
+  @cancelable
+  exportPoolMetadata ($cancelToken) {
+    return this.getResource($cancelToken, '/pool/xmldbdump', {
+      task: this.createTask('Pool metadata export', this.pool.name_label),
+    })
+  }
+
+  // Restores a dump of the pool database, the hosts are restarted.
+  //
+  // With `dryRun`, the dump is only checked against the hosts of the pool.
+  @cancelable
+  importPoolMetadata ($cancelToken, stream, { dryRun = false } = {}) {
+    return this.putResource($cancelToken, stream, '/pool/xmldbdump', {
+      query: {
+        dry_run: String(dryRun),
+        restore: 'true',
+      },
+      task: this.createTask('Pool metadata import', this.pool.name_label),
+    })
+  }
+
   // Returns a stream to the exported VM.
   @concurrency(2, stream => stream.then(stream => fromEvent(stream, 'end')))
   @cancelable
@@ -933,6 +956,9 @@ export default class Xapi extends XapiBase {
     $defer,
     delta: DeltaVmExport,
     {
+      // VM to use as base instead of detecting it, its VDIs are matched with
+      // the base delta VDIs by their copy source or by their UUID
+      baseVmId = undefined,
       deleteBase = false,
       detectBase = true,
       disableStartAfterImport = true,
@@ -948,7 +974,9 @@ export default class Xapi extends XapiBase {
     }
 
     let baseVm
-    if (detectBase) {
+    if (baseVmId !== undefined) {
+      baseVm = this.getObject(baseVmId)
+    } else if (detectBase) {
       const remoteBaseVmUuid = delta.vm.other_config[TAG_BASE_DELTA]
       if (remoteBaseVmUuid) {
         baseVm = find(
@@ -999,11 +1027,15 @@ export default class Xapi extends XapiBase {
     const newVdis = await map(delta.vdis, async (vdi, vdiId) => {
       let newVdi
 
-      const remoteBaseVdiUuid = detectBase && vdi.other_config[TAG_BASE_DELTA]
+      const remoteBaseVdiUuid =
+        (detectBase || baseVm !== undefined) && vdi.other_config[TAG_BASE_DELTA]
       if (remoteBaseVdiUuid) {
         const baseVdi = find(
           baseVdis,
-          vdi => vdi.other_config[TAG_COPY_SRC] === remoteBaseVdiUuid
+          vdi =>
+            vdi.other_config[TAG_COPY_SRC] === remoteBaseVdiUuid ||
+            // the base is the original of the copy (e.g. failback)
+            vdi.uuid === remoteBaseVdiUuid
         )
         if (!baseVdi) {
           throw new Error(`missing base VDI (copy of ${remoteBaseVdiUuid})`)
@@ -1388,7 +1420,7 @@ export default class Xapi extends XapiBase {
         }
 
         const table = tables[entry.name]
-        const vhdStream = await vmdkToVhd(stream, table)
+        const { stream: vhdStream } = await convertToVhd(stream, table)
         await this._importVdiContent(vdi, vhdStream, VDI_FORMAT_VHD)
 
         // See: https://github.com/mafintosh/tar-stream#extracting
@@ -1939,6 +1971,16 @@ export default class Xapi extends XapiBase {
     })
   }
 
+  @cancelable
+  exportVdiContent ($cancelToken, vdiId, { format } = {}) {
+    return this._exportVdi(
+      $cancelToken,
+      this.getObject(vdiId),
+      undefined,
+      format
+    )
+  }
+
   // -----------------------------------------------------------------
 
   async _importVdiContent (vdi, body, format = VDI_FORMAT_VHD) {
@@ -1965,6 +2007,27 @@ export default class Xapi extends XapiBase {
     return this._importVdiContent(this.getObject(vdiId), body, format)
   }
 
+  // Creates a VDI from a disk image (VHD, VMDK, QCOW2 or VHDX), its format is
+  // detected from its content.
+  //
+  // `table` is necessary for VMDK, QCOW2 and VHDX images, see
+  // `xo-vmdk-to-vhd`.
+  @deferrable
+  async importDisk ($defer, stream, { description, name, srId, table }) {
+    const { size, stream: vhdStream } = await convertToVhd(stream, table)
+
+    const vdi = await this.createVdi({
+      name_description: description,
+      name_label: name,
+      size,
+      sr: srId,
+    })
+    $defer.onFailure(() => this._deleteVdi(vdi))
+
+    await this._importVdiContent(vdi, vhdStream, VDI_FORMAT_VHD)
+    return vdi
+  }
+
   // =================================================================
 
   async _createVif (
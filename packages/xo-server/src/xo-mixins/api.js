@@ -146,7 +146,12 @@ function resolveParams (method, params) {
 // -------------------------------------------------------------------
 
 const removeSensitiveParams = (value, name) => {
-  if (name === 'password' && typeof value === 'string') {
+  if (
+    (name === 'password' ||
+      name === 'privateKey' ||
+      name === 'encryptionKey') &&
+    typeof value === 'string'
+  ) {
     return '* obfuscated *'
   }
 
@@ -0,0 +1,156 @@
+/* eslint-env jest */
+
+import getStream from 'get-stream'
+import tmp from 'tmp'
+import Vhd, {
+  chainVhd,
+  checkVhdChain,
+  createReadableSparseStream,
+  writeDedupVhd,
+} from 'vhd-lib'
+import { fromCallback as pFromCallback } from 'promise-toolbox'
+import { getHandler } from '@xen-orchestra/fs'
+import { remove } from 'fs-extra'
+
+import { copyVmBackup } from './copy'
+
+const VM_DIR = 'xo-vm-backups/vm'
+const DIFFERENCING = 4
+
+// dynamic VHD of 4 MiB with its first block allocated
+const createVhdStream = () =>
+  createReadableSparseStream(
+    4 * 1024 * 1024,
+    2 * 1024 * 1024,
+    [0],
+    [{ offsetBytes: 0, data: Buffer.alloc(2 * 1024 * 1024, 1) }]
+  )
+const createVhd = () => getStream.buffer(createVhdStream())
+
+const readVhd = async (handler, path) => {
+  const vhd = new Vhd(handler, path)
+  await vhd.readHeaderAndFooter()
+  return vhd
+}
+
+let dir, handler, sourceHandler
+beforeEach(async () => {
+  dir = await pFromCallback(cb => tmp.dir(cb))
+  sourceHandler = getHandler({ url: `file://${dir}/source` })
+  handler = getHandler({ url: `file://${dir}/target` })
+})
+afterEach(() => remove(dir))
+
+const copy = backup =>
+  copyVmBackup(sourceHandler, handler, backup, {
+    jobId: 'copy-job',
+    scheduleId: 'copy-schedule',
+  })
+
+const readMetadata = async path => JSON.parse(await handler.readFile(path))
+
+describe('copyVmBackup()', () => {
+  it('copies a full backup with its checksum', async () => {
+    const stream = await sourceHandler.createOutputStream(
+      `${VM_DIR}/20180601T120000Z.xva`,
+      { checksum: true }
+    )
+    stream.end('xva content')
+    await stream.checksumWritten
+
+    const backup = {
+      _filename: `${VM_DIR}/20180601T120000Z.json`,
+      jobId: 'backup-job',
+      mode: 'full',
+      scheduleId: 'backup-schedule',
+      vm: { uuid: 'vm' },
+      xva: './20180601T120000Z.xva',
+    }
+    expect(await copy(backup)).toBe(11)
+
+    expect(await readMetadata(`${VM_DIR}/20180601T120000Z.json`)).toEqual({
+      ...backup,
+      jobId: 'copy-job',
+      scheduleId: 'copy-schedule',
+    })
+    const xva = await handler.createReadStream(
+      `${VM_DIR}/20180601T120000Z.xva`,
+      { checksum: true }
+    )
+    expect(String(await getStream.buffer(xva))).toBe('xva content')
+  })
+
+  describe('delta backups', () => {
+    // two backups of a disk, the second VHD is a child of the first one
+    const backups = ['20180601T120000Z', '20180602T120000Z'].map(name => ({
+      _filename: `${VM_DIR}/${name}.json`,
+      jobId: 'backup-job',
+      mode: 'delta',
+      scheduleId: 'backup-schedule',
+      vdis: { vdi: { uuid: 'vdi' } },
+      vhds: { vdi: `vdis/backup-job/vdi/${name}.vhd` },
+      vm: { uuid: 'vm' },
+    }))
+    const copiedVhds = backups.map(
+      _ => `${VM_DIR}/${_.vhds.vdi.replace('backup-job', 'copy-job')}`
+    )
+
+    beforeEach(async () => {
+      const paths = backups.map(_ => `${VM_DIR}/${_.vhds.vdi}`)
+      for (const path of paths) {
+        await sourceHandler.outputFile(path, await createVhd())
+      }
+      await chainVhd(sourceHandler, paths[0], sourceHandler, paths[1], true)
+    })
+
+    it('copies the VHDs in the directory of the copy job', async () => {
+      await copy(backups[0])
+
+      expect(await readMetadata(backups[0]._filename)).toEqual({
+        ...backups[0],
+        jobId: 'copy-job',
+        scheduleId: 'copy-schedule',
+        vhds: { vdi: 'vdis/copy-job/vdi/20180601T120000Z.vhd' },
+      })
+      await checkVhdChain(handler, copiedVhds[0])
+    })
+
+    it('chains a VHD to the copy of its parent', async () => {
+      await copy(backups[0])
+      await copy(backups[1])
+
+      const vhd = await readVhd(handler, copiedVhds[1])
+      expect(vhd.footer.diskType).toBe(DIFFERENCING)
+      expect(vhd.header.parentUnicodeName).toBe('20180601T120000Z.vhd')
+      await checkVhdChain(handler, copiedVhds[1])
+    })
+
+    it('copies the whole chain if the parent has not been copied', async () => {
+      await copy(backups[1])
+
+      const vhd = await readVhd(handler, copiedVhds[1])
+      expect(vhd.footer.diskType).not.toBe(DIFFERENCING)
+      await checkVhdChain(handler, copiedVhds[1])
+    })
+
+    describe('deduplicated', () => {
+      beforeEach(async () => {
+        const paths = backups.map(_ => `${VM_DIR}/${_.vhds.vdi}`)
+        for (let i = 0; i < paths.length; ++i) {
+          await writeDedupVhd(sourceHandler, paths[i], createVhdStream(), {
+            parentPath: paths[i - 1],
+          })
+        }
+      })
+
+      it('copies the manifests as standard VHDs', async () => {
+        await copy(backups[0])
+        await copy(backups[1])
+
+        const vhd = await readVhd(handler, copiedVhds[1])
+        expect(vhd.footer.diskType).toBe(DIFFERENCING)
+        await checkVhdChain(handler, copiedVhds[1])
+      })
+    })
+  })
+})
@@ -0,0 +1,131 @@
+// @flow
+
+// $FlowFixMe
+import type RemoteHandler from '@xen-orchestra/fs'
+import defer from 'golike-defer'
+import { basename, dirname } from 'path'
+import Vhd, {
+  chainVhd,
+  createSyntheticStream as createVhdReadStream,
+  createVhdFileReadStream,
+  DedupVhd,
+  isDedupVhd,
+} from 'vhd-lib'
+
+import Throttle from '../../throttle'
+import { asyncMap, resolveRelativeFromFile } from '../../utils'
+
+import { getVmBackupDir, isVhd, listDir, writeStream } from './utils'
+
+// Copy of a VM backup to another remote, used by the copy mode.
+//
+// The backup keeps its name, except its VHDs which are in the directory of the
+// copy job (`vdis/<job UUID>/<VDI UUID>`), and the job and the schedule of its
+// metadata are replaced by the ones of the copy job.
+//
+// The backups of a VM must be copied in chronological order to be able to
+// chain their VHDs.
+//
+// Returns the size of the copied data.
+export async function copyVmBackup (
+  sourceHandler: RemoteHandler,
+  handler: RemoteHandler,
+  metadata: Object,
+  {
+    jobId,
+    scheduleId,
+    throttles = [],
+  }: {| jobId: string, scheduleId: string, throttles?: Throttle[] |}
+): Promise<number> {
+  const sourceFilename: string = metadata._filename
+  const metadataFilename = `${getVmBackupDir(metadata.vm.uuid)}/${basename(
+    sourceFilename
+  )}`
+
+  let size = 0
+  let copy
+  if (metadata.mode === 'full') {
+    const path = resolveRelativeFromFile(metadataFilename, metadata.xva)
+    await writeStream(
+      sourceHandler.createReadStream(
+        resolveRelativeFromFile(sourceFilename, metadata.xva),
+        {
+          checksum: true,
+          ignoreMissingChecksum: true,
+        }
+      ),
+      handler,
+      path,
+      { throttles }
+    )
+    size = await handler.getSize(path)
+    copy = { ...metadata, jobId, scheduleId }
+  } else {
+    const vhds = {}
+    await asyncMap(metadata.vhds, async (path, vdiId) => {
+      const sourcePath = resolveRelativeFromFile(sourceFilename, path)
+      path = vhds[vdiId] = `vdis/${jobId}/${basename(
+        dirname(sourcePath)
+      )}/${basename(sourcePath)}`
+      size += await copyVhd(
+        sourceHandler,
+        sourcePath,
+        handler,
+        resolveRelativeFromFile(metadataFilename, path),
+        throttles
+      )
+    })
+    copy = { ...metadata, jobId, scheduleId, vhds }
+  }
+
+  await handler.outputFile(metadataFilename, JSON.stringify(copy))
+  return size
+}
+
+// the VHD is copied as is and chained if its parent is the last VHD of the
+// destination directory, otherwise it is copied with its whole chain
+//
+// a manifest of the deduplicated block store is copied as a standard VHD
+//
+// returns the size of the copied VHD
+export const copyVhd = defer(async function (
+  $defer: any,
+  sourceHandler: RemoteHandler,
+  sourcePath: string,
+  handler: RemoteHandler,
+  path: string,
+  throttles: Throttle[] = []
+): Promise<number> {
+  const vhd = (await isDedupVhd(sourceHandler, sourcePath))
+    ? new DedupVhd(sourceHandler, sourcePath)
+    : new Vhd(sourceHandler, sourcePath)
+  await vhd.readHeaderAndFooter()
+
+  const dir = dirname(path)
+  const parent = (await listDir(handler, dir))
+    .filter(isVhd)
+    .sort()
+    .pop()
+  const isDelta = parent === vhd.header.parentUnicodeName
+
+  await writeStream(
+    isDelta
+      ? createVhdFileReadStream(sourceHandler, sourcePath)
+      : createVhdReadStream(sourceHandler, sourcePath),
+    handler,
+    path,
+    {
+      // no checksum for VHDs, because they will be invalidated by merges and
+      // chainings
+      checksum: false,
+      throttles,
+    }
+  )
+  $defer.onFailure.call(handler, 'unlink', path)
+
+  if (isDelta) {
+    await chainVhd(handler, `${dir}/${parent}`, handler, path)
+  }
+
+  return handler.getSize(path)
+})
@@ -0,0 +1,267 @@
+// @flow
+
+import defer from 'golike-defer'
+import { forEach, omit, without } from 'lodash'
+
+import { type Vm, type Xapi } from '../../xapi'
+import { asyncMap } from '../../utils'
+
+import { isVmReplica } from './rpo'
+
+// A failed over VM is a replica which has been started in place, it keeps in
+// `other_config['xo:failover']` what is necessary for its failback:
+//
+// - `base`: UUID of a snapshot of the replica taken before it is started
+// - `source`: UUID of the snapshot of the original VM the replica has been
+//   copied from, it has the same content as `base`
+// - `vdis`: UUIDs of the VDIs of `source` by UUID of the VDIs of `base`
+//
+// `source` is protected from the snapshot retention of the backup jobs by
+// `other_config['xo:failback_base']` until the failback.
+type Failover = {|
+  base: string,
+  source: string,
+  vdis: $Dict<string>,
+|}
+
+// replicas of a VM on an SR, by any job if `jobId` is not defined
+//
+// contrary to `listReplicatedVms()`, the replicas which have been started (e.g.
+// by a failover) are ignored
+export const listVmReplicas = (
+  xapi: Xapi,
+  srId: string,
+  vmUuid: string,
+  jobId?: string
+): Vm[] => {
+  const replicas = []
+  const { all } = xapi.objects
+  for (const key in all) {
+    const object = all[key]
+    const oc = object.other_config
+    if (
+      isVmReplica(object) &&
+      oc['xo:backup:sr'] === srId &&
+      oc['xo:backup:vm'] === vmUuid &&
+      (jobId === undefined || oc['xo:backup:job'] === jobId)
+    ) {
+      replicas.push(object)
+    }
+  }
+  return replicas
+}
+
+// whether a snapshot must be kept for the failback of a failed over VM
+export const isFailbackBase = (snapshot: Vm): boolean =>
+  'xo:failback_base' in snapshot.other_config
+
+// starts a replica in place, `networks` maps the networks of its VIFs to other
+// ones, and returns its id
+//
+// `getXapi(id)` returns the XAPI of an object, it is used to protect the
+// snapshot of the original VM, which is not possible if its pool is
+// unreachable
+export async function failoverVm (
+  $cancelToken: any,
+  getXapi: (id: string) => Xapi,
+  xapi: Xapi,
+  replica: Vm,
+  networks: $Dict<string>
+): Promise<string> {
+  const source = replica.other_config['xo:copy_of']
+
+  // same content as the snapshot of the original VM the replica has been
+  // copied from
+  const base = await xapi._snapshotVm(
+    $cancelToken,
+    replica,
+    `[XO Failover base] ${replica.name_label}`
+  )
+  const vdis = {}
+  base.$VBDs.forEach(vbd => {
+    const vdi = vbd.$VDI
+    if (vdi != null) {
+      const copyOf = vdi.$snapshot_of.other_config['xo:copy_of']
+      if (copyOf !== undefined) {
+        vdis[vdi.uuid] = copyOf
+      }
+    }
+  })
+
+  const failover: Failover = {
+    base: base.uuid,
+    source,
+    vdis,
+  }
+  await Promise.all([
+    xapi.addTag(replica.$ref, 'failover'),
+    xapi._updateObjectMapProperty(replica, 'other_config', {
+      'xo:backup:sr': null, // no longer a replica
+
+      // must not be used as base by the next replications
+      'xo:copy_of': null,
+
+      'xo:failover': JSON.stringify(failover),
+    }),
+  ])
+
+  let sourceXapi, sourceVm
+  try {
+    sourceXapi = getXapi(source)
+    sourceVm = sourceXapi.getObject(source)
+  } catch (_) {
+    // the original pool is unreachable or the snapshot has already been
+    // deleted, only a full failback will be possible if it is missing then
+  }
+  if (sourceVm !== undefined) {
+    await (sourceXapi: any)._updateObjectMapProperty(sourceVm, 'other_config', {
+      'xo:failback_base': replica.uuid,
+    })
+  }
+
+  await asyncMap(replica.$VIFs, async vif => {
+    const networkId = networks[vif.$network.$id]
+    if (networkId !== undefined) {
+      await xapi._deleteVif(vif)
+      await xapi._createVif(replica, xapi.getObject(networkId), vif)
+    }
+  })
+
+  await xapi.startVm(replica.$id, true)
+  return replica.$id
+}
+
+// failed over VMs whose failback is in progress
+const failbacks: Set<string> = new Set()
+
+// replicates the changes made on a failed over VM back to the pool of the
+// original VM and returns the id of the new VM
+//
+// the failed over VM is shut down first and kept, only its differences with
+// the snapshot of the original VM it has been replicated from are
+// transferred
+//
+// if this snapshot or the base kept on the DR pool no longer exists, the
+// failback fails unless `full` is true, in which case the whole VM is
+// transferred to `srId` (required then)
+//
+// the new VM is started unless `start` is false
+//
+// a VM can only be failed back once, it is then marked with
+// `other_config['xo:failback']`
+export const failbackVm = defer(async function (
+  $defer: any,
+  $cancelToken: any,
+  getXapi: (id: string) => Xapi,
+  vmId: string,
+  {
+    full = false,
+    srId,
+    start = true,
+  }: { full?: boolean, srId?: string, start?: boolean } = {}
+): Promise<string> {
+  const xapi = getXapi(vmId)
+  const vm: Vm = (xapi.getObject(vmId): any)
+  const { other_config: otherConfig } = vm
+  if ('xo:failback' in otherConfig) {
+    throw new Error(
+      `VM ${vmId} has already been failed back to VM ${
+        JSON.parse(otherConfig['xo:failback']).vm
+      }`
+    )
+  }
+  if (!('xo:failover' in otherConfig)) {
+    throw new Error(`VM ${vmId} has not been failed over`)
+  }
+  if (failbacks.has(vm.uuid)) {
+    throw new Error(`the failback of VM ${vmId} is already in progress`)
+  }
+  failbacks.add(vm.uuid)
+  $defer(() => failbacks.delete(vm.uuid))
+
+  const { base, source, vdis }: Failover = JSON.parse(
+    otherConfig['xo:failover']
+  )
+
+  let baseVm, drBaseVm, sourceXapi, targetXapi
+  try {
+    sourceXapi = targetXapi = getXapi(source)
+    baseVm = sourceXapi.getObject(source)
+  } catch (_) {}
+  const sourceVm = baseVm
+  try {
+    drBaseVm = xapi.getObject(base)
+  } catch (_) {}
+  if (baseVm === undefined || drBaseVm === undefined) {
+    if (!full) {
+      throw new Error(
+        baseVm === undefined
+          ? `the snapshot ${source} of the original VM is missing, only a full failback is possible`
+          : `the failover base ${base} is missing, only a full failback is possible`
+      )
+    }
+    if (srId === undefined) {
+      throw new Error('a full failback requires an SR')
+    }
+    baseVm = drBaseVm = undefined
+    targetXapi = getXapi(srId)
+  }
+
+  if (vm.power_state !== 'Halted') {
+    await xapi
+      .call('VM.clean_shutdown', vm.$ref)
+      .catch(() => xapi.call('VM.hard_shutdown', vm.$ref))
+  }
+
+  const delta = await xapi.exportDeltaVm(
+    $cancelToken,
+    vm.$id,
+    drBaseVm && drBaseVm.$id
+  )
+  $defer(() => xapi.deleteVm(delta.vm.uuid)) // snapshot created by the export
+
+  // the VDIs of the base on the DR pool are copies of those of the snapshot
+  // of the original VM
+  if (baseVm !== undefined) {
+    forEach(delta.vdis, vdi => {
+      const baseVdiUuid = vdi.other_config['xo:base_delta']
+      if (baseVdiUuid !== undefined) {
+        const originalVdiUuid = vdis[baseVdiUuid]
+        if (originalVdiUuid === undefined) {
+          throw new Error(`no original of the base VDI ${baseVdiUuid}`)
+        }
+        vdi.other_config['xo:base_delta'] = originalVdiUuid
+      }
+    })
+  }
+  delta.vm = {
+    ...delta.vm,
+    other_config: omit(delta.vm.other_config, 'xo:failover'),
+    tags: without(delta.vm.tags, 'failover'),
+  }
+
+  const { vm: newVm } = await targetXapi.importDeltaVm(delta, {
+    baseVmId: baseVm && baseVm.$id,
+    detectBase: false,
+    disableStartAfterImport: false,
+    name_label: vm.name_label,
+    srId,
+  })
+
+  await Promise.all([
+    xapi._updateObjectMapProperty(vm, 'other_config', {
+      'xo:failback': JSON.stringify({ timestamp: Date.now(), vm: newVm.uuid }),
+    }),
+
+    // the snapshot of the original VM is no longer needed
+    sourceVm !== undefined &&
+      (sourceXapi: any)._updateObjectMapProperty(sourceVm, 'other_config', {
+        'xo:failback_base': null,
+      }),
+  ])
+
+  if (start) {
+    await targetXapi.startVm(newVm.$id)
+  }
+  return newVm.$id
+})
@@ -0,0 +1,292 @@
+/* eslint-env jest */
+
+import {
+  failbackVm,
+  failoverVm,
+  isFailbackBase,
+  listVmReplicas,
+} from './failover'
+
+// objects are indexed by id and UUID, which are the same here
+const createXapi = objects => {
+  const all = {}
+  objects.forEach(object => {
+    all[object.uuid] = object
+  })
+  const getObject = id => {
+    const object = all[id]
+    if (object === undefined) {
+      throw new Error(`no object ${id}`)
+    }
+    return object
+  }
+  return {
+    addTag: jest.fn(() => Promise.resolve()),
+    call: jest.fn(() => Promise.resolve()),
+    deleteVm: jest.fn(() => Promise.resolve()),
+    exportDeltaVm: jest.fn(() =>
+      Promise.resolve({
+        vdis: {
+          vdi: { other_config: { 'xo:base_delta': 'base-vdi' } },
+        },
+        vm: {
+          other_config: { 'xo:failover': '{}' },
+          tags: ['failover', 'foo'],
+          uuid: 'export-snapshot',
+        },
+      })
+    ),
+    getObject,
+    importDeltaVm: jest.fn(() =>
+      Promise.resolve({ vm: { $id: 'new-vm', uuid: 'new-vm' } })
+    ),
+    objects: { all },
+    startVm: jest.fn(() => Promise.resolve()),
+    _createVif: jest.fn(() => Promise.resolve()),
+    _deleteVif: jest.fn(() => Promise.resolve()),
+    _snapshotVm: jest.fn(() =>
+      Promise.resolve({
+        $VBDs: [
+          {
+            $VDI: {
+              $snapshot_of: { other_config: { 'xo:copy_of': 'source-vdi' } },
+              uuid: 'base-vdi',
+            },
+          },
+          { $VDI: null }, // empty CD drive
+        ],
+        uuid: 'base',
+      })
+    ),
+    _updateObjectMapProperty: jest.fn((object, name, values) => {
+      const map = object[name]
+      Object.keys(values).forEach(key => {
+        const value = values[key]
+        if (value === null) {
+          delete map[key]
+        } else {
+          map[key] = value
+        }
+      })
+      return Promise.resolve()
+    }),
+  }
+}
+
+const createReplica = (uuid, otherConfig) => ({
+  $VIFs: [{ $network: { $id: 'network' } }, { $network: { $id: 'other' } }],
+  $id: uuid,
+  $ref: `OpaqueRef:${uuid}`,
+  $type: 'vm',
+  blocked_operations: { start: '' },
+  name_label: 'VM',
+  other_config: {
+    'xo:backup:job': 'job',
+    'xo:backup:sr': 'dr-sr',
+    'xo:backup:vm': 'vm',
+    'xo:copy_of': 'source',
+    ...otherConfig,
+  },
+  uuid,
+})
+
+let drXapi, getXapi, replica, source, sourceXapi
+beforeEach(() => {
+  replica = createReplica('replica')
+  source = { $id: 'source', other_config: {}, uuid: 'source' }
+  drXapi = createXapi([replica, { uuid: 'dr-network' }, { uuid: 'dr-sr' }])
+  sourceXapi = createXapi([source, { uuid: 'sr' }])
+  getXapi = id => {
+    if (id in drXapi.objects.all) {
+      return drXapi
+    }
+    if (id in sourceXapi.objects.all) {
+      return sourceXapi
+    }
+    throw new Error(`no object ${id}`)
+  }
+})
+
+// fails over the replica and marks it as halted
+const failover = async () => {
+  await failoverVm(null, getXapi, drXapi, replica, {})
+  drXapi.objects.all.base = { $id: 'base', uuid: 'base' }
+  replica.power_state = 'Halted'
+}
+
+describe('listVmReplicas()', () => {
+  it('returns the replicas of a VM on an SR', () => {
+    const xapi = createXapi([
+      replica,
+      createReplica('other-job', { 'xo:backup:job': 'other' }),
+      createReplica('other-sr', { 'xo:backup:sr': 'other' }),
+      createReplica('other-vm', { 'xo:backup:vm': 'other' }),
+      { ...createReplica('started'), blocked_operations: {} },
+    ])
+
+    expect(listVmReplicas(xapi, 'dr-sr', 'vm').map(_ => _.uuid)).toEqual([
+      'replica',
+      'other-job',
+    ])
+    expect(listVmReplicas(xapi, 'dr-sr', 'vm', 'job').map(_ => _.uuid)).toEqual(
+      ['replica']
+    )
+  })
+})
+
+describe('failoverVm()', () => {
+  it('starts the replica and keeps what is necessary for the failback', async () => {
+    expect(
+      await failoverVm(null, getXapi, drXapi, replica, { other: 'dr-network' })
+    ).toBe('replica')
+
+    expect(replica.other_config).toEqual({
+      'xo:backup:job': 'job',
+      'xo:backup:vm': 'vm',
+      'xo:failover': JSON.stringify({
+        base: 'base',
+        source: 'source',
+        vdis: { 'base-vdi': 'source-vdi' },
+      }),
+    })
+    expect(drXapi.addTag.mock.calls).toEqual([
+      ['OpaqueRef:replica', 'failover'],
+    ])
+    expect(drXapi._deleteVif.mock.calls).toEqual([[replica.$VIFs[1]]])
+    expect(drXapi._createVif.mock.calls).toEqual([
+      [replica, { uuid: 'dr-network' }, replica.$VIFs[1]],
+    ])
+    expect(drXapi.startVm.mock.calls).toEqual([['replica', true]])
+  })
+
+  it('protects the snapshot of the original VM from the retention', async () => {
+    expect(isFailbackBase(source)).toBe(false)
+
+    await failoverVm(null, getXapi, drXapi, replica, {})
+    expect(source.other_config).toEqual({ 'xo:failback_base': 'replica' })
+    expect(isFailbackBase(source)).toBe(true)
+  })
+
+  it('does not require the original pool to be reachable', async () => {
+    getXapi = id => {
+      throw new Error(`no object ${id}`)
+    }
+
+    expect(await failoverVm(null, getXapi, drXapi, replica, {})).toBe('replica')
+    expect(drXapi.startVm).toHaveBeenCalled()
+  })
+})
+
+describe('failbackVm()', () => {
+  it('replicates the differences with the snapshot of the original VM', async () => {
+    await failover()
+
+    expect(await failbackVm(null, getXapi, 'replica')).toBe('new-vm')
+    expect(drXapi.exportDeltaVm.mock.calls).toEqual([[null, 'replica', 'base']])
+    expect(drXapi.deleteVm.mock.calls).toEqual([['export-snapshot']])
+
+    const [[delta, opts]] = sourceXapi.importDeltaVm.mock.calls
+    expect(delta.vdis.vdi.other_config['xo:base_delta']).toBe('source-vdi')
+    expect(delta.vm.other_config).toEqual({})
+    expect(delta.vm.tags).toEqual(['foo'])
+    expect(opts).toMatchObject({ baseVmId: 'source', srId: undefined })
+    expect(sourceXapi.startVm.mock.calls).toEqual([['new-vm']])
+
+    expect(source.other_config).toEqual({})
+    expect(JSON.parse(replica.other_config['xo:failback'])).toEqual({
+      timestamp: expect.any(Number),
+      vm: 'new-vm',
+    })
+  })
+
+  it('shuts the VM down first', async () => {
+    await failover()
+    replica.power_state = 'Running'
+
+    await failbackVm(null, getXapi, 'replica', { start: false })
+    expect(drXapi.call.mock.calls).toEqual([
+      ['VM.clean_shutdown', 'OpaqueRef:replica'],
+    ])
+    expect(sourceXapi.startVm).not.toHaveBeenCalled()
+  })
+
+  it('fails if the snapshot of the original VM is missing', async () => {
+    await failover()
+    delete sourceXapi.objects.all.source
+
+    await expect(
+      failbackVm(null, getXapi, 'replica', { srId: 'sr' })
+    ).rejects.toThrow(
+      'the snapshot source of the original VM is missing, only a full failback is possible'
+    )
+    expect(drXapi.exportDeltaVm).not.toHaveBeenCalled()
+  })
+
+  it('fails if the failover base is missing', async () => {
+    await failover()
+    delete drXapi.objects.all.base
+
+    await expect(failbackVm(null, getXapi, 'replica')).rejects.toThrow(
+      'the failover base base is missing, only a full failback is possible'
+    )
+  })
+
+  it('replicates the whole VM if requested', async () => {
+    await failover()
+    delete sourceXapi.objects.all.source
+
+    await expect(
+      failbackVm(null, getXapi, 'replica', { full: true })
+    ).rejects.toThrow('a full failback requires an SR')
+
+    expect(
+      await failbackVm(null, getXapi, 'replica', { full: true, srId: 'sr' })
+    ).toBe('new-vm')
+    expect(drXapi.exportDeltaVm.mock.calls).toEqual([
+      [null, 'replica', undefined],
+    ])
+    const [[delta, opts]] = sourceXapi.importDeltaVm.mock.calls
+    expect(delta.vdis.vdi.other_config['xo:base_delta']).toBe('base-vdi')
+    expect(opts).toMatchObject({ baseVmId: undefined, srId: 'sr' })
+  })
+
+  it('fails if the VM has not been failed over', async () => {
+    await expect(failbackVm(null, getXapi, 'replica')).rejects.toThrow(
+      'VM replica has not been failed over'
+    )
+  })
+
+  it('fails if the VM has already been failed back', async () => {
+    await failover()
+    await failbackVm(null, getXapi, 'replica')
+
+    await expect(failbackVm(null, getXapi, 'replica')).rejects.toThrow(
+      'VM replica has already been failed back to VM new-vm'
+    )
+    expect(sourceXapi.importDeltaVm).toHaveBeenCalledTimes(1)
+  })
+
+  it('fails if a failback of the VM is in progress', async () => {
+    await failover()
+
+    const promise = failbackVm(null, getXapi, 'replica')
+    await expect(failbackVm(null, getXapi, 'replica')).rejects.toThrow(
+      'the failback of VM replica is already in progress'
+    )
+    await promise
+    expect(sourceXapi.importDeltaVm).toHaveBeenCalledTimes(1)
+  })
+
+  it('can be retried after a failure', async () => {
+    await failover()
+    sourceXapi.importDeltaVm.mockImplementationOnce(() =>
+      Promise.reject(new Error('import failed'))
+    )
+
+    await expect(failbackVm(null, getXapi, 'replica')).rejects.toThrow(
+      'import failed'
+    )
+    expect(source.other_config).toEqual({ 'xo:failback_base': 'replica' })
+    expect(await failbackVm(null, getXapi, 'replica')).toBe('new-vm')
+  })
+})
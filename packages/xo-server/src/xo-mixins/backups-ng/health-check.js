@@ -0,0 +1,50 @@
+// @flow
+
+import defer from 'golike-defer'
+import { timeout as pTimeout } from 'promise-toolbox'
+
+import { type Xapi } from '../../xapi'
+import { asyncMap } from '../../utils'
+
+// Health check of a backup: the backup is restored by `importVm()`, which
+// returns the id of the new VM, and this VM is booted in a sandbox:
+//
+// - all its VIFs are removed so that it cannot reach production networks, a
+//   single VIF is created on `networkId` if defined
+// - the check succeeds when its guest tools report (via `VM_guest_metrics`)
+//   before `timeout` (in milliseconds, 0 means no limit)
+// - the restored VM is always deleted
+//
+// Returns the time it took to boot.
+export const bootVmBackup = defer(async function (
+  $defer: any,
+  xapi: Xapi,
+  importVm: () => Promise<string>,
+  { networkId, timeout }: {| networkId?: string, timeout: number |}
+): Promise<{| duration: number |}> {
+  const vmId = await importVm()
+  $defer.call(xapi, 'deleteVm', vmId)
+
+  await asyncMap(xapi.getObject(vmId).$VIFs, vif => xapi.deleteVif(vif.$id))
+  if (networkId !== undefined) {
+    await xapi.createVif(vmId, networkId)
+  }
+  await xapi.addTag(vmId, 'health check')
+
+  const start = Date.now()
+  await xapi.startVm(vmId, true)
+  let p = xapi._waitObjectState(
+    vmId,
+    vm => vm.guest_metrics !== 'OpaqueRef:NULL'
+  )
+  if (timeout !== 0) {
+    p = pTimeout.call(p, timeout, () => {
+      throw new Error(
+        `the guest tools have not reported within ${timeout / 1e3}s`
+      )
+    })
+  }
+  await p
+
+  return { duration: Date.now() - start }
+})
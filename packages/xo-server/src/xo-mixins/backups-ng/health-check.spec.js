@@ -0,0 +1,102 @@
+/* eslint-env jest */
+
+import { bootVmBackup } from './health-check'
+
+// VM whose guest tools report once `reportGuestMetrics()` is called
+const createXapi = () => {
+  const vm = {
+    $VIFs: [{ $id: 'vif1' }, { $id: 'vif2' }],
+    guest_metrics: 'OpaqueRef:NULL',
+  }
+  let onChange
+  const xapi = {
+    addTag: jest.fn(() => Promise.resolve()),
+    createVif: jest.fn(() => Promise.resolve()),
+    deleteVif: jest.fn(() => Promise.resolve()),
+    deleteVm: jest.fn(() => Promise.resolve()),
+    getObject: () => vm,
+    reportGuestMetrics () {
+      vm.guest_metrics = 'OpaqueRef:metrics'
+      onChange()
+    },
+    startVm: jest.fn(() => Promise.resolve()),
+    _waitObjectState: (id, predicate) =>
+      new Promise(resolve => {
+        onChange = () => {
+          if (predicate(vm)) {
+            resolve()
+          }
+        }
+      }),
+  }
+  return xapi
+}
+
+const importVm = () => Promise.resolve('vm')
+
+// resolves once the pending promise callbacks have been run
+const flush = () => new Promise(resolve => setImmediate(resolve))
+
+describe('bootVmBackup()', () => {
+  it('boots the restored VM in a sandbox and deletes it', async () => {
+    const xapi = createXapi()
+    const promise = bootVmBackup(xapi, importVm, {
+      networkId: 'network',
+      timeout: 0,
+    })
+
+    await flush()
+    expect(xapi.deleteVif.mock.calls).toEqual([['vif1'], ['vif2']])
+    expect(xapi.createVif.mock.calls).toEqual([['vm', 'network']])
+    expect(xapi.addTag.mock.calls).toEqual([['vm', 'health check']])
+    expect(xapi.startVm.mock.calls).toEqual([['vm', true]])
+    expect(xapi.deleteVm).not.toHaveBeenCalled()
+
+    xapi.reportGuestMetrics()
+    expect(await promise).toEqual({ duration: expect.any(Number) })
+    expect(xapi.deleteVm.mock.calls).toEqual([['vm']])
+  })
+
+  it('does not create any VIFs without network', async () => {
+    const xapi = createXapi()
+    const promise = bootVmBackup(xapi, importVm, { timeout: 0 })
+
+    await flush()
+    xapi.reportGuestMetrics()
+    await promise
+    expect(xapi.deleteVif).toHaveBeenCalledTimes(2)
+    expect(xapi.createVif).not.toHaveBeenCalled()
+  })
+
+  it('fails if the guest tools do not report in time', async () => {
+    const xapi = createXapi()
+
+    await expect(bootVmBackup(xapi, importVm, { timeout: 10 })).rejects.toThrow(
+      'the guest tools have not reported within 0.01s'
+    )
+    expect(xapi.deleteVm.mock.calls).toEqual([['vm']])
+  })
+
+  it('fails if the VM cannot be started', async () => {
+    const xapi = createXapi()
+    xapi.startVm.mockImplementation(() =>
+      Promise.reject(new Error('VM_BAD_POWER_STATE'))
+    )
+
+    await expect(bootVmBackup(xapi, importVm, { timeout: 0 })).rejects.toThrow(
+      'VM_BAD_POWER_STATE'
+    )
+    expect(xapi.deleteVm.mock.calls).toEqual([['vm']])
+  })
+
+  it('has nothing to delete if the import fails', async () => {
+    const xapi = createXapi()
+
+    await expect(
+      bootVmBackup(xapi, () => Promise.reject(new Error('import failed')), {
+        timeout: 0,
+      })
+    ).rejects.toThrow('import failed')
+    expect(xapi.deleteVm).not.toHaveBeenCalled()
+  })
+})
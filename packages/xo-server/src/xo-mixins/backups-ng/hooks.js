@@ -0,0 +1,57 @@
+// @flow
+
+import execa from 'execa'
+import { timeout as pTimeout } from 'promise-toolbox'
+
+// A hook is either a command run on the xo-server host or an HTTP request.
+//
+// `timeout` is in milliseconds.
+export type Hook =
+  | {|
+      args?: string[],
+      command: string,
+      timeout?: number,
+      type: 'command',
+    |}
+  | {|
+      method?: string,
+      timeout?: number,
+      type: 'http',
+      url: string,
+    |}
+
+export type HookEvent = 'postSnapshot' | 'preSnapshot'
+
+const DEFAULT_TIMEOUT = 60e3
+
+// Runs a hook, the context (e.g. `{ event, jobId, vm }`) is passed as JSON on
+// the standard input of the command or as the body of the HTTP request.
+//
+// A hook fails if the command exits with a non-zero code, if the HTTP
+// response status is not 2xx or if it does not finish in time.
+export async function runHook (
+  hook: Hook,
+  context: Object,
+  httpRequest: (url: string, opts: Object) => Promise<any>
+): Promise<void> {
+  const input = JSON.stringify(context)
+  const timeout = hook.timeout || DEFAULT_TIMEOUT
+
+  if (hook.type === 'command') {
+    // the command is killed on timeout
+    await execa(hook.command, hook.args || [], { input, timeout })
+  } else if (hook.type === 'http') {
+    await pTimeout.call(
+      httpRequest(hook.url, {
+        body: input,
+        headers: {
+          'content-type': 'application/json',
+        },
+        method: hook.method || 'POST',
+      }).then(response => response.readAll()),
+      timeout
+    )
+  } else {
+    throw new Error(`unknown hook type: ${hook.type}`)
+  }
+}
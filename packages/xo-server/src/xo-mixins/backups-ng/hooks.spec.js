@@ -0,0 +1,52 @@
+/* eslint-env jest */
+
+import { runHook } from './hooks'
+
+const context = { event: 'preSnapshot', vm: { uuid: 'foo' } }
+
+describe('runHook()', () => {
+  it('passes the context on the standard input of commands', async () => {
+    await runHook(
+      {
+        args: ['-c', `test "$(cat)" = '${JSON.stringify(context)}'`],
+        command: 'sh',
+        type: 'command',
+      },
+      context
+    )
+  })
+
+  it('fails if the command fails', async () => {
+    await expect(
+      runHook(
+        { args: ['-c', 'exit 1'], command: 'sh', type: 'command' },
+        context
+      )
+    ).rejects.toThrow()
+  })
+
+  it('fails if the command times out', async () => {
+    await expect(
+      runHook(
+        { command: 'sleep', args: ['10'], timeout: 100, type: 'command' },
+        context
+      )
+    ).rejects.toThrow()
+  })
+
+  it('sends the context as the body of HTTP requests', async () => {
+    const httpRequest = jest.fn(() =>
+      Promise.resolve({ readAll: () => Promise.resolve() })
+    )
+    await runHook(
+      { type: 'http', url: 'http://example.org/hook' },
+      context,
+      httpRequest
+    )
+    expect(httpRequest).toHaveBeenCalledWith('http://example.org/hook', {
+      body: JSON.stringify(context),
+      headers: { 'content-type': 'application/json' },
+      method: 'POST',
+    })
+  })
+})
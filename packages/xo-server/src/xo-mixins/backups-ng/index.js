@@ -2,52 +2,138 @@
 
 // $FlowFixMe
 import type RemoteHandler from '@xen-orchestra/fs'
+import { createSchedule } from '@xen-orchestra/cron'
+import createDebug from 'debug'
 import defer from 'golike-defer'
 import { type Pattern, createPredicate } from 'value-matcher'
 import { type Readable, PassThrough } from 'stream'
 import { basename, dirname } from 'path'
 import {
+  find,
   forEach,
   groupBy,
   isEmpty,
   last,
   mapValues,
   noop,
+  once,
+  pick,
   values,
 } from 'lodash'
-import { fromEvent as pFromEvent, timeout as pTimeout } from 'promise-toolbox'
-import Vhd, {
-  chainVhd,
-  createSyntheticStream as createVhdReadStream,
-} from 'vhd-lib'
+import { cancelable, timeout as pTimeout } from 'promise-toolbox'
+import { chainVhd, isDedupVhd } from 'vhd-lib'
 
 import { type CallJob, type Executor, type Job } from '../jobs'
 import { type Schedule } from '../scheduling'
 
 import createSizeStream from '../../size-stream'
-import {
-  type DeltaVmExport,
-  type DeltaVmImport,
-  type Vm,
-  type Xapi,
-} from '../../xapi'
+import Throttle, {
+  type BandwidthLimit,
+  createRateGetter,
+  throttleDeltaExport,
+  throttleStream,
+} from '../../throttle'
+import { parseDateTime } from '../../xapi/utils'
+import { type DeltaVmExport, type Vm, type Xapi } from '../../xapi'
 import {
   asyncMap,
+  pDelay,
   resolveRelativeFromFile,
   safeDateFormat,
   serializeError,
+  streamToArray,
 } from '../../utils'
 
+import Scheduler, { type Limits } from './scheduler'
+import { type Hook, type HookEvent, runHook } from './hooks'
+import {
+  type Retention,
+  getOldEntriesByPolicy,
+  normalizeRetention,
+} from './retention'
 import { translateLegacyJob } from './migration'
+import {
+  type ReplicaIndex,
+  type RpoStatus,
+  getLastReplicationTimestamp,
+  getRpoStatus,
+  indexReplicas,
+  sortByUrgency,
+} from './rpo'
+import { type VerifyStatus, verifyVmBackup } from './verify'
+import { copyVmBackup } from './copy'
+import { deleteDeltaVmBackups, finishVhdMerges } from './vhd'
+import { bootVmBackup } from './health-check'
+import {
+  failbackVm,
+  failoverVm,
+  isFailbackBase,
+  listVmReplicas,
+} from './failover'
+import {
+  type RestoreCheck,
+  checkVmBackupRestore,
+  getDeltaRestoreBase,
+  importers,
+} from './restore'
+import {
+  type MetadataBackup,
+  deleteMetadataBackups,
+  getMetadataBackupDir,
+  listAllMetadataBackups,
+  listMetadataBackups,
+  restoreMetadataBackup,
+} from './metadata'
+import {
+  compareTimestamp,
+  getVmBackupDir,
+  isMetadataFile,
+  isVhd,
+  listBackedUpVms,
+  writeDedupStream,
+  writeStream,
+} from './utils'
+
+const debug = createDebug('xo:backups-ng')
 
 type Mode = 'full' | 'delta'
+type JobMode = Mode | 'copy' | 'metadata' | 'verify'
 type ReportWhen = 'always' | 'failure' | 'never'
 
 type Settings = {|
+  bandwidthLimit?: BandwidthLimit,
+  concurrency?: number,
+
+  // delta mode with remotes: the VHDs of the new chains are stored in the
+  // deduplicated block store of the remote (see `dedup.js` in vhd-lib), the
+  // existing chains keep their format
+  deduplication?: boolean,
+
   deleteFirst?: boolean,
-  exportRetention?: number,
+  exportRetention?: Retention,
+
+  // network of the restored VMs during the health check, none by default
+  healthCheckNetwork?: string,
+
+  // SR where the backups are restored to be booted after the backup, no health
+  // check if not defined
+  healthCheckSr?: string,
+
+  // delay (in milliseconds) for the guest tools to report, 0 means no limit
+  healthCheckTimeout?: number,
+
+  hooksFailure?: 'abort' | 'continue',
+  postSnapshotHooks?: Hook[],
+  preSnapshotHooks?: Hook[],
+  priority?: number,
   reportWhen?: ReportWhen,
-  snapshotRetention?: number,
+
+  // delta mode with SRs: maximum age (in milliseconds) of the last replica of
+  // the VMs, which are replicated again as soon as needed instead of at each
+  // run of the schedules, 0 means no RPO
+  rpo?: number,
+
+  snapshotRetention?: Retention,
   vmTimeout?: number,
 |}
 
@@ -58,12 +144,23 @@ type SimpleIdPattern = {|
 export type BackupJob = {|
   ...$Exact<Job>,
   compression?: 'native',
-  mode: Mode,
+  mode: JobMode,
+
+  // metadata mode: pools whose database is backed up
+  pools?: SimpleIdPattern,
+
   remotes?: SimpleIdPattern,
   settings: $Dict<Settings>,
+
+  // copy mode: remote containing the backups to copy to the remotes
+  sourceRemote?: string,
+
   srs?: SimpleIdPattern,
   type: 'backup',
-  vms: Pattern,
+  vms?: Pattern,
+
+  // metadata mode: whether the XO configuration is backed up
+  xoMetadata?: boolean,
 |}
 
 type MetadataBase = {|
@@ -90,13 +187,19 @@ type MetadataFull = {|
 |}
 type Metadata = MetadataDelta | MetadataFull
 
+type Health = {|
+  error?: string,
+  status: 'failure' | VerifyStatus,
+  timestamp: number,
+|}
+
 type ConsolidatedJob = {|
   duration?: number,
   end?: number,
   error?: Object,
   id: string,
   jobId: string,
-  mode: Mode,
+  mode: JobMode,
   start: number,
   type: 'backup' | 'call',
   userId: string,
@@ -107,9 +210,10 @@ type ConsolidatedTask = {|
   end?: number,
   parentId: string,
   message: string,
+  queueDuration?: number,
   result?: Object,
   start: number,
-  status: 'canceled' | 'failure' | 'success',
+  status: 'canceled' | 'failure' | 'queued' | 'started' | 'success',
   taskId: string,
 |}
 type ConsolidatedBackupNgLog = {
@@ -120,22 +224,58 @@ type ConsolidatedBackupNgLog = {
 const compareSnapshotTime = (a: Vm, b: Vm): number =>
   a.snapshot_time < b.snapshot_time ? -1 : 1
 
-const compareTimestamp = (a: Metadata, b: Metadata): number =>
-  a.timestamp - b.timestamp
+const getMetadataTimestamp = (metadata: { timestamp: number }): number =>
+  metadata.timestamp
+
+// snapshots and replicated VMs
+const getSnapshotTimestamp = (vm: Vm): number =>
+  +parseDateTime(vm.snapshot_time)
 
 // returns all entries but the last (retention - 1)-th
 //
 // the “-1” is because this code is usually run with entries computed before the
 // new entry is created
-const getOldEntries = <T>(retention: number, entries?: T[]): T[] =>
+//
+// with a retention policy, the new entry is expected to be created now and
+// `getTimestamp` is used to sort the entries in the calendar of `timezone`
+const getOldEntries = <T>(
+  retention: Retention,
+  entries?: T[],
+  getTimestamp: T => number,
+  timezone?: string
+): T[] =>
   entries === undefined
     ? []
-    : --retention > 0 ? entries.slice(0, -retention) : entries
+    : typeof retention === 'number'
+      ? --retention > 0 ? entries.slice(0, -retention) : entries
+      : getOldEntriesByPolicy(retention, entries, getTimestamp, {
+          newTimestamp: Date.now(),
+          timezone,
+        })
+
+// returns the entries which are not kept by the retention, unlike
+// `getOldEntries()` no new entry is expected
+const getExpiredEntries = <T>(
+  retention: Retention,
+  entries: T[],
+  getTimestamp: T => number,
+  timezone?: string
+): T[] =>
+  typeof retention === 'number'
+    ? entries.slice(0, -retention)
+    : getOldEntriesByPolicy(retention, entries, getTimestamp, { timezone })
 
 const defaultSettings: Settings = {
+  bandwidthLimit: 0,
+  concurrency: 0,
+  deduplication: false,
   deleteFirst: false,
   exportRetention: 0,
+  healthCheckTimeout: 600e3,
+  hooksFailure: 'abort',
+  priority: 0,
   reportWhen: 'failure',
+  rpo: 0,
   snapshotRetention: 0,
   vmTimeout: 0,
 }
@@ -156,11 +296,44 @@ const getSetting = (
   return defaultSettings[name]
 }
 
-const BACKUP_DIR = 'xo-vm-backups'
-const getVmBackupDir = (uuid: string) => `${BACKUP_DIR}/${uuid}`
+// returns a function which returns the throttles applying to the transfers to
+// a remote or an SR: the one of the job and the one of this target
+//
+// the throttles are shared by all the transfers of a job run
+const createThrottlesGetter = (
+  settings: $Dict<Settings>,
+  timezone?: string
+): ((targetId: string) => Throttle[]) => {
+  const createThrottle = (id: string): Throttle | void => {
+    const getRate = createRateGetter(
+      getSetting(settings, 'bandwidthLimit', id),
+      timezone
+    )
+    if (getRate !== undefined) {
+      return new Throttle(getRate)
+    }
+  }
+
+  const jobThrottle = createThrottle('')
+  const targetThrottles: Map<string, Throttle | void> = new Map()
+  return targetId => {
+    let targetThrottle = targetThrottles.get(targetId)
+    if (!targetThrottles.has(targetId)) {
+      targetThrottles.set(targetId, (targetThrottle = createThrottle(targetId)))
+    }
+    return ([jobThrottle, targetThrottle]: any).filter(
+      throttle => throttle !== undefined
+    )
+  }
+}
 
-const isMetadataFile = (filename: string) => filename.endsWith('.json')
-const isVhd = (filename: string) => filename.endsWith('.vhd')
+// `undefined` if the backup has never been verified
+const getHealth = (store: any, id: string): Promise<Health | void> =>
+  store.get(id).catch(error => {
+    if (!error.notFound) {
+      throw error
+    }
+  })
 
 const listReplicatedVms = (
   xapi: Xapi,
@@ -193,72 +366,6 @@ const listReplicatedVms = (
   return values(vms).sort(compareSnapshotTime)
 }
 
-const importers: $Dict<
-  (
-    handler: RemoteHandler,
-    metadataFilename: string,
-    metadata: Metadata,
-    xapi: Xapi,
-    sr: { $id: string }
-  ) => Promise<string>,
-  Mode
-> = {
-  async delta (handler, metadataFilename, metadata, xapi, sr) {
-    metadata = ((metadata: any): MetadataDelta)
-    const { vdis, vhds, vm } = metadata
-
-    const streams = {}
-    await asyncMap(vdis, async (vdi, id) => {
-      streams[`${id}.vhd`] = await createVhdReadStream(
-        handler,
-        resolveRelativeFromFile(metadataFilename, vhds[id])
-      )
-    })
-
-    const delta: DeltaVmImport = {
-      streams,
-      vbds: metadata.vbds,
-      vdis,
-      version: '1.0.0',
-      vifs: metadata.vifs,
-      vm: {
-        ...vm,
-        name_label: `${vm.name_label} (${safeDateFormat(metadata.timestamp)})`,
-        tags: [...vm.tags, 'restored from backup'],
-      },
-    }
-
-    const { vm: newVm } = await xapi.importDeltaVm(delta, {
-      detectBase: false,
-      disableStartAfterImport: false,
-      srId: sr,
-      // TODO: support mapVdisSrs
-    })
-    return newVm.$id
-  },
-  async full (handler, metadataFilename, metadata, xapi, sr) {
-    metadata = ((metadata: any): MetadataFull)
-
-    const xva = await handler.createReadStream(
-      resolveRelativeFromFile(metadataFilename, metadata.xva),
-      {
-        checksum: true,
-        ignoreMissingChecksum: true, // provide an easy way to opt-out
-      }
-    )
-    const vm = await xapi.importVm(xva, { srId: sr.$id })
-    await Promise.all([
-      xapi.addTag(vm.$id, 'restored from backup'),
-      xapi.editVm(vm.$id, {
-        name_label: `${metadata.vm.name_label} (${safeDateFormat(
-          metadata.timestamp
-        )})`,
-      }),
-    ])
-    return vm.$id
-  },
-}
-
 const parseVmBackupId = (id: string) => {
   const i = id.indexOf('/')
   return {
@@ -290,31 +397,6 @@ async function waitAll<T> (
   }
 }
 
-// write a stream to a file using a temporary file
-//
-// TODO: merge into RemoteHandlerAbstract
-const writeStream = async (
-  input: Readable | Promise<Readable>,
-  handler: RemoteHandler,
-  path: string,
-  { checksum = true }: { checksum?: boolean } = {}
-): Promise<void> => {
-  input = await input
-  const tmpPath = `${dirname(path)}/.${basename(path)}`
-  const output = await handler.createOutputStream(tmpPath, { checksum })
-  try {
-    input.pipe(output)
-    await pFromEvent(output, 'finish')
-    await output.checksumWritten
-    // $FlowFixMe
-    await input.task
-    await handler.rename(tmpPath, path, { checksum })
-  } catch (error) {
-    await handler.unlink(tmpPath, { checksum })
-    throw error
-  }
-}
-
 const wrapTask = async <T>(opts: any, task: Promise<T>): Promise<T> => {
   const { data, logger, message, parentId, result } = opts
 
@@ -402,6 +484,9 @@ const wrapTaskFn = <T>(
 //      ├─ <YYYYMMDD>T<HHmmss>.xva
 //      └─ <YYYYMMDD>T<HHmmss>.xva.checksum
 //
+// In copy mode, the backups are copied with the same names, except the VHDs
+// which are in the directory of the copy job (`vdis/<copy job UUID>`).
+//
 // Attributes of created VMs:
 //
 // - name: `${original name} (${safeDateFormat(backup timestamp)})`
@@ -414,22 +499,56 @@ export default class BackupNg {
     createJob: ($Diff<BackupJob, {| id: string |}>) => Promise<BackupJob>,
     createSchedule: ($Diff<Schedule, {| id: string |}>) => Promise<Schedule>,
     deleteSchedule: (id: string) => Promise<void>,
+    emit: (event: string, ...args: any[]) => boolean,
+    getAllJobs: ('backup') => Promise<BackupJob[]>,
     getAllSchedules: () => Promise<Schedule[]>,
+    getObjects: ({ filter: Function }) => $Dict<Object>,
     getRemoteHandler: (id: string) => Promise<RemoteHandler>,
     getXapi: (id: string) => Xapi,
     getJob: ((id: string, 'backup') => Promise<BackupJob>) &
       ((id: string, 'call') => Promise<CallJob>),
     getLogs: (namespace: string) => Promise<{ [id: string]: Object }>,
+    getStore: (namespace: string) => Promise<any>,
     updateJob: (($Shape<BackupJob>, ?boolean) => Promise<BackupJob>) &
       (($Shape<CallJob>, ?boolean) => Promise<CallJob>),
     removeJob: (id: string) => Promise<void>,
+    runJobSequence: (ids: string[], schedule: Schedule) => Promise<void>,
     worker: $Dict<any>,
   }
 
+  // duration of the last replication of the VMs with an RPO, by
+  // `<job id>/<VM UUID>`
+  _rpoDurations: Map<string, number>
+
+  // jobs currently run because some of their VMs are due for replication
+  _rpoRuns: Set<string>
+
+  // VMs whose RPO is currently violated, by `<job id>/<VM UUID>`
+  _rpoViolations: Set<string>
+
+  // shared by all running jobs to enforce the global concurrency limits
+  _scheduler: Scheduler
+
+  // VMs whose VHDs are being merged on a remote, by `<remote id>/<VM UUID>`
+  // (see `_withVmLock()`)
+  _vmLocks: Map<string, Promise<mixed>>
+
   constructor (app: any) {
     this._app = app
+    this._rpoDurations = new Map()
+    this._rpoRuns = new Set()
+    this._rpoViolations = new Set()
+    this._scheduler = new Scheduler()
+    this._vmLocks = new Map()
 
     app.on('start', () => {
+      const stopRpoChecks = createSchedule('* * * * *').startJob(() =>
+        this._checkRpos().catch(error => {
+          debug('RPO check failed', error)
+        })
+      )
+      app.on('stop', stopRpoChecks)
+
       const executor: Executor = async ({
         cancelToken,
         job: job_,
@@ -442,18 +561,57 @@ export default class BackupNg {
         }
 
         const job: BackupJob = (job_: any)
-        const vms: $Dict<Vm> = app.getObjects({
-          filter: createPredicate({
-            type: 'VM',
-            ...job.vms,
-          }),
-        })
+        if (job.mode === 'copy') {
+          return this._copyBackups(job, schedule, logger, runJobId)
+        }
+        if (job.mode === 'verify') {
+          return this._verifyBackups(job, logger, runJobId)
+        }
+        if (job.mode === 'metadata') {
+          return this._backupMetadata(job, schedule, logger, runJobId)
+        }
+
+        const vms: $Dict<Vm> =
+          job.vms === undefined
+            ? {}
+            : app.getObjects({
+                filter: createPredicate({
+                  type: 'VM',
+                  ...job.vms,
+                }),
+              })
         if (isEmpty(vms)) {
           throw new Error('no VMs match this pattern')
         }
+
+        // the VMs with an RPO are only replicated when due, the most urgent
+        // first, the other ones are not backed up by the runs triggered by the
+        // RPO checks
+        let vmsToBackup = values(vms)
+        const rpoEntries = this._getRpoEntries(job, vmsToBackup)
+        const rpoVms = new Set(rpoEntries.map(_ => _.vm))
+        if (rpoEntries.length !== 0) {
+          vmsToBackup = sortByUrgency(rpoEntries.filter(_ => _.status.due)).map(
+            _ => _.vm
+          )
+          if (!this._rpoRuns.has(job.id)) {
+            vmsToBackup.push(...values(vms).filter(vm => !rpoVms.has(vm)))
+          }
+          if (vmsToBackup.length === 0) {
+            return
+          }
+        }
+
         const jobId = job.id
         const scheduleId = schedule.id
-        await asyncMap(vms, async vm => {
+        const jobLimits = {
+          [`job:${runJobId}`]: getSetting(job.settings, 'concurrency', ''),
+        }
+        const getThrottles = createThrottlesGetter(
+          job.settings,
+          schedule.timezone
+        )
+        await asyncMap(vmsToBackup, async vm => {
           const { name_label: name, uuid } = vm
           const taskId: string = logger.notice(
             `Starting backup of ${name}. (${jobId})`,
@@ -464,31 +622,53 @@ export default class BackupNg {
                 type: 'VM',
                 id: uuid,
               },
+              status: 'queued',
             }
           )
           const vmCancel = cancelToken.fork()
+          let start
           try {
-            // $FlowFixMe injected $defer param
-            let p = this._backupVm(
-              vmCancel.token,
-              uuid,
-              job,
-              schedule,
-              logger,
-              taskId
-            )
-            const vmTimeout: number = getSetting(
-              job.settings,
-              'vmTimeout',
-              uuid,
-              scheduleId,
-              logger,
-              taskId
+            await this._scheduler.run(
+              {
+                ...jobLimits,
+                ...this._getVmLimits(vm, job),
+              },
+              getSetting(job.settings, 'priority', uuid, ''),
+              () => {
+                // $FlowFixMe injected $defer param
+                let p = this._backupVm(
+                  vmCancel.token,
+                  uuid,
+                  job,
+                  schedule,
+                  logger,
+                  taskId,
+                  getThrottles
+                )
+                const vmTimeout: number = getSetting(
+                  job.settings,
+                  'vmTimeout',
+                  uuid,
+                  scheduleId,
+                  logger,
+                  taskId
+                )
+                if (vmTimeout !== 0) {
+                  p = pTimeout.call(p, vmTimeout)
+                }
+                return p
+              },
+              () => {
+                start = Date.now()
+                logger.notice(`Backup of ${name} has started. (${jobId})`, {
+                  event: 'task.started',
+                  taskId,
+                })
+              }
             )
-            if (vmTimeout !== 0) {
-              p = pTimeout.call(p, vmTimeout)
+            if (rpoVms.has(vm)) {
+              this._rpoDurations.set(`${jobId}/${uuid}`, Date.now() - start)
             }
-            await p
             logger.notice(`Backuping ${name} is a success. (${jobId})`, {
               event: 'task.end',
               taskId,
@@ -567,9 +747,21 @@ export default class BackupNg {
     } else {
       throw new Error(`no deleter for backup mode ${metadata.mode}`)
     }
+
+    await (await this._getHealthStore()).del(id)
   }
 
-  async importVmBackupNg (id: string, srId: string): Promise<string> {
+  // `baseVmId`: an older replica or restoration of this VM, only the
+  // differences are imported and the disks are cloned from it (only for delta
+  // backups)
+  //
+  // `dryRun`: nothing is imported, the returned `RestoreCheck` tells whether
+  // the backup can be restored
+  async importVmBackupNg (
+    id: string,
+    srId: string,
+    { baseVmId, dryRun = false }: { baseVmId?: string, dryRun?: boolean } = {}
+  ): Promise<string | RestoreCheck> {
     const app = this._app
     const { metadataFilename, remoteId } = parseVmBackupId(id)
     const handler = await app.getRemoteHandler(remoteId)
@@ -583,30 +775,38 @@ export default class BackupNg {
     }
 
     const xapi = app.getXapi(srId)
+    const sr = xapi.getObject(srId)
 
-    return importer(
-      handler,
-      metadataFilename,
-      metadata,
-      xapi,
-      xapi.getObject(srId)
-    )
+    let base
+    if (baseVmId !== undefined) {
+      if (metadata.mode !== 'delta') {
+        throw new Error('only delta backups can be restored on a base VM')
+      }
+      base = getDeltaRestoreBase(
+        metadataFilename,
+        metadata,
+        xapi.getObject(baseVmId),
+        await this._listVmBackups(handler, metadata.vm.uuid)
+      )
+    }
+
+    if (dryRun) {
+      return checkVmBackupRestore(handler, metadataFilename, metadata, sr, base)
+    }
+
+    return importer(handler, metadataFilename, metadata, xapi, sr, base)
   }
 
   async listVmBackupsNg (remotes: string[]) {
     const backupsByVmByRemote: $Dict<$Dict<Metadata[]>> = {}
 
     const app = this._app
+    const healthStore = await this._getHealthStore()
     await Promise.all(
       remotes.map(async remoteId => {
         const handler = await app.getRemoteHandler(remoteId)
 
-        const entries = (await handler.list(BACKUP_DIR).catch(error => {
-          if (error == null || error.code !== 'ENOENT') {
-            throw error
-          }
-          return []
-        })).filter(name => name !== 'index.json')
+        const entries = await listBackedUpVms(handler)
 
         const backupsByVm = (backupsByVmByRemote[remoteId] = {})
         await Promise.all(
@@ -619,8 +819,11 @@ export default class BackupNg {
             }
 
             // inject an id usable by importVmBackupNg()
-            backups.forEach(backup => {
-              backup.id = `${remoteId}/${backup._filename}`
+            await asyncMap(backups, async backup => {
+              const id = (backup.id = `${remoteId}/${backup._filename}`)
+
+              // result of the last verification, see _verifyBackups()
+              backup.health = await getHealth(healthStore, id)
 
               const { vdis, vhds } = backup
               backup.disks =
@@ -645,6 +848,124 @@ export default class BackupNg {
     return backupsByVmByRemote
   }
 
+  async deleteMetadataBackupNg (id: string): Promise<void> {
+    const { metadataFilename, remoteId } = parseVmBackupId(id)
+    const handler = await this._app.getRemoteHandler(remoteId)
+    const metadata: MetadataBackup = JSON.parse(
+      String(await handler.readFile(metadataFilename))
+    )
+    metadata._filename = metadataFilename
+
+    await deleteMetadataBackups(handler, [metadata])
+  }
+
+  // returns the metadata backups by remote:
+  //
+  // - `xo`: backups of the XO configuration
+  // - `pools`: backups of the pool databases by pool UUID
+  async listMetadataBackupsNg (remotes: string[]) {
+    const backupsByRemote: $Dict<{|
+      pools: $Dict<MetadataBackup[]>,
+      xo: MetadataBackup[],
+    |}> = {}
+
+    const app = this._app
+    await Promise.all(
+      remotes.map(async remoteId => {
+        const backups = await listAllMetadataBackups(
+          await app.getRemoteHandler(remoteId)
+        )
+
+        // inject an id usable by restoreMetadataBackupNg()
+        const setId = backup => {
+          backup.id = `${remoteId}/${String(backup._filename)}`
+        }
+        backups.xo.forEach(setId)
+        forEach(backups.pools, _ => _.forEach(setId))
+
+        backupsByRemote[remoteId] = backups
+      })
+    )
+
+    return backupsByRemote
+  }
+
+  // see `restoreMetadataBackup()`
+  async restoreMetadataBackupNg (
+    id: string,
+    opts?: { dryRun?: boolean, managers?: string[], poolId?: string }
+  ): Promise<void> {
+    const app = this._app
+    const { metadataFilename, remoteId } = parseVmBackupId(id)
+    await restoreMetadataBackup(
+      app,
+      await app.getRemoteHandler(remoteId),
+      metadataFilename,
+      opts
+    )
+  }
+
+  // starts the most recent replicas on `srId` of VMs, one after the other in
+  // the order of `vmUuids`, and returns the ids of the started VMs by UUID of
+  // the original VMs
+  //
+  // `networks`: maps networks of the DR pool to other ones (e.g. isolated
+  // networks for a DR test), the VIFs of the replicas are moved accordingly
+  //
+  // `delay`: delay (in milliseconds) between the starts of two VMs
+  //
+  // the replication jobs of these VMs should be disabled beforehand, otherwise
+  // new replicas will keep being created on the DR pool
+  @cancelable
+  async failoverVmsNg (
+    $cancelToken: any,
+    vmUuids: string[],
+    srId: string,
+    {
+      delay = 0,
+      networks = {},
+    }: { delay?: number, networks?: $Dict<string> } = {}
+  ): Promise<$Dict<string>> {
+    const xapi = this._app.getXapi(srId)
+
+    // nothing is started if a replica is missing
+    const replicas = vmUuids.map(uuid => {
+      const replica = last(
+        listVmReplicas(xapi, srId, uuid).sort(compareSnapshotTime)
+      )
+      if (replica === undefined) {
+        throw new Error(`no replica of VM ${uuid} on SR ${srId}`)
+      }
+      return replica
+    })
+
+    const vmIds = {}
+    for (let i = 0, n = replicas.length; i < n; ++i) {
+      if (i !== 0 && delay !== 0) {
+        await pDelay(delay)
+      }
+      vmIds[vmUuids[i]] = await failoverVm(
+        $cancelToken,
+        id => this._app.getXapi(id),
+        xapi,
+        replicas[i],
+        networks
+      )
+    }
+    return vmIds
+  }
+
+  // replicates the changes made on a failed over VM back to the pool of the
+  // original VM and returns the id of the new VM (see `failbackVm()`)
+  @cancelable
+  failbackVmNg (
+    $cancelToken: any,
+    vmId: string,
+    opts?: { full?: boolean, srId?: string, start?: boolean }
+  ): Promise<string> {
+    return failbackVm($cancelToken, id => this._app.getXapi(id), vmId, opts)
+  }
+
   async migrateLegacyBackupJob (jobId: string) {
     const [job, schedules] = await Promise.all([
       this._app.getJob(jobId, 'call'),
@@ -665,12 +986,9 @@ export default class BackupNg {
   // Low:
   // - [ ] jobs should be cancelable
   // - [ ] possibility to (re-)run a single VM in a backup?
-  // - [ ] display queued VMs
   // - [ ] snapshots and files of an old job should be detected and removed
   // - [ ] delta import should support mapVdisSrs
   // - [ ] size of the path? (base64url(Buffer.from(uuid.split('-').join(''), 'hex')))
-  // - [ ] what does mean the vmTimeout with the new concurrency? a VM can take
-  //       a very long time to finish if there are other VMs before…
   // - [ ] detect and gc uncomplete replications
   // - [ ] attach VDIs ASAP to be able to clean them in case of interruption
   // - [ ] orphan VDIs on the source side
@@ -680,6 +998,8 @@ export default class BackupNg {
   //
   // Done:
   //
+  // - [x] display queued VMs
+  // - [x] vmTimeout does not include the time spent in the queue
   // - [x] files (.tmp) should be renamed at the end of job
   // - [x] detect full remote
   // - [x] can the snapshot and export retention be different? → Yes
@@ -702,7 +1022,8 @@ export default class BackupNg {
     job: BackupJob,
     schedule: Schedule,
     logger: any,
-    taskId: string
+    taskId: string,
+    getThrottles: (targetId: string) => Throttle[]
   ): Promise<void> {
     const app = this._app
     const xapi = app.getXapi(vmUuid)
@@ -719,17 +1040,13 @@ export default class BackupNg {
     }
 
     const { id: jobId, settings } = job
-    const { id: scheduleId } = schedule
+    const { id: scheduleId, timezone } = schedule
 
-    const exportRetention: number = getSetting(
-      settings,
-      'exportRetention',
-      scheduleId
+    const exportRetention = normalizeRetention(
+      getSetting(settings, 'exportRetention', scheduleId)
     )
-    const snapshotRetention: number = getSetting(
-      settings,
-      'snapshotRetention',
-      scheduleId
+    const snapshotRetention = normalizeRetention(
+      getSetting(settings, 'snapshotRetention', scheduleId)
     )
 
     if (exportRetention === 0) {
@@ -744,19 +1061,38 @@ export default class BackupNg {
 
     await xapi._assertHealthyVdiChains(vm)
 
-    let snapshot: Vm = (await wrapTask(
-      {
-        parentId: taskId,
-        logger,
-        message: 'snapshot',
-        result: _ => _.uuid,
-      },
-      xapi._snapshotVm(
-        $cancelToken,
-        vm,
-        `[XO Backup ${job.name}] ${vm.name_label}`
-      )
-    ): any)
+    // e.g. to freeze/thaw applications which are not handled by the quiesced
+    // snapshots
+    const runHooks = (event: HookEvent) =>
+      this._runHooks(event, job, scheduleId, vm, logger, taskId)
+
+    let snapshot: Vm
+    try {
+      await runHooks('preSnapshot')
+      snapshot = (await wrapTask(
+        {
+          parentId: taskId,
+          logger,
+          message: 'snapshot',
+          result: _ => _.uuid,
+        },
+        xapi._snapshotVm(
+          $cancelToken,
+          vm,
+          `[XO Backup ${job.name}] ${vm.name_label}`
+        )
+      ): any)
+    } catch (error) {
+      // the post-snapshot hooks must be run to revert the pre-snapshot ones
+      await runHooks('postSnapshot').catch(noop)
+      throw error
+    }
+    try {
+      await runHooks('postSnapshot')
+    } catch (error) {
+      await xapi.deleteVm(snapshot)
+      throw error
+    }
     await xapi._updateObjectMapProperty(snapshot, 'other_config', {
       'xo:backup:job': jobId,
       'xo:backup:schedule': scheduleId,
@@ -768,8 +1104,12 @@ export default class BackupNg {
         getOldEntries(
           snapshotRetention,
           snapshots.filter(
-            _ => _.other_config['xo:backup:schedule'] === scheduleId
-          )
+            _ =>
+              _.other_config['xo:backup:schedule'] === scheduleId &&
+              !isFailbackBase(_)
+          ),
+          getSnapshotTimestamp,
+          timezone
         ),
         _ => xapi.deleteVm(_)
       )
@@ -854,7 +1194,9 @@ export default class BackupNg {
                     handler,
                     vm,
                     _ => _.mode === 'full' && _.scheduleId === scheduleId
-                  )
+                  ),
+                  getMetadataTimestamp,
+                  timezone
                 ): any)
 
                 const deleteFirst = getSetting(
@@ -875,7 +1217,9 @@ export default class BackupNg {
                       size: 0,
                     },
                   },
-                  writeStream(fork, handler, dataFilename)
+                  writeStream(fork, handler, dataFilename, {
+                    throttles: getThrottles(remoteId),
+                  })
                 )
 
                 await handler.outputFile(metadataFilename, jsonMetadata)
@@ -902,7 +1246,9 @@ export default class BackupNg {
 
                 const oldVms = getOldEntries(
                   exportRetention,
-                  listReplicatedVms(xapi, scheduleId, srId, vmUuid)
+                  listReplicatedVms(xapi, scheduleId, srId, vmUuid),
+                  getSnapshotTimestamp,
+                  timezone
                 )
 
                 const deleteFirst = getSetting(settings, 'deleteFirst', srId)
@@ -920,12 +1266,16 @@ export default class BackupNg {
                         size: 0,
                       },
                     },
-                    xapi._importVm($cancelToken, fork, sr, vm =>
-                      xapi._setObjectProperties(vm, {
-                        nameLabel: `${metadata.vm.name_label} (${safeDateFormat(
-                          metadata.timestamp
-                        )})`,
-                      })
+                    xapi._importVm(
+                      $cancelToken,
+                      throttleStream(fork, getThrottles(srId)),
+                      sr,
+                      vm =>
+                        xapi._setObjectProperties(vm, {
+                          nameLabel: `${
+                            metadata.vm.name_label
+                          } (${safeDateFormat(metadata.timestamp)})`,
+                        })
                     )
                   )
                 )
@@ -1036,13 +1386,28 @@ export default class BackupNg {
 
                 const handler = await app.getRemoteHandler(remoteId)
 
+                const deduplication = getSetting(
+                  settings,
+                  'deduplication',
+                  remoteId
+                )
+                // the unused blocks could not be collected
+                if (deduplication && !handler.hasAtomicExclusiveCreate) {
+                  throw new Error(
+                    `deduplication is not supported on ${handler.type} remotes`
+                  )
+                }
+
+                const backups = await this._listVmBackups(
+                  handler,
+                  vm,
+                  _ => _.mode === 'delta' && _.scheduleId === scheduleId
+                )
                 const oldBackups: MetadataDelta[] = (getOldEntries(
                   exportRetention,
-                  await this._listVmBackups(
-                    handler,
-                    vm,
-                    _ => _.mode === 'delta' && _.scheduleId === scheduleId
-                  )
+                  backups,
+                  getMetadataTimestamp,
+                  timezone
                 ): any)
                 const deleteOldBackups = () =>
                   wrapTask(
@@ -1057,8 +1422,9 @@ export default class BackupNg {
                     this._deleteDeltaVmBackups(handler, oldBackups)
                   )
 
+                // the last backup is necessary to chain the new one
                 const deleteFirst =
-                  exportRetention > 1 &&
+                  !oldBackups.includes(last(backups)) &&
                   getSetting(settings, 'deleteFirst', remoteId)
                 if (deleteFirst) {
                   await deleteOldBackups()
@@ -1081,6 +1447,7 @@ export default class BackupNg {
                       const isDelta =
                         vdi.other_config['xo:base_delta'] !== undefined
                       let parentPath
+                      let dedup = deduplication
                       if (isDelta) {
                         const vdiDir = dirname(path)
                         const parent = (await handler.list(vdiDir))
@@ -1088,21 +1455,29 @@ export default class BackupNg {
                           .sort()
                           .pop()
                         parentPath = `${vdiDir}/${parent}`
+
+                        // a chain cannot mix manifests and VHDs
+                        dedup = await isDedupVhd(handler, parentPath)
                       }
 
-                      await writeStream(
-                        fork.streams[`${id}.vhd`](),
-                        handler,
-                        path,
-                        {
+                      const stream = fork.streams[`${id}.vhd`]()
+                      const throttles = getThrottles(remoteId)
+                      if (dedup) {
+                        await writeDedupStream(stream, handler, path, {
+                          parentPath,
+                          throttles,
+                        })
+                      } else {
+                        await writeStream(stream, handler, path, {
                           // no checksum for VHDs, because they will be invalidated by
                           // merges and chainings
                           checksum: false,
-                        }
-                      )
+                          throttles,
+                        })
+                      }
                       $defer.onFailure.call(handler, 'unlink', path)
 
-                      if (isDelta) {
+                      if (isDelta && !dedup) {
                         await chainVhd(handler, parentPath, handler, path)
                       }
                     })
@@ -1133,7 +1508,9 @@ export default class BackupNg {
 
                 const oldVms = getOldEntries(
                   exportRetention,
-                  listReplicatedVms(xapi, scheduleId, srId, vmUuid)
+                  listReplicatedVms(xapi, scheduleId, srId, vmUuid),
+                  getSnapshotTimestamp,
+                  timezone
                 )
 
                 const deleteFirst = getSetting(settings, 'deleteFirst', srId)
@@ -1150,13 +1527,16 @@ export default class BackupNg {
                       size: 0,
                     },
                   },
-                  xapi.importDeltaVm(fork, {
-                    disableStartAfterImport: false, // we'll take care of that
-                    name_label: `${metadata.vm.name_label} (${safeDateFormat(
-                      metadata.timestamp
-                    )})`,
-                    srId: sr.$id,
-                  })
+                  xapi.importDeltaVm(
+                    throttleDeltaExport(fork, getThrottles(srId)),
+                    {
+                      disableStartAfterImport: false, // we'll take care of that
+                      name_label: `${metadata.vm.name_label} (${safeDateFormat(
+                        metadata.timestamp
+                      )})`,
+                      srId: sr.$id,
+                    }
+                  )
                 )
 
                 await Promise.all([
@@ -1182,24 +1562,605 @@ export default class BackupNg {
     } else {
       throw new Error(`no exporter for backup mode ${job.mode}`)
     }
+
+    const healthCheckSr = getSetting(settings, 'healthCheckSr', scheduleId, '')
+    if (healthCheckSr !== undefined) {
+      await this._healthCheckVmBackup(
+        job,
+        scheduleId,
+        remotes,
+        metadataFilename,
+        logger,
+        taskId
+      )
+    }
+  }
+
+  // restores the backup which has just been written to the first remote where
+  // it succeeded on `healthCheckSr` and boots it in a sandbox on
+  // `healthCheckNetwork` (see `bootVmBackup()`)
+  //
+  // nothing is done if the backup has not been written to any remote (e.g.
+  // replication only), a failed check fails the backup of the VM
+  async _healthCheckVmBackup (
+    job: BackupJob,
+    scheduleId: string,
+    remoteIds: string[],
+    metadataFilename: string,
+    logger: any,
+    taskId: string
+  ): Promise<void> {
+    const app = this._app
+
+    let handler, metadata
+    for (const remoteId of remoteIds) {
+      try {
+        handler = await app.getRemoteHandler(remoteId)
+        metadata = JSON.parse(String(await handler.readFile(metadataFilename)))
+        break
+      } catch (_) {
+        metadata = undefined
+      }
+    }
+    if (metadata === undefined) {
+      return
+    }
+
+    const { settings } = job
+    const srId = getSetting(settings, 'healthCheckSr', scheduleId, '')
+    const networkId = getSetting(settings, 'healthCheckNetwork', scheduleId, '')
+    const timeout = getSetting(settings, 'healthCheckTimeout', scheduleId, '')
+
+    const xapi = app.getXapi(srId)
+    await wrapTask(
+      {
+        data: { id: srId, type: 'healthCheck' },
+        logger,
+        message: 'health check',
+        parentId: taskId,
+      },
+      bootVmBackup(
+        xapi,
+        () =>
+          importers[metadata.mode](
+            handler,
+            metadataFilename,
+            metadata,
+            xapi,
+            xapi.getObject(srId)
+          ),
+        { networkId, timeout }
+      )
+    )
+  }
+
+  // copy the backups kept by `exportRetention` of the VMs matching `job.vms`
+  // from `job.sourceRemote` to `job.remotes`
+  //
+  // `job.vms` is matched against the VMs recorded in the backups, their `id` is
+  // their UUID
+  async _copyBackups (
+    job: BackupJob,
+    schedule: Schedule,
+    logger: any,
+    runJobId: string
+  ): Promise<void> {
+    const { id: jobId, settings, sourceRemote } = job
+    const { id: scheduleId, timezone } = schedule
+
+    const remotes = unboxIds(job.remotes)
+    if (sourceRemote === undefined || remotes.length === 0) {
+      throw new Error('copy mode requires a source remote and remotes')
+    }
+    if (remotes.includes(sourceRemote)) {
+      throw new Error('the source remote cannot be one of the remotes')
+    }
+
+    const exportRetention = normalizeRetention(
+      getSetting(settings, 'exportRetention', scheduleId)
+    )
+    if (exportRetention === 0) {
+      throw new Error('export retention cannot be 0 in copy mode')
+    }
+
+    const app = this._app
+    const sourceHandler = await app.getRemoteHandler(sourceRemote)
+    const getThrottles = createThrottlesGetter(settings, timezone)
+    const predicate = createPredicate({
+      type: 'VM',
+      ...job.vms,
+    })
+
+    const backupsByVm = {}
+    await asyncMap(await listBackedUpVms(sourceHandler), async vmUuid => {
+      const backups = await this._listVmBackups(
+        sourceHandler,
+        vmUuid,
+        ({ vm }) => predicate({ ...vm, id: vm.uuid, type: 'VM' })
+      )
+      if (backups.length !== 0) {
+        const expired = getExpiredEntries(
+          exportRetention,
+          backups,
+          getMetadataTimestamp,
+          timezone
+        )
+        backupsByVm[vmUuid] = backups.filter(_ => !expired.includes(_))
+      }
+    })
+    if (isEmpty(backupsByVm)) {
+      throw new Error('no VMs match this pattern')
+    }
+
+    await asyncMap(backupsByVm, async (backups, vmUuid) => {
+      const { name_label: name } = last(backups).vm
+      const taskId: string = logger.notice(
+        `Starting copy of ${name}. (${jobId})`,
+        {
+          event: 'task.start',
+          parentId: runJobId,
+          data: {
+            type: 'VM',
+            id: vmUuid,
+          },
+        }
+      )
+      try {
+        await waitAll(
+          remotes.map(
+            wrapTaskFn(
+              id => ({
+                data: { id, type: 'remote' },
+                logger,
+                message: 'export',
+                parentId: taskId,
+              }),
+              async (taskId, remoteId) => {
+                const handler = await app.getRemoteHandler(remoteId)
+                const listCopies = () =>
+                  this._listVmBackups(
+                    handler,
+                    vmUuid,
+                    _ => _.scheduleId === scheduleId
+                  )
+
+                const copiedTimestamps = new Set(
+                  (await listCopies()).map(_ => _.timestamp)
+                )
+                await wrapTask(
+                  {
+                    logger,
+                    message: 'transfer',
+                    parentId: taskId,
+                    result: size => ({ size }),
+                  },
+                  (async () => {
+                    let size = 0
+
+                    // in chronological order to be able to chain the VHDs
+                    for (const backup of backups) {
+                      if (!copiedTimestamps.has(backup.timestamp)) {
+                        size += await copyVmBackup(
+                          sourceHandler,
+                          handler,
+                          backup,
+                          {
+                            jobId,
+                            scheduleId,
+                            throttles: getThrottles(remoteId),
+                          }
+                        )
+                      }
+                    }
+                    return size
+                  })()
+                )
+
+                const oldBackups = getExpiredEntries(
+                  exportRetention,
+                  await listCopies(),
+                  getMetadataTimestamp,
+                  timezone
+                )
+                await wrapTask(
+                  {
+                    logger,
+                    message: 'merge',
+                    parentId: taskId,
+                    result: {
+                      size: 0,
+                    },
+                  },
+                  Promise.all([
+                    this._deleteDeltaVmBackups(
+                      handler,
+                      (oldBackups.filter(_ => _.mode === 'delta'): any)
+                    ),
+                    this._deleteFullVmBackups(
+                      handler,
+                      (oldBackups.filter(_ => _.mode === 'full'): any)
+                    ),
+                  ])
+                )
+              }
+            )
+          ),
+          noop // errors are handled in logs
+        )
+        logger.notice(`Copying ${name} is a success. (${jobId})`, {
+          event: 'task.end',
+          taskId,
+          status: 'success',
+        })
+      } catch (error) {
+        logger.error(`Copying ${name} has failed. (${jobId})`, {
+          event: 'task.end',
+          taskId,
+          status: 'failure',
+          result: serializeError(error),
+        })
+      }
+    })
+  }
+
+  _getHealthStore (): Promise<any> {
+    return this._app.getStore('backupNgHealth')
+  }
+
+  // check the backups of the VMs matching `job.vms` on `job.remotes`:
+  //
+  // - full backups: checksum of the XVA
+  // - delta backups: structure of the VHDs and their chains
+  //
+  // the health of each backup is recorded and returned by `listVmBackupsNg()`,
+  // see `verifyVmBackup()`, the verification of a remote fails if any of its
+  // backups is corrupted or cannot be verified
+  //
+  // `job.vms` is matched against the VMs recorded in the backups, their `id` is
+  // their UUID
+  async _verifyBackups (
+    job: BackupJob,
+    logger: any,
+    runJobId: string
+  ): Promise<void> {
+    const { id: jobId } = job
+
+    const remotes = unboxIds(job.remotes)
+    if (remotes.length === 0) {
+      throw new Error('verify mode requires remotes')
+    }
+
+    const app = this._app
+    const predicate = createPredicate({
+      type: 'VM',
+      ...job.vms,
+    })
+
+    const handlers = {}
+    const backupsByRemoteByVm: $Dict<$Dict<Metadata[]>> = {}
+    await asyncMap(remotes, async remoteId => {
+      const handler = (handlers[remoteId] = await app.getRemoteHandler(
+        remoteId
+      ))
+      await asyncMap(await listBackedUpVms(handler), async vmUuid => {
+        const backups = await this._listVmBackups(handler, vmUuid, ({ vm }) =>
+          predicate({ ...vm, id: vm.uuid, type: 'VM' })
+        )
+        if (backups.length !== 0) {
+          const backupsByRemote =
+            backupsByRemoteByVm[vmUuid] || (backupsByRemoteByVm[vmUuid] = {})
+          backupsByRemote[remoteId] = backups
+        }
+      })
+    })
+    if (isEmpty(backupsByRemoteByVm)) {
+      throw new Error('no VMs match this pattern')
+    }
+
+    const healthStore = await this._getHealthStore()
+    await asyncMap(backupsByRemoteByVm, async (backupsByRemote, vmUuid) => {
+      const { name_label: name } = last(values(backupsByRemote)[0]).vm
+      const taskId: string = logger.notice(
+        `Starting verification of ${name}. (${jobId})`,
+        {
+          event: 'task.start',
+          parentId: runJobId,
+          data: {
+            type: 'VM',
+            id: vmUuid,
+          },
+        }
+      )
+      try {
+        await waitAll(
+          Object.keys(backupsByRemote).map(
+            wrapTaskFn(
+              id => ({
+                data: { id, type: 'remote' },
+                logger,
+                message: 'verify',
+                parentId: taskId,
+              }),
+              async (taskId, remoteId) => {
+                const handler = handlers[remoteId]
+                const backups = backupsByRemote[remoteId]
+
+                // VHDs are shared between the backups of a VM
+                const vhdCache = new Map()
+
+                const ids = new Set()
+                const failures = []
+                const unverified = []
+                for (const backup of backups) {
+                  const id = `${remoteId}/${backup._filename}`
+                  ids.add(id)
+
+                  let health: Health
+                  try {
+                    const status = await verifyVmBackup(
+                      handler,
+                      backup,
+                      vhdCache
+                    )
+                    if (status === 'unverified') {
+                      unverified.push(basename(backup._filename))
+                      health = {
+                        error: 'the XVA has no checksum',
+                        status,
+                        timestamp: Date.now(),
+                      }
+                    } else {
+                      health = { status, timestamp: Date.now() }
+                    }
+                  } catch (error) {
+                    failures.push(basename(backup._filename))
+                    health = {
+                      error: error.message,
+                      status: 'failure',
+                      timestamp: Date.now(),
+                    }
+                  }
+                  await healthStore.put(id, health)
+                }
+
+                // forget the backups which have been deleted
+                const prefix = `${remoteId}/${getVmBackupDir(vmUuid)}/`
+                await asyncMap(
+                  await streamToArray(
+                    healthStore.createKeyStream({
+                      gt: prefix,
+                      lt: `${prefix}\xff`,
+                    }),
+                    { filter: id => !ids.has(id) }
+                  ),
+                  id => healthStore.del(id)
+                )
+
+                // a backup which cannot be verified is not reported as a
+                // success
+                const errors = []
+                if (failures.length !== 0) {
+                  errors.push(`corrupted backups: ${failures.join(', ')}`)
+                }
+                if (unverified.length !== 0) {
+                  errors.push(
+                    `backups without checksum: ${unverified.join(', ')}`
+                  )
+                }
+                if (errors.length !== 0) {
+                  throw new Error(errors.join('; '))
+                }
+                return { backups: backups.length }
+              }
+            )
+          ),
+          noop // errors are handled in logs
+        )
+        logger.notice(`Verification of ${name} is a success. (${jobId})`, {
+          event: 'task.end',
+          taskId,
+          status: 'success',
+        })
+      } catch (error) {
+        logger.error(`Verification of ${name} has failed. (${jobId})`, {
+          event: 'task.end',
+          taskId,
+          status: 'failure',
+          result: serializeError(error),
+        })
+      }
+    })
+  }
+
+  // backup of the XO configuration (`job.xoMetadata`) and of the databases of
+  // the pools matching `job.pools` on `job.remotes`
+  //
+  // the backups are grouped by schedule, the retention is `exportRetention`
+  async _backupMetadata (
+    job: BackupJob,
+    schedule: Schedule,
+    logger: any,
+    runJobId: string
+  ): Promise<void> {
+    const { id: jobId, settings } = job
+    const { id: scheduleId, timezone } = schedule
+
+    const poolIds = unboxIds(job.pools)
+    const remotes = unboxIds(job.remotes)
+    if (remotes.length === 0) {
+      throw new Error('metadata mode requires remotes')
+    }
+    if (!job.xoMetadata && poolIds.length === 0) {
+      throw new Error('metadata mode requires the XO config or pools')
+    }
+
+    const exportRetention = normalizeRetention(
+      getSetting(settings, 'exportRetention', scheduleId)
+    )
+    if (exportRetention === 0) {
+      throw new Error('export retention cannot be 0 in metadata mode')
+    }
+
+    const app = this._app
+    const timestamp = Date.now()
+    const basename = safeDateFormat(timestamp)
+    const dataBasename = `${basename}.data`
+
+    const backups: Array<{|
+      data: Object,
+      getMetadata: () => $Shape<MetadataBackup>,
+      getStream: () => Promise<Readable>,
+      name: string,
+    |}> = []
+    if (job.xoMetadata) {
+      backups.push({
+        data: { type: 'xo' },
+        getMetadata: () => ({ type: 'xo' }),
+        getStream: async () => {
+          const stream = new PassThrough()
+          stream.end(JSON.stringify(await app.exportConfig()))
+          return stream
+        },
+        name: 'XO config',
+      })
+    }
+    poolIds.forEach(id => {
+      let xapi
+      backups.push({
+        data: { id, type: 'pool' },
+        getMetadata: () => {
+          const { pool } = xapi
+          return { pool, poolMaster: pool.$master, type: 'pool' }
+        },
+        getStream: () => {
+          xapi = app.getXapi(id)
+          return xapi.exportPoolMetadata()
+        },
+        name: `pool ${id}`,
+      })
+    })
+
+    await asyncMap(backups, async ({ data, getMetadata, getStream, name }) => {
+      const taskId: string = logger.notice(
+        `Starting metadata backup of ${name}. (${jobId})`,
+        {
+          event: 'task.start',
+          parentId: runJobId,
+          data,
+        }
+      )
+      try {
+        const stream = await getStream()
+        const metadata: MetadataBackup = {
+          ...getMetadata(),
+          data: `./${dataBasename}`,
+          jobId,
+          scheduleId,
+          timestamp,
+          version: '2.0.0',
+        }
+        const dir = getMetadataBackupDir(
+          metadata.type,
+          scheduleId,
+          metadata.pool && metadata.pool.uuid
+        )
+        const jsonMetadata = JSON.stringify(metadata)
+
+        const forkExport =
+          remotes.length === 1
+            ? () => stream
+            : () => {
+                const fork: any = stream.pipe(new PassThrough())
+                fork.task = (stream: any).task
+                return fork
+              }
+
+        await waitAll(
+          remotes.map(
+            wrapTaskFn(
+              id => ({
+                data: { id, type: 'remote' },
+                logger,
+                message: 'export',
+                parentId: taskId,
+              }),
+              async (taskId, remoteId) => {
+                const fork = forkExport()
+
+                const handler = await app.getRemoteHandler(remoteId)
+                const oldBackups = getOldEntries(
+                  exportRetention,
+                  await listMetadataBackups(handler, dir),
+                  getMetadataTimestamp,
+                  timezone
+                )
+
+                const dataFilename = `${dir}/${dataBasename}`
+                await wrapTask(
+                  {
+                    logger,
+                    message: 'transfer',
+                    parentId: taskId,
+                    result: size => ({ size }),
+                  },
+                  (async () => {
+                    await writeStream(fork, handler, dataFilename)
+                    return handler.getSize(dataFilename)
+                  })()
+                )
+
+                // written last: the backup is not listed until it is complete
+                await handler.outputFile(
+                  `${dir}/${basename}.json`,
+                  jsonMetadata
+                )
+
+                await deleteMetadataBackups(handler, oldBackups)
+              }
+            )
+          ),
+          noop // errors are handled in logs
+        )
+        logger.notice(`Metadata backup of ${name} is a success. (${jobId})`, {
+          event: 'task.end',
+          taskId,
+          status: 'success',
+        })
+      } catch (error) {
+        logger.error(`Metadata backup of ${name} has failed. (${jobId})`, {
+          event: 'task.end',
+          taskId,
+          status: 'failure',
+          result: serializeError(error),
+        })
+      }
+    })
+  }
+
+  _mergeVhd (
+    handler: RemoteHandler,
+    parentPath: string,
+    childPath: string
+  ): Promise<mixed> {
+    return this._app.worker.mergeVhd(
+      handler._remote,
+      parentPath,
+      handler._remote,
+      childPath
+    )
   }
 
   async _deleteDeltaVmBackups (
     handler: RemoteHandler,
     backups: MetadataDelta[]
   ): Promise<void> {
-    // TODO: remove VHD as well
-    await asyncMap(backups, async backup => {
-      const filename = ((backup._filename: any): string)
-
-      return Promise.all([
-        handler.unlink(filename),
-        asyncMap(backup.vhds, _ =>
-          // $FlowFixMe injected $defer param
-          this._deleteVhd(handler, resolveRelativeFromFile(filename, _))
-        ),
-      ])
-    })
+    await asyncMap(groupBy(backups, _ => _.vm.uuid), (backups, vmUuid) =>
+      this._withVmLock(handler, vmUuid, () =>
+        deleteDeltaVmBackups(handler, backups, (parentPath, childPath) =>
+          this._mergeVhd(handler, parentPath, childPath)
+        )
+      )
+    )
   }
 
   async _deleteFullVmBackups (
@@ -1215,37 +2176,235 @@ export default class BackupNg {
     })
   }
 
-  // FIXME: synchronize by job/VDI, otherwise it can cause issues with the merge
-  @defer
-  async _deleteVhd ($defer: any, handler: RemoteHandler, path: string) {
-    const vhds = await asyncMap(
-      await handler.list(dirname(path), { filter: isVhd, prependDir: true }),
-      async path => {
-        const vhd = new Vhd(handler, path)
-        await vhd.readHeaderAndFooter()
-        return {
-          footer: vhd.footer,
-          header: vhd.header,
-          path,
-        }
+  // runs `fn` once the other calls for this VM on this remote are done
+  _withVmLock<T> (
+    handler: RemoteHandler,
+    vmUuid: string,
+    fn: () => Promise<T>
+  ): Promise<T> {
+    const locks = this._vmLocks
+    const key = `${handler._remote.id}/${vmUuid}`
+    const promise = (locks.get(key) || Promise.resolve()).then(() => fn())
+    const lock = promise.catch(noop).then(() => {
+      if (locks.get(key) === lock) {
+        locks.delete(key)
       }
+    })
+    locks.set(key, lock)
+    return promise
+  }
+
+  // finishes the merges of `deleteVhd()` which have been interrupted in the
+  // directories of these backups (see `finishVhdMerges()`)
+  //
+  // nothing is done if the VM is locked, its merges are in progress
+  async _finishVhdMerges (
+    handler: RemoteHandler,
+    vmUuid: string,
+    backups: Metadata[]
+  ): Promise<void> {
+    if (!this._vmLocks.has(`${handler._remote.id}/${vmUuid}`)) {
+      await this._withVmLock(handler, vmUuid, () =>
+        finishVhdMerges(handler, backups, (parentPath, childPath) =>
+          this._mergeVhd(handler, parentPath, childPath)
+        )
+      )
+    }
+  }
+
+  // runs the hooks of an event defined in the settings of the VM or of the job,
+  // each hook is logged as a subtask
+  //
+  // failures are ignored (but logged) if `hooksFailure` is `continue`
+  async _runHooks (
+    event: HookEvent,
+    job: BackupJob,
+    scheduleId: string,
+    vm: Vm,
+    logger: any,
+    taskId: string
+  ): Promise<void> {
+    const { settings } = job
+    const { uuid } = vm
+    const hooks: Hook[] | void = getSetting(
+      settings,
+      (`${event}Hooks`: any),
+      uuid,
+      ''
     )
-    const base = basename(path)
-    const child = vhds.find(_ => _.header.parentUnicodeName === base)
-    if (child === undefined) {
-      return handler.unlink(path)
+    if (hooks === undefined) {
+      return
     }
 
-    $defer.onFailure.call(handler, 'unlink', path)
+    const app: any = this._app
+    const httpRequest = (...args) => app.httpRequest(...args)
+    const ignoreErrors =
+      getSetting(settings, 'hooksFailure', uuid, '') === 'continue'
+    const context = {
+      event,
+      jobId: job.id,
+      scheduleId,
+      vm: {
+        name_label: vm.name_label,
+        uuid,
+      },
+    }
+    for (const hook of hooks) {
+      const promise = wrapTask(
+        {
+          data: { event, type: 'hook' },
+          logger,
+          message: `${event} hook`,
+          parentId: taskId,
+        },
+        runHook(hook, context, httpRequest)
+      )
+      await (ignoreErrors ? promise.catch(noop) : promise)
+    }
+  }
 
-    const childPath = child.path
-    await this._app.worker.mergeVhd(
-      handler._remote,
-      path,
-      handler._remote,
-      childPath
-    )
-    await handler.rename(path, childPath)
+  // global concurrency limits of the backup of a VM (see `backups` in the
+  // config): the host running it (or its pool if it is halted), the SRs of its
+  // disks and the SRs it is replicated to
+  _getVmLimits (vm: Object, job: BackupJob): Limits {
+    const app: any = this._app
+    const { concurrencyPerHost = 0, concurrencyPerSr = 0 } =
+      app._config.backups || {}
+
+    const limits: Limits = {
+      [`host:${vm.$container}`]: concurrencyPerHost,
+    }
+    const addSr = (id: string) => {
+      limits[`sr:${id}`] = concurrencyPerSr
+    }
+    vm.$VBDs.forEach(vbdId => {
+      const vbd = app.getObject(vbdId, 'VBD')
+      if (!vbd.is_cd_drive && vbd.VDI != null) {
+        addSr(app.getObject(vbd.VDI, 'VDI').$SR)
+      }
+    })
+    unboxIds(job.srs).forEach(addSr)
+    return limits
+  }
+
+  // RPO status of the VMs (XO objects) of a job which have an RPO, only
+  // relevant in delta mode with SRs
+  //
+  // the index of the replicas is only built if necessary, `getReplicas` can be
+  // passed to share it between several jobs
+  _getRpoEntries (
+    job: BackupJob,
+    vms: Object[],
+    getReplicas?: () => ReplicaIndex = () => this._indexReplicas()
+  ): Array<{|
+    lastReplication: number,
+    rpo: number,
+    status: RpoStatus,
+    vm: Object,
+  |}> {
+    const srIds = unboxIds(job.srs)
+    if (job.mode !== 'delta' || srIds.length === 0) {
+      return []
+    }
+
+    let replicas
+    const entries = []
+    vms.forEach(vm => {
+      const { uuid } = vm
+      const rpo: number = getSetting(job.settings, 'rpo', uuid, '')
+      if (rpo === 0) {
+        return
+      }
+
+      if (replicas === undefined) {
+        replicas = getReplicas()
+      }
+      const lastReplication = getLastReplicationTimestamp(
+        replicas,
+        job.id,
+        srIds,
+        uuid
+      )
+      entries.push({
+        lastReplication,
+        rpo,
+        status: getRpoStatus({
+          duration: this._rpoDurations.get(`${job.id}/${uuid}`),
+          lastReplication,
+          rpo,
+        }),
+        vm,
+      })
+    })
+    return entries
+  }
+
+  // run every minute:
+  //
+  // - emits `backupNg:rpoViolation` when the RPO of a VM becomes violated
+  // - runs the jobs which have VMs due for replication, with their first
+  //   enabled schedule, jobs without enabled schedules are ignored
+  async _checkRpos (): Promise<void> {
+    const app = this._app
+    const [jobs, schedules] = await Promise.all([
+      app.getAllJobs('backup'),
+      app.getAllSchedules(),
+    ])
+    const violations = this._rpoViolations
+    const currentViolations = new Set()
+    const getReplicas = once(() => this._indexReplicas())
+    jobs.forEach(job => {
+      const schedule = find(schedules, { enabled: true, jobId: job.id })
+      if (schedule === undefined || job.vms === undefined) {
+        return
+      }
+
+      const entries = this._getRpoEntries(
+        job,
+        values(
+          app.getObjects({
+            filter: createPredicate({
+              type: 'VM',
+              ...job.vms,
+            }),
+          })
+        ),
+        getReplicas
+      )
+
+      entries.forEach(({ lastReplication, rpo, status, vm }) => {
+        if (!status.violated) {
+          return
+        }
+
+        const key = `${job.id}/${vm.uuid}`
+        currentViolations.add(key)
+        if (!violations.has(key)) {
+          app.emit('backupNg:rpoViolation', {
+            job,
+            lastReplication,
+            rpo,
+            schedule,
+            vm: pick(vm, ['name_label', 'uuid']),
+          })
+        }
+      })
+
+      // $FlowFixMe runId is set by `getAllJobs()`
+      if (job.runId === undefined && entries.some(_ => _.status.due)) {
+        const rpoRuns = this._rpoRuns
+        rpoRuns.add(job.id)
+        app
+          .runJobSequence([job.id], schedule)
+          .catch(noop) // errors are logged
+          .then(() => rpoRuns.delete(job.id))
+      }
+    })
+    this._rpoViolations = currentViolations
+  }
+
+  _indexReplicas (): ReplicaIndex {
+    return indexReplicas(values(this._app.getAllXapis()))
   }
 
   async _deleteVms (xapi: Xapi, vms: Vm[]): Promise<void> {
@@ -1259,7 +2418,8 @@ export default class BackupNg {
   ): Promise<Metadata[]> {
     const backups = []
 
-    const dir = getVmBackupDir(typeof vm === 'string' ? vm : vm.uuid)
+    const vmUuid = typeof vm === 'string' ? vm : vm.uuid
+    const dir = getVmBackupDir(vmUuid)
     try {
       const files = await handler.list(dir)
       await Promise.all(
@@ -1288,6 +2448,11 @@ export default class BackupNg {
       }
     }
 
+    // in the background, the listing does not wait for the merges
+    this._finishVhdMerges(handler, vmUuid, backups).catch(error => {
+      console.warn('_finishVhdMerges', error)
+    })
+
     return backups.sort(compareTimestamp)
   }
 
@@ -1327,6 +2492,13 @@ export default class BackupNg {
             }
           }
           break
+        case 'task.started':
+          const startedTask = logs[data.taskId]
+          if (startedTask !== undefined) {
+            startedTask.status = 'started'
+            startedTask.queueDuration = time - startedTask.start
+          }
+          break
         case 'task.end':
           const task = logs[data.taskId]
           if (task !== undefined) {
@@ -0,0 +1,162 @@
+/* eslint-env jest */
+
+import getStream from 'get-stream'
+import tmp from 'tmp'
+import { fromCallback as pFromCallback } from 'promise-toolbox'
+import { getHandler } from '@xen-orchestra/fs'
+import { remove } from 'fs-extra'
+
+import {
+  deleteMetadataBackups,
+  getMetadataBackupDir,
+  listAllMetadataBackups,
+  restoreMetadataBackup,
+} from './metadata'
+
+let dir, handler
+beforeEach(async () => {
+  dir = await pFromCallback(cb => tmp.dir(cb))
+  handler = getHandler({ url: `file://${dir}` })
+})
+afterEach(() => remove(dir))
+
+// writes a backup and returns the path of its metadata
+const outputBackup = async (
+  { pool, scheduleId = 'schedule', timestamp = 0, type },
+  data = ''
+) => {
+  const dir = getMetadataBackupDir(type, scheduleId, pool && pool.uuid)
+  const metadata = {
+    data: `./${timestamp}.data`,
+    jobId: 'job',
+    pool,
+    scheduleId,
+    timestamp,
+    type,
+    version: '2.0.0',
+  }
+  await handler.outputFile(`${dir}/${timestamp}.data`, data)
+  await handler.outputFile(`${dir}/${timestamp}.json`, JSON.stringify(metadata))
+  return `${dir}/${timestamp}.json`
+}
+
+describe('listAllMetadataBackups()', () => {
+  it('returns the backups of all schedules in chronological order', async () => {
+    await outputBackup({ scheduleId: 'schedule1', timestamp: 2, type: 'xo' })
+    await outputBackup({ scheduleId: 'schedule2', timestamp: 1, type: 'xo' })
+    await outputBackup({ scheduleId: 'schedule1', timestamp: 3, type: 'xo' })
+    await outputBackup({
+      pool: { uuid: 'pool1' },
+      scheduleId: 'schedule1',
+      timestamp: 2,
+      type: 'pool',
+    })
+    await outputBackup({
+      pool: { uuid: 'pool1' },
+      scheduleId: 'schedule2',
+      timestamp: 1,
+      type: 'pool',
+    })
+    await outputBackup({ pool: { uuid: 'pool2' }, type: 'pool' })
+
+    const { pools, xo } = await listAllMetadataBackups(handler)
+    expect(xo.map(_ => [_.scheduleId, _.timestamp])).toEqual([
+      ['schedule2', 1],
+      ['schedule1', 2],
+      ['schedule1', 3],
+    ])
+    expect(Object.keys(pools).sort()).toEqual(['pool1', 'pool2'])
+    expect(pools.pool1.map(_ => _.timestamp)).toEqual([1, 2])
+    expect(pools.pool1[0]._filename).toBe(
+      'xo-pool-metadata-backups/schedule2/pool1/1.json'
+    )
+  })
+
+  it('returns no backups if there are none', async () => {
+    expect(await listAllMetadataBackups(handler)).toEqual({ pools: {}, xo: [] })
+  })
+})
+
+describe('deleteMetadataBackups()', () => {
+  it('deletes the metadata and the data', async () => {
+    await outputBackup({ timestamp: 1, type: 'xo' })
+    await outputBackup({ timestamp: 2, type: 'xo' })
+
+    const { xo } = await listAllMetadataBackups(handler)
+    await deleteMetadataBackups(handler, [xo[0]])
+
+    expect(await handler.list('xo-config-backups/schedule')).toEqual([
+      '2.data',
+      '2.json',
+    ])
+  })
+})
+
+describe('restoreMetadataBackup()', () => {
+  const config = { jobs: ['job'], schedules: ['schedule'], users: ['user'] }
+
+  let app, importPoolMetadata
+  beforeEach(() => {
+    importPoolMetadata = jest.fn((stream, opts) =>
+      getStream(stream).then(data => {
+        importPoolMetadata.data = data
+      })
+    )
+    app = {
+      getXapi: jest.fn(() => ({ importPoolMetadata })),
+      importConfig: jest.fn(() => Promise.resolve()),
+    }
+  })
+
+  it('imports the XO config', async () => {
+    const path = await outputBackup({ type: 'xo' }, JSON.stringify(config))
+
+    await restoreMetadataBackup(app, handler, path)
+    expect(app.importConfig.mock.calls).toEqual([[config]])
+  })
+
+  it('imports only some parts of the XO config', async () => {
+    const path = await outputBackup({ type: 'xo' }, JSON.stringify(config))
+
+    await restoreMetadataBackup(app, handler, path, {
+      managers: ['jobs', 'schedules'],
+    })
+    expect(app.importConfig.mock.calls).toEqual([
+      [{ jobs: ['job'], schedules: ['schedule'] }],
+    ])
+  })
+
+  it('imports the database of the pool which has been backed up', async () => {
+    const path = await outputBackup(
+      { pool: { uuid: 'pool' }, type: 'pool' },
+      'dump'
+    )
+
+    await restoreMetadataBackup(app, handler, path)
+    expect(app.getXapi.mock.calls).toEqual([['pool']])
+    expect(importPoolMetadata.data).toBe('dump')
+    expect(importPoolMetadata.mock.calls[0][1]).toEqual({ dryRun: false })
+  })
+
+  it('can check the database on another pool', async () => {
+    const path = await outputBackup(
+      { pool: { uuid: 'pool' }, type: 'pool' },
+      'dump'
+    )
+
+    await restoreMetadataBackup(app, handler, path, {
+      dryRun: true,
+      poolId: 'other-pool',
+    })
+    expect(app.getXapi.mock.calls).toEqual([['other-pool']])
+    expect(importPoolMetadata.mock.calls[0][1]).toEqual({ dryRun: true })
+  })
+
+  it('fails on unknown backup types', async () => {
+    const path = await outputBackup({ type: 'foo' })
+
+    await expect(restoreMetadataBackup(app, handler, path)).rejects.toThrow(
+      'no importer for metadata backup type foo'
+    )
+  })
+})
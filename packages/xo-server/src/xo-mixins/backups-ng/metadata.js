@@ -0,0 +1,167 @@
+// @flow
+
+// $FlowFixMe
+import type RemoteHandler from '@xen-orchestra/fs'
+import { forEach, pick } from 'lodash'
+
+import { asyncMap, resolveRelativeFromFile } from '../../utils'
+
+import { compareTimestamp, isMetadataFile, listDir } from './utils'
+
+// backup of the XO configuration or of the database of a pool
+export type MetadataBackup = {|
+  _filename?: string,
+  data: string, // relative to the metadata file
+  id?: string,
+  jobId: string,
+  pool?: Object,
+  poolMaster?: Object,
+  scheduleId: string,
+  timestamp: number,
+  type: 'pool' | 'xo',
+  version: '2.0.0',
+|}
+
+// File structure on remotes:
+//
+// <remote>
+// ├─ xo-config-backups
+// │  └─ <schedule UUID>
+// │     ├─ <YYYYMMDD>T<HHmmss>.json // backup metadata
+// │     └─ <YYYYMMDD>T<HHmmss>.data // XO config as JSON
+// └─ xo-pool-metadata-backups
+//    └─ <schedule UUID>
+//       └─ <pool UUID>
+//          ├─ <YYYYMMDD>T<HHmmss>.json // backup metadata
+//          └─ <YYYYMMDD>T<HHmmss>.data // XAPI database dump
+const XO_METADATA_DIR = 'xo-config-backups'
+const POOL_METADATA_DIR = 'xo-pool-metadata-backups'
+
+export const getMetadataBackupDir = (
+  type: 'pool' | 'xo',
+  scheduleId: string,
+  poolUuid?: string
+) =>
+  type === 'xo'
+    ? `${XO_METADATA_DIR}/${scheduleId}`
+    : `${POOL_METADATA_DIR}/${scheduleId}/${String(poolUuid)}`
+
+// backups of a directory in chronological order
+export async function listMetadataBackups (
+  handler: RemoteHandler,
+  dir: string
+): Promise<MetadataBackup[]> {
+  const backups = []
+  await Promise.all(
+    (await listDir(handler, dir)).filter(isMetadataFile).map(async file => {
+      const path = `${dir}/${file}`
+      try {
+        const metadata = JSON.parse(String(await handler.readFile(path)))
+        Object.defineProperty(metadata, '_filename', {
+          value: path,
+        })
+        backups.push(metadata)
+      } catch (error) {
+        console.warn('listMetadataBackups', path, error)
+      }
+    })
+  )
+  return backups.sort(compareTimestamp)
+}
+
+// returns the metadata backups of a remote, all schedules included:
+//
+// - `xo`: backups of the XO configuration
+// - `pools`: backups of the pool databases by pool UUID
+export async function listAllMetadataBackups (
+  handler: RemoteHandler
+): Promise<{|
+  pools: $Dict<MetadataBackup[]>,
+  xo: MetadataBackup[],
+|}> {
+  // the backups are listed before being added to the lists which may have
+  // been modified in the meantime
+  const pools = {}
+  let xo = []
+  await asyncMap(await listDir(handler, XO_METADATA_DIR), async scheduleId => {
+    const backups = await listMetadataBackups(
+      handler,
+      `${XO_METADATA_DIR}/${scheduleId}`
+    )
+    xo = xo.concat(backups)
+  })
+  await asyncMap(
+    await listDir(handler, POOL_METADATA_DIR),
+    async scheduleId => {
+      const scheduleDir = `${POOL_METADATA_DIR}/${scheduleId}`
+      await asyncMap(await listDir(handler, scheduleDir), async uuid => {
+        const backups = await listMetadataBackups(
+          handler,
+          `${scheduleDir}/${uuid}`
+        )
+        pools[uuid] = (pools[uuid] || []).concat(backups)
+      })
+    }
+  )
+  forEach(pools, backups => {
+    backups.sort(compareTimestamp)
+  })
+  return { pools, xo: xo.sort(compareTimestamp) }
+}
+
+export async function deleteMetadataBackups (
+  handler: RemoteHandler,
+  backups: MetadataBackup[]
+): Promise<void> {
+  await asyncMap(backups, ({ _filename, data }) => {
+    _filename = ((_filename: any): string)
+    return Promise.all([
+      handler.unlink(_filename),
+      handler.unlink(resolveRelativeFromFile(_filename, data)),
+    ])
+  })
+}
+
+// `managers`: XO configuration only, the parts of the configuration to
+// restore (e.g. `['jobs', 'schedules']`), by default everything
+//
+// `poolId`: pool database only, the pool to restore to, by default the pool
+// which has been backed up (its hosts are restarted)
+//
+// `dryRun`: pool database only, the dump is only checked by XAPI
+export async function restoreMetadataBackup (
+  app: {
+    getXapi: (id: string) => Object,
+    importConfig: (config: Object) => Promise<void>,
+  },
+  handler: RemoteHandler,
+  metadataFilename: string,
+  {
+    dryRun = false,
+    managers,
+    poolId,
+  }: { dryRun?: boolean, managers?: string[], poolId?: string } = {}
+): Promise<void> {
+  const metadata: MetadataBackup = JSON.parse(
+    String(await handler.readFile(metadataFilename))
+  )
+  const dataFilename = resolveRelativeFromFile(metadataFilename, metadata.data)
+
+  if (metadata.type === 'xo') {
+    let config = JSON.parse(String(await handler.readFile(dataFilename)))
+    if (managers !== undefined) {
+      config = pick(config, managers)
+    }
+    await app.importConfig(config)
+  } else if (metadata.type === 'pool') {
+    const xapi = app.getXapi(
+      poolId !== undefined ? poolId : (metadata.pool: any).uuid
+    )
+    await xapi.importPoolMetadata(
+      await handler.createReadStream(dataFilename),
+      { dryRun }
+    )
+  } else {
+    throw new Error(`no importer for metadata backup type ${metadata.type}`)
+  }
+}
@@ -0,0 +1,152 @@
+/* eslint-env jest */
+
+import getStream from 'get-stream'
+import tmp from 'tmp'
+import { createReadableSparseStream } from 'vhd-lib'
+import { fromCallback as pFromCallback } from 'promise-toolbox'
+import { getHandler } from '@xen-orchestra/fs'
+import { remove } from 'fs-extra'
+
+import { checkVmBackupRestore, getDeltaRestoreBase } from './restore'
+
+const VM_DIR = 'xo-vm-backups/vm'
+const MiB = 1024 * 1024
+
+// dynamic VHD of 4 MiB with its first block allocated
+const createVhd = () =>
+  getStream.buffer(
+    createReadableSparseStream(
+      4 * MiB,
+      2 * MiB,
+      [0],
+      [{ offsetBytes: 0, data: Buffer.alloc(2 * MiB, 1) }]
+    )
+  )
+
+// delta backups of a VM with a single disk
+const createBackup = (name, vdiUuid) => ({
+  _filename: `${VM_DIR}/${name}.json`,
+  mode: 'delta',
+  timestamp: Date.parse(name),
+  vdis: { vdi: { uuid: vdiUuid, virtual_size: 4 * MiB } },
+  vhds: { vdi: `vdis/job/disk/${name}.vhd` },
+  vm: { uuid: 'vm' },
+})
+
+describe('getDeltaRestoreBase()', () => {
+  const backups = [
+    createBackup('2018-06-01', 'vdi-1'),
+    createBackup('2018-06-02', 'vdi-2'),
+    createBackup('2018-06-03', 'vdi-3'),
+    createBackup('2018-06-04', 'vdi-4'),
+  ]
+  const getBase = (metadata, copyOf) =>
+    getDeltaRestoreBase(
+      metadata._filename,
+      metadata,
+      {
+        $id: 'base-vm',
+        $VBDs: [{ $VDI: { other_config: { 'xo:copy_of': copyOf } } }],
+      },
+      backups
+    )
+
+  it('finds the most recent backup of a disk copied in the base VM', () => {
+    expect(getBase(backups[2], 'vdi-1')).toEqual({
+      vdis: {
+        vdi: {
+          paths: [
+            `${VM_DIR}/vdis/job/disk/2018-06-02.vhd`,
+            `${VM_DIR}/vdis/job/disk/2018-06-03.vhd`,
+          ],
+          vdiUuid: 'vdi-1',
+        },
+      },
+      vmId: 'base-vm',
+    })
+  })
+
+  it('ignores the backups more recent than the restored one', () => {
+    expect(getBase(backups[1], 'vdi-4').vdis).toEqual({})
+  })
+})
+
+describe('checkVmBackupRestore()', () => {
+  let dir, handler
+  beforeEach(async () => {
+    dir = await pFromCallback(cb => tmp.dir(cb))
+    handler = getHandler({ url: `file://${dir}` })
+  })
+  afterEach(() => remove(dir))
+
+  const sr = { physical_size: 100 * MiB, physical_utilisation: 10 * MiB }
+
+  it('estimates the size of a full backup', async () => {
+    await handler.outputFile(`${VM_DIR}/backup.xva`, 'xva content')
+    const metadata = { mode: 'full', xva: './backup.xva' }
+
+    expect(
+      await checkVmBackupRestore(handler, `${VM_DIR}/backup.json`, metadata, sr)
+    ).toEqual({ freeSpace: 90 * MiB, problems: [], size: 11 })
+  })
+
+  it('reports a missing XVA', async () => {
+    const metadata = { mode: 'full', xva: './backup.xva' }
+
+    expect(
+      (await checkVmBackupRestore(
+        handler,
+        `${VM_DIR}/backup.json`,
+        metadata,
+        sr
+      )).problems
+    ).toEqual([`missing XVA ${VM_DIR}/backup.xva`])
+  })
+
+  it('checks the VHDs of a delta backup', async () => {
+    const metadata = createBackup('2018-06-01', 'vdi')
+    await handler.outputFile(
+      `${VM_DIR}/${metadata.vhds.vdi}`,
+      await createVhd()
+    )
+
+    expect(
+      await checkVmBackupRestore(handler, metadata._filename, metadata, sr)
+    ).toEqual({ freeSpace: 90 * MiB, problems: [], size: 4 * MiB })
+
+    await handler.unlink(`${VM_DIR}/${metadata.vhds.vdi}`)
+    const { problems } = await checkVmBackupRestore(
+      handler,
+      metadata._filename,
+      metadata,
+      sr
+    )
+    expect(problems).toEqual([expect.stringMatching(/ENOENT/)])
+  })
+
+  it('only counts the VHDs more recent than the base', async () => {
+    const metadata = createBackup('2018-06-02', 'vdi')
+    const path = `${VM_DIR}/${metadata.vhds.vdi}`
+    await handler.outputFile(path, await createVhd())
+    const vhdSize = await handler.getSize(path)
+
+    expect(
+      (await checkVmBackupRestore(handler, metadata._filename, metadata, sr, {
+        vdis: { vdi: { paths: [path], vdiUuid: 'vdi' } },
+        vmId: 'base-vm',
+      })).size
+    ).toBe(vhdSize)
+  })
+
+  it('reports a lack of space on the SR', async () => {
+    await handler.outputFile(`${VM_DIR}/backup.xva`, 'xva content')
+    const metadata = { mode: 'full', xva: './backup.xva' }
+
+    expect(
+      (await checkVmBackupRestore(handler, `${VM_DIR}/backup.json`, metadata, {
+        physical_size: 10,
+        physical_utilisation: 5,
+      })).problems
+    ).toEqual(['not enough space on the SR: 11 bytes needed, 5 available'])
+  })
+})
@@ -0,0 +1,229 @@
+// @flow
+
+// $FlowFixMe
+import type RemoteHandler from '@xen-orchestra/fs'
+import { dirname } from 'path'
+import { findKey, forEach } from 'lodash'
+import {
+  checkVhdChain,
+  createSyntheticStream as createVhdReadStream,
+  createVhdFileReadStream,
+} from 'vhd-lib'
+
+import { type DeltaVmImport, type Vm, type Xapi } from '../../xapi'
+import { asyncMap, resolveRelativeFromFile, safeDateFormat } from '../../utils'
+
+// base of a disk for a delta restore, see `getDeltaRestoreBase()`
+type RestoreBaseVdi = {|
+  paths: string[],
+  vdiUuid: string,
+|}
+export type RestoreBase = {|
+  vdis: $Dict<RestoreBaseVdi>,
+  vmId: string,
+|}
+
+export type RestoreCheck = {|
+  // on the SR
+  freeSpace: number,
+
+  // an empty list means the backup can be restored
+  problems: string[],
+
+  // estimated space used on the SR by the restoration
+  size: number,
+|}
+
+// import a VM backup on an SR and returns the id of the new VM
+export const importers: $Dict<
+  (
+    handler: RemoteHandler,
+    metadataFilename: string,
+    metadata: Object,
+    xapi: Xapi,
+    sr: { $id: string },
+    base?: RestoreBase
+  ) => Promise<string>,
+  'delta' | 'full'
+> = {
+  async delta (handler, metadataFilename, metadata, xapi, sr, base) {
+    const { vhds, vm } = metadata
+
+    const streams = {}
+    const vdis = {}
+    await asyncMap(metadata.vdis, async (vdi, id) => {
+      const baseVdi = base && base.vdis[id]
+      if (baseVdi !== undefined) {
+        // only the VHDs more recent than the base are imported
+        streams[`${id}.vhd`] = baseVdi.paths.map(path => () =>
+          createVhdFileReadStream(handler, path)
+        )
+      } else {
+        streams[`${id}.vhd`] = await createVhdReadStream(
+          handler,
+          resolveRelativeFromFile(metadataFilename, vhds[id])
+        )
+      }
+      vdis[id] = {
+        ...vdi,
+        other_config: {
+          ...vdi.other_config,
+          'xo:base_delta': baseVdi && baseVdi.vdiUuid,
+        },
+      }
+    })
+
+    const delta: DeltaVmImport = {
+      streams,
+      vbds: metadata.vbds,
+      vdis,
+      version: '1.0.0',
+      vifs: metadata.vifs,
+      vm: {
+        ...vm,
+        name_label: `${vm.name_label} (${safeDateFormat(metadata.timestamp)})`,
+        tags: [...vm.tags, 'restored from backup'],
+      },
+    }
+
+    const { vm: newVm } = await xapi.importDeltaVm(delta, {
+      baseVmId: base && base.vmId,
+      detectBase: false,
+      disableStartAfterImport: false,
+      srId: sr,
+      // TODO: support mapVdisSrs
+    })
+    return newVm.$id
+  },
+  async full (handler, metadataFilename, metadata, xapi, sr) {
+    const xva = await handler.createReadStream(
+      resolveRelativeFromFile(metadataFilename, metadata.xva),
+      {
+        checksum: true,
+        ignoreMissingChecksum: true, // provide an easy way to opt-out
+      }
+    )
+    const vm = await xapi.importVm(xva, { srId: sr.$id })
+    await Promise.all([
+      xapi.addTag(vm.$id, 'restored from backup'),
+      xapi.editVm(vm.$id, {
+        name_label: `${metadata.vm.name_label} (${safeDateFormat(
+          metadata.timestamp
+        )})`,
+      }),
+    ])
+    return vm.$id
+  },
+}
+
+// finds, for each disk of a delta backup, the most recent backup of this disk
+// (up to this one) which has been copied as a disk of `baseVm`
+//
+// `backups` are the backups of the VM in chronological order
+//
+// the disks without base are not in `vdis`
+export const getDeltaRestoreBase = (
+  metadataFilename: string,
+  metadata: Object,
+  baseVm: Vm,
+  backups: Object[]
+): RestoreBase => {
+  const copySources = new Set()
+  baseVm.$VBDs.forEach(vbd => {
+    const vdi = vbd.$VDI
+    if (vdi != null) {
+      copySources.add(vdi.other_config['xo:copy_of'])
+    }
+  })
+
+  // most recent first
+  backups = backups
+    .filter(_ => _.mode === 'delta' && _.timestamp <= metadata.timestamp)
+    .reverse()
+
+  const vdis = {}
+  forEach(metadata.vhds, (path, vdiId) => {
+    // the VHDs of a disk are in the same directory
+    const dir = dirname(resolveRelativeFromFile(metadataFilename, path))
+
+    const paths = []
+    for (const backup of backups) {
+      const filename: string = backup._filename
+      const id = findKey(
+        backup.vhds,
+        _ => dirname(resolveRelativeFromFile(filename, _)) === dir
+      )
+      if (id !== undefined) {
+        const { uuid } = backup.vdis[id]
+        if (copySources.has(uuid)) {
+          vdis[vdiId] = { paths: paths.reverse(), vdiUuid: uuid }
+          return
+        }
+        paths.push(resolveRelativeFromFile(filename, backup.vhds[id]))
+      }
+    }
+  })
+
+  return { vdis, vmId: baseVm.$id }
+}
+
+// checks, without importing anything, whether a VM backup can be restored on
+// an SR: the files of the backup must be present and valid and the SR must
+// have enough free space
+export async function checkVmBackupRestore (
+  handler: RemoteHandler,
+  metadataFilename: string,
+  metadata: Object,
+  sr: Object,
+  base?: RestoreBase
+): Promise<RestoreCheck> {
+  const problems = []
+  const addProblem = (error: Error) => {
+    problems.push(error.message)
+  }
+
+  let size = 0
+  if (metadata.mode === 'full') {
+    const path = resolveRelativeFromFile(metadataFilename, metadata.xva)
+    await handler.getSize(path).then(
+      xvaSize => {
+        size = xvaSize
+      },
+      () => addProblem(new Error(`missing XVA ${path}`))
+    )
+  } else {
+    const { vdis, vhds } = metadata
+    const vhdCache = new Map()
+    await asyncMap(vdis, async (vdi, id) => {
+      const path = vhds[id]
+      if (path === undefined) {
+        return addProblem(new Error(`missing VHD of VDI ${vdi.uuid}`))
+      }
+      await checkVhdChain(
+        handler,
+        resolveRelativeFromFile(metadataFilename, path),
+        vhdCache
+      ).catch(addProblem)
+
+      const baseVdi = base && base.vdis[id]
+      if (baseVdi === undefined) {
+        size += +vdi.virtual_size
+      } else {
+        await asyncMap(baseVdi.paths, async path => {
+          size += await handler.getSize(path)
+        })
+      }
+    })
+  }
+
+  const freeSpace = sr.physical_size - sr.physical_utilisation
+  if (size > freeSpace) {
+    addProblem(
+      new Error(
+        `not enough space on the SR: ${size} bytes needed, ${freeSpace} available`
+      )
+    )
+  }
+
+  return { freeSpace, problems, size }
+}
@@ -0,0 +1,85 @@
+// @flow
+
+import moment from 'moment-timezone'
+
+// Grandfather-father-son retention: the most recent entry of each of the
+// `daily` last days, `weekly` last weeks, etc. is kept, as well as the `last`
+// most recent entries.
+//
+// An entry can be kept by multiple rules.
+export type RetentionPolicy = {|
+  daily?: number,
+  last?: number,
+  monthly?: number,
+  weekly?: number,
+  yearly?: number,
+|}
+
+// number of entries to keep or retention policy
+export type Retention = number | RetentionPolicy
+
+// formats of the calendar buckets of the rules
+const BUCKETS = {
+  daily: 'YYYY-MM-DD',
+  weekly: 'GGGG-WW', // ISO week
+  monthly: 'YYYY-MM',
+  yearly: 'YYYY',
+}
+
+export const isPolicyEmpty = (policy: RetentionPolicy): boolean =>
+  !(policy.last > 0) && Object.keys(BUCKETS).every(rule => !(policy[rule] > 0))
+
+// Returns the entries which are not kept by the policy, in the same order.
+//
+// `newTimestamp`, if defined, is the timestamp of an entry which is about to
+// be created and which is taken into account (e.g. it takes the place of an
+// existing entry of the same day for the daily rule).
+//
+// Buckets are computed in `timezone` if defined, otherwise in the local
+// timezone.
+export function getOldEntriesByPolicy<T> (
+  policy: RetentionPolicy,
+  entries: T[],
+  getTimestamp: T => number,
+  { newTimestamp, timezone }: { newTimestamp?: number, timezone?: string } = {}
+): T[] {
+  if (isPolicyEmpty(policy)) {
+    throw new Error('a retention policy must keep at least one entry')
+  }
+
+  const toMoment =
+    timezone !== undefined
+      ? timestamp => moment.tz(timestamp, timezone)
+      : timestamp => moment(timestamp)
+
+  // most recent first, `null` is the new entry
+  const candidates: Array<?T> = entries
+    .slice()
+    .sort((a, b) => getTimestamp(b) - getTimestamp(a))
+  if (newTimestamp !== undefined) {
+    candidates.unshift(null)
+  }
+  const dates = candidates.map(entry =>
+    toMoment(entry === null ? newTimestamp : getTimestamp((entry: any)))
+  )
+
+  const kept = new Set(candidates.slice(0, policy.last || 0))
+  Object.keys(BUCKETS).forEach(rule => {
+    const n = policy[rule] || 0
+    const format = BUCKETS[rule]
+    const buckets = new Set()
+    for (let i = 0; i < candidates.length && buckets.size < n; ++i) {
+      const bucket = dates[i].format(format)
+      if (!buckets.has(bucket)) {
+        buckets.add(bucket)
+        kept.add(candidates[i])
+      }
+    }
+  })
+
+  return entries.filter(entry => !kept.has(entry))
+}
+
+// a policy which keeps nothing is equivalent to a retention of 0
+export const normalizeRetention = (retention: Retention): Retention =>
+  typeof retention === 'number' || !isPolicyEmpty(retention) ? retention : 0
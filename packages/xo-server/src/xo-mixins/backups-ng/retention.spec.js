@@ -0,0 +1,72 @@
+/* eslint-env jest */
+
+import { getOldEntriesByPolicy } from './retention'
+
+const DAY = 24 * 3600 * 1000
+
+// one entry per day at noon (UTC), from 2018-01-01 to 2018-12-31
+const entries = []
+for (
+  let timestamp = Date.UTC(2018, 0, 1, 12);
+  timestamp < Date.UTC(2019, 0, 1);
+  timestamp += DAY
+) {
+  entries.push({ timestamp })
+}
+
+const getTimestamp = _ => _.timestamp
+const format = entries =>
+  entries.map(_ => new Date(_.timestamp).toISOString().slice(0, 10))
+const getKept = (policy, opts) => {
+  const old = new Set(
+    getOldEntriesByPolicy(policy, entries, getTimestamp, {
+      timezone: 'UTC',
+      ...opts,
+    })
+  )
+  return format(entries.filter(_ => !old.has(_)))
+}
+
+describe('getOldEntriesByPolicy()', () => {
+  it('keeps the most recent entry of each bucket', () => {
+    // 2018-12-31 is in the first week of 2019
+    expect(getKept({ daily: 3, weekly: 3, monthly: 2, yearly: 1 })).toEqual([
+      '2018-11-30',
+      '2018-12-23',
+      '2018-12-29',
+      '2018-12-30',
+      '2018-12-31',
+    ])
+  })
+
+  it('keeps the last entries', () => {
+    expect(getKept({ last: 2 })).toEqual(['2018-12-30', '2018-12-31'])
+  })
+
+  it('takes the new entry into account', () => {
+    expect(
+      getKept({ daily: 2 }, { newTimestamp: Date.UTC(2018, 11, 31, 18) })
+    ).toEqual(['2018-12-30'])
+  })
+
+  it('computes the buckets in the timezone', () => {
+    const entries = [
+      { timestamp: Date.UTC(2018, 0, 1, 1) },
+      { timestamp: Date.UTC(2018, 0, 1, 10) },
+    ]
+    const getOld = timezone =>
+      format(
+        getOldEntriesByPolicy({ daily: 2 }, entries, getTimestamp, {
+          timezone,
+        })
+      )
+    expect(getOld('UTC')).toEqual(['2018-01-01'])
+    expect(getOld('America/New_York')).toEqual([])
+  })
+
+  it('rejects policies which do not keep anything', () => {
+    expect(() =>
+      getOldEntriesByPolicy({ daily: 0 }, entries, getTimestamp)
+    ).toThrow()
+  })
+})
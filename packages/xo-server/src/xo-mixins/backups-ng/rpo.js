@@ -0,0 +1,103 @@
+// @flow
+
+import { parseDateTime } from '../../xapi/utils'
+
+// Recovery point objective: maximum age (in milliseconds) of the last
+// successful replica of a VM.
+//
+// A VM is replicated again as soon as its next replica would otherwise be
+// late, i.e. when its last replica is older than its RPO minus the expected
+// duration of the replication (the duration of the previous one).
+export type RpoStatus = {|
+  // a replication must be started
+  due: boolean,
+
+  // delay (in milliseconds) before the replication must be started, negative
+  // if it is late
+  slack: number,
+
+  // the last replica is older than the RPO
+  violated: boolean,
+|}
+
+// `lastReplication` is the timestamp of the last successful replica, 0 if the
+// VM has never been replicated, in which case its RPO cannot be violated yet
+export const getRpoStatus = ({
+  duration = 0,
+  lastReplication,
+  now = Date.now(),
+  rpo,
+}: {|
+  duration?: number,
+  lastReplication: number,
+  now?: number,
+  rpo: number,
+|}): RpoStatus => {
+  const deadline = lastReplication + rpo
+  const slack = deadline - duration - now
+  return {
+    due: slack <= 0,
+    slack,
+    violated: lastReplication !== 0 && deadline < now,
+  }
+}
+
+// sorts entries by urgency: those which are closest to violating (or which
+// have been violating for the longest time) first
+export const sortByUrgency = <T: { status: RpoStatus }>(entries: T[]): T[] =>
+  entries.sort((a, b) => a.status.slack - b.status.slack)
+
+// ---------------------------------------------------------------------------
+
+// the replicas which have been started (e.g. by a failover) are ignored
+export const isVmReplica = (object: Object): boolean =>
+  object.$type === 'vm' &&
+  !object.is_a_snapshot &&
+  !object.is_a_template &&
+  'start' in object.blocked_operations &&
+  object.other_config['xo:backup:vm'] !== undefined
+
+// timestamps of the last replicas, by `<job id>/<SR id>/<VM UUID>`
+export type ReplicaIndex = Map<string, number>
+
+// built in a single pass over the objects of the XAPI connections, instead of
+// scanning them for each VM and SR
+export const indexReplicas = (xapis: Object[]): ReplicaIndex => {
+  const index = new Map()
+  xapis.forEach(xapi => {
+    const { all } = xapi.objects
+    for (const key in all) {
+      const object = all[key]
+      if (isVmReplica(object)) {
+        const oc = object.other_config
+        const indexKey = `${oc['xo:backup:job']}/${oc['xo:backup:sr']}/${
+          oc['xo:backup:vm']
+        }`
+        const timestamp = +parseDateTime(object.snapshot_time)
+        if (!(index.get(indexKey) >= timestamp)) {
+          index.set(indexKey, timestamp)
+        }
+      }
+    }
+  })
+  return index
+}
+
+// timestamp of the oldest of the last replicas of a VM on the SRs of a job, 0 if
+// it has not been replicated on all of them
+export const getLastReplicationTimestamp = (
+  replicas: ReplicaIndex,
+  jobId: string,
+  srIds: string[],
+  vmUuid: string
+): number => {
+  let oldest = Infinity
+  for (const srId of srIds) {
+    const newest = replicas.get(`${jobId}/${srId}/${vmUuid}`)
+    if (newest === undefined) {
+      return 0
+    }
+    oldest = Math.min(oldest, newest)
+  }
+  return oldest === Infinity ? 0 : oldest
+}
@@ -0,0 +1,181 @@
+/* eslint-env jest */
+
+import { createClient, FakePool } from 'xen-api'
+
+import {
+  getLastReplicationTimestamp,
+  getRpoStatus,
+  indexReplicas,
+  sortByUrgency,
+} from './rpo'
+
+const HOUR = 3600e3
+
+describe('getRpoStatus()', () => {
+  const now = Date.UTC(2018, 5, 1, 12)
+
+  it('is due when the last replica is older than the RPO', () => {
+    expect(
+      getRpoStatus({ lastReplication: now - 2 * HOUR, now, rpo: HOUR })
+    ).toEqual({ due: true, slack: -HOUR, violated: true })
+  })
+
+  it('is not due when the last replica is recent enough', () => {
+    expect(
+      getRpoStatus({ lastReplication: now - HOUR / 4, now, rpo: HOUR })
+    ).toEqual({ due: false, slack: 3 * HOUR / 4, violated: false })
+  })
+
+  it('takes the duration of the replication into account', () => {
+    expect(
+      getRpoStatus({
+        duration: HOUR / 2,
+        lastReplication: now - HOUR / 2,
+        now,
+        rpo: HOUR,
+      })
+    ).toEqual({ due: true, slack: 0, violated: false })
+  })
+
+  it('is due but not violated when there is no replica', () => {
+    expect(getRpoStatus({ lastReplication: 0, now, rpo: HOUR })).toEqual({
+      due: true,
+      slack: HOUR - now,
+      violated: false,
+    })
+  })
+})
+
+describe('sortByUrgency()', () => {
+  it('sorts by slack', () => {
+    const entries = [
+      { id: 'a', status: { slack: 10 } },
+      { id: 'b', status: { slack: -20 } },
+      { id: 'c', status: { slack: 0 } },
+    ]
+    expect(sortByUrgency(entries).map(_ => _.id)).toEqual(['b', 'c', 'a'])
+  })
+})
+
+describe('indexReplicas() / getLastReplicationTimestamp()', () => {
+  let nReplicas = 0
+  const replica = ({
+    job = 'job',
+    snapshotTime,
+    sr = 'sr1',
+    started = false,
+    vm = 'vm',
+    ...props
+  }) => ({
+    $type: 'vm',
+    blocked_operations: started ? {} : { start: 'replica' },
+    is_a_snapshot: false,
+    is_a_template: false,
+    other_config: {
+      'xo:backup:job': job,
+      'xo:backup:sr': sr,
+      'xo:backup:vm': vm,
+    },
+    snapshot_time: snapshotTime,
+    uuid: String(++nReplicas),
+    ...props,
+  })
+  const xapi = (...objects) => ({
+    objects: { all: objects.reduce((all, o) => ({ ...all, [o.uuid]: o }), {}) },
+  })
+
+  const T2 = Date.UTC(2018, 5, 1, 11)
+  const T3 = Date.UTC(2018, 5, 1, 12)
+
+  const index = indexReplicas([
+    xapi(
+      replica({ snapshotTime: '20180601T10:00:00Z' }),
+      replica({ snapshotTime: '20180601T12:00:00Z' }),
+
+      // ignored objects
+      replica({ snapshotTime: '20180601T13:00:00Z', started: true }),
+      replica({ snapshotTime: '20180601T13:00:00Z', is_a_snapshot: true }),
+      replica({ snapshotTime: '20180601T13:00:00Z', $type: 'vm-template' }),
+      { $type: 'sr', uuid: 'sr1' }
+    ),
+    xapi(
+      replica({ snapshotTime: '20180601T11:00:00Z', sr: 'sr2' }),
+      replica({ job: 'other', snapshotTime: '20180601T13:00:00Z', sr: 'sr2' })
+    ),
+  ])
+
+  it('indexes the last replica of each VM by job and SR', () => {
+    expect(Array.from(index)).toEqual([
+      ['job/sr1/vm', T3],
+      ['job/sr2/vm', T2],
+      ['other/sr2/vm', Date.UTC(2018, 5, 1, 13)],
+    ])
+  })
+
+  it('returns the oldest of the last replicas on the SRs of the job', () => {
+    expect(getLastReplicationTimestamp(index, 'job', ['sr1'], 'vm')).toBe(T3)
+    expect(
+      getLastReplicationTimestamp(index, 'job', ['sr1', 'sr2'], 'vm')
+    ).toBe(T2)
+  })
+
+  it('returns 0 if the VM has not been replicated on all the SRs', () => {
+    expect(
+      getLastReplicationTimestamp(index, 'job', ['sr1', 'sr3'], 'vm')
+    ).toBe(0)
+    expect(getLastReplicationTimestamp(index, 'job', ['sr1'], 'other')).toBe(0)
+    expect(getLastReplicationTimestamp(index, 'job', [], 'vm')).toBe(0)
+  })
+})
+
+describe('indexReplicas() with the objects of a XAPI connection', () => {
+  const delay = ms => new Promise(resolve => setTimeout(resolve, ms))
+
+  // a replica of `vm` on `sr`
+  const replica = snapshotTime => ({
+    blocked_operations: { start: 'replica' },
+    is_a_snapshot: false,
+    is_a_template: false,
+    other_config: {
+      'xo:backup:job': 'job',
+      'xo:backup:sr': 'sr',
+      'xo:backup:vm': 'vm',
+    },
+    snapshot_time: snapshotTime,
+  })
+
+  let pool, xapi
+  beforeEach(async () => {
+    pool = new FakePool()
+    pool.add('pool', { other_config: {} })
+    xapi = createClient({
+      debounce: 0,
+      fixtures: pool,
+      transport: 'replay',
+      watchedTypes: ['VM'],
+    })
+    await xapi.connect()
+    while (xapi.pool === null) {
+      await delay(10)
+    }
+  })
+  afterEach(() => xapi.disconnect())
+
+  it('follows the replicas of the pool', async () => {
+    pool.add('VM', replica('20180601T10:00:00Z'))
+    const ref = pool.add('VM', replica('20180601T12:00:00Z'))
+    await xapi.barrier()
+
+    expect(Array.from(indexReplicas([xapi]))).toEqual([
+      ['job/sr/vm', Date.UTC(2018, 5, 1, 12)],
+    ])
+
+    // the replica has been started (e.g. by a failover)
+    pool.update(ref, { blocked_operations: {} })
+    await xapi.barrier()
+
+    expect(Array.from(indexReplicas([xapi]))).toEqual([
+      ['job/sr/vm', Date.UTC(2018, 5, 1, 10)],
+    ])
+  })
+})
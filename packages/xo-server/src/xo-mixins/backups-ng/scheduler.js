@@ -0,0 +1,118 @@
+// @flow
+
+// Concurrency limits of a task: the keys are the resources it uses (e.g.
+// `host:<id>`) and the values are the maximum number of tasks which can use
+// them at the same time, 0 means no limit.
+export type Limits = { [resource: string]: number }
+
+type Waiting = {|
+  limits: Limits,
+  priority: number,
+  resolve: (release: () => void) => void,
+|}
+
+// Starts tasks when all the resources they use are available.
+//
+// Waiting tasks are started by priority (highest first), then in order of
+// arrival, a task which cannot start does not block the ones after it.
+export default class Scheduler {
+  _counts: Map<string, number>
+  _queue: Waiting[]
+
+  constructor () {
+    this._counts = new Map()
+    this._queue = []
+  }
+
+  // number of tasks using a resource
+  count (resource: string): number {
+    return this._counts.get(resource) || 0
+  }
+
+  get size (): number {
+    return this._queue.length
+  }
+
+  // returns a promise which resolves with a `release` function when the
+  // resources are acquired, it must be called when the task is done
+  acquire (limits: Limits, priority: number = 0): Promise<() => void> {
+    return new Promise(resolve => {
+      const queue = this._queue
+      const waiting = { limits, priority, resolve }
+
+      // keep the queue sorted
+      let i = queue.length
+      while (i > 0 && queue[i - 1].priority < priority) {
+        --i
+      }
+      queue.splice(i, 0, waiting)
+
+      this._next()
+    })
+  }
+
+  // acquires the resources, runs `fn` and releases them
+  //
+  // `onStart` is called when the resources are acquired
+  async run<T> (
+    limits: Limits,
+    priority: number,
+    fn: () => Promise<T>,
+    onStart?: () => void
+  ): Promise<T> {
+    const release = await this.acquire(limits, priority)
+    try {
+      if (onStart !== undefined) {
+        onStart()
+      }
+      return await fn()
+    } finally {
+      release()
+    }
+  }
+
+  _canStart ({ limits }: Waiting): boolean {
+    for (const resource in limits) {
+      const limit = limits[resource]
+      if (limit !== 0 && this.count(resource) >= limit) {
+        return false
+      }
+    }
+    return true
+  }
+
+  _next (): void {
+    const queue = this._queue
+    for (let i = 0; i < queue.length;) {
+      const waiting = queue[i]
+      if (!this._canStart(waiting)) {
+        ++i
+        continue
+      }
+
+      queue.splice(i, 1)
+      const resources = Object.keys(waiting.limits)
+      resources.forEach(resource => {
+        this._counts.set(resource, this.count(resource) + 1)
+      })
+
+      let released = false
+      waiting.resolve(() => {
+        if (released) {
+          return
+        }
+        released = true
+
+        resources.forEach(resource => {
+          const count = this.count(resource) - 1
+          if (count === 0) {
+            this._counts.delete(resource)
+          } else {
+            this._counts.set(resource, count)
+          }
+        })
+        this._next()
+      })
+    }
+  }
+}
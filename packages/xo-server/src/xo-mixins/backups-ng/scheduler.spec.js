@@ -0,0 +1,75 @@
+/* eslint-env jest */
+
+import { defer } from 'promise-toolbox'
+
+import Scheduler from './scheduler'
+
+// wait for the pending promise callbacks
+const flush = () => new Promise(resolve => setImmediate(resolve))
+
+describe('Scheduler', () => {
+  it('limits the number of tasks using a resource', async () => {
+    const scheduler = new Scheduler()
+    const started = []
+    const tasks = [0, 1, 2].map(() => defer())
+    const runs = tasks.map(({ promise }, i) =>
+      scheduler.run({ 'host:a': 2 }, 0, () => promise, () => started.push(i))
+    )
+
+    await flush()
+    expect(started).toEqual([0, 1])
+    expect(scheduler.count('host:a')).toBe(2)
+    expect(scheduler.size).toBe(1)
+
+    tasks[1].resolve()
+    await flush()
+    expect(started).toEqual([0, 1, 2])
+
+    tasks[0].resolve()
+    tasks[2].resolve()
+    await Promise.all(runs)
+    expect(scheduler.count('host:a')).toBe(0)
+  })
+
+  it('does not limit resources with a limit of 0', async () => {
+    const scheduler = new Scheduler()
+    const releases = await Promise.all([
+      scheduler.acquire({ 'sr:a': 0 }),
+      scheduler.acquire({ 'sr:a': 0 }),
+    ])
+    expect(scheduler.count('sr:a')).toBe(2)
+    releases.forEach(release => release())
+  })
+
+  it('starts waiting tasks by priority, then in order of arrival', async () => {
+    const scheduler = new Scheduler()
+    const release = await scheduler.acquire({ job: 1 })
+
+    const started = []
+    const runs = [['low', 0], ['high', 1], ['low2', 0], ['high2', 1]].map(
+      ([name, priority]) =>
+        scheduler.run({ job: 1 }, priority, async () => {
+          started.push(name)
+        })
+    )
+
+    release()
+    await Promise.all(runs)
+    expect(started).toEqual(['high', 'high2', 'low', 'low2'])
+  })
+
+  it('does not block tasks using other resources', async () => {
+    const scheduler = new Scheduler()
+    const release = await scheduler.acquire({ 'host:a': 1 })
+
+    let started = false
+    const blocked = scheduler.acquire({ 'host:a': 1, 'sr:a': 1 }, 1)
+    await scheduler.run({ 'host:b': 1, 'sr:a': 1 }, 0, async () => {
+      started = true
+    })
+    expect(started).toBe(true)
+
+    release()
+    ;(await blocked)()
+  })
+})
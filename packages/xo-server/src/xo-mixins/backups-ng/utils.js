@@ -0,0 +1,98 @@
+// @flow
+
+// $FlowFixMe
+import type RemoteHandler from '@xen-orchestra/fs'
+import { type Readable } from 'stream'
+import { basename, dirname } from 'path'
+import { fromEvent as pFromEvent } from 'promise-toolbox'
+import { writeDedupVhd } from 'vhd-lib'
+
+import Throttle, { throttleStream } from '../../throttle'
+
+export const BACKUP_DIR = 'xo-vm-backups'
+export const getVmBackupDir = (uuid: string) => `${BACKUP_DIR}/${uuid}`
+
+export const compareTimestamp = (
+  a: { timestamp: number },
+  b: { timestamp: number }
+): number => a.timestamp - b.timestamp
+
+export const isMetadataFile = (filename: string) => filename.endsWith('.json')
+export const isVhd = (filename: string) => filename.endsWith('.vhd')
+
+// entries of a directory, empty if it does not exist
+export const listDir = (
+  handler: RemoteHandler,
+  dir: string
+): Promise<string[]> =>
+  handler.list(dir).catch(error => {
+    if (error == null || error.code !== 'ENOENT') {
+      throw error
+    }
+    return []
+  })
+
+// list the UUIDs of the VMs which have backups on a remote
+export async function listBackedUpVms (
+  handler: RemoteHandler
+): Promise<string[]> {
+  return (await listDir(handler, BACKUP_DIR)).filter(
+    name => name !== 'index.json'
+  )
+}
+
+// write a stream to a file using a temporary file
+//
+// TODO: merge into RemoteHandlerAbstract
+export const writeStream = async (
+  input: Readable | Promise<Readable>,
+  handler: RemoteHandler,
+  path: string,
+  {
+    checksum = true,
+    throttles = [],
+  }: { checksum?: boolean, throttles?: Throttle[] } = {}
+): Promise<void> => {
+  input = await input
+  const tmpPath = `${dirname(path)}/.${basename(path)}`
+  const output = await handler.createOutputStream(tmpPath, {
+    checksum,
+    // $FlowFixMe
+    length: input.length,
+  })
+  try {
+    // errors are not forwarded by pipe()
+    input.on('error', error => output.emit('error', error))
+    throttleStream(input, throttles).pipe(output)
+    await pFromEvent(output, 'finish')
+    await output.checksumWritten
+    // $FlowFixMe
+    await input.task
+    await handler.rename(tmpPath, path, { checksum })
+  } catch (error) {
+    await handler.unlink(tmpPath, { checksum })
+    throw error
+  }
+}
+
+// store a VHD stream as a manifest in the deduplicated block store of the
+// remote, chained to `parentPath` if provided
+export const writeDedupStream = async (
+  input: Readable | Promise<Readable>,
+  handler: RemoteHandler,
+  path: string,
+  {
+    parentPath,
+    throttles = [],
+  }: { parentPath?: string, throttles?: Throttle[] } = {}
+): Promise<void> => {
+  input = await input
+  const output = throttleStream(input, throttles)
+  if (output !== input) {
+    // errors are not forwarded by pipe()
+    input.on('error', error => output.emit('error', error))
+  }
+  await writeDedupVhd(handler, path, output, { parentPath })
+  // $FlowFixMe
+  await input.task
+}
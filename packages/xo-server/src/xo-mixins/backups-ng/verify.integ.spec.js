@@ -0,0 +1,112 @@
+/* eslint-env jest */
+
+import getStream from 'get-stream'
+import tmp from 'tmp'
+import { createReadableSparseStream } from 'vhd-lib'
+import { fromCallback as pFromCallback } from 'promise-toolbox'
+import { getHandler } from '@xen-orchestra/fs'
+import { remove } from 'fs-extra'
+
+import { verifyVmBackup } from './verify'
+
+const VM_DIR = 'xo-vm-backups/vm'
+
+let dir, handler
+beforeEach(async () => {
+  dir = await pFromCallback(cb => tmp.dir(cb))
+  handler = getHandler({ url: `file://${dir}` })
+})
+afterEach(() => remove(dir))
+
+describe('verifyVmBackup()', () => {
+  describe('full backup', () => {
+    const metadata = {
+      _filename: `${VM_DIR}/20180601T120000Z.json`,
+      mode: 'full',
+      xva: './20180601T120000Z.xva',
+    }
+    const xva = `${VM_DIR}/20180601T120000Z.xva`
+
+    const outputXva = async (data, { checksum = true } = {}) => {
+      const stream = await handler.createOutputStream(xva, { checksum })
+      stream.end(data)
+      if (checksum) {
+        await stream.checksumWritten
+      }
+    }
+
+    it('succeeds if the checksum matches', async () => {
+      await outputXva('xva content')
+
+      expect(await verifyVmBackup(handler, metadata)).toBe('success')
+    })
+
+    it('fails if the checksum does not match', async () => {
+      await outputXva('xva content')
+      await handler.unlink(xva, { checksum: false })
+      await handler.outputFile(xva, 'corrupted content')
+
+      await expect(verifyVmBackup(handler, metadata)).rejects.toThrow(
+        'Bad checksum'
+      )
+    })
+
+    it('is unverified if the XVA has no checksum', async () => {
+      await outputXva('xva content', { checksum: false })
+
+      expect(await verifyVmBackup(handler, metadata)).toBe('unverified')
+    })
+
+    it('fails if the XVA is missing', async () => {
+      await expect(verifyVmBackup(handler, metadata)).rejects.toMatchObject({
+        code: 'ENOENT',
+      })
+    })
+  })
+
+  describe('delta backup', () => {
+    const metadata = {
+      _filename: `${VM_DIR}/20180601T120000Z.json`,
+      mode: 'delta',
+      vhds: { vdi: './vdi/20180601T120000Z.vhd' },
+    }
+    const vhd = `${VM_DIR}/vdi/20180601T120000Z.vhd`
+
+    // dynamic VHD of 4 MiB with its first block allocated
+    const createVhd = () =>
+      getStream.buffer(
+        createReadableSparseStream(
+          4 * 1024 * 1024,
+          2 * 1024 * 1024,
+          [0],
+          [{ offsetBytes: 0, data: Buffer.alloc(2 * 1024 * 1024, 1) }]
+        )
+      )
+
+    it('succeeds if the VHDs are valid', async () => {
+      await handler.outputFile(vhd, await createVhd())
+
+      expect(await verifyVmBackup(handler, metadata)).toBe('success')
+    })
+
+    it('fails if a block is missing', async () => {
+      // the end of the block is removed but the footer is kept
+      const data = await createVhd()
+      const footer = data.slice(-512)
+      await handler.outputFile(
+        vhd,
+        Buffer.concat([data.slice(0, -1024 * 1024), footer])
+      )
+
+      await expect(verifyVmBackup(handler, metadata)).rejects.toThrow(
+        'block 0 is not in the file'
+      )
+    })
+
+    it('fails if a VHD is missing', async () => {
+      await expect(verifyVmBackup(handler, metadata)).rejects.toMatchObject({
+        code: 'ENOENT',
+      })
+    })
+  })
+})
@@ -0,0 +1,59 @@
+// @flow
+
+// $FlowFixMe
+import type RemoteHandler from '@xen-orchestra/fs'
+import { checkVhdChain } from 'vhd-lib'
+import { fromEvent as pFromEvent } from 'promise-toolbox'
+
+import { asyncMap, resolveRelativeFromFile } from '../../utils'
+
+// Result of the verification of a backup:
+//
+// - `success`: the backup is consistent
+// - `unverified`: the backup cannot be verified, e.g. an XVA without checksum
+//   created by an older version of XO
+export type VerifyStatus = 'success' | 'unverified'
+
+// Checks the integrity of a VM backup:
+//
+// - full backups: checksum of the XVA
+// - delta backups: structure of the VHDs and their chains, they have no
+//   checksums because they are modified by merges and chainings
+//
+// Rejects if the backup is corrupted.
+//
+// `vhdCache` is passed to `checkVhdChain()`.
+export async function verifyVmBackup (
+  handler: RemoteHandler,
+  metadata: Object,
+  vhdCache: Map<string, any> = new Map()
+): Promise<VerifyStatus> {
+  const metadataFilename: string = metadata._filename
+  if (metadata.mode === 'full') {
+    const stream = await handler.createReadStream(
+      resolveRelativeFromFile(metadataFilename, metadata.xva),
+      {
+        checksum: true,
+        ignoreMissingChecksum: true,
+      }
+    )
+    stream.resume()
+
+    // without checksum, the XVA is readable but its content cannot be verified
+    const { checksumVerified } = stream
+    if (checksumVerified === undefined) {
+      await pFromEvent(stream, 'end')
+      return 'unverified'
+    }
+    await checksumVerified
+  } else {
+    await asyncMap(metadata.vhds, path =>
+      checkVhdChain(
+        handler,
+        resolveRelativeFromFile(metadataFilename, path),
+        vhdCache
+      )
+    )
+  }
+  return 'success'
+}
@@ -0,0 +1,222 @@
+/* eslint-env jest */
+
+import getStream from 'get-stream'
+import tmp from 'tmp'
+import {
+  chainVhd,
+  checkVhdChain,
+  createReadableSparseStream,
+  createSyntheticStream,
+  DEFAULT_BLOCKS_DIR,
+  DedupVhd,
+  getMergeJournalPath,
+  mergeVhd as vhdMerge,
+  writeDedupVhd,
+} from 'vhd-lib'
+import { fromCallback as pFromCallback } from 'promise-toolbox'
+import { getHandler } from '@xen-orchestra/fs'
+import { remove } from 'fs-extra'
+
+import {
+  deleteDeltaVmBackups,
+  deleteVhd,
+  finishVhdMerges,
+  MERGE_LEASE_TIMEOUT,
+} from './vhd'
+
+const DYNAMIC = 3
+const VM_DIR = 'xo-vm-backups/vm'
+const VDI_DIR = `${VM_DIR}/vdis/job/vdi`
+
+// dynamic VHD of 4 MiB with its first block allocated
+const createVhdStream = fill =>
+  createReadableSparseStream(
+    4 * 1024 * 1024,
+    2 * 1024 * 1024,
+    [0],
+    [{ offsetBytes: 0, data: Buffer.alloc(2 * 1024 * 1024, fill) }]
+  )
+
+const countBlocks = async handler => {
+  let n = 0
+  for (const prefix of await handler.list(DEFAULT_BLOCKS_DIR)) {
+    if (!prefix.startsWith('.')) {
+      n += (await handler.list(`${DEFAULT_BLOCKS_DIR}/${prefix}`)).length
+    }
+  }
+  return n
+}
+
+let dir, handler
+beforeEach(async () => {
+  dir = await pFromCallback(cb => tmp.dir(cb))
+  handler = getHandler({ url: `file://${dir}` })
+})
+
+// the standard VHDs are merged by a worker in xo-server
+const mergeVhd = jest.fn()
+afterEach(() => remove(dir))
+
+describe('deleteDeltaVmBackups()', () => {
+  describe('deduplicated backups', () => {
+    // three backups of a disk, each VHD is a child of the previous one
+    const backups = [
+      '20180601T120000Z',
+      '20180602T120000Z',
+      '20180603T120000Z',
+    ].map(name => ({
+      _filename: `${VM_DIR}/${name}.json`,
+      mode: 'delta',
+      timestamp: Date.parse(name.replace(/(..)(..)T(..)(..)/, '-$1-$2T$3:$4:')),
+      vhds: { vdi: `vdis/job/vdi/${name}.vhd` },
+    }))
+    const paths = backups.map(_ => `${VM_DIR}/${_.vhds.vdi}`)
+
+    beforeEach(async () => {
+      let parentPath
+      for (let i = 0; i < backups.length; ++i) {
+        await handler.outputFile(backups[i]._filename, '{}')
+        await writeDedupVhd(handler, paths[i], createVhdStream(i + 1), {
+          parentPath,
+        })
+        parentPath = paths[i]
+      }
+    })
+
+    it('merges the manifests and removes the unused blocks', async () => {
+      const data = await getStream.buffer(
+        createSyntheticStream(handler, paths[2])
+      )
+      expect(await countBlocks(handler)).toBe(3)
+
+      await deleteDeltaVmBackups(handler, backups.slice(0, 2), mergeVhd)
+
+      expect(await handler.list(VDI_DIR)).toEqual(['20180603T120000Z.vhd'])
+      const vhd = new DedupVhd(handler, paths[2])
+      await vhd.readHeaderAndFooter()
+      expect(vhd.footer.diskType).toBe(DYNAMIC)
+      await checkVhdChain(handler, paths[2])
+      expect(
+        (await getStream.buffer(createSyntheticStream(handler, paths[2])))
+          .slice(1536, -512)
+          .equals(data.slice(1536, -512))
+      ).toBe(true)
+
+      expect(await countBlocks(handler)).toBe(1)
+      expect(mergeVhd).not.toHaveBeenCalled()
+    })
+
+    it('keeps the blocks used by the other VMs', async () => {
+      await writeDedupVhd(
+        handler,
+        'xo-vm-backups/other-vm/vdis/job/vdi/20180601T120000Z.vhd',
+        createVhdStream(1)
+      )
+
+      await deleteDeltaVmBackups(handler, backups.slice(0, 2), mergeVhd)
+
+      expect(await countBlocks(handler)).toBe(2)
+      await checkVhdChain(
+        handler,
+        'xo-vm-backups/other-vm/vdis/job/vdi/20180601T120000Z.vhd'
+      )
+    })
+  })
+})
+
+describe('merges of standard VHDs', () => {
+  const parentPath = `${VDI_DIR}/20180601T120000Z.vhd`
+  const childPath = `${VDI_DIR}/20180602T120000Z.vhd`
+
+  // backup whose VHD is the child, the metadata of the parent has already been
+  // removed by `deleteDeltaVmBackups()`
+  const backups = [
+    {
+      _filename: `${VM_DIR}/20180602T120000Z.json`,
+      mode: 'delta',
+      vhds: { vdi: 'vdis/job/vdi/20180602T120000Z.vhd' },
+    },
+  ]
+
+  // the merge is interrupted after the first block
+  const interruptedMerge = (parentPath, childPath) => {
+    let n = 0
+    const interruptedHandler = Object.create(handler)
+    interruptedHandler.outputFile = (...args) =>
+      ++n > 1
+        ? Promise.reject(new Error('interrupted'))
+        : handler.outputFile(...args)
+    return vhdMerge(interruptedHandler, parentPath, handler, childPath)
+  }
+  const merge = jest.fn((parentPath, childPath) =>
+    vhdMerge(handler, parentPath, handler, childPath)
+  )
+
+  // blocks of the chain, after its footer, header and BAT
+  const readChainData = async path =>
+    (await getStream.buffer(createSyntheticStream(handler, path))).slice(
+      1536,
+      -512
+    )
+
+  let data
+  beforeEach(async () => {
+    merge.mockClear()
+    await handler.outputFile(
+      parentPath,
+      await getStream.buffer(createVhdStream(1))
+    )
+    await handler.outputFile(
+      childPath,
+      await getStream.buffer(createVhdStream(2))
+    )
+    await chainVhd(handler, parentPath, handler, childPath, true)
+    data = await readChainData(childPath)
+  })
+
+  it('removes the parent and the journal of a failed merge', async () => {
+    await expect(
+      deleteVhd(handler, parentPath, interruptedMerge)
+    ).rejects.toThrow('interrupted')
+
+    expect(await handler.list(VDI_DIR)).toEqual(['20180602T120000Z.vhd'])
+    await finishVhdMerges(handler, backups, merge)
+    expect(merge).not.toHaveBeenCalled()
+  })
+
+  it('resumes an interrupted merge once its lease has expired', async () => {
+    await expect(interruptedMerge(parentPath, childPath)).rejects.toThrow(
+      'interrupted'
+    )
+
+    // the merge may still be in progress
+    await finishVhdMerges(handler, backups, merge)
+    expect(merge).not.toHaveBeenCalled()
+
+    const now = Date.now()
+    jest.spyOn(Date, 'now').mockReturnValue(now + MERGE_LEASE_TIMEOUT)
+    try {
+      await finishVhdMerges(handler, backups, merge)
+    } finally {
+      Date.now.mockRestore()
+    }
+
+    expect(merge).toHaveBeenCalledTimes(1)
+    expect(await handler.list(VDI_DIR)).toEqual(['20180602T120000Z.vhd'])
+    await checkVhdChain(handler, childPath)
+    expect((await readChainData(childPath)).equals(data)).toBe(true)
+  })
+
+  it('removes the orphaned journals', async () => {
+    await handler.outputFile(
+      getMergeJournalPath(parentPath),
+      JSON.stringify({ child: childPath, mergedBlocks: 0, timestamp: 0 })
+    )
+    await handler.unlink(parentPath)
+
+    await finishVhdMerges(handler, backups, merge)
+
+    expect(merge).not.toHaveBeenCalled()
+    expect(await handler.list(VDI_DIR)).toEqual(['20180602T120000Z.vhd'])
+  })
+})
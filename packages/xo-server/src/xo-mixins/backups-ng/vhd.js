@@ -0,0 +1,217 @@
+// @flow
+
+// $FlowFixMe
+import type RemoteHandler from '@xen-orchestra/fs'
+import defer from 'golike-defer'
+import { forEach } from 'lodash'
+import { basename, dirname } from 'path'
+import Vhd, {
+  BlockStore,
+  DedupVhd,
+  getMergeJournalPath,
+  isDedupVhd,
+  mergeDedupVhd,
+  parseMergeJournalPath,
+  readMergeJournal,
+} from 'vhd-lib'
+
+import { asyncMap, resolveRelativeFromFile } from '../../utils'
+
+import {
+  BACKUP_DIR,
+  compareTimestamp,
+  isVhd,
+  listBackedUpVms,
+  listDir,
+} from './utils'
+
+// merges a VHD into its child, e.g. `mergeVhd()` of vhd-lib run in a worker
+export type MergeVhd = (parentPath: string, childPath: string) => Promise<mixed>
+
+// a merge whose journal has not been updated for this delay (in milliseconds)
+// is considered interrupted
+export const MERGE_LEASE_TIMEOUT = 10 * 60 * 1e3
+
+const exists = (handler: RemoteHandler, path: string): Promise<boolean> =>
+  handler.getSize(path).then(
+    () => true,
+    error => {
+      if (error == null || error.code !== 'ENOENT') {
+        throw error
+      }
+      return false
+    }
+  )
+
+// paths of the manifests of the delta backups of a remote
+//
+// the hidden files are ignored because they are being written
+export async function listVhdManifests (
+  handler: RemoteHandler
+): Promise<string[]> {
+  // <BACKUP_DIR>/<VM>/vdis/<job>/<VDI>/<backup>.vhd
+  let dirs = (await listBackedUpVms(handler)).map(
+    vm => `${BACKUP_DIR}/${vm}/vdis`
+  )
+  for (let i = 0; i < 2; ++i) {
+    dirs = [].concat(
+      ...(await asyncMap(dirs, async dir =>
+        (await listDir(handler, dir)).map(entry => `${dir}/${entry}`)
+      ))
+    )
+  }
+
+  const manifests = []
+  await asyncMap(dirs, async dir => {
+    for (const file of await listDir(handler, dir)) {
+      const path = `${dir}/${file}`
+      if (
+        isVhd(file) &&
+        !file.startsWith('.') &&
+        (await isDedupVhd(handler, path))
+      ) {
+        manifests.push(path)
+      }
+    }
+  })
+  return manifests
+}
+
+// removes the blocks of the remote which are no longer used by a manifest
+//
+// errors are only logged because these blocks will be removed by the next
+// collection (e.g. if another one is already in progress)
+export async function collectVhdBlocks (handler: RemoteHandler): Promise<void> {
+  try {
+    await new BlockStore(handler).gc(() => listVhdManifests(handler))
+  } catch (error) {
+    console.warn('collectVhdBlocks', error)
+  }
+}
+
+// deletes a VHD of a delta backup, it is merged into its child if any
+//
+// the merges of a VM must not run concurrently, see `_withVmLock()` in BackupNg
+export const deleteVhd = defer(async function (
+  $defer: any,
+  handler: RemoteHandler,
+  path: string,
+  mergeVhd: MergeVhd
+): Promise<void> {
+  const vhds = await asyncMap(
+    await handler.list(dirname(path), { filter: isVhd, prependDir: true }),
+    async path => {
+      const dedup = await isDedupVhd(handler, path)
+      const vhd = dedup ? new DedupVhd(handler, path) : new Vhd(handler, path)
+      await vhd.readHeaderAndFooter()
+      return {
+        dedup,
+        footer: vhd.footer,
+        header: vhd.header,
+        path,
+      }
+    }
+  )
+  const base = basename(path)
+  const child = vhds.find(_ => _.header.parentUnicodeName === base)
+  if (child === undefined) {
+    return handler.unlink(path)
+  }
+
+  const childPath = child.path
+  if (child.dedup) {
+    // the merged manifest replaces the child and the parent is removed
+    await mergeDedupVhd(handler, path, childPath)
+    return
+  }
+
+  // the journal is removed as well, otherwise the merge would be resumed
+  $defer.onFailure(() =>
+    Promise.all([
+      handler.unlink(path),
+      handler.unlink(getMergeJournalPath(path), { checksum: false }),
+    ])
+  )
+
+  await mergeVhd(path, childPath)
+  await handler.rename(path, childPath)
+})
+
+// finishes the deletions of `deleteVhd()` which have been interrupted during
+// the merge (e.g. by a restart of xo-server) in the directories of these
+// backups
+//
+// the merge is resumed from its journal (see `merge.js` in vhd-lib), the
+// journals whose parent or child no longer exists are removed
+export async function finishVhdMerges (
+  handler: RemoteHandler,
+  backups: Object[],
+  mergeVhd: MergeVhd
+): Promise<void> {
+  const dirs = new Set()
+  backups.forEach(backup => {
+    if (backup.mode === 'delta') {
+      const filename: string = backup._filename
+      forEach(backup.vhds, path => {
+        dirs.add(dirname(resolveRelativeFromFile(filename, path)))
+      })
+    }
+  })
+
+  await asyncMap(Array.from(dirs), async dir => {
+    const journals = await handler.list(dir, {
+      filter: _ => parseMergeJournalPath(_) !== undefined,
+      prependDir: true,
+    })
+    for (const journalPath of journals) {
+      const parentPath = ((parseMergeJournalPath(journalPath): any): string)
+      const { child, timestamp } =
+        (await readMergeJournal(handler, parentPath)) || {}
+      if (
+        child === undefined ||
+        // the merge may still be in progress
+        Date.now() - timestamp < MERGE_LEASE_TIMEOUT
+      ) {
+        continue
+      }
+
+      if (!await exists(handler, parentPath) || !await exists(handler, child)) {
+        console.warn('finishVhdMerges', 'orphaned journal', parentPath)
+        await handler.unlink(journalPath, { checksum: false })
+        continue
+      }
+
+      await mergeVhd(parentPath, child)
+      await handler.rename(parentPath, child)
+    }
+  })
+}
+
+// the unused blocks are collected if some of the VHDs were manifests
+export async function deleteDeltaVmBackups (
+  handler: RemoteHandler,
+  backups: Object[],
+  mergeVhd: MergeVhd
+): Promise<void> {
+  // in chronological order because deleting a VHD merges it into its child
+  // which may be the VHD of the next backup
+  let hasManifests = false
+  for (const backup of backups.slice().sort(compareTimestamp)) {
+    const filename: string = backup._filename
+
+    await Promise.all([
+      handler.unlink(filename),
+      asyncMap(backup.vhds, async _ => {
+        const path = resolveRelativeFromFile(filename, _)
+        if (await isDedupVhd(handler, path)) {
+          hasManifests = true
+        }
+        return deleteVhd(handler, path, mergeVhd)
+      }),
+    ])
+  }
+
+  if (hasManifests) {
+    await collectVhdBlocks(handler)
+  }
+}
@@ -26,6 +26,11 @@ import {
 } from 'vhd-lib'
 
 import createSizeStream from '../size-stream'
+import Throttle, {
+  createRateGetter,
+  throttleDeltaExport,
+  throttleStream,
+} from '../throttle'
 import xapiObjectToXo from '../xapi-object-to-xo'
 import { lvs, pvs } from '../lvm'
 import {
@@ -298,6 +303,7 @@ const mountLvmPv = (device, partition) => {
 export default class {
   constructor (xo) {
     this._xo = xo
+    this._throttles = new Map()
 
     // clean any LVM volumes that might have not been properly
     // unmounted
@@ -308,6 +314,22 @@ export default class {
     )
   }
 
+  // returns the throttles of the transfers to a remote or an SR, each target
+  // has its own, shared by all jobs
+  _getThrottles (targetId) {
+    const throttles = this._throttles
+    if (!throttles.has(targetId)) {
+      const { bandwidthLimit } = this._xo._config.backups || {}
+      const getRate = createRateGetter(bandwidthLimit, 'local')
+      throttles.set(
+        targetId,
+        getRate === undefined ? undefined : new Throttle(getRate)
+      )
+    }
+    const throttle = throttles.get(targetId)
+    return throttle === undefined ? [] : [throttle]
+  }
+
   async listRemoteBackups (remoteId) {
     const handler = await this._xo.getRemoteHandler(remoteId)
 
@@ -441,10 +463,13 @@ export default class {
           ? sortBy(toRemove, _ => _.other_config[TAG_EXPORT_TIME]).slice(0, n)
           : undefined
 
-      const promise = targetXapi.importDeltaVm(delta, {
-        deleteBase,
-        srId: targetSr.$id,
-      })
+      const promise = targetXapi.importDeltaVm(
+        throttleDeltaExport(delta, this._getThrottles(targetSr.$id)),
+        {
+          deleteBase,
+          srId: targetSr.$id,
+        }
+      )
 
       // Once done, (asynchronously) remove the (now obsolete) local
       // base.
@@ -578,7 +603,7 @@ export default class {
 
   async _saveDeltaVdiBackup (
     xapi,
-    { vdiParent, isFull, handler, stream, dir, retention }
+    { vdiParent, isFull, handler, stream, dir, retention, throttles = [] }
   ) {
     if (typeof stream === 'function') {
       stream = await stream()
@@ -612,7 +637,10 @@ export default class {
       stream.on('error', error => targetStream.emit('error', error))
 
       await Promise.all([
-        fromEvent(stream.pipe(sizeStream).pipe(targetStream), 'finish'),
+        fromEvent(
+          throttleStream(stream.pipe(sizeStream), throttles).pipe(targetStream),
+          'finish'
+        ),
         stream.task,
       ])
     } catch (error) {
@@ -709,6 +737,7 @@ export default class {
           stream: delta.streams[`${key}.vhd`],
           dir,
           retention,
+          throttles: this._getThrottles(remoteId),
         }).then(data => {
           delta.vdis[key] = {
             ...delta.vdis[key],
@@ -849,11 +878,14 @@ export default class {
 
   async backupVm ({ vm, remoteId, file, compress }) {
     const handler = await this._xo.getRemoteHandler(remoteId)
-    return this._backupVm(vm, handler, file, { compress })
+    return this._backupVm(vm, handler, file, {
+      compress,
+      throttles: this._getThrottles(remoteId),
+    })
   }
 
   @deferrable
-  async _backupVm ($defer, vm, handler, file, { compress }) {
+  async _backupVm ($defer, vm, handler, file, { compress, throttles = [] }) {
     const targetStream = await handler.createOutputStream(file)
     $defer.onFailure.call(handler, 'unlink', file)
     $defer.onFailure.call(targetStream, 'close')
@@ -864,7 +896,7 @@ export default class {
 
     const sizeStream = createSizeStream()
 
-    sourceStream.pipe(sizeStream).pipe(targetStream)
+    throttleStream(sourceStream.pipe(sizeStream), throttles).pipe(targetStream)
 
     await Promise.all([sourceStream.task, fromEvent(targetStream, 'finish')])
 
@@ -887,7 +919,10 @@ export default class {
     const date = safeDateFormat(new Date())
     const file = `${date}_${tag}_${vm.name_label}.xva`
 
-    const data = await this._backupVm(vm, handler, file, { compress })
+    const data = await this._backupVm(vm, handler, file, {
+      compress,
+      throttles: this._getThrottles(remoteId),
+    })
     await this._removeOldBackups(
       backups,
       handler,
@@ -974,6 +1009,7 @@ export default class {
     const copyName = `${vm.name_label}_${tag}_${safeDateFormat(new Date())}`
     const data = await sourceXapi.remoteCopyVm(vm.$id, targetXapi, sr.$id, {
       nameLabel: copyName,
+      throttles: this._getThrottles(sr.$id),
     })
 
     targetXapi._updateObjectMapProperty(data.vm, 'blocked_operations', {
@@ -2,6 +2,7 @@ import defer from 'golike-defer'
 import execa from 'execa'
 import splitLines from 'split-lines'
 import { createParser as createPairsParser } from 'parse-pairs'
+import { isDedupVhd } from 'vhd-lib'
 import { normalize } from 'path'
 import { readdir, rmdir, stat } from 'fs-extra'
 import { ZipFile } from 'yazl'
@@ -255,6 +256,9 @@ export default class BackupNgFileRestore {
     if (handler._getFilePath === undefined) {
       throw new Error(`this remote is not supported`)
     }
+    if (await isDedupVhd(handler, diskId)) {
+      throw new Error(`deduplicated disks are not supported`)
+    }
 
     const diskPath = handler._getFilePath(diskId)
     const mountDir = await tmpDir()
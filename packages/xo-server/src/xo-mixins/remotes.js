@@ -63,24 +63,68 @@ export default class {
     return (await this._getRemote(id)).properties
   }
 
-  async createRemote ({ name, url }) {
+  async createRemote ({
+    name,
+    url,
+    privateKey,
+    hostFingerprint,
+    encryptionKey,
+  }) {
     const remote = await this._remotes.create(name, url)
-    return /* await */ this.updateRemote(remote.get('id'), { enabled: true })
+    return /* await */ this.updateRemote(remote.get('id'), {
+      enabled: true,
+      encryptionKey,
+      hostFingerprint,
+      privateKey,
+    })
   }
 
-  async updateRemote (id, { name, url, enabled, error }) {
+  async updateRemote (
+    id,
+    { name, url, enabled, error, privateKey, hostFingerprint, encryptionKey }
+  ) {
     const remote = await this._getRemote(id)
-    this._updateRemote(remote, { name, url, enabled, error })
+
+    // the pinned host key does not apply to another host
+    if (
+      url !== undefined &&
+      hostFingerprint === undefined &&
+      url !== remote.get('url')
+    ) {
+      hostFingerprint = ''
+    }
+
+    this._updateRemote(remote, {
+      name,
+      url,
+      enabled,
+      error,
+      privateKey,
+      hostFingerprint,
+      encryptionKey,
+    })
     const handler = await this.getRemoteHandler(remote.properties, true)
     const props = await handler.sync()
     this._updateRemote(remote, props)
     return (await this._remotes.save(remote)).properties
   }
 
-  _updateRemote (remote, { name, url, enabled, error }) {
+  _updateRemote (
+    remote,
+    { name, url, enabled, error, privateKey, hostFingerprint, encryptionKey }
+  ) {
     if (name) remote.set('name', name)
     if (url) remote.set('url', url)
     if (enabled !== undefined) remote.set('enabled', enabled)
+    if (privateKey !== undefined) remote.set('privateKey', privateKey)
+
+    // the existing backups can no longer be read if the key is changed
+    if (encryptionKey !== undefined) remote.set('encryptionKey', encryptionKey)
+
+    // recorded by the SFTP handler on sync if empty
+    if (hostFingerprint !== undefined) {
+      remote.set('hostFingerprint', hostFingerprint)
+    }
     if (error) {
       remote.set('error', error)
     } else {
@@ -1,6 +1,7 @@
 import { ignoreErrors } from 'promise-toolbox'
 import { noSuchObject } from 'xo-common/api-errors'
 
+import getXapisMetrics from '../xapi-metrics'
 import Xapi from '../xapi'
 import xapiObjectToXo from '../xapi-object-to-xo'
 import XapiStats from '../xapi-stats'
@@ -221,6 +222,8 @@ export default class {
     const server = (await this._getXenServer(id)).properties
 
     const xapi = (this._xapis[server.id] = new Xapi({
+      ...this._xo._config.xapiOptions,
+
       allowUnauthorized: Boolean(server.allowUnauthorized),
       auth: {
         user: server.username,
@@ -392,6 +395,12 @@ export default class {
     return servers
   }
 
+  // metrics of the XAPI calls (latencies, errors, in-flight calls, etc.) by
+  // connected pool
+  getXapiMetrics () {
+    return getXapisMetrics(this._xapis)
+  }
+
   getXapiVmStats (vmId, granularity) {
     return this._stats.getVmStats(this.getXapi(vmId), vmId, granularity)
   }
@@ -0,0 +1,142 @@
+/* eslint-env jest */
+
+import execa from 'execa'
+import eventToPromise from 'event-to-promise'
+import getStream from 'get-stream'
+import rimraf from 'rimraf'
+import tmp from 'tmp'
+
+import { createReadStream, createWriteStream, stat } from 'fs-promise'
+import { fromCallback as pFromCallback } from 'promise-toolbox'
+import { convertToVhd, readQcow2Table, readVhdxTable } from '.'
+
+const initialDir = process.cwd()
+jest.setTimeout(100000)
+
+beforeEach(async () => {
+  const dir = await pFromCallback(cb => tmp.dir(cb))
+  process.chdir(dir)
+})
+
+afterEach(async () => {
+  const tmpDir = process.cwd()
+  process.chdir(initialDir)
+  await pFromCallback(cb => rimraf(tmpDir, cb))
+})
+
+function createFileAccessor (file) {
+  return async (start, end) => {
+    if (start < 0 || end < 0) {
+      const fileLength = (await stat(file)).size
+      start = start < 0 ? fileLength + start : start
+      end = end < 0 ? fileLength + end : end
+    }
+    const result = await getStream.buffer(
+      createReadStream(file, { start, end: end - 1 })
+    )
+    return result.buffer.slice(
+      result.byteOffset,
+      result.byteOffset + result.byteLength
+    )
+  }
+}
+
+const openBackingFile = createFileAccessor
+
+async function createRandomFile (name, sizeMb) {
+  await execa.shell(
+    `base64 /dev/urandom | head -c ${sizeMb * 1024 * 1024} > ${name}`
+  )
+}
+
+async function convert (fileName, table, expectedFormat) {
+  const vhdFileName = fileName + '.vhd'
+  const { format, size, stream } = await convertToVhd(
+    createReadStream(fileName),
+    table,
+    openBackingFile
+  )
+  expect(format).toBe(expectedFormat)
+  expect(size).toBeGreaterThanOrEqual((await stat('random-data.raw')).size)
+  await eventToPromise(stream.pipe(createWriteStream(vhdFileName)), 'finish')
+  await execa('vhd-util', ['check', '-p', '-b', '-t', '-n', vhdFileName])
+  return vhdFileName
+}
+
+test('QCOW2 to VHD', async () => {
+  await createRandomFile('random-data.raw', 9)
+  await execa('qemu-img', [
+    'convert',
+    '-fraw',
+    '-Oqcow2',
+    'random-data.raw',
+    'random-data.qcow2',
+  ])
+  const table = await readQcow2Table(createFileAccessor('random-data.qcow2'))
+  const vhdFileName = await convert('random-data.qcow2', table, 'qcow2')
+  await execa('qemu-img', ['compare', 'random-data.raw', vhdFileName])
+})
+
+test('compressed QCOW2 to VHD', async () => {
+  await execa.shell(
+    'yes "compressible data" | head -c ' +
+      7 * 1024 * 1024 +
+      ' > random-data.raw'
+  )
+  await execa('qemu-img', [
+    'convert',
+    '-c',
+    '-fraw',
+    '-Oqcow2',
+    'random-data.raw',
+    'random-data.qcow2',
+  ])
+  const table = await readQcow2Table(createFileAccessor('random-data.qcow2'))
+  const vhdFileName = await convert('random-data.qcow2', table, 'qcow2')
+  await execa('qemu-img', ['compare', 'random-data.raw', vhdFileName])
+})
+
+test('QCOW2 with a backing file to VHD', async () => {
+  await createRandomFile('base.raw', 9)
+  await execa('qemu-img', [
+    'convert',
+    '-fraw',
+    '-Oqcow2',
+    'base.raw',
+    'base.qcow2',
+  ])
+
+  // only the clusters which differ from the backing file are in the image
+  await execa.shell(
+    'cp base.raw random-data.raw && head -c 300000 /dev/urandom | dd of=random-data.raw bs=1 seek=3000000 conv=notrunc'
+  )
+  await execa('qemu-img', [
+    'convert',
+    '-fraw',
+    '-Oqcow2',
+    '-Bbase.qcow2',
+    'random-data.raw',
+    'random-data.qcow2',
+  ])
+
+  const table = await readQcow2Table(
+    createFileAccessor('random-data.qcow2'),
+    openBackingFile
+  )
+  const vhdFileName = await convert('random-data.qcow2', table, 'qcow2')
+  await execa('qemu-img', ['compare', 'random-data.raw', vhdFileName])
+})
+
+test('VHDX to VHD', async () => {
+  await createRandomFile('random-data.raw', 9)
+  await execa('qemu-img', [
+    'convert',
+    '-fraw',
+    '-Ovhdx',
+    'random-data.raw',
+    'random-data.vhdx',
+  ])
+  const table = await readVhdxTable(createFileAccessor('random-data.vhdx'))
+  const vhdFileName = await convert('random-data.vhdx', table, 'vhdx')
+  await execa('qemu-img', ['compare', 'random-data.raw', vhdFileName])
+})
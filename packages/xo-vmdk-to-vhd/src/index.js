@@ -1,5 +1,8 @@
 import { createReadableSparseStream } from 'vhd-lib'
+import { fromEvent } from 'promise-toolbox'
 
+import { Qcow2DirectParser, readQcow2Table } from './qcow2-read'
+import { VHDXDirectParser, readVhdxTable } from './vhdx-read'
 import { VMDKDirectParser, readVmdkGrainTable } from './vmdk-read'
 
 async function convertFromVMDK (vmdkReadStream, table) {
@@ -13,4 +16,100 @@ async function convertFromVMDK (vmdkReadStream, table) {
   )
 }
 
-export { convertFromVMDK as default, readVmdkGrainTable }
+// `openBackingFile(name)` is necessary to flatten images with backing files,
+// see `readQcow2Table()`
+async function convertFromQcow2 (qcow2ReadStream, table, openBackingFile) {
+  const parser = new Qcow2DirectParser(qcow2ReadStream, openBackingFile)
+  const header = await parser.readHeader()
+  return createReadableSparseStream(
+    header.size,
+    header.clusterSize,
+    table,
+    parser.blockIterator()
+  )
+}
+
+async function convertFromVhdx (vhdxReadStream, table) {
+  const parser = new VHDXDirectParser(vhdxReadStream)
+  const header = await parser.readHeader()
+  return createReadableSparseStream(
+    header.size,
+    header.chunkSize,
+    table,
+    parser.blockIterator()
+  )
+}
+
+const MAGICS = {
+  qcow2: 'QFI\xfb',
+  vhd: 'conectix',
+  vhdx: 'vhdxfile',
+  vmdk: 'KDMV',
+}
+
+// Returns the format of a disk image (`qcow2`, `vhd`, `vhdx` or `vmdk`) from
+// its first bytes, or `undefined` if it is not recognized.
+function detectFormat (buffer) {
+  const start = Buffer.from(buffer).toString('binary', 0, 8)
+  return Object.keys(MAGICS).find(format => start.startsWith(MAGICS[format]))
+}
+
+// Reads the first bytes of a stream without consuming them.
+async function peekStream (stream, length) {
+  let buffer
+  while ((buffer = stream.read(length)) === null) {
+    await fromEvent(stream, 'readable')
+  }
+  stream.unshift(buffer)
+  return buffer
+}
+
+const CONVERTERS = {
+  qcow2: convertFromQcow2,
+  vhdx: convertFromVhdx,
+  vmdk: convertFromVMDK,
+}
+
+// Converts a disk image to a VHD stream, its format is detected from its
+// content.
+//
+// `table` is the result of `readQcow2Table()`, `readVhdxTable()` or
+// `readVmdkGrainTable()`, it is not necessary for VHD images which are
+// returned as is.
+//
+// `openBackingFile` is passed to `convertFromQcow2()`.
+//
+// Returns `{ format, size, stream }`, `size` is the virtual size of the VHD.
+async function convertToVhd (readStream, table, openBackingFile) {
+  const format = detectFormat(await peekStream(readStream, 8))
+  let stream = readStream
+  if (format !== 'vhd') {
+    const convert = CONVERTERS[format]
+    if (convert === undefined) {
+      throw new Error('unsupported disk image format')
+    }
+    if (table === undefined) {
+      throw new Error(`a table is necessary to convert ${format} images`)
+    }
+    stream = await convert(readStream, table, openBackingFile)
+  }
+
+  // copy of the footer at the beginning of the VHD
+  const footer = await peekStream(stream, 512)
+  return {
+    format,
+    size: footer.readUInt32BE(48) * 0x100000000 + footer.readUInt32BE(52),
+    stream,
+  }
+}
+
+export {
+  convertFromVMDK as default,
+  convertFromQcow2,
+  convertFromVhdx,
+  convertToVhd,
+  detectFormat,
+  readQcow2Table,
+  readVhdxTable,
+  readVmdkGrainTable,
+}
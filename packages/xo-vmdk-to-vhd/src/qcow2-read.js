@@ -0,0 +1,463 @@
+'use strict'
+
+import zlib from 'zlib'
+
+import { VirtualBuffer } from './virtual-buffer'
+import { VHD_BLOCK_SIZE, createVhdBlockTracker } from './vhd-block'
+
+// Spec: https://github.com/qemu/qemu/blob/master/docs/interop/qcow2.txt
+
+const MAGIC = 'QFI\xfb'
+
+const MIN_CLUSTER_BITS = 9
+const MAX_CLUSTER_BITS = 21
+
+// the refcounts may be inconsistent, which does not matter for reading
+const INCOMPAT_DIRTY = 1 << 0
+
+// high bits of the L2 entries
+const OFLAG_COMPRESSED = 0x40000000
+
+// low bits of the L2 entries (version 3)
+const OFLAG_ZERO = 1
+
+// unwanted entries are skipped by chunks of this size
+const SKIP_CHUNK_SIZE = 1024 * 1024
+
+function readUInt64BE (buffer, offset) {
+  return (
+    buffer.readUInt32BE(offset) * 0x100000000 + buffer.readUInt32BE(offset + 4)
+  )
+}
+
+// bits 9 to 55 of L1 and uncompressed L2 entries
+function readEntryOffset (buffer, offset) {
+  const high = buffer.readUInt32BE(offset) & 0x00ffffff
+  const low = (buffer.readUInt32BE(offset + 4) & ~0x1ff) >>> 0
+  return high * 0x100000000 + low
+}
+
+function parseHeader (buffer) {
+  if (buffer.toString('binary', 0, 4) !== MAGIC) {
+    throw new Error('not a QCOW2 file')
+  }
+  const version = buffer.readUInt32BE(4)
+  if (version !== 2 && version !== 3) {
+    throw new Error(
+      'unsupported QCOW2 version ' +
+        version +
+        ', only version 2 and 3 are supported'
+    )
+  }
+  const clusterBits = buffer.readUInt32BE(20)
+  if (clusterBits < MIN_CLUSTER_BITS || clusterBits > MAX_CLUSTER_BITS) {
+    throw new Error('unsupported QCOW2 cluster size 2^' + clusterBits)
+  }
+  if (buffer.readUInt32BE(32) !== 0) {
+    throw new Error('unsupported QCOW2, it is encrypted')
+  }
+  if (
+    version === 3 &&
+    (buffer.readUInt32BE(72) !== 0 ||
+      (buffer.readUInt32BE(76) & ~INCOMPAT_DIRTY) !== 0)
+  ) {
+    throw new Error('unsupported QCOW2 incompatible features')
+  }
+  const backingFileOffset = readUInt64BE(buffer, 8)
+  return {
+    backingFile:
+      backingFileOffset === 0
+        ? undefined
+        : buffer.toString(
+            'utf8',
+            backingFileOffset,
+            backingFileOffset + buffer.readUInt32BE(16)
+          ),
+    clusterBits,
+    clusterSize: Math.pow(2, clusterBits),
+    l1Size: buffer.readUInt32BE(36),
+    l1TableOffset: readUInt64BE(buffer, 40),
+    size: readUInt64BE(buffer, 24),
+    version,
+  }
+}
+
+// Returns:
+//
+// - `undefined` if the cluster is not allocated (i.e. read from the backing
+//   file)
+// - `null` if the cluster reads as zeroes
+// - `{ offset, size }` otherwise, `size` is only defined for compressed
+//   clusters
+function parseL2Entry (l2Table, index, clusterBits) {
+  const high = l2Table.readUInt32BE(index * 8)
+  const low = l2Table.readUInt32BE(index * 8 + 4)
+  if ((high & OFLAG_COMPRESSED) !== 0) {
+    // the offset is followed by the number of additional 512 bytes sectors
+    // containing the compressed data
+    const offsetHighBits = 38 - clusterBits
+    const offset =
+      (high & (Math.pow(2, offsetHighBits) - 1)) * 0x100000000 + low
+    const nSectors =
+      ((high >>> offsetHighBits) & (Math.pow(2, clusterBits - 8) - 1)) + 1
+    return { offset, size: nSectors * 512 - offset % 512 }
+  }
+  if ((low & OFLAG_ZERO) !== 0) {
+    return null
+  }
+  const offset = readEntryOffset(l2Table, index * 8)
+  return offset === 0 ? undefined : { offset }
+}
+
+function inflateCluster (buffer, clusterSize) {
+  // compressed clusters are raw deflate streams
+  return zlib.inflateRawSync(buffer).slice(0, clusterSize)
+}
+
+class Qcow2Image {
+  // `read` is only used for the L2 tables which have not been provided with
+  // `setL2Table()`
+  constructor (read, header, l1Table, backing) {
+    this.backing = backing
+    this.header = header
+    this._l1Table = l1Table
+    this._l2Tables = new Map()
+    this._read = read
+  }
+
+  static async open (fileAccessor, openBackingFile) {
+    const read = async (start, length) =>
+      Buffer.from(await fileAccessor(start, start + length))
+
+    const { clusterSize } = parseHeader(await read(0, 512))
+    const header = parseHeader(await read(0, clusterSize))
+    const backing = await openBackingImage(header, openBackingFile)
+    const l1Table = await read(header.l1TableOffset, header.l1Size * 8)
+    return new Qcow2Image(read, header, l1Table, backing)
+  }
+
+  getL2TableOffset (l1Index) {
+    return readEntryOffset(this._l1Table, l1Index * 8)
+  }
+
+  setL2Table (l1Index, l2Table) {
+    this._l2Tables.set(l1Index, l2Table)
+  }
+
+  // see `parseL2Entry()`
+  async getEntry (cluster) {
+    const { clusterBits, clusterSize, l1Size } = this.header
+    const l2Entries = clusterSize / 8
+    const l1Index = Math.floor(cluster / l2Entries)
+    if (l1Index >= l1Size) {
+      return
+    }
+
+    let l2Table = this._l2Tables.get(l1Index)
+    if (l2Table === undefined) {
+      const offset = this.getL2TableOffset(l1Index)
+      l2Table = offset === 0 ? null : await this._read(offset, clusterSize)
+      this._l2Tables.set(l1Index, l2Table)
+    }
+    if (l2Table !== null) {
+      return parseL2Entry(l2Table, cluster % l2Entries, clusterBits)
+    }
+  }
+
+  async hasData (cluster) {
+    const entry = await this.getEntry(cluster)
+    return entry === undefined
+      ? this.backing !== undefined && this.backing.hasData(cluster)
+      : entry !== null
+  }
+
+  // Returns the content of a cluster, following the backing files, or
+  // `undefined` if it reads as zeroes.
+  async readCluster (cluster) {
+    const entry = await this.getEntry(cluster)
+    if (entry === undefined) {
+      return this.backing && this.backing.readCluster(cluster)
+    }
+    if (entry !== null) {
+      const { clusterSize } = this.header
+      return entry.size === undefined
+        ? this._read(entry.offset, clusterSize)
+        : inflateCluster(
+            await this._read(entry.offset, entry.size),
+            clusterSize
+          )
+    }
+  }
+
+  // Returns the clusters of a VHD block which are not allocated in this image
+  // but contain data in its backing files.
+  async getBackingClusters (block) {
+    const clusters = []
+    if (this.backing !== undefined) {
+      const { clusterSize, size } = this.header
+      const clustersPerBlock = VHD_BLOCK_SIZE / clusterSize
+      const end = Math.min(
+        (block + 1) * clustersPerBlock,
+        Math.ceil(size / clusterSize)
+      )
+      for (let cluster = block * clustersPerBlock; cluster < end; ++cluster) {
+        if (
+          (await this.getEntry(cluster)) === undefined &&
+          (await this.backing.hasData(cluster))
+        ) {
+          clusters.push(cluster)
+        }
+      }
+    }
+    return clusters
+  }
+}
+
+async function openBackingImage ({ backingFile }, openBackingFile) {
+  if (backingFile !== undefined) {
+    if (openBackingFile === undefined) {
+      throw new Error(
+        'unsupported QCOW2, its backing file ' + backingFile + ' is missing'
+      )
+    }
+    return Qcow2Image.open(await openBackingFile(backingFile), openBackingFile)
+  }
+}
+
+// The data clusters of the image are read in the order of the file, the
+// clusters which are only allocated in the backing files are read when the
+// VHD block which contains them has been read in the image.
+//
+// The L2 tables must be before the clusters they reference, which is the case
+// of images created by `qemu-img`.
+export class Qcow2DirectParser {
+  // `openBackingFile(name)` must return a file accessor (see
+  // `readQcow2Table()`) and is only necessary to flatten images with backing
+  // files
+  constructor (readStream, openBackingFile) {
+    this.virtualBuffer = new VirtualBuffer(readStream)
+    this.header = null
+    this._image = null
+    this._openBackingFile = openBackingFile
+
+    // sorted by decreasing offset, the next one is the last
+    this._pending = []
+  }
+
+  async _read (length, label) {
+    const data = await this.virtualBuffer.readChunk(length, label)
+    if (data.length !== length) {
+      throw new Error('unexpected end of QCOW2 file, reading ' + label)
+    }
+    return data
+  }
+
+  async _skipTo (offset, label) {
+    if (offset < this.virtualBuffer.position) {
+      throw new Error('Unsupported file format, QCOW2 entries are not ordered')
+    }
+    let length
+    while ((length = offset - this.virtualBuffer.position) !== 0) {
+      await this._read(
+        Math.min(length, SKIP_CHUNK_SIZE),
+        'skipping to ' + label
+      )
+    }
+  }
+
+  _addPending (entries) {
+    const pending = this._pending
+    pending.push(...entries)
+    pending.sort((a, b) => b.offset - a.offset)
+  }
+
+  async readHeader () {
+    let buffer = await this._read(512, 'readHeader')
+    const { clusterSize } = parseHeader(buffer)
+    if (clusterSize > buffer.length) {
+      buffer = Buffer.concat([
+        buffer,
+        await this._read(clusterSize - buffer.length, 'readHeader'),
+      ])
+    }
+    const header = (this.header = parseHeader(buffer))
+
+    const backing = await openBackingImage(header, this._openBackingFile)
+
+    await this._skipTo(header.l1TableOffset, 'L1 table')
+    const l1Table = await this._read(header.l1Size * 8, 'L1 table')
+    const image = (this._image = new Qcow2Image(
+      undefined,
+      header,
+      l1Table,
+      backing
+    ))
+
+    const l2Tables = []
+    for (let l1Index = 0; l1Index < header.l1Size; ++l1Index) {
+      const offset = image.getL2TableOffset(l1Index)
+      if (offset !== 0) {
+        l2Tables.push({ offset, l1Index })
+      }
+    }
+    this._addPending(l2Tables)
+
+    return header
+  }
+
+  async * blockIterator () {
+    const { clusterBits, clusterSize, size } = this.header
+    const image = this._image
+    const pending = this._pending
+    const l2Entries = clusterSize / 8
+    const nClusters = Math.ceil(size / clusterSize)
+
+    const createBlock = (cluster, data) => {
+      // the end of the last cluster is not part of the disk
+      const offsetBytes = cluster * clusterSize
+      if (offsetBytes + clusterSize > size) {
+        data.fill(0, size - offsetBytes)
+      }
+      return { offsetBytes, data }
+    }
+
+    async function * readBackingClusters (block) {
+      for (const cluster of await image.getBackingClusters(block)) {
+        yield createBlock(cluster, await image.backing.readCluster(cluster))
+      }
+    }
+
+    const getVhdBlock = createVhdBlockTracker()
+    const visitedBlocks = new Set()
+    let currentBlock
+    while (pending.length !== 0) {
+      const entry = pending.pop()
+      await this._skipTo(entry.offset, 'cluster ' + entry.offset)
+
+      const { l1Index } = entry
+      if (l1Index !== undefined) {
+        const l2Table = await this._read(clusterSize, 'L2 table')
+        image.setL2Table(l1Index, l2Table)
+
+        const clusters = []
+        const first = l1Index * l2Entries
+        for (
+          let i = 0, n = Math.min(l2Entries, nClusters - first);
+          i < n;
+          ++i
+        ) {
+          const clusterEntry = parseL2Entry(l2Table, i, clusterBits)
+          if (clusterEntry) {
+            clusterEntry.cluster = first + i
+            clusters.push(clusterEntry)
+          }
+        }
+        this._addPending(clusters)
+        continue
+      }
+
+      let data
+      if (entry.size === undefined) {
+        data = await this._read(clusterSize, 'cluster')
+      } else {
+        // the size of a compressed cluster includes the padding to the end of
+        // the sector, which may contain the next compressed cluster
+        const next = pending[pending.length - 1]
+        const length =
+          next === undefined
+            ? entry.size
+            : Math.min(entry.size, next.offset - entry.offset)
+
+        // the end of the last one may be missing from the file
+        data = inflateCluster(
+          await this.virtualBuffer.readChunk(length, 'compressed cluster'),
+          clusterSize
+        )
+      }
+
+      const block = getVhdBlock(entry.cluster * clusterSize)
+      if (block !== currentBlock) {
+        if (currentBlock !== undefined) {
+          yield * readBackingClusters(currentBlock)
+        }
+        visitedBlocks.add(block)
+        currentBlock = block
+      }
+      yield createBlock(entry.cluster, data)
+    }
+
+    if (currentBlock !== undefined) {
+      yield * readBackingClusters(currentBlock)
+    }
+    for (
+      let block = 0, n = Math.ceil(size / VHD_BLOCK_SIZE);
+      block < n;
+      ++block
+    ) {
+      if (!visitedBlocks.has(block)) {
+        yield * readBackingClusters(block)
+      }
+    }
+  }
+}
+
+// Returns the addresses of the clusters in the order they are produced by
+// `Qcow2DirectParser#blockIterator()`.
+//
+// `fileAccessor(start, end)` returns the content of the file between these
+// positions.
+export async function readQcow2Table (fileAccessor, openBackingFile) {
+  const image = await Qcow2Image.open(fileAccessor, openBackingFile)
+  const { clusterSize, size } = image.header
+  const nClusters = Math.ceil(size / clusterSize)
+
+  const allocatedClusters = []
+  for (let cluster = 0; cluster < nClusters; ++cluster) {
+    const entry = await image.getEntry(cluster)
+    if (entry) {
+      allocatedClusters.push([cluster, entry.offset])
+    }
+  }
+  allocatedClusters.sort(
+    ([c1, clusterOffset1], [c2, clusterOffset2]) =>
+      clusterOffset1 - clusterOffset2
+  )
+
+  const table = []
+  const addBackingClusters = async block => {
+    for (const cluster of await image.getBackingClusters(block)) {
+      table.push(cluster * clusterSize)
+    }
+  }
+
+  const getVhdBlock = createVhdBlockTracker()
+  const visitedBlocks = new Set()
+  let currentBlock
+  for (const [cluster] of allocatedClusters) {
+    const offsetBytes = cluster * clusterSize
+    const block = getVhdBlock(offsetBytes)
+    if (block !== currentBlock) {
+      if (currentBlock !== undefined) {
+        await addBackingClusters(currentBlock)
+      }
+      visitedBlocks.add(block)
+      currentBlock = block
+    }
+    table.push(offsetBytes)
+  }
+
+  if (currentBlock !== undefined) {
+    await addBackingClusters(currentBlock)
+  }
+  for (
+    let block = 0, n = Math.ceil(size / VHD_BLOCK_SIZE);
+    block < n;
+    ++block
+  ) {
+    if (!visitedBlocks.has(block)) {
+      await addBackingClusters(block)
+    }
+  }
+
+  return table
+}
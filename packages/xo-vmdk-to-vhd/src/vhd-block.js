@@ -0,0 +1,27 @@
+'use strict'
+
+// size of the blocks of the VHD created by `createReadableSparseStream()`
+export const VHD_BLOCK_SIZE = 2 * 1024 * 1024
+
+// `createReadableSparseStream()` writes the VHD blocks in the order of the
+// incoming data, therefore all the data of a VHD block must be contiguous.
+//
+// Returns a function which must be called with the address of each incoming
+// block and returns the index of the VHD block it belongs to.
+export function createVhdBlockTracker () {
+  const doneBlocks = new Set()
+  let currentBlock
+  return offsetBytes => {
+    const block = Math.floor(offsetBytes / VHD_BLOCK_SIZE)
+    if (block !== currentBlock) {
+      if (doneBlocks.has(block)) {
+        throw new Error('Unsupported file format, data is not ordered')
+      }
+      if (currentBlock !== undefined) {
+        doneBlocks.add(currentBlock)
+      }
+      currentBlock = block
+    }
+    return block
+  }
+}
@@ -0,0 +1,300 @@
+'use strict'
+
+import { VirtualBuffer } from './virtual-buffer'
+import { VHD_BLOCK_SIZE, createVhdBlockTracker } from './vhd-block'
+
+// Spec: https://docs.microsoft.com/en-us/openspecs/windows_protocols/ms-vhdx
+
+const MAGIC = 'vhdxfile'
+
+const KiB = 1024
+const MiB = 1024 * KiB
+
+// header section, the second copies are used if the first ones are invalid
+const HEADER_OFFSETS = [64 * KiB, 128 * KiB]
+const HEADER_SIZE = 4 * KiB
+const REGION_TABLE_OFFSETS = [192 * KiB, 256 * KiB]
+const REGION_TABLE_SIZE = 64 * KiB
+const HEADER_SECTION_SIZE = 320 * KiB
+
+const BAT_GUID = '2DC27766-F623-4200-9D64-115E9BFD4A08'
+const METADATA_GUID = '8B7CA206-4790-4B9A-B8FE-575F050F886E'
+
+const FILE_PARAMETERS_GUID = 'CAA16737-FA36-4D43-B3B6-33F0AA44E76B'
+const LOGICAL_SECTOR_SIZE_GUID = '8141BF1D-A96F-4709-BA47-F233A8FAAB5F'
+const VIRTUAL_DISK_SIZE_GUID = '2FA54224-CD1B-4876-B211-5DBED83BF4B8'
+
+const FILE_PARAMETERS_HAS_PARENT = 1 << 1
+
+// states of the payload blocks in the BAT, the other ones read as zeroes
+const PAYLOAD_BLOCK_FULLY_PRESENT = 6
+const PAYLOAD_BLOCK_PARTIALLY_PRESENT = 7
+
+// unwanted entries are skipped by chunks of this size
+const SKIP_CHUNK_SIZE = MiB
+
+const CRC32C_TABLE = (() => {
+  const table = new Int32Array(256)
+  for (let i = 0; i < 256; ++i) {
+    let crc = i
+    for (let j = 0; j < 8; ++j) {
+      crc = crc & 1 ? (crc >>> 1) ^ 0x82f63b78 : crc >>> 1
+    }
+    table[i] = crc
+  }
+  return table
+})()
+
+// the checksum field (at offset 4) is considered as zero
+function checksum (buffer) {
+  let crc = -1
+  for (let i = 0, n = buffer.length; i < n; ++i) {
+    const byte = i >= 4 && i < 8 ? 0 : buffer[i]
+    crc = CRC32C_TABLE[(crc ^ byte) & 0xff] ^ (crc >>> 8)
+  }
+  return (crc ^ -1) >>> 0
+}
+
+function isValid (buffer, signature) {
+  return (
+    buffer.toString('ascii', 0, 4) === signature &&
+    buffer.readUInt32LE(4) === checksum(buffer)
+  )
+}
+
+function readUInt64LE (buffer, offset) {
+  return (
+    buffer.readUInt32LE(offset) + buffer.readUInt32LE(offset + 4) * 0x100000000
+  )
+}
+
+const hex = (value, length) =>
+  value
+    .toString(16)
+    .padStart(length, '0')
+    .toUpperCase()
+
+function parseGuid (buffer, offset) {
+  return [
+    hex(buffer.readUInt32LE(offset), 8),
+    hex(buffer.readUInt16LE(offset + 4), 4),
+    hex(buffer.readUInt16LE(offset + 6), 4),
+    buffer.toString('hex', offset + 8, offset + 10).toUpperCase(),
+    buffer.toString('hex', offset + 10, offset + 16).toUpperCase(),
+  ].join('-')
+}
+
+// Returns the BAT and metadata regions (`{ offset, length }`).
+function parseHeaderSection (buffer) {
+  if (buffer.toString('ascii', 0, 8) !== MAGIC) {
+    throw new Error('not a VHDX file')
+  }
+
+  let header
+  let sequenceNumber = -1
+  HEADER_OFFSETS.forEach(offset => {
+    const candidate = buffer.slice(offset, offset + HEADER_SIZE)
+    if (isValid(candidate, 'head')) {
+      const candidateSequenceNumber = readUInt64LE(candidate, 8)
+      if (candidateSequenceNumber > sequenceNumber) {
+        header = candidate
+        sequenceNumber = candidateSequenceNumber
+      }
+    }
+  })
+  if (header === undefined) {
+    throw new Error('invalid VHDX, no valid header')
+  }
+  const version = header.readUInt16LE(66)
+  if (version !== 1) {
+    throw new Error('unsupported VHDX version ' + version)
+  }
+  if (parseGuid(header, 48) !== '00000000-0000-0000-0000-000000000000') {
+    throw new Error(
+      'unsupported VHDX, its log must be replayed first (e.g. by Hyper-V)'
+    )
+  }
+
+  const regionTable = REGION_TABLE_OFFSETS.map(offset =>
+    buffer.slice(offset, offset + REGION_TABLE_SIZE)
+  ).find(candidate => isValid(candidate, 'regi'))
+  if (regionTable === undefined) {
+    throw new Error('invalid VHDX, no valid region table')
+  }
+  const regions = {}
+  for (let i = 0, n = regionTable.readUInt32LE(8); i < n; ++i) {
+    const entryOffset = 16 + i * 32
+    const guid = parseGuid(regionTable, entryOffset)
+    const region = {
+      offset: readUInt64LE(regionTable, entryOffset + 16),
+      length: regionTable.readUInt32LE(entryOffset + 24),
+    }
+    if (guid === BAT_GUID) {
+      regions.bat = region
+    } else if (guid === METADATA_GUID) {
+      regions.metadata = region
+    } else if ((regionTable.readUInt32LE(entryOffset + 28) & 1) !== 0) {
+      throw new Error('unsupported VHDX, unknown required region ' + guid)
+    }
+  }
+  if (regions.bat === undefined || regions.metadata === undefined) {
+    throw new Error('invalid VHDX, missing BAT or metadata region')
+  }
+  return regions
+}
+
+function parseMetadata (buffer) {
+  if (buffer.toString('ascii', 0, 8) !== 'metadata') {
+    throw new Error('invalid VHDX metadata region')
+  }
+  const items = {}
+  for (let i = 0, n = buffer.readUInt16LE(10); i < n; ++i) {
+    const entryOffset = 32 + i * 32
+    items[parseGuid(buffer, entryOffset)] = buffer.readUInt32LE(
+      entryOffset + 16
+    )
+  }
+
+  const fileParameters = items[FILE_PARAMETERS_GUID]
+  const logicalSectorSize = items[LOGICAL_SECTOR_SIZE_GUID]
+  const virtualDiskSize = items[VIRTUAL_DISK_SIZE_GUID]
+  if (
+    fileParameters === undefined ||
+    logicalSectorSize === undefined ||
+    virtualDiskSize === undefined
+  ) {
+    throw new Error('invalid VHDX, missing metadata')
+  }
+  if (
+    (buffer.readUInt32LE(fileParameters + 4) & FILE_PARAMETERS_HAS_PARENT) !==
+    0
+  ) {
+    throw new Error('unsupported VHDX, differencing disks are not supported')
+  }
+  const blockSize = buffer.readUInt32LE(fileParameters)
+  return {
+    blockSize,
+    // the blocks are split in chunks which fit in the VHD blocks
+    chunkSize: Math.min(blockSize, VHD_BLOCK_SIZE),
+    logicalSectorSize: buffer.readUInt32LE(logicalSectorSize),
+    size: readUInt64LE(buffer, virtualDiskSize),
+  }
+}
+
+// Returns the chunks of the payload blocks (`{ offset, offsetBytes }`), in
+// the order of the file.
+function parseBat (buffer, { blockSize, chunkSize, logicalSectorSize, size }) {
+  // a sector bitmap entry follows each chunk of payload entries
+  const chunkRatio = Math.pow(2, 23) * logicalSectorSize / blockSize
+
+  const chunks = []
+  for (let i = 0, n = Math.ceil(size / blockSize); i < n; ++i) {
+    const entryOffset = (i + Math.floor(i / chunkRatio)) * 8
+    const low = buffer.readUInt32LE(entryOffset)
+    const state = low & 7
+    if (state === PAYLOAD_BLOCK_PARTIALLY_PRESENT) {
+      throw new Error('invalid VHDX, partially present block ' + i)
+    }
+    if (state === PAYLOAD_BLOCK_FULLY_PRESENT) {
+      // bits 20 to 63 are the offset in MiB
+      const offset =
+        (buffer.readUInt32LE(entryOffset + 4) * 4096 + (low >>> 20)) * MiB
+      for (let j = 0; j < blockSize; j += chunkSize) {
+        const offsetBytes = i * blockSize + j
+        if (offsetBytes >= size) {
+          break
+        }
+        chunks.push({ offset: offset + j, offsetBytes })
+      }
+    }
+  }
+  chunks.sort((a, b) => a.offset - b.offset)
+
+  const getVhdBlock = createVhdBlockTracker()
+  chunks.forEach(chunk => {
+    getVhdBlock(chunk.offsetBytes)
+  })
+
+  return chunks
+}
+
+export class VHDXDirectParser {
+  constructor (readStream) {
+    this.virtualBuffer = new VirtualBuffer(readStream)
+    this.header = null
+    this._chunks = null
+  }
+
+  async _read (length, label) {
+    const data = await this.virtualBuffer.readChunk(length, label)
+    if (data.length !== length) {
+      throw new Error('unexpected end of VHDX file, reading ' + label)
+    }
+    return data
+  }
+
+  async _skipTo (offset, label) {
+    if (offset < this.virtualBuffer.position) {
+      throw new Error('Unsupported file format, VHDX entries are not ordered')
+    }
+    let length
+    while ((length = offset - this.virtualBuffer.position) !== 0) {
+      await this._read(
+        Math.min(length, SKIP_CHUNK_SIZE),
+        'skipping to ' + label
+      )
+    }
+  }
+
+  async readHeader () {
+    const regions = parseHeaderSection(
+      await this._read(HEADER_SECTION_SIZE, 'readHeader')
+    )
+
+    // the BAT and the metadata can be in any order
+    const buffers = {}
+    const names = Object.keys(regions).sort(
+      (a, b) => regions[a].offset - regions[b].offset
+    )
+    for (const name of names) {
+      const { offset, length } = regions[name]
+      await this._skipTo(offset, name)
+      buffers[name] = await this._read(length, name)
+    }
+
+    this.header = parseMetadata(buffers.metadata)
+    this._chunks = parseBat(buffers.bat, this.header)
+    return this.header
+  }
+
+  async * blockIterator () {
+    const { chunkSize, size } = this.header
+    for (const { offset, offsetBytes } of this._chunks) {
+      await this._skipTo(offset, 'block ' + offsetBytes)
+      const data = await this._read(chunkSize, 'block ' + offsetBytes)
+
+      // the end of the last block is not part of the disk
+      if (offsetBytes + chunkSize > size) {
+        data.fill(0, size - offsetBytes)
+      }
+
+      yield { offsetBytes, data }
+    }
+  }
+}
+
+// Returns the addresses of the chunks in the order they are produced by
+// `VHDXDirectParser#blockIterator()`.
+//
+// `fileAccessor(start, end)` returns the content of the file between these
+// positions.
+export async function readVhdxTable (fileAccessor) {
+  const read = async ({ offset, length }) =>
+    Buffer.from(await fileAccessor(offset, offset + length))
+
+  const regions = parseHeaderSection(
+    await read({ offset: 0, length: HEADER_SECTION_SIZE })
+  )
+  const header = parseMetadata(await read(regions.metadata))
+  return parseBat(await read(regions.bat), header).map(_ => _.offsetBytes)
+}